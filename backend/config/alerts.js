@@ -0,0 +1,35 @@
+/**
+ * Alert Configuration
+ * Rules on watchlist metrics, the notifications they create and the
+ * outbound webhook triggered alerts are posted to
+ */
+
+module.exports = {
+  // Metrics a rule can watch, per watchlist item type
+  metrics: {
+    video: ['viewCount', 'likeCount', 'commentCount', 'engagementRate'],
+    channel: ['subscriberCount', 'viewCount', 'videoCount'],
+    search: ['totalResults', 'averageViews']
+  },
+
+  // above/below fire when the value crosses the threshold; increase/decrease
+  // fire when the change between two refreshes, scaled to windowMinutes,
+  // reaches the threshold
+  conditions: ['above', 'below', 'increase', 'decrease'],
+
+  defaultWindowMinutes: 60,
+  defaultCooldownMinutes: 60,
+  maxRulesPerUser: 100,
+
+  // Notifications are kept for 90 days
+  notificationTtlSeconds: 90 * 24 * 60 * 60,
+
+  webhook: {
+    timeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS, 10) || 5000,
+    // When set, deliveries carry an X-Signature-256 HMAC of the body
+    secret: process.env.ALERT_WEBHOOK_SECRET || null,
+    // Loopback, private and link-local receivers are refused unless enabled
+    // (e.g. a receiver on the developer's machine)
+    allowPrivate: process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === 'true'
+  }
+};
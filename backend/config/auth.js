@@ -4,12 +4,42 @@ module.exports = {
   
   // User types
   userTypes: {
-    GUEST: 'GUEST'
+    GUEST: 'GUEST',
+    REGISTERED: 'REGISTERED'
   },
   
   // Quota limits
   quotaLimits: {
-    GUEST: 100 // 100 searches per day
+    GUEST: 100, // 100 searches per day
+    REGISTERED: 500 // 500 searches per day
+  },
+  
+  // Roles
+  roles: {
+    USER: 'user',
+    ADMIN: 'admin'
+  },
+  // Verified accounts with these emails are promoted to admin on login/verification
+  adminEmails: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean),
+  
+  // Registered account settings
+  password: {
+    minLength: 8
+  },
+  emailVerification: {
+    tokenTtlMs: 24 * 60 * 60 * 1000 // Verification links are valid for 24 hours
+  },
+
+  // Mount GET /auth/dev/outbox, which reads the local mail stand-in's
+  // messages without authentication. Opt-in, and never in production
+  devOutbox: process.env.MAIL_DEV_OUTBOX === 'true' && process.env.NODE_ENV !== 'production',
+
+  // Search history: only the most recent entries are kept per user
+  searchHistory: {
+    maxEntries: parseInt(process.env.SEARCH_HISTORY_MAX_ENTRIES, 10) || 500
   },
   
   // Rate limiting
@@ -17,6 +47,10 @@ module.exports = {
     guest: {
       windowMs: 15 * 60 * 1000, // 15 minutes
       max: 50 // 50 requests per window
+    },
+    login: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 10 // 10 login/register attempts per window
     }
   }
-};
\ No newline at end of file
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Cache = require('../models/Cache');
+const User = require('../models/User');
 
 const connectDB = async () => {
     try {
@@ -11,6 +13,19 @@ const connectDB = async () => {
 
         const conn = await mongoose.connect(uri);
         console.log(`✅ [MongoDB] Database Connected: ${conn.connection.host}`);
+
+        // Cache entries now expire from staleUntil so grace copies survive
+        await Cache.dropLegacyTtlIndex().catch(error =>
+            console.error(`❌ [MongoDB] Cache index migration failed: ${error.message}`)
+        );
+
+        // Only guests expire; registered accounts must stay out of the TTL sweep
+        await User.dropLegacyTtlIndex().catch(error =>
+            console.error(`❌ [MongoDB] User index migration failed: ${error.message}`)
+        );
+        await User.moveRegisteredQuotaWindows().catch(error =>
+            console.error(`❌ [MongoDB] User quota window migration failed: ${error.message}`)
+        );
     } catch (error) {
         console.error(`❌ [MongoDB] Connection Error: ${error.message}`);
         process.exit(1);
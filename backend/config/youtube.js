@@ -1,28 +1,63 @@
+const crypto = require('crypto');
 const { google } = require('googleapis');
 
 /**
  * YouTube API Configuration
- * Initializes the YouTube Data API v3 client
+ * Initializes one YouTube Data API v3 client per configured API key
  */
 
-// Validate API key exists
-if (!process.env.YOUTUBE_API_KEY) {
-  console.error('FATAL ERROR: YOUTUBE_API_KEY is not defined in environment variables');
+/**
+ * Read API keys from YOUTUBE_API_KEYS (comma-separated) and YOUTUBE_API_KEY
+ * Duplicates are dropped so a key listed in both is only used once
+ */
+const parseApiKeys = () => {
+  const keys = [
+    ...(process.env.YOUTUBE_API_KEYS || '').split(','),
+    process.env.YOUTUBE_API_KEY || ''
+  ].map(key => key.trim()).filter(Boolean);
+
+  return [...new Set(keys)];
+};
+
+/**
+ * Read a share (0-1) from an environment variable, falling back to the
+ * default when it is unset, not a number or out of range
+ * @param {boolean} [options.allowWhole=true] - Whether 1 itself is accepted
+ */
+const parseShare = (value, fallback, { allowWhole = true } = {}) => {
+  const share = parseFloat(value);
+  return share >= 0 && (allowWhole ? share <= 1 : share < 1) ? share : fallback;
+};
+
+const apiKeyValues = parseApiKeys();
+
+// Validate at least one API key exists
+if (apiKeyValues.length === 0) {
+  console.error('FATAL ERROR: YOUTUBE_API_KEY (or YOUTUBE_API_KEYS) is not defined in environment variables');
   process.exit(1);
 }
 
-// Initialize YouTube API client
-const youtube = google.youtube({
-  version: 'v3',
-  auth: process.env.YOUTUBE_API_KEY
-});
+// Initialize a YouTube API client per key; keys are only ever exposed by a
+// short fingerprint and a masked form
+const apiKeys = apiKeyValues.map((key, index) => ({
+  id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 12),
+  label: `key-${index + 1}`,
+  masked: `${key.slice(0, 4)}…${key.slice(-4)}`,
+  client: google.youtube({
+    version: 'v3',
+    auth: key
+  })
+}));
+
+const youtube = apiKeys[0].client;
 
 /**
  * YouTube API Configuration Constants
  */
 const youtubeConfig = {
-  // API client
+  // API client (first key; the key pool rotates between all of apiKeys)
   client: youtube,
+  apiKeys,
 
   // API Quota limits (per day)
   quotaLimits: {
@@ -30,7 +65,95 @@ const youtubeConfig = {
     videoDetails: 1,       // Cost: 1 unit per request
     channelDetails: 1,     // Cost: 1 unit per request
     commentThreads: 1,     // Cost: 1 unit per request
-    dailyLimit: 10000      // Default daily quota: 10,000 units
+    comments: 1,           // Cost: 1 unit per request (replies)
+    playlistItems: 1,      // Cost: 1 unit per request
+    dailyLimit: parseInt(process.env.YOUTUBE_DAILY_QUOTA, 10) || 10000 // Default daily quota per key: 10,000 units
+  },
+
+  // Which quotaLimits entry prices each API method
+  apiCosts: {
+    'search.list': 'search',
+    'videos.list': 'videoDetails',
+    'channels.list': 'channelDetails',
+    'commentThreads.list': 'commentThreads',
+    'comments.list': 'comments',
+    'playlistItems.list': 'playlistItems'
+  },
+
+  // Admission control: new calls are refused once projected usage for the
+  // quota day would pass the pool's total limit * (1 - safetyMargin)
+  quotaBudget: {
+    // A margin of 1 would refuse every call
+    safetyMargin: parseShare(process.env.YOUTUBE_QUOTA_SAFETY_MARGIN, 0.1, { allowWhole: false })
+  },
+
+  // Scheduled watchlist refresh (jobs/refreshWatchlists.js)
+  watchlist: {
+    // How often the job looks for due items
+    schedule: process.env.WATCHLIST_REFRESH_CRON || '*/15 * * * *',
+    // Per-item refresh interval bounds, in minutes
+    defaultIntervalMinutes: parseInt(process.env.WATCHLIST_DEFAULT_INTERVAL, 10) || 360,
+    minIntervalMinutes: 60,
+    maxIntervalMinutes: 7 * 24 * 60,
+    // Share of the daily limit refreshes may spend per quota day
+    quotaShare: parseShare(process.env.WATCHLIST_QUOTA_SHARE, 0.2),
+    // Refreshes a user asks for (adding an item, POST /:id/refresh) count
+    // against their own quota, at most once per item in this many minutes
+    manualRefreshMinutes: 15,
+    maxItemsPerUser: 50,
+    // Results kept per watched search (one search.list page)
+    searchResults: 50
+  },
+
+  // Where cache entries live (services/cacheStore.js): 'mongo' (default),
+  // 'memory' (this process only, for tests) or 'redis' (any server speaking
+  // the Redis protocol)
+  cacheStore: {
+    backend: process.env.CACHE_STORE || 'mongo',
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    redisKeyPrefix: process.env.CACHE_REDIS_PREFIX || 'ytcache:'
+  },
+
+  // In-process LRU (services/cacheTiers.js) in front of the MongoDB cache.
+  // Entries live at most ttlSeconds here, which bounds how long another
+  // instance's invalidation can take to reach this one
+  cacheL1: {
+    maxEntries: process.env.CACHE_L1_MAX_ENTRIES !== undefined
+      ? parseInt(process.env.CACHE_L1_MAX_ENTRIES, 10)
+      : 500,
+    maxMegabytes: parseInt(process.env.CACHE_L1_MAX_MB, 10) || 64,
+    ttlSeconds: parseInt(process.env.CACHE_L1_TTL_SECONDS, 10) || 60,
+    // Hit counts are written to MongoDB in batches this often
+    hitFlushSeconds: 10
+  },
+
+  // Adaptive cache warming (jobs/warmCaches.js): entries that traffic keeps
+  // asking for are fetched again shortly before they expire
+  cacheWarming: {
+    enabled: process.env.CACHE_WARMING_ENABLED !== 'false',
+    schedule: process.env.CACHE_WARMING_CRON || '*/10 * * * *',
+    // Entries expiring within this window are warmed; keep it longer than
+    // the schedule's interval so nothing expires between two runs
+    lookaheadMinutes: 15,
+    // Share of the daily limit warming may spend per quota day
+    quotaShare: parseShare(process.env.CACHE_WARMING_QUOTA_SHARE, 0.1),
+    maxTargets: 50,
+    // Cache entries need this many hits to be worth fetching again
+    minHits: 2,
+    // Searches, videos and channels users requested at least minRequests
+    // times within the history window
+    historyWindowHours: 24,
+    minRequests: 3,
+    // Page size the Search page requests; searches found in the history are
+    // warmed with it
+    searchResults: 50
+  },
+
+  // Admin-defined cache policies (services/cachePolicy.js). Edits reload
+  // the rules at once on the instance that made them; other instances pick
+  // them up within refreshSeconds
+  cachePolicy: {
+    refreshSeconds: parseInt(process.env.CACHE_POLICY_REFRESH_SECONDS, 10) || 30
   },
 
   // Default parameters for API requests
@@ -86,12 +209,27 @@ const youtubeConfig = {
     HIGH: 'high'          // HD
   },
 
+  // Caption filters
+  videoCaptions: {
+    ANY: 'any',
+    CLOSED_CAPTION: 'closedCaption', // Only videos with captions
+    NONE: 'none'
+  },
+
+  // Safe search levels
+  safeSearchLevels: {
+    NONE: 'none',
+    MODERATE: 'moderate',
+    STRICT: 'strict'
+  },
+
   // Error messages
   errors: {
     QUOTA_EXCEEDED: 'YouTube API quota exceeded. Please try again tomorrow.',
     INVALID_API_KEY: 'Invalid YouTube API key. Please check your configuration.',
     VIDEO_NOT_FOUND: 'Video not found or unavailable.',
     CHANNEL_NOT_FOUND: 'Channel not found.',
+    COMMENTS_DISABLED: 'Comments are disabled for this video.',
     RATE_LIMIT: 'Rate limit exceeded. Please try again later.',
     NETWORK_ERROR: 'Network error while connecting to YouTube API.',
     UNKNOWN: 'An unknown error occurred while fetching YouTube data.'
@@ -122,6 +260,13 @@ youtubeConfig.getChannelParts = () => {
   return youtubeConfig.channelParts.join(',');
 };
 
+/**
+ * Helper function to get the unit cost of an API method (e.g. 'search.list')
+ */
+youtubeConfig.getApiCost = (method) => {
+  return youtubeConfig.quotaLimits[youtubeConfig.apiCosts[method]] ?? 1;
+};
+
 /**
  * Helper function to validate max results
  */
@@ -133,6 +278,13 @@ youtubeConfig.validateMaxResults = (maxResults) => {
   return Math.min(num, youtubeConfig.defaults.maxResultsLimit);
 };
 
+/**
+ * Helper function to get the combined daily quota of every configured key
+ */
+youtubeConfig.getTotalDailyLimit = () => {
+  return youtubeConfig.quotaLimits.dailyLimit * apiKeys.length;
+};
+
 /**
  * Helper function to get API client
  */
@@ -144,7 +296,7 @@ youtubeConfig.getClient = () => {
  * Helper function to check if API key is valid
  */
 youtubeConfig.isConfigured = () => {
-  return !!process.env.YOUTUBE_API_KEY;
+  return apiKeys.length > 0;
 };
 
 module.exports = youtubeConfig;
\ No newline at end of file
@@ -0,0 +1,406 @@
+const User = require('../models/User');
+const GuestSession = require('../models/GuestSession');
+const { generateGuestToken, generateGuestId } = require('../utils/guestToken');
+const { generateOneTimeToken, hashOneTimeToken } = require('../utils/password');
+const { quotaLimits, emailVerification, adminEmails, roles } = require('../config/auth');
+const { generateFingerprint } = require('../middleware/fingerprint');
+const { sendMail, getOutbox } = require('../services/mailService');
+const { migrateGuestToAccount } = require('../services/accountMigrationService');
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shape a user document for API responses
+ */
+const serializeAccount = (user) => ({
+  id: user._id,
+  guestId: user.guestId,
+  email: user.email || null,
+  emailVerified: user.emailVerified,
+  displayName: user.displayName,
+  userType: user.userType,
+  role: user.role,
+  quotaLimit: user.quotaLimit,
+  quotaUsed: user.quotaUsed,
+  quotaRemaining: user.getQuotaRemaining(),
+  createdAt: user.createdAt,
+  quotaResetsAt: user.getQuotaResetAt()
+});
+
+/**
+ * Promote verified accounts listed in ADMIN_EMAILS to the admin role
+ * Promotion only; demoting an admin is a deliberate database change
+ */
+const applyConfiguredRole = (user) => {
+  if (user.emailVerified && adminEmails.includes(user.email) && user.role !== roles.ADMIN) {
+    user.role = roles.ADMIN;
+    console.log(`[Auth] Promoted ${user.email} to admin`);
+  }
+};
+
+/**
+ * Sign a token for the user and record the session
+ */
+const issueSession = async (user, req) => {
+  const fingerprintData = generateFingerprint(req);
+  const token = generateGuestToken(user);
+
+  await GuestSession.create({
+    guestId: user.guestId,
+    token,
+    isActive: true,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    metadata: {
+      ipAddress: fingerprintData.ip,
+      userAgent: fingerprintData.userAgent,
+      fingerprint: fingerprintData.fingerprint
+    }
+  });
+
+  return token;
+};
+
+/**
+ * Attach a fresh verification token to the user and email the link
+ * Unverified accounts keep the guest quota until they confirm their email
+ */
+const startEmailVerification = async (user) => {
+  const { token, tokenHash } = generateOneTimeToken();
+
+  user.emailVerified = false;
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpires = new Date(Date.now() + emailVerification.tokenTtlMs);
+  await user.save();
+
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const link = `${clientUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your YouTube Analytics account',
+    text: `Hi ${user.displayName},\n\nConfirm your email address to unlock your full search quota:\n${link}\n\nThis link expires in 24 hours.`,
+    meta: { type: 'email-verification', token }
+  });
+};
+
+/**
+ * Merge the requesting guest (if any) into the account
+ */
+const migrateRequestGuest = (req, account) => {
+  if (!req.user || !req.isGuest) {
+    return null;
+  }
+
+  return migrateGuestToAccount({
+    guest: req.user,
+    account,
+    guestToken: req.token
+  });
+};
+
+/**
+ * @desc    Register a new account
+ *          A guest token in the Authorization header is merged into the account
+ * @route   POST /api/v1/auth/register
+ * @access  Public
+ */
+exports.register = async (req, res) => {
+  try {
+    const { email, password, displayName } = req.body;
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const guestId = generateGuestId();
+    const user = new User({
+      guestId,
+      userType: 'REGISTERED',
+      email,
+      displayName: displayName || email.split('@')[0],
+      quotaUsed: 0,
+      quotaLimit: quotaLimits.GUEST,
+      quotaResetsAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+    await user.setPassword(password);
+
+    await startEmailVerification(user);
+    const migration = await migrateRequestGuest(req, user);
+    const token = await issueSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        user: serializeAccount(user),
+        migration
+      }
+    });
+  } catch (error) {
+    // Unique index on email catches concurrent registrations
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    console.error('Register error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create account'
+    });
+  }
+};
+
+/**
+ * @desc    Log in with email and password
+ *          A guest token in the Authorization header is merged into the account
+ * @route   POST /api/v1/auth/login
+ * @access  Public
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findByEmailWithPassword(email);
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    applyConfiguredRole(user);
+    await user.save();
+
+    const migration = await migrateRequestGuest(req, user);
+    const token = await issueSession(user, req);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        user: serializeAccount(user),
+        migration
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm an email address using the emailed token
+ * @route   POST /api/v1/auth/verify-email
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashOneTimeToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    user.quotaLimit = quotaLimits.REGISTERED;
+    applyConfiguredRole(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: serializeAccount(user)
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email'
+    });
+  }
+};
+
+/**
+ * @desc    Send a new verification email
+ * @route   POST /api/v1/auth/resend-verification
+ * @access  Registered (requires valid token)
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    if (!req.user || req.user.userType !== 'REGISTERED') {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authenticated'
+      });
+    }
+
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await startEmailVerification(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+};
+
+/**
+ * @desc    Upgrade the current guest session into a registered account
+ *          The guest's user document is converted in place, so search
+ *          history and quota usage carry over unchanged; the old guest
+ *          token is blacklisted with reason 'upgrade'
+ * @route   POST /api/v1/auth/upgrade
+ * @access  Guest (requires valid token)
+ */
+exports.upgradeGuest = async (req, res) => {
+  try {
+    if (!req.user || !req.isGuest) {
+      return res.status(401).json({
+        success: false,
+        error: 'A valid guest session is required to upgrade'
+      });
+    }
+
+    const { email, password, displayName } = req.body;
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const user = req.user;
+    user.userType = 'REGISTERED';
+    // Keep the guest's quota window, but the account no longer expires
+    user.quotaResetsAt = user.expiresAt;
+    user.expiresAt = undefined;
+    user.email = email;
+    if (displayName) {
+      user.displayName = displayName;
+    }
+    await user.setPassword(password);
+
+    // Persist the conversion, retire guest sessions and revoke the guest token together
+    const migration = await migrateRequestGuest(req, user);
+
+    await startEmailVerification(user);
+    const token = await issueSession(user, req);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        user: serializeAccount(user),
+        migration
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    console.error('Upgrade guest error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upgrade guest session'
+    });
+  }
+};
+
+/**
+ * @desc    Issue a new token for the current session without resetting quota
+ * @route   POST /api/v1/auth/refresh
+ * @access  Authenticated (requires valid token)
+ */
+exports.refreshSession = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired session'
+      });
+    }
+
+    const user = req.user;
+    const token = generateGuestToken(user);
+
+    await GuestSession.findOneAndUpdate(
+      { guestId: user.guestId, token: req.token, isActive: true },
+      {
+        token,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+        lastActivity: new Date()
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        user: serializeAccount(user)
+      }
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session'
+    });
+  }
+};
+
+/**
+ * @desc    Read the local mail stand-in's outbox (development only)
+ * @route   GET /api/v1/auth/dev/outbox?to=email
+ * @access  Public (only mounted with MAIL_DEV_OUTBOX=true and no ADMIN_EMAILS, never in production)
+ */
+exports.getDevOutbox = (req, res) => {
+  // One-time tokens stay out of the response; the message text is what a
+  // recipient would see
+  const messages = getOutbox(req.query.to).map(({ meta: { token, ...meta }, ...message }) => ({ ...message, meta }));
+
+  res.json({
+    success: true,
+    data: messages
+  });
+};
@@ -0,0 +1,114 @@
+const User = require('../models/User');
+const QuotaLedger = require('../models/QuotaLedger');
+const { youtubeService } = require('../services/youtubeService');
+const quotaBudget = require('../services/quotaBudget');
+const apiKeyPool = require('../services/apiKeyPool');
+const { getQuotaDay, listQuotaDays } = require('../utils/quotaDay');
+
+const MAX_USAGE_DAYS = 35; // Matches the ledger's retention
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @desc    YouTube API quota usage by day, endpoint and user
+ * @route   GET /api/v1/admin/quota/usage?days=7 (or ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+ * @access  Admin
+ */
+exports.getQuotaUsage = async (req, res) => {
+  try {
+    const { from: fromParam, to: toParam } = req.query;
+
+    if ((fromParam && !DAY_PATTERN.test(fromParam)) || (toParam && !DAY_PATTERN.test(toParam))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be quota days in YYYY-MM-DD format'
+      });
+    }
+
+    const days = Math.min(MAX_USAGE_DAYS, Math.max(1, parseInt(req.query.days) || 7));
+    const to = toParam || getQuotaDay();
+    const from = fromParam || getQuotaDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must not be after to'
+      });
+    }
+
+    const [today, budget, usage] = await Promise.all([
+      youtubeService.getDailyUsage(),
+      quotaBudget.getStatus(),
+      QuotaLedger.getUsage({ from, to })
+    ]);
+
+    // Fill in days without calls so charts get a continuous series
+    const totalsByDay = new Map(usage.byDay.map(entry => [entry.day, entry]));
+    const byDay = listQuotaDays(from, to).map(day =>
+      totalsByDay.get(day) || { day, units: 0, calls: 0, failedCalls: 0 }
+    );
+
+    // Attach display details for the heaviest users
+    const userIds = usage.byUser.map(entry => entry.userId).filter(Boolean);
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('displayName email userType role')
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const byUser = usage.byUser.map(entry => {
+      const user = entry.userId ? usersById.get(entry.userId.toString()) : null;
+      return {
+        ...entry,
+        displayName: user?.displayName || (entry.userId ? 'Deleted user' : 'Anonymous / background'),
+        email: user?.email || null,
+        userType: user?.userType || null
+      };
+    });
+
+    // This process's own tally, useful for spotting imbalance between instances
+    const instanceUsage = youtubeService.getQuotaUsage();
+
+    res.json({
+      success: true,
+      data: {
+        today,
+        budget,
+        range: { from, to },
+        byDay,
+        byEndpoint: usage.byEndpoint,
+        byUser,
+        instance: {
+          totalCalls: instanceUsage.totalCalls,
+          totalCost: instanceUsage.totalCost
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get quota usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quota usage'
+    });
+  }
+};
+
+/**
+ * @desc    Health of each YouTube API key in the pool
+ * @route   GET /api/v1/admin/api-keys
+ * @access  Admin
+ */
+exports.getApiKeyHealth = async (req, res) => {
+  try {
+    const health = await apiKeyPool.getHealth();
+
+    res.json({
+      success: true,
+      data: health
+    });
+  } catch (error) {
+    console.error('Get API key health error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API key health'
+    });
+  }
+};
@@ -0,0 +1,340 @@
+const AlertRule = require('../models/AlertRule');
+const Notification = require('../models/Notification');
+const WatchlistItem = require('../models/WatchlistItem');
+const alertConfig = require('../config/alerts');
+const { describeRule, sendTestWebhook } = require('../services/alerts');
+
+const notAuthenticated = (res) => res.status(401).json({
+  success: false,
+  error: 'Not authenticated'
+});
+
+/**
+ * Alert rule as returned by the API
+ */
+const formatRule = (rule) => ({
+  id: rule._id,
+  itemId: rule.itemId,
+  metric: rule.metric,
+  condition: rule.condition,
+  threshold: rule.threshold,
+  windowMinutes: rule.windowMinutes,
+  cooldownMinutes: rule.cooldownMinutes,
+  webhookUrl: rule.webhookUrl,
+  enabled: rule.enabled,
+  description: describeRule(rule),
+  lastTriggeredAt: rule.lastTriggeredAt,
+  createdAt: rule.createdAt
+});
+
+/**
+ * Find one of the current user's rules; responds 404/400 and returns null otherwise
+ */
+const findOwnRule = async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!rule) {
+      res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+    return rule;
+  } catch (error) {
+    if (error.name === 'CastError') {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid alert rule ID'
+      });
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Get the current user's alert rules
+ * @route   GET /api/v1/alerts/rules?itemId=...
+ * @access  Guest (requires valid token)
+ */
+exports.getRules = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const filter = { userId: req.user._id };
+    if (req.query.itemId) {
+      filter.itemId = req.query.itemId;
+    }
+
+    const rules = await AlertRule.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        rules: rules.map(formatRule),
+        metrics: alertConfig.metrics,
+        conditions: alertConfig.conditions
+      }
+    });
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert rules'
+    });
+  }
+};
+
+/**
+ * @desc    Create an alert rule on a watchlist item
+ * @route   POST /api/v1/alerts/rules
+ * @access  Guest (requires valid token)
+ */
+exports.createRule = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const { itemId, metric, condition, threshold, windowMinutes, cooldownMinutes, webhookUrl } = req.body;
+
+    const item = await WatchlistItem.findOne({ _id: itemId, userId: req.user._id });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist item not found'
+      });
+    }
+
+    if (!alertConfig.metrics[item.type].includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid metric for a ${item.type}. Must be: ${alertConfig.metrics[item.type].join(', ')}`
+      });
+    }
+
+    const count = await AlertRule.countDocuments({ userId: req.user._id });
+    if (count >= alertConfig.maxRulesPerUser) {
+      return res.status(400).json({
+        success: false,
+        error: `Alert rules are limited to ${alertConfig.maxRulesPerUser} per user`
+      });
+    }
+
+    const rule = await AlertRule.create({
+      userId: req.user._id,
+      itemId: item._id,
+      metric,
+      condition,
+      threshold,
+      windowMinutes,
+      cooldownMinutes,
+      webhookUrl: webhookUrl || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { rule: formatRule(rule) }
+    });
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alert rule'
+    });
+  }
+};
+
+/**
+ * @desc    Update an alert rule (threshold, window, cooldown, webhook, enabled)
+ * @route   PATCH /api/v1/alerts/rules/:id
+ * @access  Guest (requires valid token)
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const rule = await findOwnRule(req, res);
+    if (!rule) return;
+
+    ['threshold', 'windowMinutes', 'cooldownMinutes', 'enabled'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+    if (req.body.webhookUrl !== undefined) {
+      rule.webhookUrl = req.body.webhookUrl || null;
+    }
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: { rule: formatRule(rule) }
+    });
+  } catch (error) {
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert rule'
+    });
+  }
+};
+
+/**
+ * @desc    Delete an alert rule
+ * @route   DELETE /api/v1/alerts/rules/:id
+ * @access  Guest (requires valid token)
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const rule = await findOwnRule(req, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted',
+      deleted: 1
+    });
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert rule'
+    });
+  }
+};
+
+/**
+ * @desc    Post a sample payload to a rule's webhook
+ * @route   POST /api/v1/alerts/rules/:id/test-webhook
+ * @access  Guest (requires valid token)
+ */
+exports.testRuleWebhook = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const rule = await findOwnRule(req, res);
+    if (!rule) return;
+
+    if (!rule.webhookUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'This rule has no webhook URL'
+      });
+    }
+
+    const item = await WatchlistItem.findById(rule.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist item not found'
+      });
+    }
+
+    const delivery = await sendTestWebhook(rule, item);
+
+    res.json({
+      success: true,
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Test alert webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test webhook'
+    });
+  }
+};
+
+/**
+ * @desc    Get the notification feed (newest first) and the unread count
+ * @route   GET /api/v1/alerts/notifications?limit=20&unread=true
+ * @access  Guest (requires valid token)
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { userId: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ userId: req.user._id, read: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => ({
+          id: notification._id,
+          ruleId: notification.ruleId,
+          itemId: notification.itemId,
+          title: notification.title,
+          message: notification.message,
+          link: notification.link,
+          value: notification.value,
+          read: notification.read,
+          webhook: notification.webhook?.url ? notification.webhook : null,
+          createdAt: notification.createdAt
+        })),
+        unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  }
+};
+
+/**
+ * @desc    Mark notifications as read (all of them when no ids are given)
+ * @route   POST /api/v1/alerts/notifications/read
+ * @access  Guest (requires valid token)
+ */
+exports.markNotificationsRead = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const filter = { userId: req.user._id, read: false };
+    if (Array.isArray(req.body?.ids) && req.body.ids.length > 0) {
+      filter._id = { $in: req.body.ids };
+    }
+
+    const result = await Notification.updateMany(filter, { $set: { read: true } });
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read'
+    });
+  }
+};
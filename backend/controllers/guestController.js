@@ -299,6 +299,9 @@ exports.verifyToken = async (req, res) => {
         guestId: user.guestId,
         displayName: user.displayName,
         userType: user.userType,
+        email: user.email || null,
+        emailVerified: user.emailVerified,
+        role: user.role,
         quotaLimit: user.quotaLimit,
         quotaUsed: user.quotaUsed,
         expiresAt: user.expiresAt
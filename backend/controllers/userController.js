@@ -0,0 +1,257 @@
+const User = require('../models/User');
+
+/**
+ * Build the quota summary shared by the profile and quota endpoints
+ */
+const buildQuotaSummary = (user) => {
+  const resetAt = user.getQuotaResetAt();
+  const resetsAt = resetAt ? new Date(resetAt) : null;
+
+  return {
+    quotaUsed: user.quotaUsed,
+    quotaLimit: user.quotaLimit,
+    quotaRemaining: user.getQuotaRemaining(),
+    percentUsed: user.quotaLimit > 0
+      ? Number(((user.quotaUsed / user.quotaLimit) * 100).toFixed(2))
+      : 0,
+    resetsAt,
+    secondsUntilReset: resetsAt
+      ? Math.max(0, Math.floor((resetsAt.getTime() - Date.now()) / 1000))
+      : null
+  };
+};
+
+/**
+ * Type of a history entry: the resource of a '/<type>' or '/<type>/<id>'
+ * path; deeper paths and other resources sharing a prefix have none
+ */
+const historyEntryType = (entry) => {
+  const [type, , ...rest] = (entry.endpoint || '').split('/').filter(Boolean);
+  return rest.length === 0 ? type : null;
+};
+
+/**
+ * @desc    Get current user profile
+ * @route   GET /api/v1/user/profile
+ * @access  Guest (requires valid token)
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authenticated'
+      });
+    }
+
+    const user = req.user;
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          guestId: user.guestId,
+          email: user.email || null,
+          emailVerified: user.emailVerified,
+          displayName: user.displayName,
+          userType: user.userType,
+          role: user.role,
+          createdAt: user.createdAt,
+          expiresAt: user.expiresAt,
+          searchCount: user.searchHistory.length
+        },
+        quota: buildQuotaSummary(user)
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile'
+    });
+  }
+};
+
+/**
+ * @desc    Get live quota usage and reset time
+ * @route   GET /api/v1/user/quota
+ * @access  Guest (requires valid token)
+ */
+exports.getQuota = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authenticated'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildQuotaSummary(req.user)
+    });
+  } catch (error) {
+    console.error('Get quota error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quota'
+    });
+  }
+};
+
+/**
+ * @desc    Get paginated search history (newest first)
+ * @route   GET /api/v1/user/search-history?page=1&limit=20&type=search&q=react&from=...&to=...
+ * @access  Guest (requires valid token)
+ */
+exports.getSearchHistory = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authenticated'
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const { type, q, from, to } = req.query;
+
+    const validTypes = ['search', 'video', 'channel', 'trending'];
+    if (type && !validTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type. Must be: search, video, channel, or trending'
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    const needle = q ? q.toLowerCase() : null;
+
+    const filtered = req.user.searchHistory
+      .filter(entry => {
+        if (type && historyEntryType(entry) !== type) return false;
+        if (needle && !entry.query.toLowerCase().includes(needle)) return false;
+        if (fromDate && entry.timestamp < fromDate) return false;
+        if (toDate && entry.timestamp > toDate) return false;
+        return true;
+      })
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    const total = filtered.length;
+    const entries = filtered.slice((page - 1) * limit, page * limit);
+
+    res.json({
+      success: true,
+      data: {
+        history: entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasMore: page * limit < total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get search history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch search history'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a single search history entry
+ * @route   DELETE /api/v1/user/search-history/:entryId
+ * @access  Guest (requires valid token)
+ */
+exports.deleteSearchHistoryEntry = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authenticated'
+      });
+    }
+
+    const { entryId } = req.params;
+
+    const result = await User.updateOne(
+      { _id: req.user._id, 'searchHistory._id': entryId },
+      { $pull: { searchHistory: { _id: entryId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Search history entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Search history entry deleted',
+      deleted: 1
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search history entry ID'
+      });
+    }
+
+    console.error('Delete search history entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete search history entry'
+    });
+  }
+};
+
+/**
+ * @desc    Clear all search history
+ * @route   DELETE /api/v1/user/search-history
+ * @access  Guest (requires valid token)
+ */
+exports.clearSearchHistory = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authenticated'
+      });
+    }
+
+    const deleted = req.user.searchHistory.length;
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { searchHistory: [] } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Search history cleared',
+      deleted
+    });
+  } catch (error) {
+    console.error('Clear search history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear search history'
+    });
+  }
+};
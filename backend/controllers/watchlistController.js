@@ -0,0 +1,269 @@
+const User = require('../models/User');
+const WatchlistItem = require('../models/WatchlistItem');
+const AlertRule = require('../models/AlertRule');
+const youtubeConfig = require('../config/youtube');
+const { formatItem, refreshItems, manualRefreshWait, REFRESH_ROUTE } = require('../services/watchlist');
+const { runWithContext } = require('../utils/requestContext');
+
+const notAuthenticated = (res) => res.status(401).json({
+  success: false,
+  error: 'Not authenticated'
+});
+
+/**
+ * Refresh items now on behalf of the user, attributing the quota to them
+ */
+const refreshForUser = (req, items) => {
+  const context = { userId: req.user._id, guestId: req.user.guestId, route: REFRESH_ROUTE };
+  return runWithContext(context, () => refreshItems(items));
+};
+
+/**
+ * Count a refresh against the user's daily quota
+ * @returns {Promise<boolean>} false when the quota is already used up
+ */
+const chargeRefresh = async (req) => {
+  const user = await User.findOneAndUpdate(
+    { _id: req.user._id, $expr: { $lt: ['$quotaUsed', '$quotaLimit'] } },
+    { $inc: { quotaUsed: 1 } },
+    { new: true }
+  );
+  return Boolean(user);
+};
+
+const quotaExceeded = (req, res) => res.status(429).json({
+  success: false,
+  error: 'Daily quota exceeded',
+  data: {
+    quotaUsed: req.user.quotaUsed,
+    quotaLimit: req.user.quotaLimit,
+    resetsAt: req.user.getQuotaResetAt()
+  }
+});
+
+/**
+ * Find one of the current user's items; responds 404/400 and returns null otherwise
+ */
+const findOwnItem = async (req, res) => {
+  try {
+    const item = await WatchlistItem.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!item) {
+      res.status(404).json({
+        success: false,
+        error: 'Watchlist item not found'
+      });
+    }
+    return item;
+  } catch (error) {
+    if (error.name === 'CastError') {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid watchlist item ID'
+      });
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Get the current user's watchlist with the latest metrics and deltas
+ * @route   GET /api/v1/watchlist
+ * @access  Guest (requires valid token)
+ */
+exports.getWatchlist = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const items = await WatchlistItem.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    const { minIntervalMinutes, maxIntervalMinutes, defaultIntervalMinutes, maxItemsPerUser } = youtubeConfig.watchlist;
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(formatItem),
+        limits: { maxItems: maxItemsPerUser, minIntervalMinutes, maxIntervalMinutes, defaultIntervalMinutes }
+      }
+    });
+  } catch (error) {
+    console.error('Get watchlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlist'
+    });
+  }
+};
+
+/**
+ * @desc    Watch a video, channel or search query; the first refresh runs right away
+ * @route   POST /api/v1/watchlist
+ * @access  Guest (requires valid token)
+ */
+exports.addWatchlistItem = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const { type, targetId, intervalMinutes } = req.body;
+    const { maxItemsPerUser, defaultIntervalMinutes } = youtubeConfig.watchlist;
+
+    const count = await WatchlistItem.countDocuments({ userId: req.user._id });
+    if (count >= maxItemsPerUser) {
+      return res.status(400).json({
+        success: false,
+        error: `Watchlist is limited to ${maxItemsPerUser} items`
+      });
+    }
+
+    const existing = await WatchlistItem.findOne({ userId: req.user._id, type, targetId: targetId.trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `This ${type} is already on your watchlist`
+      });
+    }
+
+    const item = await WatchlistItem.create({
+      userId: req.user._id,
+      type,
+      targetId: targetId.trim(),
+      intervalMinutes: intervalMinutes || defaultIntervalMinutes
+    });
+
+    // Best effort: if either quota is spent the job picks the item up later
+    try {
+      if (await chargeRefresh(req)) {
+        await refreshForUser(req, [item]);
+      }
+    } catch (error) {
+      console.error('Initial watchlist refresh error:', error.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { item: formatItem(item) }
+    });
+  } catch (error) {
+    console.error('Add watchlist item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add watchlist item'
+    });
+  }
+};
+
+/**
+ * @desc    Change how often an item is refreshed
+ * @route   PATCH /api/v1/watchlist/:id
+ * @access  Guest (requires valid token)
+ */
+exports.updateWatchlistItem = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const item = await findOwnItem(req, res);
+    if (!item) return;
+
+    item.intervalMinutes = req.body.intervalMinutes;
+    // Reschedule from the last refresh so a shorter interval applies now
+    const from = item.latest?.refreshedAt || item.createdAt;
+    item.nextRefreshAt = new Date(new Date(from).getTime() + item.intervalMinutes * 60 * 1000);
+    await item.save();
+
+    res.json({
+      success: true,
+      data: { item: formatItem(item) }
+    });
+  } catch (error) {
+    console.error('Update watchlist item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update watchlist item'
+    });
+  }
+};
+
+/**
+ * @desc    Stop watching an item and drop its alert rules
+ * @route   DELETE /api/v1/watchlist/:id
+ * @access  Guest (requires valid token)
+ */
+exports.deleteWatchlistItem = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const item = await findOwnItem(req, res);
+    if (!item) return;
+
+    await item.deleteOne();
+    await AlertRule.deleteMany({ itemId: item._id });
+
+    res.json({
+      success: true,
+      message: 'Watchlist item removed',
+      deleted: 1
+    });
+  } catch (error) {
+    console.error('Delete watchlist item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove watchlist item'
+    });
+  }
+};
+
+/**
+ * @desc    Refresh one item now instead of waiting for its interval; counts
+ *          against the user's quota, at most once per manualRefreshMinutes
+ * @route   POST /api/v1/watchlist/:id/refresh
+ * @access  Guest (requires valid token)
+ */
+exports.refreshWatchlistItem = async (req, res) => {
+  try {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const item = await findOwnItem(req, res);
+    if (!item) return;
+
+    const wait = manualRefreshWait(item);
+    if (wait > 0) {
+      res.setHeader('Retry-After', wait);
+      return res.status(429).json({
+        success: false,
+        error: `This item was refreshed recently. Try again in ${Math.ceil(wait / 60)} minutes.`
+      });
+    }
+
+    if (!(await chargeRefresh(req))) {
+      return quotaExceeded(req, res);
+    }
+
+    const summary = await refreshForUser(req, [item]);
+    if (summary.stoppedByQuota) {
+      return res.status(429).json({
+        success: false,
+        error: youtubeConfig.errors.QUOTA_EXCEEDED
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { item: formatItem(item) }
+    });
+  } catch (error) {
+    console.error('Refresh watchlist item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh watchlist item'
+    });
+  }
+};
@@ -3,6 +3,8 @@ const path = require('path');
 const app = require('./server'); // Import the configured Express app
 const connectDB = require('./config/db'); // Import the database connection function
 const { startCleanupJob } = require('./jobs/cleanupExpiredSessions'); // ADD THIS
+const { startWatchlistJob } = require('./jobs/refreshWatchlists');
+const { startCacheWarmingJob } = require('./jobs/warmCaches');
 
 // Load environment variables from .env file
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
@@ -13,9 +15,11 @@ require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 connectDB();
 
 // ------------------------------------
-// ADD: Start Cleanup Job
+// ADD: Start Cleanup, Watchlist and Cache Warming Jobs
 // ------------------------------------
 startCleanupJob();
+startWatchlistJob();
+startCacheWarmingJob();
 
 // ------------------------------------
 // 2. Server Listener
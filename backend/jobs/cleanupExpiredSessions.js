@@ -2,6 +2,9 @@ const cron = require('node-cron');
 const User = require('../models/User');
 const GuestSession = require('../models/GuestSession');
 const TokenBlacklist = require('../models/TokenBlacklist');
+const WatchlistItem = require('../models/WatchlistItem');
+const AlertRule = require('../models/AlertRule');
+const Notification = require('../models/Notification');
 
 /**
  * Cleanup expired guest sessions and tokens
@@ -12,10 +15,17 @@ const cleanupExpiredSessions = async () => {
 
     const now = new Date();
 
-    // Delete expired users
-    const deletedUsers = await User.deleteMany({
+    // Delete expired guest users (registered accounts are persistent)
+    // and the watchlists, alert rules and notifications they leave behind
+    const expiredGuests = await User.find({
+      userType: 'GUEST',
       expiresAt: { $lt: now }
-    });
+    }).distinct('_id');
+
+    const deletedUsers = await User.deleteMany({ _id: { $in: expiredGuests } });
+    const deletedWatchlistItems = await WatchlistItem.deleteMany({ userId: { $in: expiredGuests } });
+    await AlertRule.deleteMany({ userId: { $in: expiredGuests } });
+    await Notification.deleteMany({ userId: { $in: expiredGuests } });
 
     // Delete expired sessions
     const deletedSessions = await GuestSession.deleteMany({
@@ -27,11 +37,13 @@ const cleanupExpiredSessions = async () => {
 
     console.log(`[Cleanup Job] Removed ${deletedUsers.deletedCount} expired users`);
     console.log(`[Cleanup Job] Removed ${deletedSessions.deletedCount} expired sessions`);
+    console.log(`[Cleanup Job] Removed ${deletedWatchlistItems.deletedCount} watchlist items of expired users`);
     console.log(`[Cleanup Job] Removed ${deletedTokens} expired tokens from blacklist`);
     
     return {
       usersDeleted: deletedUsers.deletedCount,
       sessionsDeleted: deletedSessions.deletedCount,
+      watchlistItemsDeleted: deletedWatchlistItems.deletedCount,
       tokensDeleted: deletedTokens,
       timestamp: new Date()
     };
@@ -52,7 +64,7 @@ const startCleanupJob = () => {
   });
 
   console.log('[Cleanup Job] Scheduled to run every hour');
-  console.log('[Cleanup Job] Includes: Users, Sessions, and Token Blacklist');
+  console.log('[Cleanup Job] Includes: Users, Sessions, Watchlists, Alerts, and Token Blacklist');
 };
 
 /**
@@ -0,0 +1,54 @@
+const cron = require('node-cron');
+const youtubeConfig = require('../config/youtube');
+const { refreshDueItems, REFRESH_ROUTE } = require('../services/watchlist');
+const { runWithContext } = require('../utils/requestContext');
+
+/**
+ * Refresh watchlist items whose interval has elapsed and check their alert rules
+ * Runs in a background request context so its quota is attributed to the job
+ */
+const refreshDueWatchlists = async () => {
+  try {
+    const context = { route: REFRESH_ROUTE, cacheStatus: 'BACKGROUND' };
+    const summary = await runWithContext(context, () => refreshDueItems());
+
+    if (summary.due > 0) {
+      console.log(`[Watchlist Job] ${summary.due} due, ${summary.selected} within ${summary.allowance} units`);
+      console.log(`[Watchlist Job] Refreshed ${summary.refreshed}, failed ${summary.failed}, deferred ${summary.due - summary.selected + summary.skipped}`);
+      console.log(`[Watchlist Job] Triggered ${summary.alertsTriggered} alert(s)`);
+    }
+
+    return { ...summary, timestamp: new Date() };
+  } catch (error) {
+    console.error('[Watchlist Job] Error during refresh:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start the cron job for watchlist refreshes
+ * Runs on youtubeConfig.watchlist.schedule (every 15 minutes by default)
+ */
+const startWatchlistJob = () => {
+  const { schedule } = youtubeConfig.watchlist;
+
+  cron.schedule(schedule, async () => {
+    // Already logged; the next run retries whatever is still due
+    await refreshDueWatchlists().catch(() => {});
+  });
+
+  console.log(`[Watchlist Job] Scheduled to run on "${schedule}"`);
+};
+
+/**
+ * Manual trigger for testing
+ */
+const runWatchlistRefreshNow = async () => {
+  return await refreshDueWatchlists();
+};
+
+module.exports = {
+  startWatchlistJob,
+  runWatchlistRefreshNow,
+  refreshDueWatchlists
+};
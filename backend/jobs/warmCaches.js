@@ -0,0 +1,58 @@
+const cron = require('node-cron');
+const youtubeConfig = require('../config/youtube');
+const { warmPopularCaches, WARMING_ROUTE } = require('../services/cacheWarming');
+const { runWithContext } = require('../utils/requestContext');
+
+/**
+ * Warm the cache entries traffic keeps asking for before they expire
+ * Runs in a background request context so its quota is attributed to the job
+ */
+const warmCaches = async () => {
+  try {
+    const context = { route: WARMING_ROUTE, cacheStatus: 'BACKGROUND' };
+    const summary = await runWithContext(context, () => warmPopularCaches());
+
+    if (summary.candidates > 0) {
+      console.log(`[Cache Warming Job] ${summary.candidates} candidate(s), ${summary.selected} within ${summary.allowance} units`);
+      console.log(`[Cache Warming Job] Warmed ${summary.warmed}, skipped ${summary.skipped}, failed ${summary.failed}${summary.stoppedByQuota ? ' (stopped by quota)' : ''}`);
+    }
+
+    return { ...summary, timestamp: new Date() };
+  } catch (error) {
+    console.error('[Cache Warming Job] Error during warming:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start the cron job for cache warming
+ * Runs on youtubeConfig.cacheWarming.schedule (every 10 minutes by default)
+ */
+const startCacheWarmingJob = () => {
+  const { enabled, schedule } = youtubeConfig.cacheWarming;
+
+  if (!enabled) {
+    console.log('[Cache Warming Job] Disabled (CACHE_WARMING_ENABLED=false)');
+    return;
+  }
+
+  cron.schedule(schedule, async () => {
+    // Already logged; the next run picks up whatever is still expiring
+    await warmCaches().catch(() => {});
+  });
+
+  console.log(`[Cache Warming Job] Scheduled to run on "${schedule}"`);
+};
+
+/**
+ * Manual trigger for testing
+ */
+const runCacheWarmingNow = async () => {
+  return await warmCaches();
+};
+
+module.exports = {
+  startCacheWarmingJob,
+  runCacheWarmingNow,
+  warmCaches
+};
@@ -0,0 +1,46 @@
+const AuditLog = require('../models/AuditLog');
+const { generateFingerprint } = require('./fingerprint');
+
+/**
+ * Audit trail middleware
+ * Records the actor, request and outcome of a privileged operation once the
+ * handler responds (intercepts res.json like cacheMiddleware)
+ *
+ * @param {string} action - Audit action name (e.g. 'cache.invalidate')
+ */
+const auditLog = (action) => (req, res, next) => {
+  const originalJson = res.json.bind(res);
+
+  res.json = function(data) {
+    const { ip, userAgent } = generateFingerprint(req);
+
+    AuditLog.record({
+      action,
+      actor: req.user ? {
+        userId: req.user._id,
+        guestId: req.user.guestId,
+        email: req.user.email,
+        role: req.user.role
+      } : undefined,
+      request: {
+        method: req.method,
+        path: req.originalUrl,
+        params: req.params,
+        body: req.body,
+        ipAddress: ip,
+        userAgent
+      },
+      outcome: data && data.success ? 'success' : 'failure',
+      statusCode: res.statusCode,
+      result: data && data.success
+        ? { deleted: data.deleted, message: data.message }
+        : { error: data && data.error }
+    });
+
+    return originalJson(data);
+  };
+
+  next();
+};
+
+module.exports = auditLog;
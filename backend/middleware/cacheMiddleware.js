@@ -3,23 +3,83 @@
  * Implements caching layer for YouTube API responses
  */
 
-const Cache = require('../models/Cache');
+const cacheTiers = require('../services/cacheTiers');
+const { resolvePolicy } = require('../services/cachePolicy');
+const { findFlight, startFlight, settleFlight, waitForFlight } = require('../services/requestCoalescing');
+const { getRequestContext, setRequestContext } = require('../utils/requestContext');
+const { parseSearchFilters, CHANNEL_SEARCH_FILTERS } = require('../utils/searchFilters');
+const { parseChannelIds } = require('../utils/channelIds');
 
 /**
  * Task 194: Cache TTL Configuration (in seconds)
+ * Defaults; admins override them per endpoint or key with cache policies
  */
 const CACHE_TTL = {
   video: 3600,        // 1 hour (video details don't change often)
   channel: 21600,     // 6 hours (channel stats change slowly)
+  channelVideos: 3600, // 1 hour (new uploads and view counts)
+  channelAnalytics: 10800, // 3 hours (aggregates over many uploads move slowly)
+  channelCompare: 10800, // 3 hours (same aggregates, several channels)
+  comments: 3600,     // 1 hour (new comments trickle in)
   search: 1800,       // 30 minutes (search results can change)
+  channelSearch: 3600, // 1 hour (channel results change slower than videos)
   trending: 900       // 15 minutes (trending changes frequently)
 };
 
+/**
+ * Stale serving windows past expiry (in seconds)
+ * revalidate: an expired entry younger than this is served immediately
+ *             while a background request refreshes it (stale-while-revalidate)
+ * grace:      how long the expired copy is kept at all; within it the copy is
+ *             served only if YouTube fails (stale-if-error)
+ */
+const CACHE_STALE = {
+  video: { revalidate: 3600, grace: 604800 },     // 1 hour / 7 days
+  channel: { revalidate: 21600, grace: 604800 },  // 6 hours / 7 days
+  channelVideos: { revalidate: 3600, grace: 86400 }, // 1 hour / 1 day
+  channelAnalytics: { revalidate: 10800, grace: 604800 }, // 3 hours / 7 days
+  channelCompare: { revalidate: 10800, grace: 604800 }, // 3 hours / 7 days
+  comments: { revalidate: 3600, grace: 86400 },   // 1 hour / 1 day
+  search: { revalidate: 1800, grace: 86400 },     // 30 minutes / 1 day
+  channelSearch: { revalidate: 3600, grace: 86400 }, // 1 hour / 1 day
+  trending: { revalidate: 900, grace: 21600 }     // 15 minutes / 6 hours
+};
+
+// Cache keys with a background refresh in progress on this instance, with
+// the timer that gives the refresh up if the route never answers (e.g. the
+// handler threw after the stale copy was sent)
+const revalidating = new Map();
+const REVALIDATE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Mark a key as being revalidated
+ * @returns {Function} Ends this revalidation; later ones are left alone
+ */
+const startRevalidation = (cacheKey) => {
+  const finish = () => {
+    if (revalidating.get(cacheKey) === timer) {
+      clearTimeout(timer);
+      revalidating.delete(cacheKey);
+    }
+  };
+  const timer = setTimeout(() => {
+    console.warn(`[Cache REVALIDATE] ${cacheKey} timed out, keeping grace copy`);
+    finish();
+  }, REVALIDATE_TIMEOUT_MS);
+  timer.unref();
+
+  revalidating.set(cacheKey, timer);
+  return finish;
+};
+
+// Headers of a leader's response that coalesced requests receive too
+const SHARED_HEADERS = ['Retry-After', 'X-Quota-Budget'];
+
 /**
  * Task 195: Generate Cache Key
  * Creates a unique key based on endpoint and parameters
  * 
- * @param {string} endpoint - Endpoint type (search, video, channel, trending)
+ * @param {string} endpoint - Endpoint type (search, channelSearch, video, channel, channelVideos, channelAnalytics, channelCompare, comments, trending)
  * @param {Object} params - Request parameters
  * @returns {string} Cache key
  */
@@ -35,40 +95,303 @@ const generateCacheKey = (endpoint, params) => {
   return `${endpoint}:${JSON.stringify(sortedParams)}`;
 };
 
+/**
+ * Split a cache key back into its endpoint and parameters
+ * (the inverse of generateCacheKey)
+ *
+ * @param {string} key - Cache key
+ * @returns {Object|null} { endpoint, params }, or null if the key is malformed
+ */
+const parseCacheKey = (key) => {
+  const separator = key.indexOf(':');
+  if (separator <= 0) {
+    return null;
+  }
+
+  try {
+    const params = JSON.parse(key.slice(separator + 1));
+    return params && typeof params === 'object' && !Array.isArray(params)
+      ? { endpoint: key.slice(0, separator), params }
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parameters a request's cache key is made of
+ * Cache warming replays them (see parseCacheKey), so every value the route
+ * reads must be here
+ *
+ * @param {string} endpointType - Endpoint type
+ * @param {Object} req - Express request (query and params are read)
+ * @returns {Object} Key parameters; absent values are left undefined
+ */
+const buildCacheParams = (endpointType, req) => {
+  if (endpointType === 'search') {
+    return {
+      q: req.query.q,
+      maxResults: req.query.maxResults,
+      type: req.query.type,
+      pageToken: req.query.pageToken,
+      // Filters change the results, so each combination is cached separately
+      ...parseSearchFilters(req.query)
+    };
+  }
+  if (endpointType === 'channelSearch') {
+    return {
+      q: req.query.q,
+      maxResults: req.query.maxResults,
+      pageToken: req.query.pageToken,
+      ...parseSearchFilters(req.query, CHANNEL_SEARCH_FILTERS)
+    };
+  }
+  if (endpointType === 'video') {
+    return { videoId: req.params.videoId };
+  }
+  if (endpointType === 'channel') {
+    return { channelId: req.params.channelId };
+  }
+  if (endpointType === 'channelAnalytics') {
+    return {
+      channelId: req.params.channelId,
+      maxVideos: req.query.maxVideos
+    };
+  }
+  if (endpointType === 'channelCompare') {
+    return {
+      ids: parseChannelIds(req.query.ids).join(','),
+      maxVideos: req.query.maxVideos
+    };
+  }
+  if (endpointType === 'comments') {
+    return {
+      videoId: req.params.videoId,
+      maxResults: req.query.maxResults,
+      order: req.query.order,
+      replies: req.query.replies
+    };
+  }
+  if (endpointType === 'channelVideos') {
+    return {
+      channelId: req.params.channelId,
+      maxResults: req.query.maxResults,
+      pageToken: req.query.pageToken
+    };
+  }
+  if (endpointType === 'trending') {
+    return {
+      regionCode: req.query.regionCode,
+      videoCategoryId: req.query.videoCategoryId,
+      maxResults: req.query.maxResults,
+      pageToken: req.query.pageToken
+    };
+  }
+
+  return {};
+};
+
+/**
+ * Whether a failed response should fall back to a grace copy
+ * Client errors (bad input, not found) are passed through unchanged
+ */
+const isUpstreamFailure = (statusCode, quotaRejection) => {
+  return Boolean(quotaRejection) || statusCode >= 500 || statusCode === 403 || statusCode === 429;
+};
+
+/**
+ * Send a grace copy of an expired cache entry
+ */
+const sendStale = (res, send, cacheKey, stale, extra = {}) => {
+  res.status(200);
+  res.setHeader('X-Cache', 'STALE');
+  res.setHeader('X-Cache-Key', cacheKey);
+
+  return send({
+    success: true,
+    data: stale.value,
+    cached: true,
+    stale: true,
+    cachedAt: stale.createdAt,
+    expiredAt: stale.expiresAt,
+    cacheKey,
+    ...extra
+  });
+};
+
+/**
+ * Describe a quota budget refusal for the response body
+ */
+const describeQuotaRejection = (rejection) => ({
+  admitted: false,
+  reason: rejection.reason,
+  projectedUnits: rejection.projectedUnits,
+  ceiling: rejection.ceiling,
+  dailyLimit: rejection.dailyLimit,
+  resetsAt: rejection.resetsAt
+});
+
+/**
+ * Respond when YouTube could not be reached on a cache miss
+ * Degrades to the grace copy when one exists (stale-if-error); a quota budget
+ * refusal without one becomes a 503 with Retry-After. Refusals are reported
+ * in the body and the X-Quota-Budget header either way.
+ */
+const respondToUpstreamFailure = (res, originalJson, cacheKey, data, stale, rejection) => {
+  const quota = rejection ? describeQuotaRejection(rejection) : undefined;
+
+  if (rejection) {
+    res.setHeader('X-Quota-Budget', `rejected; reason=${rejection.reason}`);
+  }
+
+  if (stale) {
+    console.log(`[Cache STALE] ${cacheKey} (${rejection ? `quota budget: ${rejection.reason}` : `upstream error: ${res.statusCode}`})`);
+    return sendStale(res, originalJson, cacheKey, stale, { quota, staleReason: data.error });
+  }
+
+  if (!rejection) {
+    return originalJson(data);
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((new Date(rejection.resetsAt) - Date.now()) / 1000));
+  res.status(503);
+  res.setHeader('Retry-After', retryAfter);
+
+  return originalJson({
+    ...data,
+    quota
+  });
+};
+
+/**
+ * Wrap a leader's response so whatever it sends is shared with the requests
+ * waiting on its flight, along with the YouTube usage it cost
+ */
+const shareResponse = (res, send, flight) => (body) => {
+  const { apiCalls, units } = getRequestContext();
+  const headers = SHARED_HEADERS.reduce((shared, name) => {
+    if (res.getHeader(name) !== undefined) {
+      shared[name] = res.getHeader(name);
+    }
+    return shared;
+  }, {});
+
+  settleFlight(flight, { statusCode: res.statusCode, headers, body, usage: { apiCalls, units } });
+  return send(body);
+};
+
+/**
+ * Send a coalesced request the response its flight's leader sent
+ */
+const sendShared = (res, send, cacheKey, { statusCode, headers, body }) => {
+  res.status(statusCode);
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.setHeader('X-Cache', 'COALESCED');
+  res.setHeader('X-Cache-Key', cacheKey);
+
+  return send(body?.success ? { ...body, coalesced: true } : body);
+};
+
+/**
+ * Policy of an endpoint before any admin rule applies (in seconds)
+ */
+const defaultPolicy = (endpointType) => ({
+  ttl: CACHE_TTL[endpointType] || 1800,
+  grace: CACHE_STALE[endpointType]?.grace || 0,
+  revalidate: CACHE_STALE[endpointType]?.revalidate || 0
+});
+
+/**
+ * Policy of a cache key under the admin rules (services/cachePolicy.js)
+ * @param {string} endpointType - Endpoint type
+ * @param {string} cacheKey - Cache key
+ * @param {Object} [data] - Response data, for rules on the response itself
+ * @returns {Promise<Object>} { ttl, grace, revalidate, bypass, rules }
+ */
+const getCachePolicy = (endpointType, cacheKey, data) => {
+  return resolvePolicy(endpointType, cacheKey, defaultPolicy(endpointType), data);
+};
+
+/**
+ * Store response data under a cache key with the TTL and grace period its
+ * policy gives; bypassed responses are not stored
+ *
+ * @param {string} cacheKey - Cache key
+ * @param {string} endpointType - Endpoint type
+ * @param {Object} data - Response data (the body's `data`)
+ * @param {Object} [options] - Passed to the cache store (e.g. { keepHits })
+ * @returns {Promise<Object>} Policy applied
+ */
+const cacheResponseData = async (cacheKey, endpointType, data, options = {}) => {
+  const policy = await getCachePolicy(endpointType, cacheKey, data);
+  if (!policy.bypass) {
+    await cacheTiers.set(cacheKey, data, policy.ttl, endpointType, policy.grace, options);
+  }
+  return policy;
+};
+
+/**
+ * Store a successful response in the cache
+ */
+const storeResponse = async (cacheKey, endpointType, data) => {
+  try {
+    const { ttl, grace, bypass, rules } = await cacheResponseData(cacheKey, endpointType, data.data);
+    const applied = rules.length > 0 ? `, policy: ${rules.join(', ')}` : '';
+    if (bypass) {
+      console.log(`[Cache BYPASS] ${cacheKey} not stored${applied}`);
+    } else {
+      console.log(`[Cache STORE] ${cacheKey} (TTL: ${ttl}s, grace: ${grace}s${applied})`);
+    }
+  } catch (error) {
+    console.error('[Cache STORE Error]:', error.message);
+  }
+};
+
 /**
  * Task 193: Cache Middleware
  * Checks cache before making API call
  * 
- * @param {string} endpointType - Type of endpoint (search, video, channel, trending)
+ * @param {string} endpointType - Type of endpoint (search, channelSearch, video, channel, channelVideos, channelAnalytics, channelCompare, comments, trending)
  * @returns {Function} Express middleware
  */
 const cacheMiddleware = (endpointType) => {
   return async (req, res, next) => {
     try {
       // Generate cache key based on request
-      let params = {};
-      
-      if (endpointType === 'search') {
-        params = { q: req.query.q, maxResults: req.query.maxResults, type: req.query.type };
-      } else if (endpointType === 'video') {
-        params = { videoId: req.params.videoId };
-      } else if (endpointType === 'channel') {
-        params = { channelId: req.params.channelId };
-      } else if (endpointType === 'trending') {
-        params = { regionCode: req.query.regionCode, maxResults: req.query.maxResults };
-      }
+      const cacheKey = generateCacheKey(endpointType, buildCacheParams(endpointType, req));
+      const policy = await getCachePolicy(endpointType, cacheKey);
 
-      const cacheKey = generateCacheKey(endpointType, params);
+      // An admin rule keeps this key out of the cache: go straight to YouTube
+      if (policy.bypass) {
+        console.log(`[Cache BYPASS] ${cacheKey} (policy: ${policy.rules.join(', ')})`);
+        res.setHeader('X-Cache', 'BYPASS');
+        res.setHeader('X-Cache-Key', cacheKey);
+        req.cacheKey = cacheKey;
+
+        // Quota budget refusals still answer 503 with Retry-After, as on a
+        // miss; there is no grace copy to fall back to
+        const bypassJson = res.json.bind(res);
+        res.json = function(data) {
+          const { quotaRejection } = getRequestContext();
+          if (data && !data.success && isUpstreamFailure(res.statusCode, quotaRejection)) {
+            return respondToUpstreamFailure(res, bypassJson, cacheKey, data, null, quotaRejection);
+          }
+          return bypassJson(data);
+        };
+
+        return next();
+      }
 
-      // Check cache
-      const cachedData = await Cache.get(cacheKey);
+      // Check cache (in-process L1, then MongoDB)
+      const cached = await cacheTiers.get(cacheKey);
 
-      if (cachedData) {
+      if (cached) {
         // Cache HIT
-        console.log(`[Cache HIT] ${cacheKey}`);
+        console.log(`[Cache HIT ${cached.tier}] ${cacheKey}`);
         
         // Add cache headers
         res.setHeader('X-Cache', 'HIT');
+        res.setHeader('X-Cache-Tier', cached.tier);
         res.setHeader('X-Cache-Key', cacheKey);
         
         // Track cache hit for analytics
@@ -78,12 +401,63 @@ const cacheMiddleware = (endpointType) => {
         // Return cached data
         return res.status(200).json({
           success: true,
-          data: cachedData,
+          data: cached.value,
           cached: true,
           cacheKey
         });
       }
 
+      // Expired entry still within its grace period, if any
+      const stale = await cacheTiers.getStale(cacheKey).catch(() => null);
+      const originalJson = res.json.bind(res);
+
+      // Recently expired: answer from the grace copy right away and let the
+      // route handler refresh the entry after the response has been sent
+      const revalidateWindow = policy.revalidate * 1000;
+      if (stale && Date.now() - new Date(stale.expiresAt).getTime() < revalidateWindow) {
+        req.cacheHit = true;
+        req.cacheKey = cacheKey;
+
+        sendStale(res, originalJson, cacheKey, stale, { revalidating: true });
+
+        if (revalidating.has(cacheKey)) {
+          return;
+        }
+
+        const finishRevalidation = startRevalidation(cacheKey);
+        console.log(`[Cache REVALIDATE] ${cacheKey}`);
+        setRequestContext({ cacheStatus: 'REVALIDATE' });
+
+        res.json = async function(data) {
+          try {
+            if (data?.success && data.data) {
+              await storeResponse(cacheKey, endpointType, data);
+            } else {
+              console.warn(`[Cache REVALIDATE] ${cacheKey} failed, keeping grace copy: ${data?.error}`);
+            }
+          } finally {
+            finishRevalidation();
+          }
+          return res;
+        };
+
+        return next();
+      }
+
+      // Another request is already fetching this key: share its response
+      // instead of calling YouTube again (single-flight)
+      const flight = findFlight(cacheKey);
+      if (flight) {
+        const shared = await waitForFlight(flight);
+        if (shared) {
+          console.log(`[Cache COALESCED] ${cacheKey}`);
+          req.cacheHit = true;
+          req.cacheKey = cacheKey;
+          return sendShared(res, originalJson, cacheKey, shared);
+        }
+        // The leader never answered; fetch the key like any other miss
+      }
+
       // Cache MISS - continue to actual API call
       console.log(`[Cache MISS] ${cacheKey}`);
       
@@ -95,23 +469,34 @@ const cacheMiddleware = (endpointType) => {
       req.cacheKey = cacheKey;
       req.cacheEndpoint = endpointType;
 
-      // Store original res.json to intercept response
-      const originalJson = res.json.bind(res);
-      
+      // Attribute the YouTube calls made for this request to a cache miss
+      setRequestContext({ cacheStatus: 'MISS' });
+
+      // Lead a flight that concurrent misses of this key wait on, unless
+      // this request already waited on one in vain
+      const leading = flight ? null : startFlight(cacheKey, endpointType);
+      const send = leading ? shareResponse(res, originalJson, leading) : originalJson;
+      if (leading) {
+        // Ended without a response to share: waiting requests fetch it themselves
+        res.on('close', () => settleFlight(leading, null));
+      }
+
+      // Intercept the route's response
       res.json = async function(data) {
+        // YouTube failed or the quota budget refused the call: serve the
+        // grace copy if we have one
+        const { quotaRejection } = getRequestContext();
+        if (data && !data.success && isUpstreamFailure(res.statusCode, quotaRejection)) {
+          return respondToUpstreamFailure(res, send, cacheKey, data, stale, quotaRejection);
+        }
+
         // Task 196: Store successful responses in cache
         if (data.success && data.data) {
-          try {
-            const ttl = CACHE_TTL[endpointType] || 1800;
-            await Cache.set(cacheKey, data.data, ttl, endpointType);
-            console.log(`[Cache STORE] ${cacheKey} (TTL: ${ttl}s)`);
-          } catch (error) {
-            console.error('[Cache STORE Error]:', error.message);
-          }
+          await storeResponse(cacheKey, endpointType, data);
         }
         
         // Call original json method
-        return originalJson(data);
+        return send(data);
       };
 
       next();
@@ -143,6 +528,11 @@ const logCacheAnalytics = async (req, res, next) => {
 module.exports = {
   cacheMiddleware,
   logCacheAnalytics,
+  buildCacheParams,
   generateCacheKey,
-  CACHE_TTL
+  parseCacheKey,
+  getCachePolicy,
+  cacheResponseData,
+  CACHE_TTL,
+  CACHE_STALE
 };
\ No newline at end of file
@@ -32,15 +32,18 @@ const optionalAuth = async (req, res, next) => {
     }
 
     // **NEW: Reset quota if session expired, then extend expiration**
+    // Guests reset on expiresAt, registered accounts on quotaResetsAt
     const now = new Date();
-    if (user.expiresAt && now >= new Date(user.expiresAt)) {
+    const resetAt = user.getQuotaResetAt();
+    if (!resetAt || now >= new Date(resetAt)) {
       const newExpiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+      const windowField = user.userType === 'GUEST' ? 'expiresAt' : 'quotaResetsAt';
       
       // Reset quota and extend session
       await User.findByIdAndUpdate(user._id, {
         $set: { 
           quotaUsed: 0,
-          expiresAt: newExpiresAt
+          [windowField]: newExpiresAt
         }
       });
       
@@ -1,12 +1,77 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { searchHistory } = require('../config/auth');
+
+/**
+ * Describe a YouTube request for the user's search history
+ * Router-level middleware runs before route params are parsed, so the
+ * video/channel ID is read from the path instead of req.params
+ */
+const describeRequest = (req) => {
+  const [, resource, id] = req.path.split('/');
+
+  if (resource === 'video' || resource === 'channel') {
+    return { query: id || resource, endpoint: req.path };
+  }
+
+  return { query: req.query.q || resource || 'trending', endpoint: req.path };
+};
+
+/**
+ * $push adding a history entry, dropping the oldest past the configured limit
+ */
+const pushHistoryEntry = (entry) => ({
+  searchHistory: { $each: [entry], $slice: -searchHistory.maxEntries }
+});
+
+/**
+ * Fill in the history entry's resultCount once the response body is known
+ */
+const trackResultCount = (res, userId, entryId) => {
+  const originalJson = res.json.bind(res);
+
+  res.json = function(data) {
+    if (data && data.success && data.data) {
+      const resultCount = data.data.count ??
+        data.data.results?.length ??
+        (data.data.video || data.data.channel ? 1 : 0);
+
+      User.updateOne(
+        { _id: userId, 'searchHistory._id': entryId },
+        { $set: { 'searchHistory.$.resultCount': resultCount } }
+      ).catch(error => console.error('[Quota Tracker] resultCount update failed:', error.message));
+    }
+
+    return originalJson(data);
+  };
+};
 
 const quotaTracker = async (req, res, next) => {
   try {
-    // Skip quota tracking in development
+    const isSearchRequest = req.path.includes('/search') ||
+                           req.path.includes('/video') ||
+                           req.path.includes('/channel') ||
+                           req.path.includes('/trending');
+
+    // Skip quota tracking in development (search history is still recorded)
     if (process.env.NODE_ENV !== 'production') {
       res.setHeader('X-Quota-Used', 'N/A (dev mode)');
       res.setHeader('X-Quota-Limit', 'unlimited (dev mode)');
       res.setHeader('X-Quota-Remaining', 'unlimited (dev mode)');
+
+      if (req.user && req.isAuthenticated && isSearchRequest && req.method === 'GET') {
+        const entryId = new mongoose.Types.ObjectId();
+        await User.findByIdAndUpdate(req.user._id, {
+          $push: pushHistoryEntry({
+            _id: entryId,
+            ...describeRequest(req),
+            timestamp: new Date(),
+            resultCount: 0
+          })
+        });
+        trackResultCount(res, req.user._id, entryId);
+      }
+
       return next();
     }
 
@@ -28,32 +93,27 @@ const quotaTracker = async (req, res, next) => {
         data: {
           quotaUsed: user.quotaUsed,
           quotaLimit: user.quotaLimit,
-          resetsAt: user.expiresAt,
+          resetsAt: user.getQuotaResetAt(),
           message: 'You have reached your daily search limit. Your quota will reset in 24 hours from session creation.'
         }
       });
     }
 
     // Track this request (only for search endpoints)
-    const isSearchRequest = req.path.includes('/search') || 
-                           req.path.includes('/video') || 
-                           req.path.includes('/channel') ||
-                           req.path.includes('/trending');
-    
     if (isSearchRequest && req.method === 'GET') {
+      const entryId = new mongoose.Types.ObjectId();
+
       // Increment quota
       const updatedUser = await User.findByIdAndUpdate(
         user._id,
         {
           $inc: { quotaUsed: 1 },
-          $push: {
-            searchHistory: {
-              query: req.query.q || req.params.videoId || req.params.channelId || 'trending',
-              timestamp: new Date(),
-              endpoint: req.path,
-              resultCount: 0
-            }
-          }
+          $push: pushHistoryEntry({
+            _id: entryId,
+            ...describeRequest(req),
+            timestamp: new Date(),
+            resultCount: 0
+          })
         },
         { new: true } // Return updated document
       );
@@ -62,9 +122,10 @@ const quotaTracker = async (req, res, next) => {
       res.setHeader('X-Quota-Used', updatedUser.quotaUsed);
       res.setHeader('X-Quota-Limit', updatedUser.quotaLimit);
       res.setHeader('X-Quota-Remaining', updatedUser.quotaLimit - updatedUser.quotaUsed);
-      
+
       // Update req.user for downstream middleware
       req.user = updatedUser;
+      trackResultCount(res, user._id, entryId);
     } else {
       // Set headers for non-search requests
       res.setHeader('X-Quota-Used', user.quotaUsed);
@@ -79,4 +140,4 @@ const quotaTracker = async (req, res, next) => {
   }
 };
 
-module.exports = quotaTracker;
\ No newline at end of file
+module.exports = quotaTracker;
@@ -0,0 +1,26 @@
+/**
+ * Role-based access control
+ * Must run after optionalAuth, which resolves req.user from the bearer token
+ *
+ * Usage: router.delete('/invalidate', requireRole('admin'), handler)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !req.isAuthenticated) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!req.user.hasRole(...roles)) {
+    console.warn(`[Auth] User ${req.user._id} (role: ${req.user.role || 'user'}) denied access to ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireRole;
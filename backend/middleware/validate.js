@@ -0,0 +1,23 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Run after express-validator chains; responds 400 with the field errors
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+
+  next();
+};
+
+module.exports = validate;
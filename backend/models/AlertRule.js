@@ -0,0 +1,66 @@
+/**
+ * Alert Rule Model
+ * A condition on one metric of a watchlist item, checked after every
+ * refresh of the item (see services/alerts.js)
+ */
+
+const mongoose = require('mongoose');
+const alertConfig = require('../config/alerts');
+
+const alertRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WatchlistItem',
+    required: true,
+    index: true
+  },
+  metric: {
+    type: String,
+    required: true,
+    description: 'One of alertConfig.metrics for the item type'
+  },
+  condition: {
+    type: String,
+    required: true,
+    enum: alertConfig.conditions
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  windowMinutes: {
+    type: Number,
+    default: alertConfig.defaultWindowMinutes,
+    min: 1,
+    description: 'increase/decrease only: the change is scaled to this window'
+  },
+  cooldownMinutes: {
+    type: Number,
+    default: alertConfig.defaultCooldownMinutes,
+    min: 0
+  },
+  webhookUrl: {
+    type: String,
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
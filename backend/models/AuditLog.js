@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Schema
+ * Records who invoked privileged operations (cache invalidation, cleanup,
+ * warming) and what they affected
+ */
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    guestId: String,
+    email: String,
+    role: String
+  },
+  request: {
+    method: String,
+    path: String,
+    params: mongoose.Schema.Types.Mixed,
+    body: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  statusCode: Number,
+  result: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep 90 days of audit history
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Record an audit entry; failures are logged but never break the request
+ * @param {Object} entry - Audit entry fields
+ * @returns {Promise<Object|null>} Created document
+ */
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    console.error('[Audit] Failed to record entry:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Get recent audit entries, newest first
+ * @param {Object} filter - { action, userId }
+ * @param {number} limit - Maximum entries
+ * @returns {Promise<Array>} Audit entries
+ */
+auditLogSchema.statics.getRecent = async function({ action, userId } = {}, limit = 50) {
+  const query = {};
+  if (action) query.action = action;
+  if (userId) query['actor.userId'] = userId;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
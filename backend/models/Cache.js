@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { keyPattern } = require('../utils/cacheEntries');
 
 /**
  * Task 191: Cache Schema
@@ -26,7 +27,7 @@ const cacheSchema = new mongoose.Schema({
     type: String,
     required: true,
     index: true,
-    enum: ['search', 'video', 'channel', 'trending'],
+    enum: ['search', 'channelSearch', 'video', 'channel', 'channelVideos', 'channelAnalytics', 'channelCompare', 'comments', 'trending'],
     description: 'API endpoint type for analytics'
   },
   expiresAt: {
@@ -35,6 +36,10 @@ const cacheSchema = new mongoose.Schema({
     index: true,
     description: 'When this cache entry expires'
   },
+  staleUntil: {
+    type: Date,
+    description: 'How long an expired entry is kept as a grace copy'
+  },
   hits: {
     type: Number,
     default: 0,
@@ -55,9 +60,10 @@ const cacheSchema = new mongoose.Schema({
 
 /**
  * Task 192: TTL Index
- * MongoDB will automatically delete expired cache entries
+ * MongoDB will automatically delete cache entries once their grace period
+ * has passed; between expiresAt and staleUntil they can still be served stale
  */
-cacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cacheSchema.index({ staleUntil: 1 }, { expireAfterSeconds: 0 });
 
 /**
  * Compound index for analytics queries
@@ -88,28 +94,104 @@ cacheSchema.statics.get = async function(key) {
   return null;
 };
 
+/**
+ * Static method: Get a live entry without recording the hit
+ * The Mongo cache store reads through this; the two-tier cache
+ * (services/cacheTiers.js) writes hit counts in batches with recordHits
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { value, expiresAt } or null
+ */
+cacheSchema.statics.lookup = async function(key) {
+  return await this.findOne({
+    key,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('value expiresAt -_id')
+    .lean();
+};
+
+/**
+ * Static method: Add batched hits to their entries
+ * @param {Map<string, Object>} hits - Key => { count, lastAccessedAt }
+ * @returns {Promise<number>} Entries updated
+ */
+cacheSchema.statics.recordHits = async function(hits) {
+  if (hits.size === 0) {
+    return 0;
+  }
+
+  const result = await this.bulkWrite(
+    [...hits].map(([key, { count, lastAccessedAt }]) => ({
+      updateOne: {
+        filter: { key },
+        update: { $inc: { hits: count }, $max: { lastAccessedAt } }
+      }
+    })),
+    { ordered: false }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Static method: Get an expired value that is still within its grace period
+ * Used to serve stale data while revalidating or when YouTube is unavailable
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { value, expiresAt, staleUntil, createdAt } or null
+ */
+cacheSchema.statics.getStale = async function(key) {
+  const now = new Date();
+  const cached = await this.findOne({
+    key,
+    $or: [
+      { staleUntil: { $gt: now } },
+      // Entries written before grace copies existed
+      { staleUntil: { $exists: false }, expiresAt: { $gt: now } }
+    ]
+  }).lean();
+
+  if (!cached) {
+    return null;
+  }
+
+  return {
+    value: cached.value,
+    expiresAt: cached.expiresAt,
+    staleUntil: cached.staleUntil,
+    createdAt: cached.createdAt
+  };
+};
+
 /**
  * Static method: Set cached value
  * @param {string} key - Cache key
  * @param {*} value - Value to cache
  * @param {number} ttlSeconds - Time to live in seconds
  * @param {string} endpoint - Endpoint type
+ * @param {number} graceSeconds - How long to keep the entry past expiry
+ * @param {Object} [options]
+ * @param {boolean} [options.keepHits=false] - Keep the entry's hit count and
+ *   last access (cache warming refreshes entries without resetting their popularity)
  * @returns {Promise<Object>} Cache document
  */
-cacheSchema.statics.set = async function(key, value, ttlSeconds, endpoint) {
+cacheSchema.statics.set = async function(key, value, ttlSeconds, endpoint, graceSeconds = 0, { keepHits = false } = {}) {
   const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  const staleUntil = new Date(expiresAt.getTime() + graceSeconds * 1000);
+  const usage = { lastAccessedAt: new Date(), hits: 0 };
 
   // Upsert (update or insert)
   const cached = await this.findOneAndUpdate(
     { key },
     {
-      key,
-      value,
-      endpoint,
-      expiresAt,
-      createdAt: new Date(),
-      lastAccessedAt: new Date(),
-      hits: 0
+      $set: {
+        key,
+        value,
+        endpoint,
+        expiresAt,
+        staleUntil,
+        createdAt: new Date(),
+        ...(keepHits ? {} : usage)
+      },
+      ...(keepHits ? { $setOnInsert: usage } : {})
     },
     { upsert: true, new: true }
   );
@@ -123,7 +205,7 @@ cacheSchema.statics.set = async function(key, value, ttlSeconds, endpoint) {
  * @returns {Promise<number>} Number of entries deleted
  */
 cacheSchema.statics.invalidate = async function(pattern) {
-  const regex = new RegExp(pattern.replace('*', '.*'));
+  const regex = keyPattern(pattern);
   const result = await this.deleteMany({
     key: { $regex: regex }
   });
@@ -150,6 +232,10 @@ cacheSchema.statics.getStats = async function() {
     expiresAt: { $gt: new Date() }
   });
   const expired = total - active;
+  const stale = await this.countDocuments({
+    expiresAt: { $lte: new Date() },
+    staleUntil: { $gt: new Date() }
+  });
 
   // Get stats by endpoint
   const byEndpoint = await this.aggregate([
@@ -179,6 +265,7 @@ cacheSchema.statics.getStats = async function() {
     total,
     active,
     expired,
+    stale,
     byEndpoint,
     totalHits: hitStats[0]?.totalHits || 0,
     avgHits: hitStats[0]?.avgHits || 0,
@@ -190,27 +277,73 @@ cacheSchema.statics.getStats = async function() {
 /**
  * Static method: Clean up expired cache entries manually
  * (MongoDB TTL index does this automatically, but this is for manual cleanup)
+ * @param {Object} options - { includeGrace: also delete entries still within their grace period }
  * @returns {Promise<number>} Number of entries deleted
  */
-cacheSchema.statics.cleanup = async function() {
-  const result = await this.deleteMany({
-    expiresAt: { $lt: new Date() }
-  });
+cacheSchema.statics.cleanup = async function({ includeGrace = false } = {}) {
+  const now = new Date();
+  const result = await this.deleteMany(includeGrace
+    ? { expiresAt: { $lt: now } }
+    : {
+      $or: [
+        { staleUntil: { $lt: now } },
+        { staleUntil: { $exists: false }, expiresAt: { $lt: now } }
+      ]
+    });
   return result.deletedCount;
 };
 
+/**
+ * Static method: Drop the TTL index older deployments created on expiresAt
+ * It would delete entries at expiry and leave no grace copy to serve stale.
+ * Entries written before staleUntil existed get it set to their expiresAt,
+ * so the staleUntil TTL index removes them too.
+ * @returns {Promise<boolean>} Whether an index was dropped
+ */
+cacheSchema.statics.dropLegacyTtlIndex = async function() {
+  await this.updateMany(
+    { staleUntil: { $exists: false } },
+    [{ $set: { staleUntil: '$expiresAt' } }]
+  );
+
+  const indexes = await this.collection.indexes().catch(() => []);
+  const legacy = indexes.find(index =>
+    index.key?.expiresAt === 1 && index.expireAfterSeconds !== undefined
+  );
+
+  if (!legacy) {
+    return false;
+  }
+
+  await this.collection.dropIndex(legacy.name);
+  await this.createIndexes();
+  console.log('[Cache] Dropped legacy expiresAt TTL index');
+  return true;
+};
+
 /**
  * Static method: Get most popular cached queries
  * @param {number} limit - Number of results
+ * @param {Object} [options]
+ * @param {number} [options.minHits] - Only entries hit at least this often
+ * @param {Date} [options.expiringBefore] - Only entries expiring before this time
  * @returns {Promise<Array>} Most popular cache entries
  */
-cacheSchema.statics.getPopular = async function(limit = 10) {
-  return await this.find({
+cacheSchema.statics.getPopular = async function(limit = 10, { minHits, expiringBefore } = {}) {
+  const filter = {
     expiresAt: { $gt: new Date() }
-  })
+  };
+  if (minHits) {
+    filter.hits = { $gte: minHits };
+  }
+  if (expiringBefore) {
+    filter.expiresAt.$lte = expiringBefore;
+  }
+
+  return await this.find(filter)
     .sort({ hits: -1 })
     .limit(limit)
-    .select('key endpoint hits lastAccessedAt');
+    .select('key endpoint hits lastAccessedAt expiresAt');
 };
 
 module.exports = mongoose.model('Cache', cacheSchema);
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Cache Policy Model
+ * An admin rule overriding the TTL, grace period or revalidate window of
+ * the cache entries it matches, or keeping them out of the cache
+ * (see services/cachePolicy.js)
+ */
+
+const mongoose = require('mongoose');
+
+const cachePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  endpoint: {
+    type: String,
+    default: '*',
+    description: "Endpoint type the rule applies to, or '*' for every endpoint"
+  },
+  keyPattern: {
+    type: String,
+    default: null,
+    description: 'Cache key pattern, as for DELETE /cache/invalidate-pattern (e.g. \'trending:*"regionCode":"US"*\')'
+  },
+  minAgeDays: {
+    type: Number,
+    default: null,
+    min: 0,
+    description: 'Only videos published at least this many days ago (publishedFeatures.ageInDays); ' +
+      'known once the video is fetched, so age rules may set ttlSeconds and graceSeconds only'
+  },
+  maxAgeDays: {
+    type: Number,
+    default: null,
+    min: 0,
+    description: 'Only videos published at most this many days ago'
+  },
+  ttlSeconds: {
+    type: Number,
+    default: null,
+    min: 1,
+    description: 'null keeps the TTL of the endpoint'
+  },
+  graceSeconds: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  revalidateSeconds: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  bypass: {
+    type: Boolean,
+    default: false,
+    description: 'Matching responses are neither served from nor stored in the cache'
+  },
+  priority: {
+    type: Number,
+    default: 0,
+    description: 'Higher priorities win when several rules set the same field'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CachePolicy', cachePolicySchema);
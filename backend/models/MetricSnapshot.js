@@ -0,0 +1,105 @@
+/**
+ * Metric Snapshot Model
+ * Point-in-time statistics of a video or channel. Parsed YouTube responses are
+ * thrown away when their cache entry expires; snapshots keep the numbers so
+ * growth can be charted over time.
+ */
+
+const mongoose = require('mongoose');
+
+// At most one snapshot per video/channel in this window
+const MIN_SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const metricSnapshotSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['video', 'channel']
+  },
+  targetId: {
+    type: String,
+    required: true,
+    description: 'Video ID or channel ID'
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  likeCount: {
+    type: Number,
+    description: 'Videos only'
+  },
+  commentCount: {
+    type: Number,
+    description: 'Videos only'
+  },
+  subscriberCount: {
+    type: Number,
+    description: 'Channels only; left unset while the count is hidden'
+  },
+  videoCount: {
+    type: Number,
+    description: 'Channels only'
+  }
+});
+
+// Keep a year of history
+metricSnapshotSchema.index({ capturedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+metricSnapshotSchema.index({ kind: 1, targetId: 1, capturedAt: -1 });
+
+/**
+ * Record a snapshot unless the target already has one from the last hour;
+ * failures are logged but never break the request
+ * @param {string} kind - 'video' or 'channel'
+ * @param {string} targetId - Video ID or channel ID
+ * @param {Object} metrics - { viewCount, likeCount, commentCount, subscriberCount, videoCount }
+ * @returns {Promise<Object|null>} Created document, or null if skipped
+ */
+metricSnapshotSchema.statics.record = async function(kind, targetId, metrics) {
+  // Scripts using the service without a database connection have nothing to record into
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  try {
+    const recent = await this.exists({
+      kind,
+      targetId,
+      capturedAt: { $gt: new Date(Date.now() - MIN_SNAPSHOT_INTERVAL_MS) }
+    });
+
+    if (recent) {
+      return null;
+    }
+
+    return await this.create({ kind, targetId, ...metrics });
+  } catch (error) {
+    console.error('[Metric Snapshot] Failed to record snapshot:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Snapshots of one video or channel, oldest first
+ * @param {string} kind - 'video' or 'channel'
+ * @param {string} targetId - Video ID or channel ID
+ * @param {Date} [since] - Only snapshots captured after this time
+ * @returns {Promise<Array>} Plain snapshot objects
+ */
+metricSnapshotSchema.statics.getSeries = async function(kind, targetId, since) {
+  const filter = { kind, targetId };
+  if (since) {
+    filter.capturedAt = { $gte: since };
+  }
+
+  return this.find(filter)
+    .sort({ capturedAt: 1 })
+    .select('-_id -__v -kind -targetId')
+    .lean();
+};
+
+module.exports = mongoose.model('MetricSnapshot', metricSnapshotSchema);
@@ -0,0 +1,57 @@
+/**
+ * Notification Model
+ * In-app feed entry created when an alert rule triggers, with the outcome
+ * of its webhook delivery
+ */
+
+const mongoose = require('mongoose');
+const alertConfig = require('../config/alerts');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule'
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WatchlistItem'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  link: {
+    type: String,
+    default: null,
+    description: 'App path of the watched video or channel'
+  },
+  value: Number,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  webhook: {
+    url: String,
+    delivered: Boolean,
+    status: Number,
+    error: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: alertConfig.notificationTtlSeconds });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,36 @@
+/**
+ * Quota Budget Model
+ * One document per Pacific quota day holding the units reserved by admitted
+ * YouTube API calls. Reservations are taken with a conditional $inc so every
+ * server instance sees the same projected total.
+ */
+
+const mongoose = require('mongoose');
+
+const quotaBudgetSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    required: true,
+    unique: true,
+    description: 'Pacific quota day (YYYY-MM-DD)'
+  },
+  reservedUnits: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  exhaustedAt: {
+    type: Date,
+    default: null,
+    description: 'Set when YouTube itself reported quotaExceeded'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Old days are only useful for a short while
+quotaBudgetSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('QuotaBudget', quotaBudgetSchema);
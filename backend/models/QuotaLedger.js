@@ -0,0 +1,148 @@
+/**
+ * Quota Ledger Model
+ * One document per YouTube Data API call, shared by every server instance.
+ * Calls are bucketed by the Pacific-time quota day YouTube resets on.
+ */
+
+const mongoose = require('mongoose');
+const { getQuotaDay } = require('../utils/quotaDay');
+
+const quotaLedgerSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    required: true,
+    index: true,
+    description: 'Pacific quota day (YYYY-MM-DD)'
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    description: 'YouTube API method (search.list, videos.list, ...)'
+  },
+  units: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  cacheStatus: {
+    type: String,
+    enum: ['MISS', 'BYPASS', 'BACKGROUND', 'REVALIDATE'],
+    default: 'BYPASS',
+    description: 'MISS = cached route missed, BYPASS = uncached route, BACKGROUND = jobs, REVALIDATE = refreshing a stale entry'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  guestId: String,
+  route: String,
+  apiKey: {
+    type: String,
+    description: 'Fingerprint of the API key the call was made with'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep 35 days of history for the usage endpoint
+quotaLedgerSchema.index({ createdAt: 1 }, { expireAfterSeconds: 35 * 24 * 60 * 60 });
+quotaLedgerSchema.index({ day: 1, endpoint: 1 });
+
+/**
+ * Record an API call; failures are logged but never break the request
+ * @param {Object} entry - { endpoint, units, success, cacheStatus, userId, guestId, route, apiKey }
+ * @returns {Promise<Object|null>} Created document
+ */
+quotaLedgerSchema.statics.record = async function(entry) {
+  // Scripts using the service without a database connection have nothing to record into
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  try {
+    return await this.create({
+      ...entry,
+      day: entry.day || getQuotaDay()
+    });
+  } catch (error) {
+    console.error('[Quota Ledger] Failed to record call:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Total units spent by successful calls on a quota day
+ * @param {string} day - Quota day (defaults to today)
+ * @param {Object} [filter] - Further conditions (e.g. { route: 'cache.warm' })
+ * @returns {Promise<number>} Units used
+ */
+quotaLedgerSchema.statics.getDailyTotal = async function(day = getQuotaDay(), filter = {}) {
+  const [result] = await this.aggregate([
+    { $match: { ...filter, day, success: true } },
+    { $group: { _id: null, units: { $sum: '$units' } } }
+  ]);
+  return result?.units || 0;
+};
+
+/**
+ * Units spent by successful calls on a quota day, per API key
+ * @param {string} day - Quota day (defaults to today)
+ * @returns {Promise<Object>} Map of key fingerprint -> units
+ */
+quotaLedgerSchema.statics.getDailyTotalsByKey = async function(day = getQuotaDay()) {
+  const results = await this.aggregate([
+    { $match: { day, success: true, apiKey: { $exists: true } } },
+    { $group: { _id: '$apiKey', units: { $sum: '$units' } } }
+  ]);
+  return Object.fromEntries(results.map(({ _id, units }) => [_id, units]));
+};
+
+/**
+ * Usage breakdown for a range of quota days
+ * @param {Object} range - { from, to } quota days (inclusive)
+ * @param {number} userLimit - Maximum users to return
+ * @returns {Promise<Object>} { byDay, byEndpoint, byUser }
+ */
+quotaLedgerSchema.statics.getUsage = async function({ from, to }, userLimit = 20) {
+  const match = { day: { $gte: from, $lte: to } };
+
+  const unitsAndCalls = {
+    units: { $sum: { $cond: ['$success', '$units', 0] } },
+    calls: { $sum: 1 },
+    failedCalls: { $sum: { $cond: ['$success', 0, 1] } }
+  };
+
+  const [byDay, byEndpoint, byUser] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: '$day', ...unitsAndCalls } },
+      { $sort: { _id: 1 } }
+    ]),
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: { endpoint: '$endpoint', cacheStatus: '$cacheStatus' }, ...unitsAndCalls } },
+      { $sort: { units: -1 } }
+    ]),
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: '$userId', guestId: { $first: '$guestId' }, ...unitsAndCalls } },
+      { $sort: { units: -1 } },
+      { $limit: userLimit }
+    ])
+  ]);
+
+  return {
+    byDay: byDay.map(({ _id, ...totals }) => ({ day: _id, ...totals })),
+    byEndpoint: byEndpoint.map(({ _id, ...totals }) => ({ ..._id, ...totals })),
+    byUser: byUser.map(({ _id, ...totals }) => ({ userId: _id, ...totals }))
+  };
+};
+
+module.exports = mongoose.model('QuotaLedger', quotaLedgerSchema);
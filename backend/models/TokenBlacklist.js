@@ -24,7 +24,7 @@ const tokenBlacklistSchema = new mongoose.Schema({
   },
   reason: {
     type: String,
-    enum: ['logout', 'security', 'expired', 'revoked'],
+    enum: ['logout', 'security', 'expired', 'revoked', 'upgrade'],
     default: 'logout'
   },
   blacklistedAt: {
@@ -78,18 +78,19 @@ tokenBlacklistSchema.statics.cleanupExpiredTokens = async function() {
  * @param {string} userId - User ID
  * @param {string} guestId - Guest ID
  * @param {Date} expiresAt - Token expiration date
- * @param {string} reason - Reason for blacklisting
+ * @param {string} reason - Reason for blacklisting ('upgrade' when a guest becomes an account)
+ * @param {Object} options - Optional { session } to join a transaction
  * @returns {Promise<Object>} Blacklist document
  */
-tokenBlacklistSchema.statics.blacklistToken = async function(token, userId, guestId, expiresAt, reason = 'logout') {
+tokenBlacklistSchema.statics.blacklistToken = async function(token, userId, guestId, expiresAt, reason = 'logout', options = {}) {
   try {
-    const blacklisted = await this.create({
+    const [blacklisted] = await this.create([{
       token,
       userId,
       guestId,
       expiresAt,
       reason
-    });
+    }], { session: options.session || null });
     return blacklisted;
   } catch (error) {
     // If duplicate key error (token already blacklisted), ignore
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { hashPassword, verifyPassword } = require('../utils/password');
 
 const searchHistorySchema = new mongoose.Schema({
   query: {
@@ -11,7 +12,7 @@ const searchHistorySchema = new mongoose.Schema({
   },
   endpoint: String,
   resultCount: Number
-}, { _id: false });
+});
 
 const userSchema = new mongoose.Schema({
   guestId: {
@@ -22,7 +23,7 @@ const userSchema = new mongoose.Schema({
   },
   userType: {
     type: String,
-    enum: ['GUEST'],
+    enum: ['GUEST', 'REGISTERED'],
     default: 'GUEST',
     required: true
   },
@@ -30,6 +31,39 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Registered account fields (unset for guests)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false,
+    index: true,
+    sparse: true
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  lastLoginAt: Date,
+  // Access role; 'admin' unlocks the cache management routes
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   quotaUsed: {
     type: Number,
     default: 0,
@@ -46,14 +80,21 @@ const userSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Guests only: when the guest (and its quota window) expires
   expiresAt: {
     type: Date,
-    required: true,
+    required: function() {
+      return this.userType === 'GUEST';
+    },
     default: function() {
-      return new Date(Date.now() + 24 * 60 * 60 * 1000);
+      return this.userType === 'GUEST'
+        ? new Date(Date.now() + 24 * 60 * 60 * 1000)
+        : undefined;
     }
     // No index here - TTL index defined separately below for better control
-  }
+  },
+  // Registered accounts only: when quotaUsed next resets
+  quotaResetsAt: Date
 }, {
   timestamps: true
 });
@@ -63,6 +104,31 @@ userSchema.virtual('isGuest').get(function() {
   return this.userType === 'GUEST';
 });
 
+// Virtual for checking if user has a registered account
+userSchema.virtual('isRegistered').get(function() {
+  return this.userType === 'REGISTERED';
+});
+
+// Instance method: Check whether the user holds one of the given roles
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role || 'user');
+};
+
+// Instance method: Hash and set a new password
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await hashPassword(password);
+};
+
+// Instance method: Compare a password (document must be loaded with +passwordHash)
+userSchema.methods.comparePassword = function(password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+// Static method: Find a registered user by email, including the password hash
+userSchema.statics.findByEmailWithPassword = function(email) {
+  return this.findOne({ email: String(email).toLowerCase().trim() }).select('+passwordHash');
+};
+
 // Instance method: Check if user has quota remaining
 userSchema.methods.hasQuotaRemaining = function() {
   return this.quotaUsed < this.quotaLimit;
@@ -73,17 +139,60 @@ userSchema.methods.getQuotaRemaining = function() {
   return Math.max(0, this.quotaLimit - this.quotaUsed);
 };
 
+// Instance method: When the current quota window ends
+// Guests reset when they expire; registered accounts keep a separate window
+userSchema.methods.getQuotaResetAt = function() {
+  return this.userType === 'GUEST' ? this.expiresAt : this.quotaResetsAt;
+};
+
 // Static method: Cleanup expired guests
+// Registered accounts have no expiresAt and are never deleted
 userSchema.statics.cleanupExpiredGuests = async function() {
   const result = await this.deleteMany({
+    userType: 'GUEST',
     expiresAt: { $lt: new Date() }
   });
   return result.deletedCount;
 };
 
-// Pre-save hook: Set expiresAt to 24h from creation if not set
+// Static method: Drop the unfiltered TTL index older deployments created on
+// expiresAt; it would delete registered accounts along with expired guests
+// Returns whether an index was dropped
+userSchema.statics.dropLegacyTtlIndex = async function() {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const legacy = indexes.find(index =>
+    index.key?.expiresAt === 1 &&
+    index.expireAfterSeconds !== undefined &&
+    !index.partialFilterExpression
+  );
+
+  if (!legacy) {
+    return false;
+  }
+
+  await this.collection.dropIndex(legacy.name);
+  await this.createIndexes();
+  console.log('[User] Dropped legacy expiresAt TTL index');
+  return true;
+};
+
+// Static method: Move the quota window of registered accounts created before
+// quotaResetsAt existed off expiresAt
+// Returns the number of accounts updated
+userSchema.statics.moveRegisteredQuotaWindows = async function() {
+  const result = await this.updateMany(
+    { userType: 'REGISTERED', expiresAt: { $exists: true } },
+    [
+      { $set: { quotaResetsAt: { $ifNull: ['$quotaResetsAt', '$expiresAt'] } } },
+      { $unset: 'expiresAt' }
+    ]
+  );
+  return result.modifiedCount;
+};
+
+// Pre-save hook: Set a guest's expiresAt to 24h from creation if not set
 userSchema.pre('save', function(next) {
-  if (this.isNew && !this.expiresAt) {
+  if (this.isNew && this.userType === 'GUEST' && !this.expiresAt) {
     this.expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
   }
   next();
@@ -92,12 +201,24 @@ userSchema.pre('save', function(next) {
 // Compound index for analytics queries
 userSchema.index({ userType: 1, createdAt: -1 });
 
-// TTL index - MongoDB will automatically delete expired documents
+// TTL index - MongoDB will automatically delete expired guest documents
+// Partial filter keeps registered accounts out of the TTL sweep
 // Note: This is the ONLY place we define the expiresAt index
-userSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0, partialFilterExpression: { userType: 'GUEST' } }
+);
 
-// Ensure virtuals are included in JSON output
-userSchema.set('toJSON', { virtuals: true });
+// Ensure virtuals are included in JSON output, never credentials
+userSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.emailVerificationTokenHash;
+    delete ret.emailVerificationExpires;
+    return ret;
+  }
+});
 userSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Video Sentiment Model
+ * Sentiment of a video's comments from its latest comment analysis. Comment
+ * threads live in the cache and expire with it; this keeps the distribution
+ * so video objects can show it without fetching the comments again.
+ */
+
+const mongoose = require('mongoose');
+
+const videoSentimentSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  comments: {
+    type: Number,
+    default: 0,
+    description: 'Comments and replies scored'
+  },
+  positive: { type: Number, default: 0 },
+  neutral: { type: Number, default: 0 },
+  negative: { type: Number, default: 0 },
+  positivePercent: { type: Number, default: 0 },
+  neutralPercent: { type: Number, default: 0 },
+  negativePercent: { type: Number, default: 0 },
+  averageScore: {
+    type: Number,
+    default: 0,
+    description: 'Mean lexicon score per comment'
+  },
+  netScore: {
+    type: Number,
+    default: 0,
+    description: 'Positive minus negative share, -100 to 100'
+  },
+  analyzedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Drop analyses nobody has refreshed in 90 days
+videoSentimentSchema.index({ analyzedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Replace the stored sentiment of a video; failures are logged but never
+ * break the request
+ * @param {string} videoId
+ * @param {Object} summary - summarizeSentiment result
+ * @returns {Promise<Object|null>} Stored document
+ */
+videoSentimentSchema.statics.record = async function(videoId, summary) {
+  // Scripts using the service without a database connection have nothing to record into
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      { videoId },
+      { ...summary, videoId, analyzedAt: new Date() },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    console.error('[Video Sentiment] Failed to record sentiment:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Stored sentiment of several videos
+ * @param {Array<string>} videoIds
+ * @returns {Promise<Array>} Plain objects; videos never analysed are missing
+ */
+videoSentimentSchema.statics.findForVideos = async function(videoIds) {
+  if (mongoose.connection.readyState !== 1 || videoIds.length === 0) {
+    return [];
+  }
+
+  return this.find({ videoId: { $in: videoIds } })
+    .select('-_id -__v')
+    .lean();
+};
+
+module.exports = mongoose.model('VideoSentiment', videoSentimentSchema);
@@ -0,0 +1,92 @@
+/**
+ * Watchlist Item Model
+ * A video, channel or search query a user follows. The watchlist job
+ * refreshes due items in the background and keeps the metrics of the last
+ * two refreshes so the change between them can be shown.
+ */
+
+const mongoose = require('mongoose');
+
+const refreshSchema = new mongoose.Schema({
+  refreshedAt: {
+    type: Date,
+    required: true
+  },
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    description: 'video: views/likes/comments, channel: subscribers/views/videos, search: totalResults/resultIds'
+  }
+}, { _id: false });
+
+const watchlistItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['video', 'channel', 'search']
+  },
+  targetId: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'Video ID, channel ID or search query'
+  },
+  title: {
+    type: String,
+    description: 'Display name from the last refresh'
+  },
+  thumbnail: String,
+  intervalMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  nextRefreshAt: {
+    type: Date,
+    default: Date.now
+  },
+  latest: refreshSchema,
+  previous: refreshSchema,
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One entry per target per user
+watchlistItemSchema.index({ userId: 1, type: 1, targetId: 1 }, { unique: true });
+// Due items for the refresh job
+watchlistItemSchema.index({ nextRefreshAt: 1 });
+
+/**
+ * Store the result of a refresh; the last one becomes `previous`
+ * @param {Object} refresh - { title, thumbnail, metrics } or { error }
+ * @param {Date} [now=new Date()]
+ */
+watchlistItemSchema.methods.applyRefresh = function(refresh, now = new Date()) {
+  this.nextRefreshAt = new Date(now.getTime() + this.intervalMinutes * 60 * 1000);
+
+  if (refresh.error) {
+    this.lastError = refresh.error;
+    return;
+  }
+
+  if (this.latest?.refreshedAt) {
+    this.previous = { refreshedAt: this.latest.refreshedAt, metrics: this.latest.metrics };
+  }
+  this.latest = { refreshedAt: now, metrics: refresh.metrics };
+  this.title = refresh.title || this.title;
+  this.thumbnail = refresh.thumbnail || this.thumbnail;
+  this.lastError = null;
+};
+
+module.exports = mongoose.model('WatchlistItem', watchlistItemSchema);
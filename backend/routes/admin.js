@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getQuotaUsage, getApiKeyHealth } = require('../controllers/adminController');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireRole = require('../middleware/requireRole');
+
+// Every admin route requires an authenticated admin
+router.use(optionalAuth);
+router.use(requireRole('admin'));
+
+router.get('/quota/usage', getQuotaUsage);
+router.get('/api-keys', getApiKeyHealth);
+
+module.exports = router;
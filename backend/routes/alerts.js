@@ -0,0 +1,86 @@
+/**
+ * Alert Routes
+ * Rules on watchlist metrics and the notification feed they fill
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  testRuleWebhook,
+  getNotifications,
+  markNotificationsRead
+} = require('../controllers/alertController');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const alertConfig = require('../config/alerts');
+const { checkWebhookUrl } = require('../services/webhook');
+
+router.use(optionalAuth);
+
+const ALL_METRICS = [...new Set(Object.values(alertConfig.metrics).flat())];
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+// Shared by create and update; create makes metric, condition and threshold required
+const ruleSettingRules = () => [
+  body('threshold')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('threshold must be a non-negative number')
+    .toFloat(),
+  body('windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: MAX_WINDOW_MINUTES }).withMessage(`windowMinutes must be between 1 and ${MAX_WINDOW_MINUTES}`)
+    .toInt(),
+  body('cooldownMinutes')
+    .optional()
+    .isInt({ min: 0, max: MAX_WINDOW_MINUTES }).withMessage(`cooldownMinutes must be between 0 and ${MAX_WINDOW_MINUTES}`)
+    .toInt(),
+  body('webhookUrl')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('webhookUrl must be an http(s) URL')
+    .bail()
+    .custom(async (url) => {
+      const refusal = await checkWebhookUrl(url);
+      if (refusal) {
+        throw new Error(refusal);
+      }
+    })
+];
+
+const createRules = [
+  body('itemId').isMongoId().withMessage('itemId must be a watchlist item ID'),
+  body('metric').isIn(ALL_METRICS).withMessage(`metric must be one of: ${ALL_METRICS.join(', ')}`),
+  body('condition').isIn(alertConfig.conditions).withMessage(`condition must be one of: ${alertConfig.conditions.join(', ')}`),
+  body('threshold').exists().withMessage('threshold is required'),
+  ...ruleSettingRules()
+];
+
+const updateRules = [
+  ...ruleSettingRules(),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('enabled must be true or false')
+];
+
+router.get('/rules', [
+  query('itemId').optional().isMongoId().withMessage('itemId must be a watchlist item ID')
+], validate, getRules);
+router.post('/rules', createRules, validate, createRule);
+router.patch('/rules/:id', updateRules, validate, updateRule);
+router.delete('/rules/:id', deleteRule);
+router.post('/rules/:id/test-webhook', testRuleWebhook);
+
+router.get('/notifications', [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], validate, getNotifications);
+router.post('/notifications/read', [
+  body('ids').optional().isArray().withMessage('ids must be an array'),
+  body('ids.*').isMongoId().withMessage('ids must be notification IDs')
+], validate, markNotificationsRead);
+
+module.exports = router;
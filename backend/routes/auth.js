@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
 const {
   createGuestSession,
   refreshGuestSession,
@@ -8,7 +9,18 @@ const {
   getGuestAnalytics,
   verifyToken
 } = require('../controllers/guestController');
+const {
+  register,
+  login,
+  verifyEmail,
+  resendVerification,
+  upgradeGuest,
+  refreshSession,
+  getDevOutbox
+} = require('../controllers/accountController');
 const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const { password: passwordRules, rateLimits, devOutbox, adminEmails } = require('../config/auth');
 
 // Stricter rate limiter for guest creation
 const guestAuthRateLimiter = rateLimit({
@@ -20,15 +32,57 @@ const guestAuthRateLimiter = rateLimit({
   }
 });
 
+// Rate limiter for credential endpoints (login/register/upgrade)
+const credentialsRateLimiter = rateLimit({
+  windowMs: rateLimits.login.windowMs,
+  max: process.env.NODE_ENV === 'production' ? rateLimits.login.max : 1000,
+  message: {
+    success: false,
+    error: 'Too many login attempts. Please try again later.'
+  }
+});
+
+// Validation chains
+const emailRule = body('email')
+  .trim()
+  .isEmail().withMessage('A valid email is required')
+  .toLowerCase();
+
+const newPasswordRule = body('password')
+  .isString()
+  .isLength({ min: passwordRules.minLength })
+  .withMessage(`Password must be at least ${passwordRules.minLength} characters`);
+
+const displayNameRule = body('displayName')
+  .optional()
+  .trim()
+  .isLength({ min: 1, max: 50 }).withMessage('Display name must be 1-50 characters');
+
 // Public routes
 router.post('/guest', guestAuthRateLimiter, createGuestSession); // Rate limit applied here
+// optionalAuth lets a guest token ride along so its data migrates into the account
+router.post('/register', credentialsRateLimiter, optionalAuth, [emailRule, newPasswordRule, displayNameRule], validate, register);
+router.post('/login', credentialsRateLimiter, optionalAuth, [emailRule, body('password').isString().notEmpty()], validate, login);
+router.post('/verify-email', [body('token').isString().notEmpty()], validate, verifyEmail);
 
 // Protected routes - require authentication
 router.post('/guest/refresh', optionalAuth, refreshGuestSession);
+router.post('/refresh', optionalAuth, refreshSession);
+router.post('/upgrade', credentialsRateLimiter, optionalAuth, [emailRule, newPasswordRule, displayNameRule], validate, upgradeGuest);
+router.post('/resend-verification', optionalAuth, resendVerification);
 router.post('/logout', optionalAuth, logoutGuest);
 router.get('/verify', optionalAuth, verifyToken);
 
 // Analytics endpoint
 router.get('/guest/analytics', getGuestAnalytics);
 
-module.exports = router;
\ No newline at end of file
+// Local mail stand-in inspection (MAIL_DEV_OUTBOX=true, never in production).
+// Verification links for ADMIN_EMAILS addresses must not be readable, so the
+// two settings are never combined
+if (devOutbox && adminEmails.length > 0) {
+  console.warn('[Auth] MAIL_DEV_OUTBOX is ignored while ADMIN_EMAILS is set');
+} else if (devOutbox) {
+  router.get('/dev/outbox', getDevOutbox);
+}
+
+module.exports = router;
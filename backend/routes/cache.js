@@ -1,34 +1,92 @@
 /**
  * Cache Management Routes (Tasks 199-200)
  * Admin endpoints for cache control and monitoring
+ * All routes except /health require the admin role; destructive operations
+ * are recorded in the audit log (including denied attempts)
  */
 
 const express = require('express');
 const router = express.Router();
-const Cache = require('../models/Cache');
-const { warmAllCaches } = require('../services/cacheWarming');
+const { body, param, query } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const CachePolicy = require('../models/CachePolicy');
+const cacheTiers = require('../services/cacheTiers');
+const { reloadPolicies, getPolicyStatus } = require('../services/cachePolicy');
+const { getCacheStore } = require('../services/cacheStore');
+const { getCoalescingStats } = require('../services/requestCoalescing');
+const { warmPopularCaches, getLastRun, WARMING_ROUTE } = require('../services/cacheWarming');
+const youtubeConfig = require('../config/youtube');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireRole = require('../middleware/requireRole');
+const auditLog = require('../middleware/auditLog');
+const validate = require('../middleware/validate');
+const { generateCacheKey, getCachePolicy, CACHE_TTL, CACHE_STALE } = require('../middleware/cacheMiddleware');
+const { runWithContext } = require('../utils/requestContext');
+
+// Resolve req.user for every cache route
+router.use(optionalAuth);
+
+const adminOnly = requireRole('admin');
+
+// Settings of a cache policy (models/CachePolicy.js) the API reads and writes
+const POLICY_FIELDS = [
+  'name', 'endpoint', 'keyPattern', 'minAgeDays', 'maxAgeDays',
+  'ttlSeconds', 'graceSeconds', 'revalidateSeconds', 'bypass', 'priority', 'enabled'
+];
+
+/**
+ * Cache policy as returned by the API
+ */
+const formatPolicy = (policy) => ({
+  id: policy._id,
+  ...POLICY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: policy[field] }), {}),
+  createdBy: policy.createdBy,
+  createdAt: policy.createdAt,
+  updatedAt: policy.updatedAt
+});
+
+const DURATION_UNITS = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+/**
+ * Seconds in words, in the largest unit that divides them (e.g. '6 hours')
+ */
+const describeDuration = (seconds) => {
+  const [unit, size] = DURATION_UNITS.find(([, size]) => seconds % size === 0) || DURATION_UNITS[3];
+  const count = seconds / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Durations of every endpoint in words
+ * @param {Object} table - Endpoint type => setting (CACHE_TTL, CACHE_STALE)
+ * @param {Function} pick - Seconds of a setting
+ */
+const describeDurations = (table, pick) => Object.fromEntries(
+  Object.entries(table).map(([endpoint, setting]) => [endpoint, describeDuration(pick(setting))])
+);
 
 /**
  * Task 200: Cache Statistics Endpoint
  * GET /api/v1/cache/stats
  * Returns comprehensive cache performance metrics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', adminOnly, async (req, res) => {
   try {
-    const stats = await Cache.getStats();
-    const popular = await Cache.getPopular(10);
+    const stats = await getCacheStore().getStats();
+    const popular = await getCacheStore().getPopular(10);
 
     return res.status(200).json({
       success: true,
       data: {
         stats,
+        store: getCacheStore().name,
+        // L1 (in-process LRU) and L2 (cache store) lookups on this instance
+        tiers: cacheTiers.getTierStats(),
         popular,
-        ttl: {
-          video: '1 hour',
-          channel: '6 hours',
-          search: '30 minutes',
-          trending: '15 minutes'
-        }
+        // Defaults per endpoint; policies below override them for matching entries
+        ttl: describeDurations(CACHE_TTL, seconds => seconds),
+        staleGrace: describeDurations(CACHE_STALE, stale => stale.grace),
+        policies: getPolicyStatus().rules.map(formatPolicy)
       }
     });
   } catch (error) {
@@ -45,15 +103,22 @@ router.get('/stats', async (req, res) => {
  * GET /api/v1/cache/performance
  * Returns hit ratio and performance data
  */
-router.get('/performance', async (req, res) => {
+router.get('/performance', adminOnly, async (req, res) => {
   try {
-    const stats = await Cache.getStats();
+    const stats = await getCacheStore().getStats();
     
     // Calculate hit ratio
     const hitRatio = stats.active > 0 
       ? ((stats.totalHits / stats.active) * 100).toFixed(2)
       : 0;
 
+    // Lookups per tier on this instance; hits reach the entries' counts
+    // above in batches, so totalHits can trail them by a few seconds
+    const tiers = cacheTiers.getTierStats();
+
+    // Concurrent misses that shared another request's YouTube calls
+    const coalescing = getCoalescingStats();
+
     // Get average response improvement
     const avgResponseTime = {
       withCache: '~50ms',
@@ -65,6 +130,11 @@ router.get('/performance', async (req, res) => {
       success: true,
       data: {
         hitRatio: `${hitRatio}%`,
+        l1HitRatio: `${tiers.l1.hitRatio}%`,
+        l2HitRatio: `${tiers.l2.hitRatio}%`,
+        lookupHitRatio: `${tiers.hitRatio}%`,
+        tiers,
+        coalescing,
         totalHits: stats.totalHits,
         activeEntries: stats.active,
         expiredEntries: stats.expired,
@@ -87,16 +157,16 @@ router.get('/performance', async (req, res) => {
  * DELETE /api/v1/cache/invalidate
  * Clears entire cache
  */
-router.delete('/invalidate', async (req, res) => {
+router.delete('/invalidate', auditLog('cache.invalidate'), adminOnly, async (req, res) => {
   try {
-    const result = await Cache.deleteMany({});
+    const deleted = await cacheTiers.invalidateAll();
     
-    console.log(`[Cache] Invalidated all cache (${result.deletedCount} entries)`);
+    console.log(`[Cache] Invalidated all cache (${deleted} entries)`);
     
     return res.status(200).json({
       success: true,
       message: 'All cache entries invalidated',
-      deleted: result.deletedCount
+      deleted
     });
   } catch (error) {
     console.error('[Cache Invalidate Error]:', error.message);
@@ -110,22 +180,22 @@ router.delete('/invalidate', async (req, res) => {
 /**
  * Task 199: Invalidate by Endpoint Type
  * DELETE /api/v1/cache/invalidate/:endpoint
- * Clears cache for specific endpoint (search, video, channel, trending)
+ * Clears cache for specific endpoint (search, channelSearch, video, channel, channelVideos, channelAnalytics, channelCompare, comments, trending)
  */
-router.delete('/invalidate/:endpoint', async (req, res) => {
+router.delete('/invalidate/:endpoint', auditLog('cache.invalidateEndpoint'), adminOnly, async (req, res) => {
   try {
     const { endpoint } = req.params;
     
     // Validate endpoint
-    const validEndpoints = ['search', 'video', 'channel', 'trending'];
+    const validEndpoints = ['search', 'channelSearch', 'video', 'channel', 'channelVideos', 'channelAnalytics', 'channelCompare', 'comments', 'trending'];
     if (!validEndpoints.includes(endpoint)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid endpoint. Must be: search, video, channel, or trending'
+        error: 'Invalid endpoint. Must be: search, channelSearch, video, channel, channelVideos, channelAnalytics, channelCompare, comments, or trending'
       });
     }
 
-    const deleted = await Cache.invalidateEndpoint(endpoint);
+    const deleted = await cacheTiers.invalidateEndpoint(endpoint);
     
     console.log(`[Cache] Invalidated ${endpoint} cache (${deleted} entries)`);
     
@@ -149,7 +219,7 @@ router.delete('/invalidate/:endpoint', async (req, res) => {
  * Clears cache matching a pattern
  * Body: { pattern: "search:*" }
  */
-router.delete('/invalidate-pattern', async (req, res) => {
+router.delete('/invalidate-pattern', auditLog('cache.invalidatePattern'), adminOnly, async (req, res) => {
   try {
     const { pattern } = req.body;
     
@@ -160,7 +230,7 @@ router.delete('/invalidate-pattern', async (req, res) => {
       });
     }
 
-    const deleted = await Cache.invalidate(pattern);
+    const deleted = await cacheTiers.invalidatePattern(pattern);
     
     console.log(`[Cache] Invalidated pattern "${pattern}" (${deleted} entries)`);
     
@@ -181,12 +251,14 @@ router.delete('/invalidate-pattern', async (req, res) => {
 /**
  * Task 197: Warm Cache Endpoint
  * POST /api/v1/cache/warm
- * Triggers cache warming for popular queries
+ * Warms the entries traffic keeps asking for now instead of waiting for
+ * the scheduled run
  */
-router.post('/warm', async (req, res) => {
+router.post('/warm', auditLog('cache.warm'), adminOnly, async (req, res) => {
   try {
     // Start cache warming in background
-    warmAllCaches().catch(err => {
+    const context = { userId: req.user._id, guestId: req.user.guestId, route: WARMING_ROUTE, cacheStatus: 'BACKGROUND' };
+    runWithContext(context, () => warmPopularCaches()).catch(err => {
       console.error('[Cache Warming Error]:', err.message);
     });
 
@@ -203,15 +275,45 @@ router.post('/warm', async (req, res) => {
   }
 });
 
+/**
+ * Latest cache warming run and its settings
+ * GET /api/v1/cache/warm/status
+ */
+router.get('/warm/status', adminOnly, async (req, res) => {
+  try {
+    const { enabled, schedule, quotaShare, lookaheadMinutes, maxTargets } = youtubeConfig.cacheWarming;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enabled,
+        schedule,
+        quotaShare,
+        lookaheadMinutes,
+        maxTargets,
+        lastRun: getLastRun()
+      }
+    });
+  } catch (error) {
+    console.error('[Cache Warm Status Error]:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cache warming status'
+    });
+  }
+});
+
 /**
  * Clean up expired cache entries manually
- * DELETE /api/v1/cache/cleanup
+ * DELETE /api/v1/cache/cleanup?includeGrace=true
+ * Grace copies kept for stale serving are only removed with includeGrace
  */
-router.delete('/cleanup', async (req, res) => {
+router.delete('/cleanup', auditLog('cache.cleanup'), adminOnly, async (req, res) => {
   try {
-    const deleted = await Cache.cleanup();
+    const includeGrace = req.query.includeGrace === 'true';
+    const deleted = await getCacheStore().cleanup({ includeGrace });
     
-    console.log(`[Cache] Cleaned up expired entries (${deleted} deleted)`);
+    console.log(`[Cache] Cleaned up expired entries (${deleted} deleted${includeGrace ? ', including grace copies' : ''})`);
     
     return res.status(200).json({
       success: true,
@@ -231,10 +333,10 @@ router.delete('/cleanup', async (req, res) => {
  * Get popular cached queries
  * GET /api/v1/cache/popular
  */
-router.get('/popular', async (req, res) => {
+router.get('/popular', adminOnly, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const popular = await Cache.getPopular(limit);
+    const popular = await getCacheStore().getPopular(limit);
 
     return res.status(200).json({
       success: true,
@@ -249,13 +351,297 @@ router.get('/popular', async (req, res) => {
   }
 });
 
+/**
+ * Audit trail of cache operations
+ * GET /api/v1/cache/audit?action=cache.invalidate&limit=50
+ */
+router.get('/audit', adminOnly, async (req, res) => {
+  try {
+    const limit = Math.min(200, parseInt(req.query.limit) || 50);
+    const entries = await AuditLog.getRecent({ action: req.query.action }, limit);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        count: entries.length
+      }
+    });
+  } catch (error) {
+    console.error('[Cache Audit Error]:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve audit log'
+    });
+  }
+});
+
+/**
+ * Cache Policies
+ * Admin rules overriding the TTL, grace period and revalidate window of
+ * matching entries, or keeping them out of the cache (services/cachePolicy.js).
+ * Changes apply on this instance at once and on the others within
+ * youtubeConfig.cachePolicy.refreshSeconds.
+ */
+const POLICY_ENDPOINTS = ['*', ...Object.keys(CACHE_TTL)];
+
+// Shared by create and update; null clears an optional setting
+const policySettingRules = () => [
+  body('name')
+    .optional()
+    .isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+  body('endpoint')
+    .optional()
+    .isIn(POLICY_ENDPOINTS).withMessage(`endpoint must be one of: ${POLICY_ENDPOINTS.join(', ')}`),
+  body('keyPattern')
+    .optional({ values: 'null' })
+    .isString().withMessage('keyPattern must be a string'),
+  ...['minAgeDays', 'maxAgeDays', 'graceSeconds', 'revalidateSeconds'].map(field => body(field)
+    .optional({ values: 'null' })
+    .isInt({ min: 0 }).withMessage(`${field} must be a non-negative integer`)
+    .toInt()),
+  body('ttlSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('ttlSeconds must be a positive integer')
+    .toInt(),
+  body('bypass')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('bypass must be true or false'),
+  body('priority')
+    .optional()
+    .isInt().withMessage('priority must be an integer')
+    .toInt(),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('enabled must be true or false')
+];
+
+const policyIdRules = [
+  param('id').isMongoId().withMessage('id must be a cache policy ID')
+];
+
+/**
+ * Checks across fields, on the policy as it would be saved
+ * @returns {string|null} Error message
+ */
+const checkPolicy = (policy) => {
+  const hasAge = policy.minAgeDays != null || policy.maxAgeDays != null;
+
+  if (hasAge && !['video', '*'].includes(policy.endpoint)) {
+    return 'minAgeDays and maxAgeDays only apply to video responses';
+  }
+  // A video's age is only known once it is fetched, after the cache lookup
+  // that bypass and the revalidate window decide
+  if (hasAge && (policy.bypass || policy.revalidateSeconds != null)) {
+    return 'bypass and revalidateSeconds cannot depend on minAgeDays or maxAgeDays';
+  }
+  if (policy.minAgeDays != null && policy.maxAgeDays != null && policy.minAgeDays > policy.maxAgeDays) {
+    return 'minAgeDays must not be greater than maxAgeDays';
+  }
+  if (!policy.bypass && policy.ttlSeconds == null && policy.graceSeconds == null && policy.revalidateSeconds == null) {
+    return 'A policy must set ttlSeconds, graceSeconds, revalidateSeconds or bypass';
+  }
+  return null;
+};
+
+const pickPolicyFields = (source) => POLICY_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) {
+    fields[field] = source[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * List cache policies, with the defaults they override
+ * GET /api/v1/cache/policies
+ */
+router.get('/policies', adminOnly, async (req, res) => {
+  try {
+    const policies = await CachePolicy.find().sort({ priority: -1, updatedAt: -1 }).lean();
+    const { loadedAt, refreshSeconds, lastError } = getPolicyStatus();
+
+    const defaults = Object.keys(CACHE_TTL).reduce((all, endpoint) => ({
+      ...all,
+      [endpoint]: {
+        ttlSeconds: CACHE_TTL[endpoint],
+        graceSeconds: CACHE_STALE[endpoint]?.grace || 0,
+        revalidateSeconds: CACHE_STALE[endpoint]?.revalidate || 0
+      }
+    }), {});
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        policies: policies.map(formatPolicy),
+        defaults,
+        loadedAt,
+        refreshSeconds,
+        lastError
+      }
+    });
+  } catch (error) {
+    console.error('[Cache Policies Error]:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cache policies'
+    });
+  }
+});
+
+/**
+ * Policy a cache entry gets under the rules in use
+ * GET /api/v1/cache/policies/resolve?endpoint=video&key=...&ageInDays=400
+ * key defaults to the endpoint without parameters; ageInDays stands in for
+ * the published age of a video response
+ */
+router.get('/policies/resolve', adminOnly, [
+  query('endpoint').isIn(Object.keys(CACHE_TTL)).withMessage(`endpoint must be one of: ${Object.keys(CACHE_TTL).join(', ')}`),
+  query('key').optional().isString(),
+  query('ageInDays').optional().isInt({ min: 0 }).withMessage('ageInDays must be a non-negative integer').toInt()
+], validate, async (req, res) => {
+  try {
+    const { endpoint, ageInDays } = req.query;
+    const key = req.query.key || generateCacheKey(endpoint, {});
+    const data = ageInDays !== undefined ? { video: { publishedFeatures: { ageInDays } } } : undefined;
+
+    const policy = await getCachePolicy(endpoint, key, data);
+
+    return res.status(200).json({
+      success: true,
+      data: { endpoint, key, ageInDays: ageInDays ?? null, ...policy }
+    });
+  } catch (error) {
+    console.error('[Cache Policy Resolve Error]:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to resolve cache policy'
+    });
+  }
+});
+
+/**
+ * Create a cache policy
+ * POST /api/v1/cache/policies
+ * Body: { name, endpoint, keyPattern, minAgeDays, maxAgeDays, ttlSeconds,
+ *         graceSeconds, revalidateSeconds, bypass, priority, enabled }
+ */
+router.post('/policies', auditLog('cache.policyCreate'), adminOnly, [
+  body('name').exists().withMessage('name is required'),
+  ...policySettingRules()
+], validate, async (req, res) => {
+  try {
+    const fields = { endpoint: '*', ...pickPolicyFields(req.body) };
+    const problem = checkPolicy(fields);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    const policy = await CachePolicy.create({ ...fields, createdBy: req.user._id });
+    await reloadPolicies();
+
+    console.log(`[Cache] Created policy "${policy.name}"`);
+
+    return res.status(201).json({
+      success: true,
+      message: `Cache policy "${policy.name}" created`,
+      data: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('[Cache Policy Create Error]:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create cache policy'
+    });
+  }
+});
+
+/**
+ * Update a cache policy
+ * PATCH /api/v1/cache/policies/:id
+ */
+router.patch('/policies/:id', auditLog('cache.policyUpdate'), adminOnly, [
+  ...policyIdRules,
+  ...policySettingRules()
+], validate, async (req, res) => {
+  try {
+    const policy = await CachePolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cache policy not found'
+      });
+    }
+
+    policy.set(pickPolicyFields(req.body));
+    const problem = checkPolicy(policy);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    await policy.save();
+    await reloadPolicies();
+
+    console.log(`[Cache] Updated policy "${policy.name}"`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Cache policy "${policy.name}" updated`,
+      data: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('[Cache Policy Update Error]:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update cache policy'
+    });
+  }
+});
+
+/**
+ * Delete a cache policy
+ * DELETE /api/v1/cache/policies/:id
+ */
+router.delete('/policies/:id', auditLog('cache.policyDelete'), adminOnly, policyIdRules, validate, async (req, res) => {
+  try {
+    const policy = await CachePolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cache policy not found'
+      });
+    }
+
+    await reloadPolicies();
+
+    console.log(`[Cache] Deleted policy "${policy.name}"`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Cache policy "${policy.name}" deleted`,
+      deleted: 1
+    });
+  } catch (error) {
+    console.error('[Cache Policy Delete Error]:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete cache policy'
+    });
+  }
+});
+
 /**
  * Health check
  * GET /api/v1/cache/health
  */
 router.get('/health', async (req, res) => {
   try {
-    const count = await Cache.countDocuments();
+    const count = await getCacheStore().count();
     
     return res.status(200).json({
       success: true,
@@ -0,0 +1,104 @@
+/**
+ * Metric Snapshot Routes
+ * Growth history of the videos and channels the app has looked up, and the
+ * stored comment sentiment of videos
+ * Served from the snapshot store only, so these cost no YouTube quota
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const { getGrowth } = require('../services/metricSnapshots');
+const { getVideoSentiments } = require('../services/sentiment');
+const { CHANNEL_ID_PATTERN } = require('../utils/channelIds');
+
+router.use(optionalAuth);
+
+const daysRule = query('days')
+  .optional()
+  .isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365');
+
+/**
+ * Respond with the growth of one video or channel
+ */
+const sendGrowth = (kind, idParam) => async (req, res) => {
+  try {
+    const targetId = req.params[idParam];
+    const days = parseInt(req.query.days) || 90;
+
+    const growth = await getGrowth(kind, targetId, { days });
+
+    res.json({
+      success: true,
+      data: {
+        kind,
+        targetId,
+        days,
+        ...growth
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[Snapshot Routes] ${kind} history error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to get ${kind} history`
+    });
+  }
+};
+
+/**
+ * Video metric history
+ * GET /api/v1/snapshots/video/:videoId?days=90
+ */
+router.get('/video/:videoId', [
+  param('videoId').matches(/^[A-Za-z0-9_-]{11}$/).withMessage('videoId must be an 11-character YouTube video ID'),
+  daysRule
+], validate, sendGrowth('video', 'videoId'));
+
+/**
+ * Channel metric history
+ * GET /api/v1/snapshots/channel/:channelId?days=90
+ */
+router.get('/channel/:channelId', [
+  param('channelId').matches(CHANNEL_ID_PATTERN).withMessage('channelId must be a YouTube channel ID (UC...)'),
+  daysRule
+], validate, sendGrowth('channel', 'channelId'));
+
+/**
+ * Stored comment sentiment of up to 50 videos
+ * GET /api/v1/snapshots/sentiment?ids=dQw4w9WgXcQ,9bZkp7q19f0
+ * Videos whose comments were never analysed map to null
+ */
+router.get('/sentiment', [
+  query('ids')
+    .exists().withMessage('ids is required')
+    .bail()
+    .custom(value => {
+      const ids = String(value).split(',');
+      return ids.length <= 50 && ids.every(id => /^[A-Za-z0-9_-]{11}$/.test(id.trim()));
+    }).withMessage('ids must be 1-50 comma-separated video IDs')
+], validate, async (req, res) => {
+  try {
+    const videoIds = [...new Set(String(req.query.ids).split(',').map(id => id.trim()))];
+    const sentiments = await getVideoSentiments(videoIds);
+
+    res.json({
+      success: true,
+      data: {
+        sentiments: Object.fromEntries(videoIds.map(videoId => [videoId, sentiments.get(videoId) || null]))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[Snapshot Routes] Sentiment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get video sentiment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProfile,
+  getQuota,
+  getSearchHistory,
+  deleteSearchHistoryEntry,
+  clearSearchHistory
+} = require('../controllers/userController');
+const optionalAuth = require('../middleware/optionalAuth');
+
+// All user routes resolve the current user from the bearer token
+router.use(optionalAuth);
+
+router.get('/profile', getProfile);
+router.get('/quota', getQuota);
+
+router.get('/search-history', getSearchHistory);
+router.delete('/search-history', clearSearchHistory);
+router.delete('/search-history/:entryId', deleteSearchHistoryEntry);
+
+module.exports = router;
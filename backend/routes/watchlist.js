@@ -0,0 +1,73 @@
+/**
+ * Watchlist Routes
+ * Videos, channels and searches a user follows; jobs/refreshWatchlists.js
+ * keeps them up to date in the background
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const {
+  getWatchlist,
+  addWatchlistItem,
+  updateWatchlistItem,
+  deleteWatchlistItem,
+  refreshWatchlistItem
+} = require('../controllers/watchlistController');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const youtubeConfig = require('../config/youtube');
+const { CHANNEL_ID_PATTERN } = require('../utils/channelIds');
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// Adding and refreshing items call YouTube on the user's behalf
+const watchlistRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: process.env.NODE_ENV === 'production' ? 60 : 1000,
+  message: {
+    success: false,
+    error: 'Too many watchlist requests. Please try again later.'
+  }
+});
+
+router.use(watchlistRateLimiter);
+router.use(optionalAuth);
+
+const { minIntervalMinutes, maxIntervalMinutes } = youtubeConfig.watchlist;
+
+const intervalRule = () => body('intervalMinutes')
+  .isInt({ min: minIntervalMinutes, max: maxIntervalMinutes })
+  .withMessage(`intervalMinutes must be between ${minIntervalMinutes} and ${maxIntervalMinutes}`)
+  .toInt();
+
+const addRules = [
+  body('type')
+    .isIn(['video', 'channel', 'search']).withMessage('type must be video, channel or search'),
+  body('targetId')
+    .isString().withMessage('targetId is required').bail()
+    .trim()
+    .notEmpty().withMessage('targetId is required').bail()
+    .custom((value, { req }) => {
+      if (req.body.type === 'video' && !VIDEO_ID_PATTERN.test(value)) {
+        throw new Error('targetId must be an 11-character YouTube video ID');
+      }
+      if (req.body.type === 'channel' && !CHANNEL_ID_PATTERN.test(value)) {
+        throw new Error('targetId must be a YouTube channel ID (UC...)');
+      }
+      if (req.body.type === 'search' && value.length > 200) {
+        throw new Error('Search query must be at most 200 characters');
+      }
+      return true;
+    }),
+  intervalRule().optional()
+];
+
+router.get('/', getWatchlist);
+router.post('/', addRules, validate, addWatchlistItem);
+router.patch('/:id', [intervalRule()], validate, updateWatchlistItem);
+router.delete('/:id', deleteWatchlistItem);
+router.post('/:id/refresh', refreshWatchlistItem);
+
+module.exports = router;
@@ -3,50 +3,212 @@
  */
 const express = require('express');
 const router = express.Router();
-const { youtubeService } = require('../services/youtubeService');
+const { query, param } = require('express-validator');
 const optionalAuth = require('../middleware/optionalAuth');
 const quotaTracker = require('../middleware/quotaTracker');
-const { cacheMiddleware } = require('../middleware/cacheMiddleware');
+const { cacheMiddleware, buildCacheParams } = require('../middleware/cacheMiddleware');
+const { requestContextMiddleware } = require('../utils/requestContext');
+const validate = require('../middleware/validate');
+const youtubeConfig = require('../config/youtube');
+const { CHANNEL_ID_PATTERN, parseChannelIds } = require('../utils/channelIds');
+const { loadEndpoint } = require('../services/endpointLoaders');
 
 // Apply middleware
 router.use(optionalAuth);
+router.use(requestContextMiddleware); // Attributes API quota usage to the user
 router.use(quotaTracker);
 
+// Validation chains shared by the search routes (run before the cache so bad
+// input never hits it)
+const queryRules = [
+  query('q')
+    .isString().withMessage('Search query is required').bail()
+    .custom(value => value.trim().length > 0).withMessage('Search query is required'),
+  query('maxResults')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('maxResults must be between 1 and 50 (use pageToken for more)'),
+  // Page tokens are opaque, URL-safe strings issued by YouTube
+  query('pageToken')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]{1,128}$/).withMessage('pageToken is invalid'),
+  query('order')
+    .optional()
+    .isIn(Object.values(youtubeConfig.searchOrders))
+    .withMessage(`order must be one of: ${Object.values(youtubeConfig.searchOrders).join(', ')}`)
+];
+
+const localeRules = [
+  query('regionCode')
+    .optional()
+    .matches(/^[A-Za-z]{2}$/).withMessage('regionCode must be a 2-letter ISO country code'),
+  query('relevanceLanguage')
+    .optional()
+    .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/i).withMessage('relevanceLanguage must be an ISO 639-1 language code'),
+  query('safeSearch')
+    .optional()
+    .isIn(Object.values(youtubeConfig.safeSearchLevels))
+    .withMessage(`safeSearch must be one of: ${Object.values(youtubeConfig.safeSearchLevels).join(', ')}`)
+];
+
+const searchRules = [
+  ...queryRules,
+  query(['publishedAfter', 'publishedBefore'])
+    .optional()
+    .isISO8601().withMessage('Must be an ISO 8601 date or timestamp'),
+  query('publishedBefore')
+    .optional()
+    .custom((value, { req }) => !req.query.publishedAfter || new Date(req.query.publishedAfter) < new Date(value))
+    .withMessage('publishedBefore must be later than publishedAfter'),
+  query('videoCategoryId')
+    .optional()
+    .matches(/^\d+$/).withMessage('videoCategoryId must be numeric'),
+  query('videoDuration')
+    .optional()
+    .isIn(Object.values(youtubeConfig.videoDurations))
+    .withMessage(`videoDuration must be one of: ${Object.values(youtubeConfig.videoDurations).join(', ')}`),
+  query('videoDefinition')
+    .optional()
+    .isIn(Object.values(youtubeConfig.videoDefinitions))
+    .withMessage(`videoDefinition must be one of: ${Object.values(youtubeConfig.videoDefinitions).join(', ')}`),
+  query('videoCaption')
+    .optional()
+    .isIn(Object.values(youtubeConfig.videoCaptions))
+    .withMessage(`videoCaption must be one of: ${Object.values(youtubeConfig.videoCaptions).join(', ')}`),
+  ...localeRules
+];
+
+const channelSearchRules = [...queryRules, ...localeRules];
+
+// Uploads are listed from the channel's uploads playlist, so only real
+// channel IDs (UC + 22 characters) work here
+const channelIdRule = param('channelId')
+  .matches(CHANNEL_ID_PATTERN).withMessage('channelId must be a YouTube channel ID (UC...)');
+
+const channelVideosRules = [
+  channelIdRule,
+  query('maxResults')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('maxResults must be between 1 and 50 (use pageToken for more)'),
+  query('pageToken')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]{1,128}$/).withMessage('pageToken is invalid')
+];
+
+const channelAnalyticsRules = [
+  channelIdRule,
+  query('maxVideos')
+    .optional()
+    .isInt({ min: 10, max: 200 }).withMessage('maxVideos must be between 10 and 200')
+];
+
+const commentsRules = [
+  param('videoId')
+    .matches(/^[A-Za-z0-9_-]{11}$/).withMessage('videoId must be an 11-character YouTube video ID'),
+  query('maxResults')
+    .optional()
+    .isInt({ min: 1, max: 1000 }).withMessage('maxResults must be between 1 and 1000'),
+  query('order')
+    .optional()
+    .isIn(['relevance', 'time']).withMessage('order must be relevance or time'),
+  query('replies')
+    .optional()
+    .isIn(['true', 'false']).withMessage('replies must be true or false')
+];
+
+const channelCompareRules = [
+  query('ids')
+    .custom(value => {
+      const ids = parseChannelIds(value);
+      if (ids.length < 2 || ids.length > 5) {
+        throw new Error('ids must list 2 to 5 different channel IDs');
+      }
+      const invalid = ids.filter(id => !CHANNEL_ID_PATTERN.test(id));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid channel IDs: ${invalid.join(', ')}`);
+      }
+      return true;
+    }),
+  query('maxVideos')
+    .optional()
+    .isInt({ min: 5, max: 50 }).withMessage('maxVideos must be between 5 and 50')
+];
+
 /**
  * Search for videos
- * GET /api/v1/youtube/search?q=query&maxResults=20&order=relevance
+ * GET /api/v1/youtube/search?q=query&maxResults=20&order=relevance&pageToken=...
+ * Optional search.list filters: publishedAfter, publishedBefore, videoCategoryId,
+ * videoDuration, videoDefinition, videoCaption, regionCode, relevanceLanguage, safeSearch
  */
-router.get('/search', cacheMiddleware('search'), async (req, res) => {
+router.get('/search', searchRules, validate, cacheMiddleware('search'), async (req, res) => {
   try {
-    const { q, maxResults = 20, order = 'relevance' } = req.query;
+    const data = await loadEndpoint('search', buildCacheParams('search', req));
 
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query is required'
-      });
-    }
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[YouTube Routes] Search error:', error);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to search videos'
+    });
+  }
+});
+
+/**
+ * Search for channels
+ * GET /api/v1/youtube/channels/search?q=query&maxResults=20&order=relevance&pageToken=...
+ * Optional search.list filters: regionCode, relevanceLanguage, safeSearch
+ * Channel details come from a single batched channels.list call per page
+ */
+router.get('/channels/search', channelSearchRules, validate, cacheMiddleware('channelSearch'), async (req, res) => {
+  try {
+    const data = await loadEndpoint('channelSearch', buildCacheParams('channelSearch', req));
 
-    // searchVideos already returns parsed video objects
-    const results = await youtubeService.searchVideos(q, {
-      maxResults: parseInt(maxResults),
-      order
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('[YouTube Routes] Channel search error:', error);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to search channels'
+    });
+  }
+});
+
+/**
+ * Compare 2-5 channels side by side from their stats and recent uploads
+ * GET /api/v1/youtube/channels/compare?ids=UC...,UC...&maxVideos=25
+ * Costs 1 channels.list, 1 playlistItems.list per channel and 1 videos.list
+ * per 50 uploads
+ */
+router.get('/channels/compare', channelCompareRules, validate, cacheMiddleware('channelCompare'), async (req, res) => {
+  try {
+    const data = await loadEndpoint('channelCompare', buildCacheParams('channelCompare', req));
 
     res.json({
       success: true,
-      data: {
-        results,
-        query: q,
-        count: results.length
-      },
+      data,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('[YouTube Routes] Search error:', error);
+    console.error('[YouTube Routes] Channel comparison error:', error);
+
+    if (error.message?.includes(youtubeConfig.errors.CHANNEL_NOT_FOUND)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     res.status(error.response?.status || 500).json({
       success: false,
-      error: error.message || 'Failed to search videos'
+      error: error.message || 'Failed to compare channels'
     });
   }
 });
@@ -66,10 +228,9 @@ router.get('/video/:videoId', cacheMiddleware('video'), async (req, res) => {
       });
     }
 
-    // getVideoDetails already returns a parsed video object
-    const video = await youtubeService.getVideoDetails(videoId);
+    const data = await loadEndpoint('video', buildCacheParams('video', req));
 
-    if (!video) {
+    if (!data) {
       return res.status(404).json({
         success: false,
         error: 'Video not found'
@@ -78,7 +239,7 @@ router.get('/video/:videoId', cacheMiddleware('video'), async (req, res) => {
 
     res.json({
       success: true,
-      data: { video },
+      data,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -90,6 +251,45 @@ router.get('/video/:videoId', cacheMiddleware('video'), async (req, res) => {
   }
 });
 
+/**
+ * Comment threads of a video with their analysis
+ * GET /api/v1/youtube/video/:videoId/comments?maxResults=200&order=relevance&replies=true
+ * Costs 1 unit per 100 threads, plus 1 per 100 replies of the (up to 20)
+ * threads whose replies are completed
+ */
+router.get('/video/:videoId/comments', commentsRules, validate, cacheMiddleware('comments'), async (req, res) => {
+  try {
+    const data = await loadEndpoint('comments', buildCacheParams('comments', req));
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[YouTube Routes] Comments error:', error);
+
+    if (error.message === youtubeConfig.errors.VIDEO_NOT_FOUND) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (error.message === youtubeConfig.errors.COMMENTS_DISABLED) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get comments'
+    });
+  }
+});
+
 /**
  * Get channel stats
  * GET /api/v1/youtube/channel/:channelId
@@ -114,13 +314,9 @@ router.get('/channel/:channelId', cacheMiddleware('channel'), async (req, res) =
       });
     }
 
-    // Clean channel ID (remove spaces, special characters)
-    const cleanChannelId = channelId.trim();
-
-    // getChannelStats already returns a parsed channel object
-    const channel = await youtubeService.getChannelStats(cleanChannelId);
+    const data = await loadEndpoint('channel', buildCacheParams('channel', req));
 
-    if (!channel) {
+    if (!data) {
       return res.status(404).json({
         success: false,
         error: 'Channel not found'
@@ -129,7 +325,7 @@ router.get('/channel/:channelId', cacheMiddleware('channel'), async (req, res) =
 
     res.json({
       success: true,
-      data: { channel },
+      data,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -158,4 +354,105 @@ router.get('/channel/:channelId', cacheMiddleware('channel'), async (req, res) =
   }
 });
 
+/**
+ * List a channel's uploads, newest first
+ * GET /api/v1/youtube/channel/:channelId/videos?maxResults=25&pageToken=...
+ * Costs channels.list + playlistItems.list + videos.list (3 units) per page
+ */
+router.get('/channel/:channelId/videos', channelVideosRules, validate, cacheMiddleware('channelVideos'), async (req, res) => {
+  try {
+    const data = await loadEndpoint('channelVideos', buildCacheParams('channelVideos', req));
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[YouTube Routes] Channel uploads error:', error);
+
+    if (error.message?.includes(youtubeConfig.errors.CHANNEL_NOT_FOUND)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel not found'
+      });
+    }
+
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get channel uploads'
+    });
+  }
+});
+
+/**
+ * Channel analytics computed from the channel's most recent uploads
+ * GET /api/v1/youtube/channel/:channelId/analytics?maxVideos=50
+ * Costs 1 channels.list plus 2 units per 50 uploads
+ */
+router.get('/channel/:channelId/analytics', channelAnalyticsRules, validate, cacheMiddleware('channelAnalytics'), async (req, res) => {
+  try {
+    const data = await loadEndpoint('channelAnalytics', buildCacheParams('channelAnalytics', req));
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[YouTube Routes] Channel analytics error:', error);
+
+    if (error.message?.includes(youtubeConfig.errors.CHANNEL_NOT_FOUND)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel not found'
+      });
+    }
+
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to compute channel analytics'
+    });
+  }
+});
+
+/**
+ * Get trending videos
+ * GET /api/v1/youtube/trending?regionCode=US&videoCategoryId=10&maxResults=20&pageToken=...
+ */
+router.get('/trending', cacheMiddleware('trending'), async (req, res) => {
+  try {
+    const { regionCode = 'US', videoCategoryId } = req.query;
+
+    // Region codes are ISO 3166-1 alpha-2 (two letters)
+    if (!/^[A-Za-z]{2}$/.test(regionCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'regionCode must be a 2-letter ISO country code'
+      });
+    }
+
+    if (videoCategoryId && !/^\d+$/.test(videoCategoryId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'videoCategoryId must be numeric'
+      });
+    }
+
+    const data = await loadEndpoint('trending', buildCacheParams('trending', req));
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[YouTube Routes] Trending error:', error);
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get trending videos'
+    });
+  }
+});
+
 module.exports = router;
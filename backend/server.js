@@ -76,11 +76,36 @@ app.use('/api/v1/auth', authRoutes);
 const youtubeRoutes = require('./routes/youtube');
 app.use('/api/v1/youtube', youtubeRoutes);
 
+// ------------------------------------
+// User Routes
+const userRoutes = require('./routes/user');
+app.use('/api/v1/user', userRoutes);
+
 // ------------------------------------
 // Cache Routes
 const cacheRoutes = require('./routes/cache');
 app.use('/api/v1/cache', cacheRoutes);
 
+// ------------------------------------
+// Metric Snapshot Routes
+const snapshotRoutes = require('./routes/snapshots');
+app.use('/api/v1/snapshots', snapshotRoutes);
+
+// ------------------------------------
+// Watchlist Routes
+const watchlistRoutes = require('./routes/watchlist');
+app.use('/api/v1/watchlist', watchlistRoutes);
+
+// ------------------------------------
+// Alert Routes
+const alertRoutes = require('./routes/alerts');
+app.use('/api/v1/alerts', alertRoutes);
+
+// ------------------------------------
+// Admin Routes
+const adminRoutes = require('./routes/admin');
+app.use('/api/v1/admin', adminRoutes);
+
 // ------------------------------------
 // Error Handling
 app.use((err, req, res, next) => {
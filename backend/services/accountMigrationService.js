@@ -0,0 +1,166 @@
+/**
+ * Account Migration Service
+ * Carries everything attached to a guestId over to a registered account
+ * when a guest signs up, upgrades or signs in
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const GuestSession = require('../models/GuestSession');
+const TokenBlacklist = require('../models/TokenBlacklist');
+const WatchlistItem = require('../models/WatchlistItem');
+const AlertRule = require('../models/AlertRule');
+const Notification = require('../models/Notification');
+const { decodeToken } = require('../utils/guestToken');
+const { searchHistory } = require('../config/auth');
+
+/**
+ * Run `work` inside a transaction when the deployment supports one
+ * Standalone MongoDB (typical local setup) rejects transactions before any
+ * write is applied, so the work is retried without a session in that case
+ */
+async function runAtomically(work) {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    const unsupported = error.code === 20 ||
+      /Transaction numbers are only allowed|replica set/i.test(error.message);
+
+    if (!unsupported) {
+      throw error;
+    }
+
+    console.warn('[Account Migration] Transactions unavailable, migrating without a session');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Revoke the guest's token so it cannot be replayed after the upgrade
+ */
+async function revokeGuestToken(guest, guestToken, session) {
+  const decoded = decodeToken(guestToken);
+  if (!decoded || !decoded.exp) {
+    return false;
+  }
+
+  await TokenBlacklist.blacklistToken(
+    guestToken,
+    guest._id,
+    guest.guestId,
+    new Date(decoded.exp * 1000),
+    'upgrade',
+    { session }
+  );
+
+  return true;
+}
+
+/**
+ * Re-parent the guest's watchlist, alert rules and notifications
+ * Items the account already watches are dropped in favour of the account's
+ * own, and anything that pointed at them follows the account's item
+ * @returns {Promise<Object>} { watchlistItems, alertRules } moved
+ */
+async function moveWatchlist(guest, account, session) {
+  const owned = await WatchlistItem.find({ userId: account._id }, 'type targetId', { session }).lean();
+  const ownedIds = new Map(owned.map(item => [`${item.type}:${item.targetId}`, item._id]));
+
+  const guestItems = await WatchlistItem.find({ userId: guest._id }, 'type targetId', { session }).lean();
+  for (const item of guestItems) {
+    const ownedId = ownedIds.get(`${item.type}:${item.targetId}`);
+    if (!ownedId) continue;
+
+    await AlertRule.updateMany({ itemId: item._id }, { $set: { itemId: ownedId } }, { session });
+    await Notification.updateMany({ itemId: item._id }, { $set: { itemId: ownedId } }, { session });
+    await WatchlistItem.deleteOne({ _id: item._id }, { session });
+  }
+
+  const items = await WatchlistItem.updateMany({ userId: guest._id }, { $set: { userId: account._id } }, { session });
+  const rules = await AlertRule.updateMany({ userId: guest._id }, { $set: { userId: account._id } }, { session });
+  await Notification.updateMany({ userId: guest._id }, { $set: { userId: account._id } }, { session });
+
+  return { watchlistItems: items.modifiedCount, alertRules: rules.modifiedCount };
+}
+
+/**
+ * Migrate a guest into a registered account
+ *
+ * - Same document (in-place upgrade): persists the pending account fields and
+ *   retires the guest's sessions
+ * - Different documents (guest signing in/up): appends the guest's search
+ *   history to the account, re-parents the guest's sessions, watchlist,
+ *   alert rules and notifications, and removes the guest user
+ *
+ * The old guest token is blacklisted with reason 'upgrade' in the same unit
+ * of work.
+ *
+ * @param {Object} options
+ * @param {Object} options.guest - Guest user document (req.user)
+ * @param {Object} options.account - Registered user document
+ * @param {string} options.guestToken - Token the guest authenticated with
+ * @returns {Promise<Object>} Migration summary
+ */
+async function migrateGuestToAccount({ guest, account, guestToken }) {
+  const inPlace = guest._id.equals(account._id);
+  const guestId = guest.guestId;
+  const history = inPlace ? [] : guest.searchHistory.map(entry => entry.toObject());
+
+  const summary = await runAtomically(async (session) => {
+    let historyEntries = inPlace ? account.searchHistory.length : 0;
+    let moved = { watchlistItems: 0, alertRules: 0 };
+
+    if (inPlace) {
+      await account.save({ session });
+    } else {
+      if (history.length > 0) {
+        // Oldest entries beyond the history limit are dropped
+        await User.updateOne(
+          { _id: account._id },
+          { $push: { searchHistory: { $each: history, $sort: { timestamp: 1 }, $slice: -searchHistory.maxEntries } } },
+          { session }
+        );
+        historyEntries = history.length;
+      }
+
+      moved = await moveWatchlist(guest, account, session);
+      await User.deleteOne({ _id: guest._id, userType: 'GUEST' }, { session });
+    }
+
+    // Sessions follow the account; the guest's own sessions are no longer usable
+    const sessions = await GuestSession.updateMany(
+      { guestId },
+      { $set: { guestId: account.guestId, isActive: false } },
+      { session }
+    );
+
+    const tokenRevoked = guestToken
+      ? await revokeGuestToken(guest, guestToken, session)
+      : false;
+
+    return {
+      fromGuestId: guestId,
+      toUserId: account._id,
+      historyEntries,
+      ...moved,
+      sessions: sessions.modifiedCount,
+      tokenRevoked
+    };
+  });
+
+  console.log(`[Account Migration] Guest ${guestId} -> user ${account._id}: ${summary.historyEntries} history entries, ${summary.watchlistItems} watchlist items, ${summary.alertRules} alert rules, ${summary.sessions} sessions`);
+
+  return summary;
+}
+
+module.exports = {
+  migrateGuestToAccount
+};
@@ -0,0 +1,215 @@
+/**
+ * Alert Service
+ * Checks alert rules against the last two refreshes of their watchlist
+ * item; triggered rules create a notification and, if the rule has a
+ * webhook URL, post it there
+ */
+
+const AlertRule = require('../models/AlertRule');
+const Notification = require('../models/Notification');
+const { deliverWebhook } = require('./webhook');
+
+const METRIC_LABELS = {
+  viewCount: 'views',
+  likeCount: 'likes',
+  commentCount: 'comments',
+  engagementRate: 'engagement rate (%)',
+  subscriberCount: 'subscribers',
+  videoCount: 'videos',
+  totalResults: 'total results',
+  averageViews: 'average views'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const formatValue = (value) => Number(value.toFixed(2)).toLocaleString('en-US');
+
+const formatWindow = (minutes) => {
+  if (minutes % 1440 === 0) return minutes === 1440 ? 'a day' : `${minutes / 1440} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? 'an hour' : `${minutes / 60} hours`;
+  return `${minutes} minutes`;
+};
+
+/**
+ * Human-readable condition, e.g. "views increase by 10,000 in an hour"
+ * @param {Object} rule
+ * @returns {string}
+ */
+const describeRule = (rule) => {
+  const label = METRIC_LABELS[rule.metric] || rule.metric;
+  const threshold = formatValue(rule.threshold);
+
+  if (rule.condition === 'increase' || rule.condition === 'decrease') {
+    return `${label} ${rule.condition} by ${threshold} in ${formatWindow(rule.windowMinutes)}`;
+  }
+  return `${label} ${rule.condition === 'above' ? 'rise above' : 'drop below'} ${threshold}`;
+};
+
+/**
+ * Check one rule against its item
+ * above/below fire when the latest value crosses the threshold (or is past it
+ * on the first refresh); increase/decrease compare the change between the
+ * last two refreshes, scaled to the rule's window
+ *
+ * @param {Object} rule - AlertRule
+ * @param {Object} item - WatchlistItem with latest (and previous) refresh
+ * @param {Date} [now=new Date()]
+ * @returns {Object|null} { value, message } when triggered
+ */
+const evaluateRule = (rule, item, now = new Date()) => {
+  if (!rule.enabled) {
+    return null;
+  }
+  if (rule.lastTriggeredAt && now - new Date(rule.lastTriggeredAt) < rule.cooldownMinutes * MINUTE_MS) {
+    return null;
+  }
+
+  const latest = item.latest?.metrics?.[rule.metric];
+  const previous = item.previous?.metrics?.[rule.metric];
+  if (typeof latest !== 'number') {
+    return null;
+  }
+
+  const title = item.title || item.targetId;
+  const label = METRIC_LABELS[rule.metric] || rule.metric;
+
+  if (rule.condition === 'above' || rule.condition === 'below') {
+    const past = (value) => (rule.condition === 'above' ? value > rule.threshold : value < rule.threshold);
+    if (!past(latest) || (typeof previous === 'number' && past(previous))) {
+      return null;
+    }
+    return {
+      value: latest,
+      message: `${title}: ${label} ${rule.condition === 'above' ? 'rose above' : 'dropped below'} ${formatValue(rule.threshold)} (now ${formatValue(latest)})`
+    };
+  }
+
+  if (typeof previous !== 'number') {
+    return null;
+  }
+
+  const elapsedMinutes = (new Date(item.latest.refreshedAt) - new Date(item.previous.refreshedAt)) / MINUTE_MS;
+  if (elapsedMinutes <= 0) {
+    return null;
+  }
+
+  const change = ((latest - previous) / elapsedMinutes) * rule.windowMinutes;
+  const moved = rule.condition === 'increase' ? change : -change;
+  if (moved < rule.threshold) {
+    return null;
+  }
+
+  return {
+    value: change,
+    message: `${title}: ${label} ${rule.condition === 'increase' ? 'grew' : 'fell'} by ${formatValue(moved)} in ${formatWindow(rule.windowMinutes)} (threshold ${formatValue(rule.threshold)})`
+  };
+};
+
+/**
+ * App path of a watchlist item's page
+ */
+const itemLink = (item) => {
+  if (item.type === 'video') return `/video/${item.targetId}`;
+  if (item.type === 'channel') return `/channel/${item.targetId}`;
+  return '/watchlist';
+};
+
+/**
+ * Payload posted to a rule's webhook
+ */
+const buildPayload = (event, rule, item, result, now) => ({
+  event,
+  triggeredAt: now.toISOString(),
+  rule: {
+    id: String(rule._id),
+    metric: rule.metric,
+    condition: rule.condition,
+    threshold: rule.threshold,
+    windowMinutes: rule.windowMinutes,
+    description: describeRule(rule)
+  },
+  item: {
+    id: String(item._id),
+    type: item.type,
+    targetId: item.targetId,
+    title: item.title || item.targetId
+  },
+  value: result.value,
+  message: result.message
+});
+
+/**
+ * Evaluate the rules of freshly refreshed items
+ * @param {Array<Object>} items - WatchlistItem documents
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Alerts triggered
+ */
+const evaluateAlerts = async (items, now = new Date()) => {
+  if (items.length === 0) {
+    return 0;
+  }
+
+  const itemsById = new Map(items.map(item => [String(item._id), item]));
+  const rules = await AlertRule.find({ itemId: { $in: [...itemsById.keys()] }, enabled: true });
+
+  let triggered = 0;
+  const deliveries = [];
+  for (const rule of rules) {
+    const item = itemsById.get(String(rule.itemId));
+    const result = evaluateRule(rule, item, now);
+    if (!result) continue;
+
+    rule.lastTriggeredAt = now;
+    await rule.save();
+
+    const notification = await Notification.create({
+      userId: rule.userId,
+      ruleId: rule._id,
+      itemId: item._id,
+      title: `Alert: ${describeRule(rule)}`,
+      message: result.message,
+      link: itemLink(item),
+      value: result.value,
+      createdAt: now
+    });
+    triggered++;
+
+    if (rule.webhookUrl) {
+      deliveries.push({ notification, url: rule.webhookUrl, payload: buildPayload('alert.triggered', rule, item, result, now) });
+    }
+  }
+
+  // Post webhooks together once every notification exists, so slow
+  // receivers hold the refresh up for one timeout at most
+  await Promise.allSettled(deliveries.map(async ({ notification, url, payload }) => {
+    const webhook = await deliverWebhook(url, payload);
+    await Notification.updateOne({ _id: notification._id }, { $set: { webhook } });
+  }));
+
+  if (triggered > 0) {
+    console.log(`[Alerts] ${triggered} alert(s) triggered`);
+  }
+  return triggered;
+};
+
+/**
+ * Post a sample payload to a rule's webhook so the receiver can be checked
+ * @param {Object} rule - AlertRule with a webhookUrl
+ * @param {Object} item - Its WatchlistItem
+ * @returns {Promise<Object>} Delivery result
+ */
+const sendTestWebhook = async (rule, item) => {
+  const latest = item.latest?.metrics?.[rule.metric];
+  return deliverWebhook(rule.webhookUrl, buildPayload('alert.test', rule, item, {
+    value: typeof latest === 'number' ? latest : null,
+    message: `Test delivery for "${describeRule(rule)}" on ${item.title || item.targetId}`
+  }, new Date()));
+};
+
+module.exports = {
+  METRIC_LABELS,
+  describeRule,
+  evaluateRule,
+  evaluateAlerts,
+  sendTestWebhook
+};
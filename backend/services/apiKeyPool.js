@@ -0,0 +1,238 @@
+/**
+ * API Key Pool Service
+ * Rotates YouTube API calls between every configured key, tracks each key's
+ * quota consumption, and fails over to the next key when one runs out of
+ * quota or is rejected as invalid
+ *
+ * Key state lives in this process; exhaustion clears when the Pacific quota
+ * day rolls over. Shared per-key usage comes from the QuotaLedger.
+ */
+
+const youtubeConfig = require('../config/youtube');
+const QuotaLedger = require('../models/QuotaLedger');
+const { getQuotaDay, getNextQuotaReset } = require('../utils/quotaDay');
+
+// Error reasons that mean the key itself has no quota left today
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+
+// Error reasons that mean the key will not work until someone fixes it
+const KEY_REASONS = ['keyInvalid', 'keyExpired', 'accessNotConfigured', 'ipRefererBlocked', 'API_KEY_INVALID'];
+
+// 403 reasons about the requested resource rather than the key or quota
+const RESOURCE_REASONS = ['commentsDisabled', 'forbidden'];
+
+const keys = youtubeConfig.apiKeys.map(({ id, label, masked, client }) => ({
+  id,
+  label,
+  masked,
+  client,
+  day: getQuotaDay(),
+  unitsUsed: 0,
+  calls: 0,
+  failedCalls: 0,
+  exhaustedAt: null,
+  disabledAt: null,
+  disabledReason: null,
+  lastError: null,
+  lastUsedAt: null
+}));
+
+let cursor = 0;
+
+/**
+ * Start a new day's tally for a key when the quota day has rolled over
+ */
+const rollover = (key) => {
+  const today = getQuotaDay();
+  if (key.day !== today) {
+    key.day = today;
+    key.unitsUsed = 0;
+    key.calls = 0;
+    key.failedCalls = 0;
+    key.exhaustedAt = null;
+  }
+};
+
+/**
+ * Whether a key can take a call of the given cost
+ */
+const canServe = (key, units) => {
+  rollover(key);
+  return !key.disabledAt &&
+    !key.exhaustedAt &&
+    key.unitsUsed + units <= youtubeConfig.quotaLimits.dailyLimit;
+};
+
+/**
+ * Pick the next usable key, round-robin
+ * @param {number} units - Cost of the upcoming call
+ * @param {Set<string>} exclude - Key ids already tried for this call
+ * @returns {Object|null} Key, or null when none can take the call
+ */
+const acquire = (units, exclude = new Set()) => {
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[(cursor + i) % keys.length];
+    if (!exclude.has(key.id) && canServe(key, units)) {
+      cursor = (cursor + i + 1) % keys.length;
+      return key;
+    }
+  }
+  return null;
+};
+
+/**
+ * Extract the API error reason from a googleapis error, including errors
+ * that exponentialBackoff wrapped as QUOTA_EXCEEDED
+ */
+const getErrorReason = (error) => {
+  const source = error?.cause || error;
+  const apiError = source?.response?.data?.error;
+
+  return source?.errors?.[0]?.reason ||
+    apiError?.errors?.[0]?.reason ||
+    apiError?.details?.find(detail => detail.reason)?.reason ||
+    '';
+};
+
+/**
+ * Whether a failure is about the requested resource (e.g. a video with
+ * comments turned off); such calls fail the same way on every key and retry
+ */
+const isResourceError = (error) => {
+  return RESOURCE_REASONS.includes(getErrorReason(error));
+};
+
+/**
+ * Classify a failed call
+ * @returns {string} 'quota' | 'invalid_key' | 'error'
+ */
+const classifyError = (error) => {
+  const reason = getErrorReason(error);
+  const message = error?.cause?.message || error?.message || '';
+
+  if (QUOTA_REASONS.includes(reason) || (!reason && /exceeded your .*quota/i.test(message))) {
+    return 'quota';
+  }
+  if (KEY_REASONS.includes(reason) || /API key (not valid|expired)/i.test(message)) {
+    return 'invalid_key';
+  }
+  return 'error';
+};
+
+/**
+ * Record a successful call made with a key
+ */
+const recordSuccess = (key, units) => {
+  rollover(key);
+  key.unitsUsed += units;
+  key.calls++;
+  key.lastUsedAt = new Date();
+};
+
+/**
+ * Record a failed call and take the key out of rotation when the failure is
+ * specific to it
+ * @returns {string} Classification from classifyError()
+ */
+const recordFailure = (key, error) => {
+  rollover(key);
+  const outcome = classifyError(error);
+
+  key.calls++;
+  key.failedCalls++;
+  key.lastUsedAt = new Date();
+  key.lastError = {
+    reason: getErrorReason(error) || null,
+    message: error?.cause?.message || error?.message,
+    at: new Date()
+  };
+
+  if (outcome === 'quota' && !key.exhaustedAt) {
+    key.exhaustedAt = new Date();
+    console.warn(`[API Key Pool] ${key.label} (${key.masked}) exhausted for ${key.day}`);
+  }
+
+  if (outcome === 'invalid_key' && !key.disabledAt) {
+    key.disabledAt = new Date();
+    key.disabledReason = key.lastError.reason || 'invalid';
+    console.error(`[API Key Pool] ${key.label} (${key.masked}) disabled: ${key.lastError.message}`);
+  }
+
+  return outcome;
+};
+
+/**
+ * Error to throw when no key can take a call
+ * Reported as QUOTA_EXCEEDED unless every key is disabled as invalid
+ */
+const getUnavailableError = () => {
+  const allDisabled = keys.every(key => key.disabledAt);
+  return new Error(allDisabled
+    ? youtubeConfig.errors.INVALID_API_KEY
+    : youtubeConfig.errors.QUOTA_EXCEEDED);
+};
+
+/**
+ * Whether any key can still be used today
+ */
+const hasAvailableKey = () => {
+  return keys.some(key => canServe(key, 0));
+};
+
+/**
+ * Per-key health for monitoring
+ * @returns {Promise<Object>} { day, resetsAt, total, available, keys }
+ */
+const getHealth = async () => {
+  const day = getQuotaDay();
+  const sharedUnits = await QuotaLedger.getDailyTotalsByKey(day);
+  const { dailyLimit } = youtubeConfig.quotaLimits;
+
+  const health = keys.map(key => {
+    rollover(key);
+    const unitsUsed = Math.max(key.unitsUsed, sharedUnits[key.id] || 0);
+
+    let status = 'healthy';
+    if (key.disabledAt) status = 'disabled';
+    else if (key.exhaustedAt) status = 'exhausted';
+    else if (unitsUsed >= dailyLimit) status = 'depleted';
+
+    return {
+      id: key.id,
+      label: key.label,
+      key: key.masked,
+      status,
+      unitsUsed,
+      instanceUnitsUsed: key.unitsUsed,
+      dailyLimit,
+      remaining: Math.max(0, dailyLimit - unitsUsed),
+      calls: key.calls,
+      failedCalls: key.failedCalls,
+      exhaustedAt: key.exhaustedAt,
+      disabledAt: key.disabledAt,
+      disabledReason: key.disabledReason,
+      lastError: key.lastError,
+      lastUsedAt: key.lastUsedAt
+    };
+  });
+
+  return {
+    day,
+    resetsAt: getNextQuotaReset(),
+    total: keys.length,
+    available: health.filter(key => key.status === 'healthy').length,
+    keys: health
+  };
+};
+
+module.exports = {
+  acquire,
+  recordSuccess,
+  recordFailure,
+  classifyError,
+  isResourceError,
+  getErrorReason,
+  getUnavailableError,
+  hasAvailableKey,
+  getHealth
+};
@@ -0,0 +1,199 @@
+/**
+ * Cache Policy Service
+ * Admin rules (models/CachePolicy.js) that override how long responses are
+ * cached, per endpoint, per cache key pattern and, for videos, by how long
+ * ago the video was published. A rule may also keep matching responses out
+ * of the cache altogether (bypass).
+ *
+ * Rules are held in memory and read again from MongoDB every
+ * youtubeConfig.cachePolicy.refreshSeconds, so edits apply without a
+ * restart. Without a database connection only the defaults apply.
+ *
+ * Every rule that matches contributes the fields it sets; when several set
+ * the same field, the highest priority (then the latest edit) wins. A
+ * response is bypassed when any matching rule says so.
+ */
+
+const mongoose = require('mongoose');
+const CachePolicy = require('../models/CachePolicy');
+const youtubeConfig = require('../config/youtube');
+const { keyPattern } = require('../utils/cacheEntries');
+
+// Fields a rule may override: rule field => policy field
+const OVERRIDES = {
+  ttlSeconds: 'ttl',
+  graceSeconds: 'grace',
+  revalidateSeconds: 'revalidate'
+};
+
+const state = {
+  rules: [],
+  loadedAt: null,
+  loading: null,
+  lastError: null
+};
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Days since the video in a response was published
+ * Only single-video responses carry one; lists mix videos of every age
+ * @param {Object} data - Response data as cached
+ * @returns {number|null}
+ */
+const responseAgeInDays = (data) => {
+  const age = data?.video?.publishedFeatures?.ageInDays;
+  return typeof age === 'number' ? age : null;
+};
+
+/**
+ * Whether a rule has conditions only a response can answer
+ */
+const needsResponse = (rule) => isSet(rule.minAgeDays) || isSet(rule.maxAgeDays);
+
+/**
+ * Rules ready for matching: key patterns compiled, strongest first
+ * @param {Array<Object>} rules - Plain CachePolicy documents
+ * @returns {Array<Object>}
+ */
+const compileRules = (rules) => {
+  return rules
+    .map(rule => ({ ...rule, matcher: rule.keyPattern ? keyPattern(rule.keyPattern) : null }))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) ||
+      new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+};
+
+/**
+ * Whether a rule applies to a cache entry
+ * Age conditions never match before the response is known
+ * @param {Object} rule - Compiled rule
+ * @param {string} endpoint - Endpoint type
+ * @param {string} key - Cache key
+ * @param {number|null} ageInDays - Age of the response's video, if any
+ * @returns {boolean}
+ */
+const matchesRule = (rule, endpoint, key, ageInDays = null) => {
+  if (rule.enabled === false) {
+    return false;
+  }
+  if (rule.endpoint && rule.endpoint !== '*' && rule.endpoint !== endpoint) {
+    return false;
+  }
+  if (rule.matcher && !rule.matcher.test(key)) {
+    return false;
+  }
+  if (needsResponse(rule)) {
+    if (ageInDays === null) {
+      return false;
+    }
+    if (isSet(rule.minAgeDays) && ageInDays < rule.minAgeDays) {
+      return false;
+    }
+    if (isSet(rule.maxAgeDays) && ageInDays > rule.maxAgeDays) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Policy of a cache entry under a set of rules
+ * @param {Array<Object>} rules - Compiled rules, strongest first
+ * @param {string} endpoint - Endpoint type
+ * @param {string} key - Cache key
+ * @param {Object} defaults - { ttl, grace, revalidate } of the endpoint (seconds)
+ * @param {Object} [data] - Response data; omitted when looking the key up
+ * @returns {Object} { ttl, grace, revalidate, bypass, rules: [names of matching rules] }
+ */
+const applyRules = (rules, endpoint, key, defaults, data) => {
+  const ageInDays = responseAgeInDays(data);
+  const matched = rules.filter(rule => matchesRule(rule, endpoint, key, ageInDays));
+  const policy = { ...defaults, bypass: matched.some(rule => rule.bypass), rules: matched.map(rule => rule.name) };
+
+  Object.entries(OVERRIDES).forEach(([field, setting]) => {
+    const rule = matched.find(candidate => isSet(candidate[field]));
+    if (rule) {
+      policy[setting] = rule[field];
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * Read the rules from MongoDB again
+ * A failed read keeps the rules already loaded
+ * @returns {Promise<Array<Object>>} Compiled rules
+ */
+const reloadPolicies = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return state.rules;
+  }
+
+  if (!state.loading) {
+    state.loading = CachePolicy.find({ enabled: true }).lean()
+      .then(rules => {
+        state.rules = compileRules(rules);
+        state.lastError = null;
+      })
+      .catch(error => {
+        state.lastError = error.message;
+        console.error('[Cache Policy] Failed to load rules:', error.message);
+      })
+      .finally(() => {
+        // Retry a failed read at the next interval too
+        state.loadedAt = new Date();
+        state.loading = null;
+      });
+  }
+
+  await state.loading;
+  return state.rules;
+};
+
+/**
+ * Load the rules once the database is up, then refresh them in the
+ * background once they are older than refreshSeconds
+ */
+const refreshIfDue = async () => {
+  if (!state.loadedAt) {
+    await reloadPolicies();
+    return;
+  }
+
+  const age = Date.now() - state.loadedAt.getTime();
+  if (age >= youtubeConfig.cachePolicy.refreshSeconds * 1000) {
+    reloadPolicies();
+  }
+};
+
+/**
+ * Policy of a cache entry under the current rules
+ * Arguments are those of applyRules, without the rules
+ * @returns {Promise<Object>} { ttl, grace, revalidate, bypass, rules }
+ */
+const resolvePolicy = async (endpoint, key, defaults, data) => {
+  await refreshIfDue();
+  return applyRules(state.rules, endpoint, key, defaults, data);
+};
+
+/**
+ * Rules in use on this instance
+ * @returns {Object} { rules, loadedAt, refreshSeconds, lastError }
+ */
+const getPolicyStatus = () => ({
+  rules: state.rules.map(({ matcher, ...rule }) => rule),
+  loadedAt: state.loadedAt,
+  refreshSeconds: youtubeConfig.cachePolicy.refreshSeconds,
+  lastError: state.lastError
+});
+
+module.exports = {
+  responseAgeInDays,
+  compileRules,
+  matchesRule,
+  applyRules,
+  reloadPolicies,
+  resolvePolicy,
+  getPolicyStatus
+};
@@ -0,0 +1,72 @@
+/**
+ * Cache Store
+ * Where cache entries live: the L2 tier behind services/cacheTiers.js, and
+ * what the cache admin routes and the warming job read. The backend is
+ * chosen by youtubeConfig.cacheStore.backend:
+ * - mongo:  the Cache collection (services/mongoCacheStore.js)
+ * - memory: this process only, for tests (services/memoryCacheStore.js)
+ * - redis:  any Redis-protocol server (services/redisCacheStore.js)
+ *
+ * Every store implements, with Dates for every time:
+ *   name                          'mongo' | 'memory' | 'redis'
+ *   get(key)                      live entry { value, expiresAt } or null; no hit is counted
+ *   getStale(key)                 entry within its grace period { value, expiresAt, staleUntil, createdAt } or null
+ *   set(key, value, ttlSeconds, endpoint, graceSeconds, { keepHits })
+ *                                 store an entry; resolves to at least { expiresAt, staleUntil }
+ *   recordHits(hits)              add Map<key, { count, lastAccessedAt }> to existing entries; resolves to entries updated
+ *   invalidate(pattern)           delete keys matching a pattern ('*' wildcard); resolves to entries deleted
+ *   invalidateEndpoint(endpoint)  delete an endpoint type's entries; resolves to entries deleted
+ *   invalidateAll()               delete every entry; resolves to entries deleted
+ *   cleanup({ includeGrace })     delete expired entries; resolves to entries deleted
+ *   count()                       entries stored, expired ones included
+ *   getStats()                    counts and hits (shape of Cache.getStats)
+ *   getPopular(limit, { minHits, expiringBefore })
+ *                                 most hit live entries { key, endpoint, hits, lastAccessedAt, expiresAt }
+ *   freshKeys(keys, until)        the keys whose entry is live past `until`
+ *   close()                       release the store's connection
+ */
+
+const youtubeConfig = require('../config/youtube');
+const { createMongoStore } = require('./mongoCacheStore');
+const { createMemoryStore } = require('./memoryCacheStore');
+const { createRedisStore } = require('./redisCacheStore');
+
+const BACKENDS = ['mongo', 'memory', 'redis'];
+
+let store = null;
+
+/**
+ * Create a store
+ * @param {Object} config - youtubeConfig.cacheStore
+ * @returns {Object} Cache store
+ */
+const createCacheStore = ({ backend, redisUrl, redisKeyPrefix }) => {
+  if (backend === 'mongo') {
+    return createMongoStore();
+  }
+  if (backend === 'memory') {
+    return createMemoryStore();
+  }
+  if (backend === 'redis') {
+    return createRedisStore({ url: redisUrl, keyPrefix: redisKeyPrefix });
+  }
+  throw new Error(`Unknown cache store "${backend}". Must be one of: ${BACKENDS.join(', ')}`);
+};
+
+/**
+ * The configured store, created on first use
+ * @returns {Object} Cache store
+ */
+const getCacheStore = () => {
+  if (!store) {
+    store = createCacheStore(youtubeConfig.cacheStore);
+    console.log(`[Cache Store] Using ${store.name}`);
+  }
+  return store;
+};
+
+module.exports = {
+  BACKENDS,
+  createCacheStore,
+  getCacheStore
+};
@@ -0,0 +1,221 @@
+/**
+ * Two-Tier Cache
+ * L1: an in-process LRU of recently read entries (utils/lruCache.js)
+ * L2: the configured cache store every instance shares (services/cacheStore.js)
+ *
+ * Reads check L1 first and fall back to L2, filling L1 on an L2 hit. Hits
+ * are counted in memory and written to L2 in batches, so a read no longer
+ * costs a write. Writes and invalidations reach both tiers of this instance;
+ * other instances drop their L1 copy once it expires
+ * (youtubeConfig.cacheL1.ttlSeconds).
+ */
+
+const { getCacheStore } = require('./cacheStore');
+const youtubeConfig = require('../config/youtube');
+const LruCache = require('../utils/lruCache');
+const { keyPattern } = require('../utils/cacheEntries');
+
+const { maxEntries, maxMegabytes, ttlSeconds, hitFlushSeconds } = youtubeConfig.cacheL1;
+
+// Write pending hits early once this many keys have some
+const MAX_PENDING_KEYS = 1000;
+
+const store = getCacheStore();
+
+const l1 = new LruCache({
+  maxEntries,
+  maxBytes: maxMegabytes * 1024 * 1024,
+  ttlMs: ttlSeconds * 1000
+});
+
+// Lookups since the process started
+const counters = {
+  since: new Date(),
+  l1Hits: 0,
+  l1Misses: 0,
+  l2Hits: 0,
+  l2Misses: 0
+};
+
+// Hits not yet written to L2: key => { count, lastAccessedAt }
+let pendingHits = new Map();
+let flushTimer = null;
+const hitWrites = { flushes: 0, entriesUpdated: 0, failed: 0, lastFlushAt: null };
+
+/**
+ * Write pending hit counts to L2
+ * A failed batch is dropped: hit counts only rank entries for /popular and
+ * cache warming, so losing a few is cheaper than retrying
+ * @returns {Promise<number>} Entries updated
+ */
+const flushHits = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  if (pendingHits.size === 0) {
+    return 0;
+  }
+
+  const batch = pendingHits;
+  pendingHits = new Map();
+
+  try {
+    const updated = await store.recordHits(batch);
+    hitWrites.flushes++;
+    hitWrites.entriesUpdated += updated;
+    hitWrites.lastFlushAt = new Date();
+    return updated;
+  } catch (error) {
+    hitWrites.failed++;
+    console.error('[Cache Tiers] Failed to write hit counts:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Count a hit; it reaches L2 with the next batch
+ */
+const recordHit = (key) => {
+  const pending = pendingHits.get(key);
+  if (pending) {
+    pending.count++;
+    pending.lastAccessedAt = new Date();
+  } else {
+    pendingHits.set(key, { count: 1, lastAccessedAt: new Date() });
+  }
+
+  if (pendingHits.size >= MAX_PENDING_KEYS) {
+    flushHits();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushHits, hitFlushSeconds * 1000);
+    // A pending flush never keeps the process alive
+    flushTimer.unref();
+  }
+};
+
+/**
+ * Get a live cached value
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { value, tier: 'L1' | 'L2' } or null
+ */
+const get = async (key) => {
+  const now = Date.now();
+
+  const value = l1.get(key, now);
+  if (value !== undefined) {
+    counters.l1Hits++;
+    recordHit(key);
+    return { value, tier: 'L1' };
+  }
+  counters.l1Misses++;
+
+  const entry = await store.get(key);
+  if (!entry) {
+    counters.l2Misses++;
+    return null;
+  }
+
+  counters.l2Hits++;
+  recordHit(key);
+  l1.set(key, entry.value, new Date(entry.expiresAt).getTime(), now);
+  return { value: entry.value, tier: 'L2' };
+};
+
+/**
+ * Get an expired value still within its grace period
+ * Grace copies are only kept in L2
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { value, expiresAt, staleUntil, createdAt } or null
+ */
+const getStale = async (key) => {
+  return await store.getStale(key);
+};
+
+/**
+ * Store a value in both tiers
+ * Arguments are those of the store's set
+ * @returns {Promise<Object>} Stored entry
+ */
+const set = async (key, value, ttlSeconds, endpoint, graceSeconds = 0, options = {}) => {
+  const cached = await store.set(key, value, ttlSeconds, endpoint, graceSeconds, options);
+  l1.set(key, value, cached.expiresAt.getTime());
+  return cached;
+};
+
+/**
+ * Delete every entry
+ * @returns {Promise<number>} L2 entries deleted
+ */
+const invalidateAll = async () => {
+  l1.clear();
+  return await store.invalidateAll();
+};
+
+/**
+ * Delete the entries of an endpoint type
+ * @param {string} endpoint - Endpoint type
+ * @returns {Promise<number>} L2 entries deleted
+ */
+const invalidateEndpoint = async (endpoint) => {
+  l1.deleteWhere(key => key.startsWith(`${endpoint}:`));
+  return await store.invalidateEndpoint(endpoint);
+};
+
+/**
+ * Delete the entries whose key matches a pattern
+ * @param {string} pattern - Pattern (e.g., 'search:*')
+ * @returns {Promise<number>} L2 entries deleted
+ */
+const invalidatePattern = async (pattern) => {
+  const regex = keyPattern(pattern);
+  l1.deleteWhere(key => regex.test(key));
+  return await store.invalidate(pattern);
+};
+
+const percent = (hits, lookups) => {
+  return lookups > 0 ? Number(((hits / lookups) * 100).toFixed(2)) : 0;
+};
+
+/**
+ * Hit ratios of each tier since the process started
+ * The L1 ratio is over all lookups, the L2 ratio over the L1 misses that
+ * reached it
+ * @returns {Object} { since, lookups, hitRatio, l1, l2, hitWrites }
+ */
+const getTierStats = () => {
+  const { since, l1Hits, l1Misses, l2Hits, l2Misses } = counters;
+  const lookups = l1Hits + l1Misses;
+
+  return {
+    since,
+    lookups,
+    hitRatio: percent(l1Hits + l2Hits, lookups),
+    l1: {
+      hits: l1Hits,
+      misses: l1Misses,
+      hitRatio: percent(l1Hits, lookups),
+      ...l1.getStats()
+    },
+    l2: {
+      hits: l2Hits,
+      misses: l2Misses,
+      hitRatio: percent(l2Hits, l2Hits + l2Misses)
+    },
+    hitWrites: {
+      pending: pendingHits.size,
+      intervalSeconds: hitFlushSeconds,
+      ...hitWrites
+    }
+  };
+};
+
+module.exports = {
+  get,
+  getStale,
+  set,
+  invalidateAll,
+  invalidateEndpoint,
+  invalidatePattern,
+  flushHits,
+  getTierStats
+};
@@ -1,161 +1,261 @@
 /**
  * Cache Warming Service (Task 197)
- * Pre-populates cache with popular queries
+ * Refreshes the cache entries real traffic keeps asking for shortly before
+ * they expire, so popular requests stay hits instead of spending quota on
+ * the user's time.
+ *
+ * Targets come from two signals:
+ * - popular cache entries (hit counts) that expire within the lookahead
+ * - searches, videos and channels that users requested often recently
+ *   (their search history), whose entry is missing or about to expire
+ *
+ * Keys and parameters are the ones the cache middleware builds, and the
+ * data comes from the same loaders the routes use. Warming spends at most
+ * youtubeConfig.cacheWarming.quotaShare of the daily limit per quota day,
+ * across all of its runs.
  */
 
-const Cache = require('../models/Cache');
-const { youtubeService } = require('./youtubeService');
-const { CACHE_TTL } = require('../middleware/cacheMiddleware');
+const User = require('../models/User');
+const { getCacheStore } = require('./cacheStore');
+const youtubeConfig = require('../config/youtube');
+const quotaBudget = require('./quotaBudget');
+const { ENDPOINT_LOADERS, loadEndpoint, estimateEndpointUnits } = require('./endpointLoaders');
+const { generateCacheKey, parseCacheKey, cacheResponseData } = require('../middleware/cacheMiddleware');
+
+// Request context route of warming runs; their ledger entries count against
+// the daily share
+const WARMING_ROUTE = 'cache.warm';
+
+// Summary of the latest run, shown by GET /api/v1/cache/warm/status
+let lastRun = null;
 
 /**
- * Popular search queries to pre-cache
+ * Errors that mean no more calls can be made today
  */
-const POPULAR_QUERIES = [
-  'javascript tutorial',
-  'react tutorial',
-  'node.js tutorial',
-  'python programming',
-  'web development',
-  'coding for beginners',
-  'javascript course',
-  'react hooks',
-  'mongodb tutorial',
-  'express.js tutorial'
-];
+const isQuotaError = (error) => {
+  return error instanceof quotaBudget.QuotaBudgetError ||
+    error.message === youtubeConfig.errors.QUOTA_EXCEEDED;
+};
 
 /**
- * Popular video IDs to pre-cache
+ * Targets from popular cache entries
+ * @param {Array<Object>} entries - Popular entries (store getPopular)
+ * @returns {Array<Object>} { key, endpoint, params, hits, requests }
  */
-const POPULAR_VIDEOS = [
-  'dQw4w9WgXcQ', // Never Gonna Give You Up
-  // Add more popular video IDs as needed
-];
+const cacheTargets = (entries) => {
+  return entries
+    .map(entry => {
+      const parsed = parseCacheKey(entry.key);
+      if (!parsed || !ENDPOINT_LOADERS[parsed.endpoint]) {
+        return null;
+      }
+      return { key: entry.key, ...parsed, hits: entry.hits || 0, requests: 0 };
+    })
+    .filter(Boolean);
+};
 
 /**
- * Popular channel IDs to pre-cache
+ * Targets from search history counts
+ * Searches are warmed with the page size the Search page requests; other
+ * endpoints in the history (trending, comments, ...) are left to the
+ * popular cache entries, whose keys carry their exact parameters
+ *
+ * @param {Array<Object>} rows - { endpoint, query, requests }
+ * @returns {Array<Object>} { key, endpoint, params, hits, requests }
  */
-const POPULAR_CHANNELS = [
-  'UCXuqSBlHAE6Xw-yeJA0Tunw', // Linus Tech Tips
-  'UCWv7vMbMWH4-V0ZXdmDpPBA', // Programming with Mosh
-  // Add more popular channel IDs as needed
-];
+const historyTargets = (rows) => {
+  const { searchResults } = youtubeConfig.cacheWarming;
+
+  return rows
+    .map(({ endpoint: path, query, requests }) => {
+      const [, resource, id, ...rest] = (path || '').split('/');
+      let target = null;
+
+      if (resource === 'search' && !id && query) {
+        target = { endpoint: 'search', params: { q: query, maxResults: String(searchResults) } };
+      } else if (resource === 'video' && id && rest.length === 0) {
+        target = { endpoint: 'video', params: { videoId: id } };
+      } else if (resource === 'channel' && id && rest.length === 0) {
+        target = { endpoint: 'channel', params: { channelId: id } };
+      }
+
+      return target && {
+        key: generateCacheKey(target.endpoint, target.params),
+        ...target,
+        hits: 0,
+        requests
+      };
+    })
+    .filter(Boolean);
+};
 
 /**
- * Warm cache for search queries
+ * Combine targets that share a cache key, most wanted first
+ * @param {...Array<Object>} lists - Target lists
+ * @returns {Array<Object>} Targets with a `score` (hits plus requests)
  */
-async function warmSearchCache() {
-  console.log('[Cache Warming] Starting search cache warming...');
-  
-  let successCount = 0;
-  let errorCount = 0;
+const mergeTargets = (...lists) => {
+  const merged = new Map();
 
-  for (const query of POPULAR_QUERIES) {
-    try {
-      const results = await youtubeService.searchVideos(query, { maxResults: 10 });
-      const cacheKey = `search:${JSON.stringify({ q: query, maxResults: 10 })}`;
-      
-      await Cache.set(cacheKey, { results, count: results.length, query }, CACHE_TTL.search, 'search');
-      
-      successCount++;
-      console.log(`[Cache Warming] ✓ Cached search: "${query}"`);
-    } catch (error) {
-      errorCount++;
-      console.error(`[Cache Warming] ✗ Failed search: "${query}" - ${error.message}`);
+  lists.flat().forEach(target => {
+    const existing = merged.get(target.key);
+    if (existing) {
+      existing.hits += target.hits;
+      existing.requests += target.requests;
+    } else {
+      merged.set(target.key, { ...target });
     }
-    
-    // Small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  }
+  });
 
-  console.log(`[Cache Warming] Search complete: ${successCount} success, ${errorCount} errors`);
-}
+  return [...merged.values()]
+    .map(target => ({ ...target, score: target.hits + target.requests }))
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+};
 
 /**
- * Warm cache for popular videos
+ * Targets to warm this run: in order, skipping any that would take the run
+ * past its allowance
+ * @param {Array<Object>} targets - Merged targets, most wanted first
+ * @param {number} allowance - Units this run may spend
+ * @param {number} limit - Most targets to select
+ * @returns {Array<Object>} Selected targets with their estimated `units`
  */
-async function warmVideoCache() {
-  console.log('[Cache Warming] Starting video cache warming...');
-  
-  let successCount = 0;
-  let errorCount = 0;
+const selectWithinBudget = (targets, allowance, limit = Infinity) => {
+  const selected = [];
+  let spent = 0;
 
-  for (const videoId of POPULAR_VIDEOS) {
-    try {
-      const video = await youtubeService.getVideoDetails(videoId);
-      const cacheKey = `video:${JSON.stringify({ videoId })}`;
-      
-      await Cache.set(cacheKey, { video }, CACHE_TTL.video, 'video');
-      
-      successCount++;
-      console.log(`[Cache Warming] ✓ Cached video: ${videoId}`);
-    } catch (error) {
-      errorCount++;
-      console.error(`[Cache Warming] ✗ Failed video: ${videoId} - ${error.message}`);
+  for (const target of targets) {
+    if (selected.length >= limit) {
+      break;
+    }
+    const units = estimateEndpointUnits(target.endpoint, target.params);
+    if (spent + units <= allowance) {
+      selected.push({ ...target, units });
+      spent += units;
     }
-    
-    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  return selected;
+};
+
+/**
+ * Search history counts within the window
+ */
+const countHistory = async (since, minRequests, limit) => {
+  const rows = await User.aggregate([
+    { $unwind: '$searchHistory' },
+    { $match: { 'searchHistory.timestamp': { $gte: since } } },
+    {
+      $group: {
+        _id: { endpoint: '$searchHistory.endpoint', query: '$searchHistory.query' },
+        requests: { $sum: 1 }
+      }
+    },
+    { $match: { requests: { $gte: minRequests } } },
+    { $sort: { requests: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({ ...row._id, requests: row.requests }));
+};
+
+/**
+ * Warming candidates: popular entries about to expire, plus history targets
+ * whose entry is missing or about to expire
+ */
+const collectTargets = async (now) => {
+  const { lookaheadMinutes, minHits, minRequests, historyWindowHours, maxTargets } = youtubeConfig.cacheWarming;
+  const horizon = new Date(now.getTime() + lookaheadMinutes * 60 * 1000);
+  // Look past maxTargets so targets the budget skips can be replaced
+  const candidates = maxTargets * 4;
+
+  const store = getCacheStore();
+  const popular = await store.getPopular(candidates, { minHits, expiringBefore: horizon });
+
+  const since = new Date(now.getTime() - historyWindowHours * 60 * 60 * 1000);
+  const requested = historyTargets(await countHistory(since, minRequests, candidates));
+  const freshKeys = new Set(await store.freshKeys(requested.map(target => target.key), horizon));
+
+  return mergeTargets(
+    cacheTargets(popular),
+    requested.filter(target => !freshKeys.has(target.key))
+  );
+};
+
+/**
+ * Fetch a target and store it under its key; hit counts are kept so a
+ * warmed entry stays popular
+ * @returns {Promise<boolean>} false if the video or channel no longer exists,
+ *   or a cache policy keeps the response out of the cache
+ */
+const warmTarget = async ({ key, endpoint, params }) => {
+  const data = await loadEndpoint(endpoint, params);
+  if (!data) {
+    return false;
   }
 
-  console.log(`[Cache Warming] Video complete: ${successCount} success, ${errorCount} errors`);
-}
+  const { bypass } = await cacheResponseData(key, endpoint, data, { keepHits: true });
+  return !bypass;
+};
 
 /**
- * Warm cache for popular channels
+ * Warm the most wanted entries within what is left of today's share of the
+ * quota; must run in a request context with route WARMING_ROUTE so the calls
+ * count against it
+ * @param {Date} now
+ * @returns {Promise<Object>} Run summary
  */
-async function warmChannelCache() {
-  console.log('[Cache Warming] Starting channel cache warming...');
-  
-  let successCount = 0;
-  let errorCount = 0;
+const warmPopularCaches = async (now = new Date()) => {
+  const { quotaShare, maxTargets } = youtubeConfig.cacheWarming;
+  const targets = await collectTargets(now);
 
-  for (const channelId of POPULAR_CHANNELS) {
+  const { allowance, dailyAllowance, spentToday } = await quotaBudget.getJobAllowance(WARMING_ROUTE, quotaShare);
+  const selected = selectWithinBudget(targets, allowance, maxTargets);
+
+  const summary = {
+    candidates: targets.length,
+    selected: selected.length,
+    allowance,
+    dailyAllowance,
+    spentToday,
+    estimatedUnits: selected.reduce((sum, target) => sum + target.units, 0),
+    warmed: 0,
+    skipped: 0,
+    failed: 0,
+    stoppedByQuota: false
+  };
+
+  for (const target of selected) {
     try {
-      const channel = await youtubeService.getChannelStats(channelId);
-      const cacheKey = `channel:${JSON.stringify({ channelId })}`;
-      
-      await Cache.set(cacheKey, { channel }, CACHE_TTL.channel, 'channel');
-      
-      successCount++;
-      console.log(`[Cache Warming] ✓ Cached channel: ${channelId}`);
+      if (await warmTarget(target)) {
+        summary.warmed++;
+      } else {
+        summary.skipped++;
+      }
     } catch (error) {
-      errorCount++;
-      console.error(`[Cache Warming] ✗ Failed channel: ${channelId} - ${error.message}`);
+      if (isQuotaError(error)) {
+        summary.stoppedByQuota = true;
+        break;
+      }
+      summary.failed++;
+      console.error(`[Cache Warming] ✗ Failed ${target.key} - ${error.message}`);
     }
-    
-    await new Promise(resolve => setTimeout(resolve, 500));
   }
 
-  console.log(`[Cache Warming] Channel complete: ${successCount} success, ${errorCount} errors`);
-}
+  lastRun = { ...summary, timestamp: now };
+  return summary;
+};
 
 /**
- * Run all cache warming tasks
+ * Summary of the latest run, null before the first one
  */
-async function warmAllCaches() {
-  console.log('[Cache Warming] Starting comprehensive cache warming...\n');
-  
-  const startTime = Date.now();
-
-  try {
-    await warmSearchCache();
-    await warmVideoCache();
-    await warmChannelCache();
-    
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`\n[Cache Warming] ✓ Complete in ${duration}s`);
-    
-    // Get cache stats
-    const stats = await Cache.getStats();
-    console.log(`[Cache Stats] Active: ${stats.active}, Total Hits: ${stats.totalHits}`);
-    
-  } catch (error) {
-    console.error('[Cache Warming] ✗ Error:', error.message);
-  }
-}
+const getLastRun = () => lastRun;
 
 module.exports = {
-  warmAllCaches,
-  warmSearchCache,
-  warmVideoCache,
-  warmChannelCache
-};
\ No newline at end of file
+  WARMING_ROUTE,
+  cacheTargets,
+  historyTargets,
+  mergeTargets,
+  selectWithinBudget,
+  warmPopularCaches,
+  getLastRun
+};
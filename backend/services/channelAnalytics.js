@@ -0,0 +1,310 @@
+/**
+ * Channel Analytics Service
+ * Turns a channel's recent uploads (parsed video objects) into the figures
+ * behind the channel dashboard: upload cadence, views distribution,
+ * engagement trend, publish timing, top/bottom uploads and category mix,
+ * and the side-by-side metrics of the channel comparison
+ *
+ * Pure computation; fetching the uploads is youtubeService's job
+ */
+
+const { extractPublishedDateFeatures } = require('../utils/parseYouTubeData');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Upper bounds of the views-per-video histogram buckets
+const VIEW_BUCKETS = [
+  { label: '< 1K', max: 1e3 },
+  { label: '1K - 10K', max: 1e4 },
+  { label: '10K - 100K', max: 1e5 },
+  { label: '100K - 1M', max: 1e6 },
+  { label: '1M - 10M', max: 1e7 },
+  { label: '10M+', max: Infinity }
+];
+
+// Uploads averaged into each point of the engagement trend
+const TREND_WINDOW = 5;
+
+// Uploads listed in the top and bottom performer lists
+const PERFORMER_COUNT = 5;
+
+// Publish slots need this many uploads before they can be called "best"
+const MIN_SLOT_UPLOADS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const engagementOf = (video) => parseFloat(video.engagementRate || 0);
+
+/**
+ * Views per day since publishing; compares new and old uploads fairly
+ */
+const viewsPerDay = (video, now) => {
+  const ageInDays = Math.max(1, (now - new Date(video.publishedAt)) / DAY_MS);
+  return video.viewCount / ageInDays;
+};
+
+/**
+ * Slim video summary for lists in the response
+ */
+const summarizeVideo = (video, now) => ({
+  videoId: video.videoId,
+  title: video.title,
+  publishedAt: video.publishedAt,
+  thumbnail: video.thumbnails?.medium || video.thumbnails?.default || null,
+  viewCount: video.viewCount,
+  likeCount: video.likeCount,
+  commentCount: video.commentCount,
+  engagementRate: engagementOf(video),
+  // Net comment sentiment (-100 to 100) if the video's comments were analysed
+  sentimentScore: video.sentiment?.netScore ?? null,
+  viewsPerDay: Math.round(viewsPerDay(video, now))
+});
+
+/**
+ * How often the channel uploads
+ * @param {Array} videos - Uploads sorted oldest first
+ */
+const computeUploadCadence = (videos, now) => {
+  const gaps = [];
+  for (let i = 1; i < videos.length; i++) {
+    gaps.push((new Date(videos[i].publishedAt) - new Date(videos[i - 1].publishedAt)) / DAY_MS);
+  }
+
+  const byMonth = new Map();
+  videos.forEach(video => {
+    const month = video.publishedAt.slice(0, 7);
+    const entry = byMonth.get(month) || { month, uploads: 0, views: 0 };
+    entry.uploads++;
+    entry.views += video.viewCount;
+    byMonth.set(month, entry);
+  });
+
+  const averageGap = average(gaps);
+  const last = videos[videos.length - 1];
+
+  return {
+    averageDaysBetweenUploads: round(averageGap, 1),
+    medianDaysBetweenUploads: round(median(gaps), 1),
+    uploadsPerWeek: averageGap > 0 ? round(7 / averageGap, 2) : 0,
+    daysSinceLastUpload: last ? Math.floor((now - new Date(last.publishedAt)) / DAY_MS) : null,
+    byMonth: [...byMonth.values()]
+  };
+};
+
+/**
+ * Histogram of views per upload on a log scale
+ */
+const computeViewsDistribution = (videos) => {
+  const buckets = VIEW_BUCKETS.map(({ label }) => ({ label, uploads: 0 }));
+  videos.forEach(video => {
+    const index = VIEW_BUCKETS.findIndex(bucket => video.viewCount < bucket.max);
+    buckets[index].uploads++;
+  });
+  return buckets;
+};
+
+/**
+ * Engagement rate per upload in publish order, with a rolling average
+ * @param {Array} videos - Uploads sorted oldest first
+ */
+const computeEngagementTrend = (videos) => {
+  return videos.map((video, index) => {
+    const window = videos.slice(Math.max(0, index - TREND_WINDOW + 1), index + 1);
+    return {
+      videoId: video.videoId,
+      title: video.title,
+      publishedAt: video.publishedAt,
+      engagementRate: engagementOf(video),
+      rollingAverage: round(average(window.map(engagementOf)))
+    };
+  });
+};
+
+/**
+ * Uploads and average views per weekday and hour of publishing
+ * Day and hour come from extractPublishedDateFeatures (server time zone)
+ */
+const computePublishTiming = (videos) => {
+  const byDay = DAY_NAMES.map(day => ({ day, uploads: 0, totalViews: 0 }));
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, uploads: 0, totalViews: 0 }));
+
+  videos.forEach(video => {
+    const features = video.publishedFeatures?.dayOfWeek != null
+      ? video.publishedFeatures
+      : extractPublishedDateFeatures(video.publishedAt);
+
+    byDay[features.dayOfWeek].uploads++;
+    byDay[features.dayOfWeek].totalViews += video.viewCount;
+    byHour[features.hour].uploads++;
+    byHour[features.hour].totalViews += video.viewCount;
+  });
+
+  const finish = ({ totalViews, ...slot }) => ({
+    ...slot,
+    averageViews: slot.uploads > 0 ? Math.round(totalViews / slot.uploads) : 0
+  });
+
+  const best = (slots) => slots
+    .filter(slot => slot.uploads >= MIN_SLOT_UPLOADS)
+    .sort((a, b) => b.averageViews - a.averageViews)[0] || null;
+
+  const days = byDay.map(finish);
+  const hours = byHour.map(finish);
+
+  return {
+    byDay: days,
+    byHour: hours,
+    bestDay: best(days),
+    bestHour: best(hours)
+  };
+};
+
+/**
+ * Uploads and views per YouTube category
+ */
+const computeCategoryMix = (videos) => {
+  const categories = new Map();
+  videos.forEach(video => {
+    const key = video.categoryId || 'unknown';
+    const entry = categories.get(key) || {
+      categoryId: video.categoryId || null,
+      categoryName: video.categoryName || 'Unknown',
+      uploads: 0,
+      views: 0
+    };
+    entry.uploads++;
+    entry.views += video.viewCount;
+    categories.set(key, entry);
+  });
+
+  return [...categories.values()]
+    .map(entry => ({ ...entry, share: round((entry.uploads / videos.length) * 100, 1) }))
+    .sort((a, b) => b.uploads - a.uploads);
+};
+
+/**
+ * Compute every dashboard figure for a channel's uploads
+ *
+ * @param {Array<Object>} uploads - Parsed video objects (any order)
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference time for ages
+ * @returns {Object} { summary, uploadCadence, viewsDistribution, engagementTrend, publishTiming, topVideos, bottomVideos, categoryMix }
+ */
+const computeChannelAnalytics = (uploads, { now = new Date() } = {}) => {
+  const videos = uploads
+    .filter(video => video?.publishedAt)
+    .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+  const views = videos.map(video => video.viewCount);
+  const byPerformance = [...videos].sort((a, b) => viewsPerDay(b, now) - viewsPerDay(a, now));
+
+  return {
+    summary: {
+      videosAnalyzed: videos.length,
+      totalViews: views.reduce((sum, count) => sum + count, 0),
+      averageViews: Math.round(average(views)),
+      medianViews: Math.round(median(views)),
+      averageEngagement: round(average(videos.map(engagementOf))),
+      averageDurationSeconds: Math.round(average(videos.map(video => video.durationSeconds || 0))),
+      firstPublishedAt: videos[0]?.publishedAt || null,
+      lastPublishedAt: videos[videos.length - 1]?.publishedAt || null
+    },
+    uploadCadence: computeUploadCadence(videos, now),
+    viewsDistribution: computeViewsDistribution(videos),
+    engagementTrend: computeEngagementTrend(videos),
+    publishTiming: computePublishTiming(videos),
+    topVideos: byPerformance.slice(0, PERFORMER_COUNT).map(video => summarizeVideo(video, now)),
+    // Never list an upload as both top and bottom on small channels
+    bottomVideos: byPerformance
+      .slice(Math.max(PERFORMER_COUNT, byPerformance.length - PERFORMER_COUNT))
+      .reverse()
+      .map(video => summarizeVideo(video, now)),
+    categoryMix: computeCategoryMix(videos)
+  };
+};
+
+// Comparison metrics where the highest value leads
+const COMPARISON_METRICS = [
+  'subscribers',
+  'averageViews',
+  'medianViews',
+  'engagementRate',
+  'uploadsPerWeek',
+  'medianDurationSeconds'
+];
+
+/**
+ * Side-by-side metrics for several channels and their recent uploads
+ *
+ * @param {Array<Object>} entries - [{ channel, videos }] from youtubeService.compareChannels
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference time for ages
+ * @returns {Object} { channels: [{ channel, metrics, uploads }], leaders }
+ */
+const computeChannelComparison = (entries, { now = new Date() } = {}) => {
+  const channels = entries.map(({ channel, videos }) => {
+    const sorted = videos
+      .filter(video => video?.publishedAt)
+      .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+    const views = sorted.map(video => video.viewCount);
+
+    return {
+      channel,
+      metrics: {
+        subscribers: channel.hiddenSubscriberCount ? null : channel.subscriberCount,
+        totalViews: channel.viewCount,
+        videoCount: channel.videoCount,
+        videosAnalyzed: sorted.length,
+        averageViews: Math.round(average(views)),
+        medianViews: Math.round(median(views)),
+        engagementRate: round(average(sorted.map(engagementOf))),
+        uploadsPerWeek: computeUploadCadence(sorted, now).uploadsPerWeek,
+        medianDurationSeconds: Math.round(median(sorted.map(video => video.durationSeconds || 0))),
+        lastPublishedAt: sorted[sorted.length - 1]?.publishedAt || null
+      },
+      // Oldest first, for charts that overlay the channels upload by upload
+      uploads: sorted.map(video => ({
+        videoId: video.videoId,
+        title: video.title,
+        publishedAt: video.publishedAt,
+        viewCount: video.viewCount,
+        engagementRate: engagementOf(video),
+        durationSeconds: video.durationSeconds || 0
+      }))
+    };
+  });
+
+  // Channel ID with the highest value of each metric; hidden subscriber
+  // counts and channels without uploads never lead
+  const leaders = {};
+  COMPARISON_METRICS.forEach(metric => {
+    const leader = channels
+      .filter(entry => entry.metrics[metric] != null)
+      .filter(entry => metric === 'subscribers' || entry.metrics.videosAnalyzed > 0)
+      .sort((a, b) => b.metrics[metric] - a.metrics[metric])[0];
+    leaders[metric] = leader ? leader.channel.channelId : null;
+  });
+
+  return { channels, leaders };
+};
+
+module.exports = {
+  computeChannelAnalytics,
+  computeChannelComparison
+};
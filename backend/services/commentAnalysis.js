@@ -0,0 +1,269 @@
+/**
+ * Comment Analysis Service
+ * Turns a video's comment threads (parseCommentThread objects) into the
+ * figures behind the Comments tab: volume over time, top commenters,
+ * most-liked comments, keyword frequency, questions and sentiment
+ *
+ * Pure computation; fetching the threads is youtubeService's job
+ */
+
+const { scoreText, summarizeSentiment } = require('./sentiment');
+
+// Entries in each ranked list
+const TOP_COUNT = 10;
+const SENTIMENT_EXAMPLES = 5;
+const KEYWORD_COUNT = 30;
+
+// Daily buckets up to this span, weekly beyond it
+const MAX_DAILY_SPAN_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Common English words that say nothing about what people discuss
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'have', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see',
+  'two', 'who', 'did', 'get', 'got', 'let', 'she', 'too', 'use', 'that', 'this', 'with', 'they',
+  'them', 'then', 'than', 'there', 'their', 'what', 'when', 'where', 'which', 'while', 'will',
+  'would', 'could', 'should', 'from', 'into', 'just', 'like', 'been', 'were', 'also', 'more',
+  'most', 'much', 'very', 'some', 'such', 'only', 'over', 'even', 'about', 'after', 'again',
+  'because', 'before', 'being', 'both', 'does', 'doing', 'each', 'here', 'make', 'made',
+  'many', 'other', 'same', 'these', 'those', 'through', 'under', 'until', 'want', 'well', 'why',
+  'yes', 'yet', 'i\'m', 'it\'s', 'don\'t', 'can\'t', 'didn\'t', 'doesn\'t', 'isn\'t', 'that\'s',
+  'you\'re', 'i\'ve', 'i\'ll', 'i\'d', 'dont', 'cant', 'didnt', 'doesnt', 'isnt', 'thats', 'youre',
+  'really', 'know', 'think', 'still', 'thing', 'things', 'way', 'going', 'said', 'say', 'every',
+  'ever', 'never', 'always', 'something', 'anything', 'everything', 'someone', 'anyone', 'everyone',
+  'video', 'videos', 'watch', 'watching', 'youtube'
+]);
+
+// Words that open a question when they start a sentence
+const QUESTION_START = /^(who|what|when|where|why|how|which|is|are|am|was|were|can|could|do|does|did|will|would|should|has|have|anyone|any)\b/i;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Whether a comment asks something: it has a question mark, or one of its
+ * sentences opens with a question word
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isQuestion = (text = '') => {
+  if (text.includes('?')) {
+    return true;
+  }
+  return text
+    .split(/[.!\n]+/)
+    .some(sentence => QUESTION_START.test(sentence.trim()) && sentence.trim().split(/\s+/).length >= 3);
+};
+
+/**
+ * Words of a comment worth counting: lowercased, without links, numbers,
+ * short words and stopwords
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const extractKeywords = (text = '') => {
+  const words = text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .match(/[\p{L}\p{N}']+/gu) || [];
+
+  return words
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word.length >= 3 && !/^\d+$/.test(word) && !STOPWORDS.has(word));
+};
+
+/**
+ * Every comment of the threads, top-level and replies, with its sentiment
+ * (scored here unless the threads were annotated already)
+ */
+const flattenComments = (threads) => {
+  return threads
+    .flatMap(thread => [
+      { ...thread, isReply: false },
+      ...(thread.replies || []).map(reply => ({ ...reply, replyCount: 0, isReply: true }))
+    ])
+    .map(comment => ({ ...comment, sentiment: comment.sentiment || scoreText(comment.text) }));
+};
+
+/**
+ * Start of the bucket a date falls in (UTC day, or the Monday of its week)
+ */
+const bucketStart = (date, interval) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day;
+};
+
+/**
+ * Comments and replies per day (or week), with empty buckets filled in
+ */
+const computeVolume = (comments) => {
+  const dated = comments.filter(comment => comment.publishedAt).map(comment => ({
+    ...comment,
+    date: new Date(comment.publishedAt)
+  }));
+
+  if (dated.length === 0) {
+    return { interval: 'day', points: [] };
+  }
+
+  const times = dated.map(comment => comment.date.getTime());
+  const first = new Date(Math.min(...times));
+  const last = new Date(Math.max(...times));
+  const interval = (last - first) / DAY_MS > MAX_DAILY_SPAN_DAYS ? 'week' : 'day';
+  const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+
+  const buckets = new Map();
+  for (let time = bucketStart(first, interval).getTime(); time <= last.getTime(); time += step) {
+    buckets.set(time, { date: new Date(time).toISOString().slice(0, 10), comments: 0, replies: 0 });
+  }
+
+  dated.forEach(comment => {
+    const bucket = buckets.get(bucketStart(comment.date, interval).getTime());
+    bucket.comments++;
+    if (comment.isReply) bucket.replies++;
+  });
+
+  return { interval, points: [...buckets.values()] };
+};
+
+/**
+ * Authors with the most comments (likes break ties)
+ */
+const computeTopCommenters = (comments) => {
+  const authors = new Map();
+
+  comments.forEach(comment => {
+    const key = comment.authorChannelId || comment.authorName;
+    const author = authors.get(key) || {
+      authorName: comment.authorName,
+      authorChannelId: comment.authorChannelId,
+      comments: 0,
+      likes: 0
+    };
+    author.comments++;
+    author.likes += comment.likeCount;
+    authors.set(key, author);
+  });
+
+  return [...authors.values()]
+    .sort((a, b) => b.comments - a.comments || b.likes - a.likes)
+    .slice(0, TOP_COUNT);
+};
+
+/**
+ * Most frequent keywords, counted once per comment
+ */
+const computeKeywords = (comments) => {
+  const counts = new Map();
+
+  comments.forEach(comment => {
+    const words = extractKeywords(comment.text);
+    new Set(words).forEach(word => {
+      const entry = counts.get(word) || { word, comments: 0, occurrences: 0 };
+      entry.comments++;
+      counts.set(word, entry);
+    });
+    words.forEach(word => {
+      counts.get(word).occurrences++;
+    });
+  });
+
+  return [...counts.values()]
+    .filter(entry => entry.comments >= 2)
+    .sort((a, b) => b.comments - a.comments || b.occurrences - a.occurrences || a.word.localeCompare(b.word))
+    .slice(0, KEYWORD_COUNT);
+};
+
+/**
+ * Comment as listed in the most-liked and question lists
+ */
+const summarizeComment = (comment) => ({
+  commentId: comment.commentId,
+  authorName: comment.authorName,
+  authorProfileImageUrl: comment.authorProfileImageUrl,
+  text: comment.text,
+  likeCount: comment.likeCount,
+  replyCount: comment.replyCount,
+  isReply: comment.isReply,
+  sentiment: comment.sentiment,
+  publishedAt: comment.publishedAt
+});
+
+const byLikes = (a, b) => b.likeCount - a.likeCount || b.replyCount - a.replyCount;
+
+/**
+ * Sentiment distribution with the strongest comments on either side
+ */
+const computeSentiment = (comments) => {
+  const byScore = (a, b) => b.sentiment.score - a.sentiment.score || b.likeCount - a.likeCount;
+  const ranked = [...comments].sort(byScore);
+
+  return {
+    ...summarizeSentiment(comments),
+    mostPositive: ranked
+      .filter(comment => comment.sentiment.polarity === 'positive')
+      .slice(0, SENTIMENT_EXAMPLES)
+      .map(summarizeComment),
+    mostNegative: ranked
+      .filter(comment => comment.sentiment.polarity === 'negative')
+      .reverse()
+      .slice(0, SENTIMENT_EXAMPLES)
+      .map(summarizeComment)
+  };
+};
+
+/**
+ * Analyse a video's comment threads
+ *
+ * @param {Array<Object>} threads - parseCommentThread objects with replies
+ * @returns {Object} { summary, volume, topCommenters, mostLiked, keywords, questions, sentiment }
+ */
+const computeCommentAnalysis = (threads) => {
+  const comments = flattenComments(threads);
+  const replies = comments.filter(comment => comment.isReply);
+  const questions = comments.filter(comment => !comment.isReply && isQuestion(comment.text));
+  const totalLikes = comments.reduce((sum, comment) => sum + comment.likeCount, 0);
+  const dates = comments.map(comment => comment.publishedAt).filter(Boolean).sort();
+
+  return {
+    summary: {
+      threads: threads.length,
+      replies: replies.length,
+      comments: comments.length,
+      uniqueAuthors: new Set(comments.map(comment => comment.authorChannelId || comment.authorName)).size,
+      totalLikes,
+      averageLikes: comments.length > 0 ? round(totalLikes / comments.length) : 0,
+      repliesPerThread: threads.length > 0 ? round(replies.length / threads.length) : 0,
+      firstCommentAt: dates[0] || null,
+      lastCommentAt: dates[dates.length - 1] || null
+    },
+    volume: computeVolume(comments),
+    topCommenters: computeTopCommenters(comments),
+    mostLiked: [...comments].sort(byLikes).slice(0, TOP_COUNT).map(summarizeComment),
+    keywords: computeKeywords(comments),
+    // Top-level comments only; replies asking back are conversation, not questions to the creator
+    questions: {
+      count: questions.length,
+      rate: threads.length > 0 ? round((questions.length / threads.length) * 100) : 0,
+      unanswered: questions.filter(question => question.replyCount === 0).length,
+      top: [...questions]
+        .sort(byLikes)
+        .slice(0, TOP_COUNT)
+        .map(summarizeComment)
+    },
+    sentiment: computeSentiment(comments)
+  };
+};
+
+module.exports = {
+  isQuestion,
+  extractKeywords,
+  computeCommentAnalysis
+};
@@ -0,0 +1,318 @@
+/**
+ * Endpoint Loaders
+ * Build the response `data` of each cached YouTube endpoint from the
+ * parameters its cache key is made of (buildCacheParams in cacheMiddleware).
+ * The routes, cache warming and watchlist refreshes share them, so an entry
+ * they write holds exactly what the route would have cached under the same
+ * key.
+ *
+ * Parameters arrive as the query strings the route received (or their
+ * JSON round trip from a cache key); absent ones take the route's defaults.
+ */
+
+const youtubeConfig = require('../config/youtube');
+const { youtubeService } = require('./youtubeService');
+const { computeChannelAnalytics, computeChannelComparison } = require('./channelAnalytics');
+const { computeCommentAnalysis } = require('./commentAnalysis');
+const { recordVideoSnapshots, recordChannelSnapshots } = require('./metricSnapshots');
+const { annotateThreads, attachSentiment, recordVideoSentiment } = require('./sentiment');
+const { parseChannelIds } = require('../utils/channelIds');
+const { SEARCH_FILTERS, CHANNEL_SEARCH_FILTERS } = require('../utils/searchFilters');
+
+// Videos and channels per videos.list / channels.list call
+const BATCH_SIZE = 50;
+
+const cost = (method) => youtubeConfig.getApiCost(method);
+
+const pickFilters = (params, names) => {
+  return names.reduce((filters, name) => {
+    if (params[name] !== undefined) {
+      filters[name] = params[name];
+    }
+    return filters;
+  }, {});
+};
+
+const loadSearch = async (params) => {
+  const { q, maxResults = 20, pageToken } = params;
+  const filters = pickFilters(params, SEARCH_FILTERS);
+
+  // Each page holds parsed video objects with full details
+  const page = await youtubeService.searchVideosPage(q, {
+    ...filters,
+    maxResults: parseInt(maxResults),
+    pageToken
+  });
+  await attachSentiment(page.videos);
+
+  return {
+    results: page.videos,
+    query: q,
+    count: page.videos.length,
+    filters,
+    pageToken: pageToken || null,
+    nextPageToken: page.nextPageToken,
+    prevPageToken: page.prevPageToken,
+    totalResults: page.totalResults,
+    resultsPerPage: page.resultsPerPage
+  };
+};
+
+const loadChannelSearch = async (params) => {
+  const { q, maxResults = 20, pageToken } = params;
+  const filters = pickFilters(params, CHANNEL_SEARCH_FILTERS);
+
+  const page = await youtubeService.searchChannelsPage(q, {
+    ...filters,
+    maxResults: parseInt(maxResults),
+    pageToken
+  });
+
+  return {
+    results: page.channels,
+    query: q,
+    count: page.channels.length,
+    filters,
+    pageToken: pageToken || null,
+    nextPageToken: page.nextPageToken,
+    prevPageToken: page.prevPageToken,
+    totalResults: page.totalResults,
+    resultsPerPage: page.resultsPerPage
+  };
+};
+
+const loadVideo = async ({ videoId }) => {
+  // getVideoDetails already returns a parsed video object
+  const video = await youtubeService.getVideoDetails(videoId);
+  if (!video) {
+    return null;
+  }
+
+  recordVideoSnapshots([video]);
+  await attachSentiment([video]);
+
+  return { video };
+};
+
+const loadChannel = async ({ channelId }) => {
+  // getChannelStats already returns a parsed channel object
+  const channel = await youtubeService.getChannelStats(channelId.trim());
+  if (!channel) {
+    return null;
+  }
+
+  recordChannelSnapshots([channel]);
+
+  return { channel };
+};
+
+/**
+ * Response data of several videos from batched videos.list calls, as
+ * loadEndpoint('video', { videoId }) gives for each (watchlist refreshes)
+ * @param {Array<string>} videoIds
+ * @returns {Promise<Map<string, Object>>} videoId => { video }
+ */
+const loadVideoBatch = async (videoIds) => {
+  const videos = await youtubeService.getMultipleVideoDetails(videoIds);
+  recordVideoSnapshots(videos);
+  await attachSentiment(videos);
+
+  return new Map(videos.map(video => [video.videoId, { video }]));
+};
+
+/**
+ * Response data of several channels from batched channels.list calls, as
+ * loadEndpoint('channel', { channelId }) gives for each
+ * @param {Array<string>} channelIds
+ * @returns {Promise<Map<string, Object>>} channelId => { channel }
+ */
+const loadChannelBatch = async (channelIds) => {
+  const channels = await youtubeService.getMultipleChannelDetails(channelIds);
+  recordChannelSnapshots(channels);
+
+  return new Map(channels.map(channel => [channel.channelId, { channel }]));
+};
+
+const loadChannelVideos = async ({ channelId, maxResults = 25, pageToken }) => {
+  const page = await youtubeService.getChannelUploadsPage(channelId, {
+    maxResults: parseInt(maxResults),
+    pageToken
+  });
+  await attachSentiment(page.videos);
+
+  return {
+    channel: page.channel,
+    results: page.videos,
+    count: page.videos.length,
+    pageToken: pageToken || null,
+    nextPageToken: page.nextPageToken,
+    prevPageToken: page.prevPageToken,
+    totalResults: page.totalResults,
+    resultsPerPage: page.resultsPerPage
+  };
+};
+
+const loadChannelAnalytics = async ({ channelId, maxVideos }) => {
+  const { channel, videos, totalUploads } = await youtubeService.getChannelRecentUploads(
+    channelId,
+    parseInt(maxVideos) || 50
+  );
+  recordChannelSnapshots([channel]);
+  await attachSentiment(videos);
+
+  return {
+    channel,
+    totalUploads,
+    analytics: computeChannelAnalytics(videos),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+const loadChannelCompare = async ({ ids, maxVideos }) => {
+  const videosPerChannel = parseInt(maxVideos) || 25;
+
+  const entries = await youtubeService.compareChannels(parseChannelIds(ids), { videosPerChannel });
+  // Snapshots are written in the background and never fail the request
+  recordChannelSnapshots(entries.map(entry => entry.channel));
+
+  return {
+    ...computeChannelComparison(entries),
+    maxVideos: videosPerChannel,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+const loadComments = async ({ videoId, maxResults, order = 'relevance', replies }) => {
+  const { threads, totalThreads, totalReplies, complete } = await youtubeService.getCommentThreads(videoId, {
+    maxThreads: parseInt(maxResults) || 200,
+    order,
+    includeReplies: replies !== 'false'
+  });
+
+  annotateThreads(threads);
+  const analysis = computeCommentAnalysis(threads);
+  // Kept so video objects can show it; written in the background
+  const { mostPositive, mostNegative, ...sentiment } = analysis.sentiment;
+  recordVideoSentiment(videoId, sentiment);
+
+  return {
+    videoId,
+    order,
+    threads,
+    totalThreads,
+    totalReplies,
+    complete,
+    analysis,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+const loadTrending = async ({ regionCode = 'US', videoCategoryId, maxResults = 20, pageToken }) => {
+  const region = regionCode.toUpperCase();
+
+  const trending = await youtubeService.getTrendingVideos({
+    regionCode: region,
+    videoCategoryId,
+    maxResults: parseInt(maxResults),
+    pageToken
+  });
+  await attachSentiment(trending.videos);
+
+  return {
+    results: trending.videos,
+    region,
+    videoCategoryId: videoCategoryId || null,
+    count: trending.videos.length,
+    nextPageToken: trending.nextPageToken,
+    prevPageToken: trending.prevPageToken,
+    totalResults: trending.totalResults
+  };
+};
+
+/**
+ * Loader and estimated quota cost (units) of each cached endpoint
+ * Estimates are upper bounds used to budget cache warming
+ */
+const ENDPOINT_LOADERS = {
+  search: {
+    load: loadSearch,
+    estimateUnits: () => cost('search.list') + cost('videos.list')
+  },
+  channelSearch: {
+    load: loadChannelSearch,
+    estimateUnits: () => cost('search.list') + cost('channels.list')
+  },
+  video: {
+    load: loadVideo,
+    estimateUnits: () => cost('videos.list')
+  },
+  channel: {
+    load: loadChannel,
+    estimateUnits: () => cost('channels.list')
+  },
+  channelVideos: {
+    load: loadChannelVideos,
+    estimateUnits: () => cost('channels.list') + cost('playlistItems.list') + cost('videos.list')
+  },
+  channelAnalytics: {
+    load: loadChannelAnalytics,
+    estimateUnits: ({ maxVideos }) => {
+      const batches = Math.ceil((parseInt(maxVideos) || 50) / BATCH_SIZE);
+      return cost('channels.list') + batches * (cost('playlistItems.list') + cost('videos.list'));
+    }
+  },
+  channelCompare: {
+    load: loadChannelCompare,
+    estimateUnits: ({ ids, maxVideos }) => {
+      const channels = parseChannelIds(ids).length;
+      const videos = channels * (parseInt(maxVideos) || 25);
+      return cost('channels.list') + channels * cost('playlistItems.list') +
+        Math.ceil(videos / BATCH_SIZE) * cost('videos.list');
+    }
+  },
+  comments: {
+    load: loadComments,
+    // Thread pages, plus up to 20 threads whose replies are completed
+    estimateUnits: ({ maxResults, replies }) => {
+      const pages = Math.ceil((parseInt(maxResults) || 200) / 100);
+      return pages * cost('commentThreads.list') + (replies === 'false' ? 0 : 20 * cost('comments.list'));
+    }
+  },
+  trending: {
+    load: loadTrending,
+    estimateUnits: () => cost('videos.list')
+  }
+};
+
+/**
+ * Build the response data of an endpoint
+ * @param {string} endpoint - Endpoint type (a CACHE_TTL key)
+ * @param {Object} params - Cache key parameters
+ * @returns {Promise<Object|null>} Response data, or null if the video or channel does not exist
+ */
+const loadEndpoint = async (endpoint, params) => {
+  const loader = ENDPOINT_LOADERS[endpoint];
+  if (!loader) {
+    throw new Error(`No loader for endpoint: ${endpoint}`);
+  }
+  return loader.load(params);
+};
+
+/**
+ * Estimated quota cost of loading an endpoint
+ * @param {string} endpoint
+ * @param {Object} params - Cache key parameters
+ * @returns {number} Units, or Infinity for endpoints without a loader
+ */
+const estimateEndpointUnits = (endpoint, params) => {
+  const loader = ENDPOINT_LOADERS[endpoint];
+  return loader ? loader.estimateUnits(params) : Infinity;
+};
+
+module.exports = {
+  ENDPOINT_LOADERS,
+  loadEndpoint,
+  loadVideoBatch,
+  loadChannelBatch,
+  estimateEndpointUnits
+};
@@ -0,0 +1,79 @@
+/**
+ * Mail Service
+ * Local mail stand-in: messages are logged and kept in an in-memory outbox
+ * (optionally mirrored to MAIL_OUTBOX_DIR as JSON files) instead of being
+ * delivered. Swap sendMail's transport here when a real provider is added.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_OUTBOX_SIZE = 100;
+
+const outbox = [];
+
+/**
+ * Send (record) an email
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {Object} [message.meta] - Extra data for tests/debugging (e.g. tokens)
+ * @returns {Promise<Object>} Stored message
+ */
+const sendMail = async ({ to, subject, text, meta = {} }) => {
+  const message = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    to,
+    subject,
+    text,
+    meta,
+    sentAt: new Date().toISOString()
+  };
+
+  outbox.push(message);
+  if (outbox.length > MAX_OUTBOX_SIZE) {
+    outbox.shift();
+  }
+
+  if (process.env.MAIL_OUTBOX_DIR) {
+    try {
+      fs.mkdirSync(process.env.MAIL_OUTBOX_DIR, { recursive: true });
+      fs.writeFileSync(
+        path.join(process.env.MAIL_OUTBOX_DIR, `${message.id}.json`),
+        JSON.stringify(message, null, 2)
+      );
+    } catch (error) {
+      console.error('[Mail] Failed to write outbox file:', error.message);
+    }
+  }
+
+  console.log(`[Mail] To: ${to} | Subject: ${subject}`);
+  return message;
+};
+
+/**
+ * Get recorded messages, newest first
+ *
+ * @param {string} [to] - Only messages for this recipient
+ */
+const getOutbox = (to) => {
+  const messages = to
+    ? outbox.filter(message => message.to === to.toLowerCase())
+    : outbox;
+  return [...messages].reverse();
+};
+
+/**
+ * Clear the outbox
+ */
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  getOutbox,
+  clearOutbox
+};
@@ -0,0 +1,117 @@
+/**
+ * In-Memory Cache Store
+ * Entries live in this process only: for tests and single-instance
+ * development without a database. Values are kept serialized, so callers
+ * get copies back just as they would from a remote store.
+ */
+
+const { keyPattern, isKept, summarizeEntries, selectPopular } = require('../utils/cacheEntries');
+
+/**
+ * @returns {Object} Cache store (see services/cacheStore.js)
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  // Entries past their grace period are dropped, as a TTL index would
+  const keptEntries = (now = new Date()) => {
+    [...entries.values()].forEach(entry => {
+      if (!isKept(entry, now)) {
+        entries.delete(entry.key);
+      }
+    });
+    return [...entries.values()];
+  };
+
+  const deleteWhere = (predicate) => {
+    const keys = [...entries.keys()].filter(key => predicate(entries.get(key)));
+    keys.forEach(key => entries.delete(key));
+    return keys.length;
+  };
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= new Date()) {
+        return null;
+      }
+      return { value: JSON.parse(entry.value), expiresAt: entry.expiresAt };
+    },
+
+    getStale: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || !isKept(entry)) {
+        return null;
+      }
+      return {
+        value: JSON.parse(entry.value),
+        expiresAt: entry.expiresAt,
+        staleUntil: entry.staleUntil,
+        createdAt: entry.createdAt
+      };
+    },
+
+    set: async (key, value, ttlSeconds, endpoint, graceSeconds = 0, { keepHits = false } = {}) => {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+      const staleUntil = new Date(expiresAt.getTime() + graceSeconds * 1000);
+      const previous = keepHits ? entries.get(key) : null;
+
+      const entry = {
+        key,
+        value: JSON.stringify(value),
+        endpoint,
+        expiresAt,
+        staleUntil,
+        createdAt: now,
+        lastAccessedAt: previous ? previous.lastAccessedAt : now,
+        hits: previous ? previous.hits : 0
+      };
+      entries.set(key, entry);
+      return { key, endpoint, expiresAt, staleUntil, createdAt: now };
+    },
+
+    recordHits: async (hits) => {
+      let updated = 0;
+      hits.forEach(({ count, lastAccessedAt }, key) => {
+        const entry = entries.get(key);
+        if (entry) {
+          entry.hits += count;
+          entry.lastAccessedAt = new Date(Math.max(entry.lastAccessedAt, lastAccessedAt));
+          updated++;
+        }
+      });
+      return updated;
+    },
+
+    invalidate: async (pattern) => {
+      const regex = keyPattern(pattern);
+      return deleteWhere(entry => regex.test(entry.key));
+    },
+
+    invalidateEndpoint: async (endpoint) => deleteWhere(entry => entry.endpoint === endpoint),
+
+    invalidateAll: async () => deleteWhere(() => true),
+
+    cleanup: async ({ includeGrace = false } = {}) => {
+      const now = new Date();
+      return deleteWhere(entry => (includeGrace ? entry.expiresAt < now : !isKept(entry, now)));
+    },
+
+    count: async () => keptEntries().length,
+
+    getStats: async () => summarizeEntries(keptEntries()),
+
+    getPopular: async (limit, options) => selectPopular(keptEntries(), limit, options),
+
+    freshKeys: async (keys, until) => {
+      return keys.filter(key => entries.get(key)?.expiresAt > until);
+    },
+
+    close: async () => {}
+  };
+};
+
+module.exports = { createMemoryStore };
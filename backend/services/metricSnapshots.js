@@ -0,0 +1,134 @@
+/**
+ * Metric Snapshot Service
+ * Records point-in-time statistics of the videos and channels people look up
+ * and turns the stored snapshots into growth and velocity figures
+ *
+ * A video or channel is tracked once its details are fetched from YouTube;
+ * every later fetch adds a snapshot (at most one per hour, see MetricSnapshot)
+ */
+
+const MetricSnapshot = require('../models/MetricSnapshot');
+
+// Statistics kept for each kind of target
+const SNAPSHOT_METRICS = {
+  video: ['viewCount', 'likeCount', 'commentCount'],
+  channel: ['viewCount', 'subscriberCount', 'videoCount']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Snapshot parsed video objects (parseVideoData)
+ * @param {Array<Object>} videos
+ * @returns {Promise<void>}
+ */
+const recordVideoSnapshots = async (videos) => {
+  await Promise.all(videos.filter(Boolean).map(video => MetricSnapshot.record('video', video.videoId, {
+    viewCount: video.viewCount,
+    likeCount: video.likeCount,
+    commentCount: video.commentCount
+  })));
+};
+
+/**
+ * Snapshot parsed channel objects (parseChannelData)
+ * @param {Array<Object>} channels
+ * @returns {Promise<void>}
+ */
+const recordChannelSnapshots = async (channels) => {
+  await Promise.all(channels.filter(Boolean).map(channel => MetricSnapshot.record('channel', channel.channelId, {
+    viewCount: channel.viewCount,
+    subscriberCount: channel.hiddenSubscriberCount ? undefined : channel.subscriberCount,
+    videoCount: channel.videoCount
+  })));
+};
+
+/**
+ * Growth between snapshots
+ * Each point carries the change per day since the previous snapshot
+ * (`<metric>PerDay`); the summary covers the whole range
+ *
+ * @param {Array<Object>} snapshots - Oldest first
+ * @param {Array<string>} metrics - e.g. SNAPSHOT_METRICS.video
+ * @returns {Object} { series, summary }
+ */
+const computeGrowth = (snapshots, metrics) => {
+  const series = snapshots.map((snapshot, index) => {
+    const previous = snapshots[index - 1];
+    const point = { capturedAt: new Date(snapshot.capturedAt).toISOString() };
+
+    metrics.forEach(metric => {
+      point[metric] = snapshot[metric] ?? null;
+
+      const days = previous ? (new Date(snapshot.capturedAt) - new Date(previous.capturedAt)) / DAY_MS : 0;
+      point[`${metric}PerDay`] = days > 0 && point[metric] != null && previous[metric] != null
+        ? round((point[metric] - previous[metric]) / days)
+        : null;
+    });
+
+    return point;
+  });
+
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const spanDays = first ? (new Date(last.capturedAt) - new Date(first.capturedAt)) / DAY_MS : 0;
+
+  const summary = {
+    snapshots: snapshots.length,
+    spanDays: round(spanDays),
+    firstCapturedAt: first ? new Date(first.capturedAt).toISOString() : null,
+    lastCapturedAt: last ? new Date(last.capturedAt).toISOString() : null
+  };
+
+  metrics.forEach(metric => {
+    // Hidden subscriber counts leave gaps; measure between known values
+    const known = snapshots.filter(snapshot => snapshot[metric] != null);
+    const start = known[0];
+    const end = known[known.length - 1];
+
+    if (!start) {
+      summary[metric] = null;
+      return;
+    }
+
+    const change = end[metric] - start[metric];
+    const days = (new Date(end.capturedAt) - new Date(start.capturedAt)) / DAY_MS;
+
+    summary[metric] = {
+      first: start[metric],
+      latest: end[metric],
+      change,
+      changePercent: start[metric] > 0 ? round((change / start[metric]) * 100) : null,
+      perDay: days > 0 ? round(change / days) : null
+    };
+  });
+
+  return { series, summary };
+};
+
+/**
+ * Snapshot history and growth of one video or channel
+ * @param {string} kind - 'video' or 'channel'
+ * @param {string} targetId - Video ID or channel ID
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - How far back to look
+ * @returns {Promise<Object>} { series, summary }
+ */
+const getGrowth = async (kind, targetId, { days = 90 } = {}) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const snapshots = await MetricSnapshot.getSeries(kind, targetId, since);
+  return computeGrowth(snapshots, SNAPSHOT_METRICS[kind]);
+};
+
+module.exports = {
+  SNAPSHOT_METRICS,
+  recordVideoSnapshots,
+  recordChannelSnapshots,
+  computeGrowth,
+  getGrowth
+};
@@ -0,0 +1,53 @@
+/**
+ * MongoDB Cache Store
+ * The Cache collection, shared by every instance. Expired entries are
+ * removed by its TTL index once their grace period has passed.
+ */
+
+const Cache = require('../models/Cache');
+
+/**
+ * @returns {Object} Cache store (see services/cacheStore.js)
+ */
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  get: (key) => Cache.lookup(key),
+
+  getStale: (key) => Cache.getStale(key),
+
+  set: (key, value, ttlSeconds, endpoint, graceSeconds, options) => {
+    return Cache.set(key, value, ttlSeconds, endpoint, graceSeconds, options);
+  },
+
+  recordHits: (hits) => Cache.recordHits(hits),
+
+  invalidate: (pattern) => Cache.invalidate(pattern),
+
+  invalidateEndpoint: (endpoint) => Cache.invalidateEndpoint(endpoint),
+
+  invalidateAll: async () => {
+    const result = await Cache.deleteMany({});
+    return result.deletedCount;
+  },
+
+  cleanup: (options) => Cache.cleanup(options),
+
+  count: () => Cache.countDocuments(),
+
+  getStats: () => Cache.getStats(),
+
+  getPopular: (limit, options) => Cache.getPopular(limit, options),
+
+  freshKeys: async (keys, until) => {
+    return await Cache.find({
+      key: { $in: keys },
+      expiresAt: { $gt: until }
+    }).distinct('key');
+  },
+
+  // The connection belongs to the app (config/db.js)
+  close: async () => {}
+});
+
+module.exports = { createMongoStore };
@@ -0,0 +1,205 @@
+/**
+ * Quota Budget Service
+ * Admission control for YouTube API calls: each call's unit cost is reserved
+ * against the shared daily budget before it is made, and refused when the
+ * projected total would pass the safety margin
+ */
+
+const mongoose = require('mongoose');
+const youtubeConfig = require('../config/youtube');
+const QuotaBudget = require('../models/QuotaBudget');
+const QuotaLedger = require('../models/QuotaLedger');
+const { getQuotaDay, getNextQuotaReset } = require('../utils/quotaDay');
+const { setRequestContext } = require('../utils/requestContext');
+
+/**
+ * Thrown when a call is refused before reaching YouTube
+ */
+class QuotaBudgetError extends Error {
+  constructor(details) {
+    super(details.reason === 'quota_exhausted'
+      ? youtubeConfig.errors.QUOTA_EXCEEDED
+      : 'YouTube API daily budget reached. Please try again after the quota resets.');
+    this.name = 'QuotaBudgetError';
+    this.code = 'QUOTA_BUDGET_EXCEEDED';
+    this.status = 503;
+    this.details = details;
+  }
+}
+
+/**
+ * Units that may be reserved per day before calls are refused
+ * Every key in the pool contributes its daily limit
+ */
+const getAdmissionCeiling = () => {
+  const dailyLimit = youtubeConfig.getTotalDailyLimit();
+  const margin = Math.min(Math.max(youtubeConfig.quotaBudget.safetyMargin, 0), 1);
+  return Math.floor(dailyLimit * (1 - margin));
+};
+
+/**
+ * Make sure today's budget document exists
+ * A new day starts from whatever the ledger already recorded (e.g. calls made
+ * before this feature was deployed), which is normally zero
+ */
+const ensureBudget = async (day) => {
+  const existing = await QuotaBudget.findOne({ day }).lean();
+  if (existing) {
+    return existing;
+  }
+
+  const seed = await QuotaLedger.getDailyTotal(day);
+  await QuotaBudget.updateOne(
+    { day },
+    { $setOnInsert: { reservedUnits: seed } },
+    { upsert: true }
+  ).catch(error => {
+    // Another instance created it first
+    if (error.code !== 11000) throw error;
+  });
+
+  return QuotaBudget.findOne({ day }).lean();
+};
+
+/**
+ * Reserve budget for an API call
+ * @param {string} method - API method (e.g. 'search.list')
+ * @param {number} units - Predicted unit cost
+ * @returns {Promise<Object|null>} Reservation { day, method, units }, or null
+ *          when the database is unavailable (admission fails open)
+ * @throws {QuotaBudgetError} When the call would exceed the budget
+ */
+const reserve = async (method, units) => {
+  // Without a database connection (e.g. scripts using the service directly)
+  // there is no shared budget to check, so let the call through
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  const day = getQuotaDay();
+  const ceiling = getAdmissionCeiling();
+
+  await ensureBudget(day);
+
+  const admitted = await QuotaBudget.findOneAndUpdate(
+    { day, exhaustedAt: null, reservedUnits: { $lte: ceiling - units } },
+    { $inc: { reservedUnits: units } },
+    { new: true }
+  ).lean();
+
+  if (admitted) {
+    return { day, method, units };
+  }
+
+  const current = await QuotaBudget.findOne({ day }).lean();
+  const details = {
+    reason: current?.exhaustedAt ? 'quota_exhausted' : 'safety_margin',
+    method,
+    units,
+    reservedUnits: current?.reservedUnits || 0,
+    projectedUnits: (current?.reservedUnits || 0) + units,
+    ceiling,
+    dailyLimit: youtubeConfig.getTotalDailyLimit(),
+    safetyMargin: youtubeConfig.quotaBudget.safetyMargin,
+    resetsAt: getNextQuotaReset()
+  };
+
+  console.warn(`[Quota Budget] Refused ${method} (${units} units): ${details.reason} - ${details.reservedUnits}/${ceiling} reserved`);
+
+  // Lets the cache layer degrade to stale data for this request
+  setRequestContext({ quotaRejection: details });
+
+  throw new QuotaBudgetError(details);
+};
+
+/**
+ * Return a reservation's units after a call that YouTube did not charge for
+ * @param {Object} reservation - Value returned by reserve()
+ */
+const release = async (reservation) => {
+  if (!reservation) return;
+
+  await QuotaBudget.updateOne(
+    { day: reservation.day, reservedUnits: { $gte: reservation.units } },
+    { $inc: { reservedUnits: -reservation.units } }
+  ).catch(error => console.error('[Quota Budget] Release failed:', error.message));
+};
+
+/**
+ * Stop admitting calls for the rest of the day once every API key has
+ * reported quotaExceeded
+ */
+const markExhausted = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const day = getQuotaDay();
+  await QuotaBudget.updateOne(
+    { day, exhaustedAt: null },
+    { $set: { exhaustedAt: new Date() } }
+  ).catch(error => console.error('[Quota Budget] Mark exhausted failed:', error.message));
+};
+
+/**
+ * Current budget status for monitoring
+ * @returns {Promise<Object>} Budget summary
+ */
+const getStatus = async () => {
+  const day = getQuotaDay();
+  const budget = await ensureBudget(day);
+  const ceiling = getAdmissionCeiling();
+
+  return {
+    day,
+    reservedUnits: budget.reservedUnits,
+    ceiling,
+    dailyLimit: youtubeConfig.getTotalDailyLimit(),
+    safetyMargin: youtubeConfig.quotaBudget.safetyMargin,
+    remaining: Math.max(0, ceiling - budget.reservedUnits),
+    exhausted: Boolean(budget.exhaustedAt),
+    resetsAt: getNextQuotaReset()
+  };
+};
+
+/**
+ * Units a background job may still spend: its share of the daily limit less
+ * what it already spent this quota day, and never more than the budget has
+ * left. Jobs run many times a day, so the share caps the day, not a run.
+ * @param {Object} status - getStatus() result
+ * @param {number} share - Share of the daily limit (0-1)
+ * @param {number} spentToday - Units the job spent this quota day
+ * @returns {Object} { allowance, dailyAllowance, spentToday }
+ */
+const computeJobAllowance = ({ dailyLimit, remaining, exhausted }, share, spentToday) => {
+  const dailyAllowance = Math.floor(dailyLimit * share);
+  const allowance = exhausted
+    ? 0
+    : Math.max(0, Math.min(remaining, dailyAllowance - spentToday));
+
+  return { allowance, dailyAllowance, spentToday };
+};
+
+/**
+ * Allowance of a background job for the rest of the quota day
+ * Spending is read from the ledger: the job's calls are recorded under the
+ * route of its request context, as BACKGROUND calls (users acting on the same
+ * route are not counted)
+ * @param {string} route - Request context route of the job (e.g. 'cache.warm')
+ * @param {number} share - Share of the daily limit (0-1)
+ * @returns {Promise<Object>} { allowance, dailyAllowance, spentToday }
+ */
+const getJobAllowance = async (route, share) => {
+  const status = await getStatus();
+  const spentToday = await QuotaLedger.getDailyTotal(status.day, { route, cacheStatus: 'BACKGROUND' });
+  return computeJobAllowance(status, share, spentToday);
+};
+
+module.exports = {
+  QuotaBudgetError,
+  reserve,
+  release,
+  markExhausted,
+  getStatus,
+  getAdmissionCeiling,
+  computeJobAllowance,
+  getJobAllowance
+};
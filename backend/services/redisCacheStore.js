@@ -0,0 +1,224 @@
+/**
+ * Redis Cache Store
+ * Entries in any server speaking the Redis protocol, shared by every
+ * instance. Each entry is a hash under `<keyPrefix><cache key>` holding the
+ * serialized value next to its endpoint, expiry and hit count; Redis expires
+ * it once its grace period has passed.
+ *
+ * Statistics, popularity and pattern invalidation scan the prefix, which is
+ * fine for admin routes and the warming job but not for request paths.
+ */
+
+const { createClient } = require('redis');
+const { keyPattern, isKept, summarizeEntries, selectPopular } = require('../utils/cacheEntries');
+
+// How long the first commands wait for the initial connection
+const CONNECT_WAIT_MS = 2000;
+
+// Keys deleted per DEL command
+const DELETE_BATCH = 500;
+
+// Hash fields other than the value
+const META_FIELDS = ['endpoint', 'hits', 'expiresAt', 'staleUntil', 'lastAccessedAt', 'createdAt'];
+
+const toDate = (ms) => (ms ? new Date(Number(ms)) : null);
+
+// Escape glob characters so the prefix matches literally in SCAN
+const escapeGlob = (text) => text.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * @param {Object} options
+ * @param {string} options.url - Server URL (redis://host:port/db)
+ * @param {string} options.keyPrefix - Prefix of every key this store writes
+ * @returns {Object} Cache store (see services/cacheStore.js)
+ */
+const createRedisStore = ({ url, keyPrefix = 'ytcache:' }) => {
+  // Commands fail right away while disconnected instead of queueing, so a
+  // Redis outage degrades to cache misses rather than stalled requests
+  const client = createClient({ url, disableOfflineQueue: true });
+
+  let reportedDown = false;
+  client.on('error', (error) => {
+    if (!reportedDown) {
+      reportedDown = true;
+      console.error(`[Cache Store] Redis unavailable (${error.message}); serving without a cache`);
+    }
+  });
+  client.on('ready', () => {
+    reportedDown = false;
+    console.log('[Cache Store] Connected to Redis');
+  });
+
+  const connecting = Promise.race([
+    client.connect().catch(() => {}),
+    new Promise(resolve => setTimeout(resolve, CONNECT_WAIT_MS).unref())
+  ]);
+
+  const redis = async () => {
+    await connecting;
+    if (!client.isReady) {
+      throw new Error('Redis cache store is not connected');
+    }
+    return client;
+  };
+
+  const storageKey = (key) => `${keyPrefix}${key}`;
+
+  const scanKeys = async () => {
+    const keys = [];
+    for await (const batch of (await redis()).scanIterator({ MATCH: `${escapeGlob(keyPrefix)}*`, COUNT: 500 })) {
+      keys.push(...batch);
+    }
+    return keys;
+  };
+
+  // Every entry without its value; hashes left without an expiry are
+  // remains of a deleted entry (see recordHits) and are skipped
+  const readEntries = async () => {
+    const connection = await redis();
+    const keys = await scanKeys();
+    const fields = await Promise.all(keys.map(key => connection.hmGet(key, META_FIELDS)));
+
+    return keys
+      .map((key, index) => {
+        const [endpoint, hits, expiresAt, staleUntil, lastAccessedAt, createdAt] = fields[index];
+        return {
+          key: key.slice(keyPrefix.length),
+          endpoint,
+          hits: Number(hits) || 0,
+          expiresAt: toDate(expiresAt),
+          staleUntil: toDate(staleUntil),
+          lastAccessedAt: toDate(lastAccessedAt),
+          createdAt: toDate(createdAt)
+        };
+      })
+      .filter(entry => entry.expiresAt);
+  };
+
+  const deleteKeys = async (keys) => {
+    const connection = await redis();
+    let deleted = 0;
+    for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+      deleted += await connection.del(keys.slice(i, i + DELETE_BATCH).map(storageKey));
+    }
+    return deleted;
+  };
+
+  const deleteWhere = async (predicate) => {
+    const entries = await readEntries();
+    return await deleteKeys(entries.filter(predicate).map(entry => entry.key));
+  };
+
+  return {
+    name: 'redis',
+
+    get: async (key) => {
+      const [value, expiresAt] = await (await redis()).hmGet(storageKey(key), ['value', 'expiresAt']);
+      if (value === null || Number(expiresAt) <= Date.now()) {
+        return null;
+      }
+      return { value: JSON.parse(value), expiresAt: toDate(expiresAt) };
+    },
+
+    getStale: async (key) => {
+      const [value, expiresAt, staleUntil, createdAt] = await (await redis())
+        .hmGet(storageKey(key), ['value', 'expiresAt', 'staleUntil', 'createdAt']);
+      if (value === null || Number(staleUntil) <= Date.now()) {
+        return null;
+      }
+      return {
+        value: JSON.parse(value),
+        expiresAt: toDate(expiresAt),
+        staleUntil: toDate(staleUntil),
+        createdAt: toDate(createdAt)
+      };
+    },
+
+    set: async (key, value, ttlSeconds, endpoint, graceSeconds = 0, { keepHits = false } = {}) => {
+      const now = Date.now();
+      const expiresAt = Math.round(now + ttlSeconds * 1000);
+      const staleUntil = Math.round(expiresAt + graceSeconds * 1000);
+      const target = storageKey(key);
+
+      const transaction = (await redis()).multi().hSet(target, {
+        value: JSON.stringify(value),
+        endpoint,
+        expiresAt: String(expiresAt),
+        staleUntil: String(staleUntil),
+        createdAt: String(now)
+      });
+      if (keepHits) {
+        transaction.hSetNX(target, 'hits', '0').hSetNX(target, 'lastAccessedAt', String(now));
+      } else {
+        transaction.hSet(target, { hits: '0', lastAccessedAt: String(now) });
+      }
+      await transaction.pExpireAt(target, staleUntil).exec();
+
+      return { key, endpoint, expiresAt: toDate(expiresAt), staleUntil: toDate(staleUntil), createdAt: toDate(now) };
+    },
+
+    // Only entries that still exist are counted. One deleted between the
+    // lookup and the update comes back as a hash without an expiry, which
+    // reads ignore and Redis drops with the entry's grace period.
+    recordHits: async (hits) => {
+      const connection = await redis();
+      const keys = [...hits.keys()];
+      const staleUntils = await Promise.all(keys.map(key => connection.hGet(storageKey(key), 'staleUntil')));
+      const existing = keys
+        .map((key, index) => ({ key, staleUntil: staleUntils[index] }))
+        .filter(({ staleUntil }) => staleUntil !== null);
+
+      await Promise.all(existing.map(({ key, staleUntil }) => {
+        const { count, lastAccessedAt } = hits.get(key);
+        const target = storageKey(key);
+        return connection.multi()
+          .hIncrBy(target, 'hits', count)
+          .hSet(target, 'lastAccessedAt', String(lastAccessedAt.getTime()))
+          .pExpireAt(target, Number(staleUntil))
+          .exec();
+      }));
+      return existing.length;
+    },
+
+    invalidate: async (pattern) => {
+      const regex = keyPattern(pattern);
+      return await deleteWhere(entry => regex.test(entry.key));
+    },
+
+    invalidateEndpoint: async (endpoint) => deleteWhere(entry => entry.endpoint === endpoint),
+
+    invalidateAll: async () => {
+      const keys = await scanKeys();
+      return await deleteKeys(keys.map(key => key.slice(keyPrefix.length)));
+    },
+
+    // Redis drops entries past their grace period itself
+    cleanup: async ({ includeGrace = false } = {}) => {
+      const now = new Date();
+      return await deleteWhere(entry => (includeGrace ? entry.expiresAt < now : !isKept(entry, now)));
+    },
+
+    count: async () => (await scanKeys()).length,
+
+    getStats: async () => summarizeEntries(await readEntries()),
+
+    getPopular: async (limit, options) => selectPopular(await readEntries(), limit, options),
+
+    freshKeys: async (keys, until) => {
+      const connection = await redis();
+      const expiries = await Promise.all(keys.map(key => connection.hGet(storageKey(key), 'expiresAt')));
+      return keys.filter((key, index) => Number(expiries[index]) > until.getTime());
+    },
+
+    close: async () => {
+      if (client.isReady) {
+        await client.close();
+      } else if (client.isOpen) {
+        // Still trying to connect; nothing pending to wait for
+        client.destroy();
+      }
+    }
+  };
+};
+
+module.exports = { createRedisStore };
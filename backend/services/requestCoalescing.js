@@ -0,0 +1,128 @@
+/**
+ * Request Coalescing
+ * Single-flight de-duplication of cache misses: the first request to miss a
+ * cache key (the leader) fetches it from YouTube, and requests missing the
+ * same key meanwhile (followers) wait for the leader's response instead of
+ * making the same calls again.
+ *
+ * Flights live in this process, so instances coalesce separately. Savings
+ * are counted from the calls and units the leader actually spent.
+ */
+
+// Longest a follower waits before fetching the key itself
+const MAX_WAIT_MS = 30000;
+
+// Cache key => flight
+const flights = new Map();
+
+const metrics = {
+  since: new Date(),
+  flights: 0,
+  coalesced: 0,
+  callsSaved: 0,
+  unitsSaved: 0,
+  // Followers that stopped waiting (timeout, or the leader never answered)
+  fallbacks: 0,
+  byEndpoint: {}
+};
+
+/**
+ * Flight in progress for a key
+ * @param {string} key - Cache key
+ * @returns {Object|null}
+ */
+const findFlight = (key) => flights.get(key) || null;
+
+/**
+ * Start a flight; the caller becomes the leader and must settle it
+ * @param {string} key - Cache key
+ * @param {string} endpoint - Endpoint type, for the metrics
+ * @returns {Object} Flight
+ */
+const startFlight = (key, endpoint) => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  const flight = { key, endpoint, promise, resolve, settled: false, followers: 0, startedAt: new Date() };
+
+  flights.set(key, flight);
+  metrics.flights++;
+  return flight;
+};
+
+/**
+ * End a flight with the leader's response; later calls are ignored
+ * @param {Object} flight
+ * @param {Object|null} result - { statusCode, headers, body, usage: { apiCalls, units } },
+ *   or null when the leader has no response to share
+ */
+const settleFlight = (flight, result) => {
+  if (flight.settled) {
+    return;
+  }
+
+  flight.settled = true;
+  if (flights.get(flight.key) === flight) {
+    flights.delete(flight.key);
+  }
+  flight.resolve(result);
+};
+
+/**
+ * Wait for a flight as a follower
+ * Followers served by the leader are counted as savings
+ * @param {Object} flight
+ * @param {number} timeoutMs - Longest to wait
+ * @returns {Promise<Object|null>} The leader's result, or null to fetch the key yourself
+ */
+const waitForFlight = async (flight, timeoutMs = MAX_WAIT_MS) => {
+  flight.followers++;
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), timeoutMs);
+  });
+  const result = await Promise.race([flight.promise, timeout]);
+  clearTimeout(timer);
+
+  if (!result) {
+    flight.followers--;
+    metrics.fallbacks++;
+    return null;
+  }
+
+  const { apiCalls = 0, units = 0 } = result.usage || {};
+  const endpoint = metrics.byEndpoint[flight.endpoint] ||
+    (metrics.byEndpoint[flight.endpoint] = { coalesced: 0, callsSaved: 0, unitsSaved: 0 });
+
+  metrics.coalesced++;
+  metrics.callsSaved += apiCalls;
+  metrics.unitsSaved += units;
+  endpoint.coalesced++;
+  endpoint.callsSaved += apiCalls;
+  endpoint.unitsSaved += units;
+
+  return result;
+};
+
+/**
+ * Coalescing totals since the process started
+ * @returns {Object} { since, flights, inFlight, waiting, coalesced, callsSaved, unitsSaved, fallbacks, byEndpoint }
+ */
+const getCoalescingStats = () => {
+  const active = [...flights.values()];
+
+  return {
+    ...metrics,
+    inFlight: active.length,
+    waiting: active.reduce((sum, flight) => sum + flight.followers, 0),
+    byEndpoint: JSON.parse(JSON.stringify(metrics.byEndpoint))
+  };
+};
+
+module.exports = {
+  findFlight,
+  startFlight,
+  settleFlight,
+  waitForFlight,
+  getCoalescingStats
+};
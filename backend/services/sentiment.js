@@ -0,0 +1,220 @@
+/**
+ * Sentiment Service
+ * Offline, lexicon-based sentiment scoring of comments. Each word or emoji
+ * in the lexicon carries a weight from -3 (very negative) to +3 (very
+ * positive); negations soften and flip the following words and intensifiers
+ * strengthen them.
+ *
+ * The last analysis of each video is stored (VideoSentiment) so video
+ * objects can carry it next to engagementRate without fetching comments again
+ */
+
+const VideoSentiment = require('../models/VideoSentiment');
+
+const LEXICON = {
+  // Positive
+  love: 3, loved: 3, loving: 3, lovely: 3, amazing: 3, awesome: 3, excellent: 3, fantastic: 3,
+  incredible: 3, outstanding: 3, perfect: 3, brilliant: 3, superb: 3, masterpiece: 3, wonderful: 3,
+  beautiful: 3, best: 3, banger: 3, legendary: 3, goat: 2,
+  great: 2, good: 2, nice: 2, cool: 2, fun: 2, funny: 2, hilarious: 2, helpful: 2, useful: 2,
+  informative: 2, interesting: 2, enjoyed: 2, enjoy: 2, liked: 2, glad: 2, happy: 2,
+  thanks: 2, thank: 2, appreciate: 2, appreciated: 2, recommend: 2, impressive: 2, inspiring: 2,
+  underrated: 2, wholesome: 2, clear: 1, clean: 1, fine: 1, better: 1, wow: 2,
+  congrats: 2, congratulations: 2, respect: 2, favourite: 2, favorite: 2, underappreciated: 2,
+  satisfying: 2, genius: 3, beautifully: 3, smart: 2, calm: 1, relaxing: 2, talented: 2,
+  // Negative
+  hate: -3, hated: -3, awful: -3, terrible: -3, horrible: -3, worst: -3, garbage: -3, trash: -3,
+  disgusting: -3, pathetic: -3, clickbait: -3, scam: -3, useless: -3, stupid: -3, idiot: -3,
+  bad: -2, boring: -2, annoying: -2, cringe: -2, sad: -2, wrong: -2, disappointed: -2,
+  disappointing: -2, waste: -2, wasted: -2, misleading: -2, fake: -2, lame: -2, poor: -2,
+  overrated: -2, dislike: -2, unsubscribed: -2, unsubscribe: -2, confusing: -2, ugly: -2,
+  angry: -2, broken: -2, fail: -2, failed: -2, nonsense: -2, ridiculous: -2, sucks: -3,
+  meh: -1, slow: -1, hard: -1, problem: -1, issue: -1, mistake: -1, worse: -2,
+  error: -1, unfortunately: -1, sorry: -1, miss: -1, lost: -1, ads: -1, sponsor: -1,
+  // Emoji
+  '❤': 3, '😍': 3, '🥰': 3, '😂': 2, '🤣': 2, '😊': 2, '😄': 2, '😁': 2, '👍': 2, '👏': 2,
+  '🔥': 2, '🙏': 2, '💯': 2, '🙌': 2, '😎': 1, '😢': -2, '😞': -2, '😒': -2, '🙄': -2, '👎': -2,
+  '😡': -3, '🤮': -3, '💩': -3, '😠': -3
+};
+
+// Flip (and soften) the sentiment of the next few words in the same clause
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'hardly', 'without',
+  'isn\'t', 'wasn\'t', 'aren\'t', 'weren\'t', 'don\'t', 'doesn\'t', 'didn\'t', 'can\'t', 'couldn\'t',
+  'won\'t', 'wouldn\'t', 'shouldn\'t', 'isnt', 'wasnt', 'dont', 'doesnt', 'didnt', 'cant', 'wont'
+]);
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.5;
+
+// Strengthen the next word
+const INTENSIFIERS = new Set([
+  'very', 'really', 'so', 'extremely', 'super', 'totally', 'absolutely', 'incredibly', 'truly', 'insanely'
+]);
+const INTENSIFIER_FACTOR = 1.5;
+
+// Words, emoji (variation selectors are dropped so ❤️ matches ❤) and the
+// punctuation that ends a clause
+const TOKEN_PATTERN = /[a-z]+(?:'[a-z]+)?|\p{Extended_Pictographic}|[.,;:!?]/gu;
+const CLAUSE_END = /^[.,;:!?]$/;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Polarity of a score: the sign decides, zero is neutral
+ */
+const polarityOf = (score) => {
+  if (score > 0) return 'positive';
+  if (score < 0) return 'negative';
+  return 'neutral';
+};
+
+/**
+ * Score a piece of text
+ *
+ * @param {string} text
+ * @returns {Object} { score, comparative, polarity } - comparative is the
+ *   score per word, so long and short comments compare fairly
+ */
+const scoreText = (text) => {
+  const tokens = (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[‘’]/g, '\'')
+    .match(TOKEN_PATTERN) || [];
+
+  let score = 0;
+  let words = 0;
+  let negatedUntil = -1;
+
+  tokens.forEach((token, index) => {
+    if (CLAUSE_END.test(token)) {
+      negatedUntil = -1;
+      return;
+    }
+
+    words++;
+    if (NEGATIONS.has(token)) {
+      negatedUntil = index + NEGATION_SCOPE;
+      return;
+    }
+
+    const weight = LEXICON[token];
+    if (!weight) {
+      return;
+    }
+
+    let value = weight;
+    if (index > 0 && INTENSIFIERS.has(tokens[index - 1])) {
+      value *= INTENSIFIER_FACTOR;
+    }
+    if (index <= negatedUntil) {
+      value *= NEGATION_FACTOR;
+    }
+    score += value;
+  });
+
+  score = round(score);
+
+  return {
+    score,
+    comparative: words > 0 ? round(score / words, 3) : 0,
+    polarity: polarityOf(score)
+  };
+};
+
+/**
+ * Attach a `sentiment` score to every comment and reply of parsed threads
+ * @param {Array<Object>} threads - parseCommentThread objects (modified in place)
+ * @returns {Array<Object>} The same threads
+ */
+const annotateThreads = (threads) => {
+  threads.forEach(thread => {
+    thread.sentiment = scoreText(thread.text);
+    thread.replies.forEach(reply => {
+      reply.sentiment = scoreText(reply.text);
+    });
+  });
+  return threads;
+};
+
+/**
+ * Sentiment distribution of a set of comments
+ * netScore runs from -100 (all negative) to 100 (all positive)
+ *
+ * @param {Array<Object>} comments - Objects with `text` (and optionally a `sentiment` score)
+ * @returns {Object} { comments, positive, neutral, negative, positivePercent,
+ *   neutralPercent, negativePercent, averageScore, netScore }
+ */
+const summarizeSentiment = (comments) => {
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  let totalScore = 0;
+
+  comments.forEach(comment => {
+    const { score, polarity } = comment.sentiment || scoreText(comment.text);
+    counts[polarity]++;
+    totalScore += score;
+  });
+
+  const total = comments.length;
+  const percent = (count) => (total > 0 ? round((count / total) * 100, 1) : 0);
+
+  return {
+    comments: total,
+    ...counts,
+    positivePercent: percent(counts.positive),
+    neutralPercent: percent(counts.neutral),
+    negativePercent: percent(counts.negative),
+    averageScore: total > 0 ? round(totalScore / total) : 0,
+    netScore: percent(counts.positive - counts.negative)
+  };
+};
+
+/**
+ * Store the sentiment of a video's latest comment analysis
+ * @param {string} videoId
+ * @param {Object} summary - summarizeSentiment result
+ * @returns {Promise<void>}
+ */
+const recordVideoSentiment = async (videoId, summary) => {
+  await VideoSentiment.record(videoId, summary);
+};
+
+/**
+ * Stored sentiment of videos, keyed by video ID
+ * @param {Array<string>} videoIds
+ * @returns {Promise<Map<string, Object>>} Videos never analysed are absent
+ */
+const getVideoSentiments = async (videoIds) => {
+  const documents = await VideoSentiment.findForVideos(videoIds);
+  return new Map(documents.map(({ videoId, ...sentiment }) => [videoId, sentiment]));
+};
+
+/**
+ * Fill in `sentiment` on parsed video objects from the stored analyses;
+ * a lookup failure leaves them at null rather than failing the request
+ * @param {Array<Object>} videos - parseVideoData objects (modified in place)
+ * @returns {Promise<Array<Object>>} The same videos
+ */
+const attachSentiment = async (videos) => {
+  try {
+    const sentiments = await getVideoSentiments(videos.filter(Boolean).map(video => video.videoId));
+    videos.filter(Boolean).forEach(video => {
+      video.sentiment = sentiments.get(video.videoId) || null;
+    });
+  } catch (error) {
+    console.error('[Sentiment] Failed to attach sentiment:', error.message);
+  }
+  return videos;
+};
+
+module.exports = {
+  scoreText,
+  annotateThreads,
+  summarizeSentiment,
+  recordVideoSentiment,
+  getVideoSentiments,
+  attachSentiment
+};
@@ -0,0 +1,313 @@
+/**
+ * Watchlist Service
+ * Refreshes watched videos, channels and searches within a share of the
+ * daily quota budget: due items are fetched in batched calls, their metrics
+ * stored on the item, snapshots recorded and the route caches updated so the
+ * next visitor gets fresh data without spending quota
+ */
+
+const WatchlistItem = require('../models/WatchlistItem');
+const youtubeConfig = require('../config/youtube');
+const quotaBudget = require('./quotaBudget');
+const { loadEndpoint, loadVideoBatch, loadChannelBatch } = require('./endpointLoaders');
+const { generateCacheKey, cacheResponseData } = require('../middleware/cacheMiddleware');
+const { evaluateAlerts } = require('./alerts');
+
+// IDs per videos.list / channels.list call
+const BATCH_SIZE = 50;
+
+// Request context route of refreshes; the job's background calls count
+// against the watchlist's daily share of the quota
+const REFRESH_ROUTE = 'watchlist.refresh';
+
+// Due items looked at per run
+const MAX_ITEMS_PER_RUN = 500;
+
+/**
+ * Errors that mean no more calls can be made today
+ */
+const isQuotaError = (error) => {
+  return error instanceof quotaBudget.QuotaBudgetError ||
+    error.message === youtubeConfig.errors.QUOTA_EXCEEDED;
+};
+
+const uniqueTargets = (items, type) => {
+  return [...new Set(items.filter(item => item.type === type).map(item => item.targetId))];
+};
+
+/**
+ * Units a refresh of these items costs; videos and channels share batched calls
+ * @param {Array<Object>} items - Watchlist items
+ * @returns {number}
+ */
+const estimateUnits = (items) => {
+  const cost = youtubeConfig.getApiCost;
+  return Math.ceil(uniqueTargets(items, 'video').length / BATCH_SIZE) * cost('videos.list') +
+    Math.ceil(uniqueTargets(items, 'channel').length / BATCH_SIZE) * cost('channels.list') +
+    uniqueTargets(items, 'search').length * (cost('search.list') + cost('videos.list'));
+};
+
+/**
+ * Items to refresh this run: due items in order, skipping any that would
+ * take the run past its allowance
+ * @param {Array<Object>} items - Due items, most overdue first
+ * @param {number} allowance - Units this run may spend
+ * @returns {Array<Object>}
+ */
+const selectWithinBudget = (items, allowance) => {
+  const selected = [];
+  for (const item of items) {
+    if (estimateUnits([...selected, item]) <= allowance) {
+      selected.push(item);
+    }
+  }
+  return selected;
+};
+
+/**
+ * Change between an item's last two refreshes
+ * @param {Object} item - Watchlist item (document or plain object)
+ * @returns {Object|null} Per-metric differences, null before the second refresh
+ */
+const computeDelta = (item) => {
+  const latest = item.latest?.metrics;
+  const previous = item.previous?.metrics;
+  if (!latest || !previous) {
+    return null;
+  }
+
+  const delta = {};
+  Object.keys(latest).forEach(key => {
+    if (typeof latest[key] === 'number' && typeof previous[key] === 'number') {
+      delta[key] = latest[key] - previous[key];
+    }
+  });
+
+  if (Array.isArray(latest.resultIds) && Array.isArray(previous.resultIds)) {
+    const before = new Set(previous.resultIds);
+    const after = new Set(latest.resultIds);
+    delta.newResults = latest.resultIds.filter(id => !before.has(id)).length;
+    delta.droppedResults = previous.resultIds.filter(id => !after.has(id)).length;
+  }
+
+  return delta;
+};
+
+/**
+ * Seconds until the user may refresh an item by hand again
+ * @param {Object} item - Watchlist item
+ * @param {Date} [now=new Date()]
+ * @returns {number} 0 when a refresh is allowed now
+ */
+const manualRefreshWait = (item, now = new Date()) => {
+  const lastRefresh = item.latest?.refreshedAt;
+  if (!lastRefresh) {
+    return 0;
+  }
+  const allowedAt = new Date(lastRefresh).getTime() + youtubeConfig.watchlist.manualRefreshMinutes * 60 * 1000;
+  return Math.max(0, Math.ceil((allowedAt - now.getTime()) / 1000));
+};
+
+/**
+ * Watchlist item as returned by the API
+ */
+const formatItem = (item) => {
+  const { resultIds, ...metrics } = item.latest?.metrics || {};
+
+  return {
+    id: item._id,
+    type: item.type,
+    targetId: item.targetId,
+    title: item.title || item.targetId,
+    thumbnail: item.thumbnail || null,
+    intervalMinutes: item.intervalMinutes,
+    metrics: item.latest ? { ...metrics, ...(resultIds ? { resultCount: resultIds.length } : {}) } : null,
+    delta: computeDelta(item),
+    lastRefreshedAt: item.latest?.refreshedAt || null,
+    previousRefreshedAt: item.previous?.refreshedAt || null,
+    nextRefreshAt: item.nextRefreshAt,
+    lastError: item.lastError,
+    createdAt: item.createdAt
+  };
+};
+
+/**
+ * Store a refreshed response under the key its route would use
+ */
+const cacheResponse = async (endpoint, params, data) => {
+  try {
+    await cacheResponseData(generateCacheKey(endpoint, params), endpoint, data);
+  } catch (error) {
+    console.error(`[Watchlist] Cache update failed for ${endpoint}:`, error.message);
+  }
+};
+
+const refreshVideos = async (videoIds) => {
+  const responses = await loadVideoBatch(videoIds);
+
+  const results = new Map();
+  for (const [videoId, data] of responses) {
+    const { video } = data;
+    await cacheResponse('video', { videoId }, data);
+    results.set(videoId, {
+      title: video.title,
+      thumbnail: video.thumbnails?.medium || null,
+      metrics: {
+        viewCount: video.viewCount,
+        likeCount: video.likeCount,
+        commentCount: video.commentCount,
+        engagementRate: parseFloat(video.engagementRate || 0)
+      }
+    });
+  }
+  return results;
+};
+
+const refreshChannels = async (channelIds) => {
+  const responses = await loadChannelBatch(channelIds);
+
+  const results = new Map();
+  for (const [channelId, data] of responses) {
+    const { channel } = data;
+    await cacheResponse('channel', { channelId }, data);
+    results.set(channelId, {
+      title: channel.title,
+      thumbnail: channel.thumbnails?.medium || null,
+      metrics: {
+        subscriberCount: channel.hiddenSubscriberCount ? null : channel.subscriberCount,
+        viewCount: channel.viewCount,
+        videoCount: channel.videoCount
+      }
+    });
+  }
+  return results;
+};
+
+const refreshSearch = async (query) => {
+  // Same key as a first-page /youtube/search request without filters
+  const params = { q: query, maxResults: String(youtubeConfig.watchlist.searchResults) };
+  const page = await loadEndpoint('search', params);
+  await cacheResponse('search', params, page);
+
+  const views = page.results.map(video => video.viewCount);
+  return new Map([[query, {
+    title: query,
+    thumbnail: page.results[0]?.thumbnails?.medium || null,
+    metrics: {
+      totalResults: page.totalResults,
+      averageViews: views.length > 0 ? Math.round(views.reduce((sum, count) => sum + count, 0) / views.length) : 0,
+      resultIds: page.results.map(video => video.videoId)
+    }
+  }]]);
+};
+
+/**
+ * Refresh watchlist items now, then check the alert rules of those refreshed
+ * Items left unrefreshed because the quota ran out stay due for the next run
+ *
+ * @param {Array<Object>} items - WatchlistItem documents
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object>} { refreshed, failed, skipped, stoppedByQuota, alertsTriggered }
+ */
+const refreshItems = async (items, now = new Date()) => {
+  const results = new Map();
+  let stoppedByQuota = false;
+
+  const groups = [
+    ...[uniqueTargets(items, 'video')].filter(ids => ids.length > 0).map(ids => ({
+      type: 'video', ids, run: () => refreshVideos(ids), missing: youtubeConfig.errors.VIDEO_NOT_FOUND
+    })),
+    ...[uniqueTargets(items, 'channel')].filter(ids => ids.length > 0).map(ids => ({
+      type: 'channel', ids, run: () => refreshChannels(ids), missing: youtubeConfig.errors.CHANNEL_NOT_FOUND
+    })),
+    ...uniqueTargets(items, 'search').map(query => ({
+      type: 'search', ids: [query], run: () => refreshSearch(query), missing: 'No results'
+    }))
+  ];
+
+  for (const group of groups) {
+    try {
+      const found = await group.run();
+      group.ids.forEach(id => {
+        results.set(`${group.type}:${id}`, found.get(id) || { error: group.missing });
+      });
+    } catch (error) {
+      if (isQuotaError(error)) {
+        console.warn(`[Watchlist] Stopping refresh: ${error.message}`);
+        stoppedByQuota = true;
+        break;
+      }
+      console.error(`[Watchlist] ${group.type} refresh failed:`, error.message);
+      group.ids.forEach(id => results.set(`${group.type}:${id}`, { error: error.message }));
+    }
+  }
+
+  const refreshed = [];
+  let failed = 0;
+  for (const item of items) {
+    const result = results.get(`${item.type}:${item.targetId}`);
+    if (!result) continue;
+
+    item.applyRefresh(result, now);
+    await item.save();
+    result.error ? failed++ : refreshed.push(item);
+  }
+
+  // A failed alert check must not undo the refresh
+  let alertsTriggered = 0;
+  try {
+    alertsTriggered = await evaluateAlerts(refreshed, now);
+  } catch (error) {
+    console.error('[Watchlist] Alert evaluation failed:', error.message);
+  }
+
+  return {
+    refreshed: refreshed.length,
+    failed,
+    skipped: items.length - refreshed.length - failed,
+    stoppedByQuota,
+    alertsTriggered
+  };
+};
+
+/**
+ * Refresh every due item that fits in what is left of the job's daily share
+ * of the quota (youtubeConfig.watchlist.quotaShare)
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object>} Run summary
+ */
+const refreshDueItems = async (now = new Date()) => {
+  const due = await WatchlistItem.find({ nextRefreshAt: { $lte: now } })
+    .sort({ nextRefreshAt: 1 })
+    .limit(MAX_ITEMS_PER_RUN);
+
+  if (due.length === 0) {
+    return { due: 0, selected: 0, allowance: 0, estimatedUnits: 0, refreshed: 0, failed: 0, skipped: 0, stoppedByQuota: false, alertsTriggered: 0 };
+  }
+
+  const { allowance } = await quotaBudget.getJobAllowance(REFRESH_ROUTE, youtubeConfig.watchlist.quotaShare);
+  const selected = selectWithinBudget(due, allowance);
+
+  const summary = selected.length > 0
+    ? await refreshItems(selected, now)
+    : { refreshed: 0, failed: 0, skipped: 0, stoppedByQuota: false, alertsTriggered: 0 };
+
+  return {
+    due: due.length,
+    selected: selected.length,
+    allowance,
+    estimatedUnits: estimateUnits(selected),
+    ...summary
+  };
+};
+
+module.exports = {
+  REFRESH_ROUTE,
+  estimateUnits,
+  selectWithinBudget,
+  computeDelta,
+  manualRefreshWait,
+  formatItem,
+  refreshItems,
+  refreshDueItems
+};
@@ -0,0 +1,174 @@
+/**
+ * Webhook Service
+ * Posts JSON payloads to user-supplied URLs. Deliveries never throw: the
+ * outcome is returned so it can be stored with the notification
+ *
+ * URLs come from any guest, so receivers on loopback, private or link-local
+ * addresses are refused (alertConfig.webhook.allowPrivate lifts this). The
+ * address is checked again when connecting, so a host cannot resolve to a
+ * public address when the rule is saved and a private one on delivery.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const alertConfig = require('../config/alerts');
+
+const PRIVATE_ADDRESS_ERROR = 'Webhook URL points to a private, loopback or link-local address';
+
+// Ranges webhooks may not reach
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+// Unspecified and loopback, unique local, link-local, multicast; IPv4-mapped
+// addresses are checked against the IPv4 ranges
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * a public host
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup that fails for private addresses; the agents below connect
+ * through it
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+    callback(null, address, family);
+  });
+};
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Why a URL may not receive webhooks
+ * Hosts that do not resolve yet are let through; delivery reports them
+ * @param {string} url - http(s) URL
+ * @param {boolean} [allowPrivate] - Defaults to alertConfig.webhook.allowPrivate
+ * @returns {Promise<string|null>} Reason, or null when the URL is allowed
+ */
+const checkWebhookUrl = async (url, allowPrivate = alertConfig.webhook.allowPrivate) => {
+  if (allowPrivate) {
+    return null;
+  }
+
+  let hostname;
+  try {
+    // IPv6 hosts are bracketed in URLs
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return 'Webhook URL is not a valid URL';
+  }
+
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? PRIVATE_ADDRESS_ERROR : null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.some(entry => isPrivateAddress(entry.address)) ? PRIVATE_ADDRESS_ERROR : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * HMAC-SHA256 of the body, sent as X-Signature-256 so receivers can verify it
+ * @param {string} body - Raw JSON body
+ * @param {string} secret
+ * @returns {string} 'sha256=<hex>'
+ */
+const signPayload = (body, secret) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+};
+
+/**
+ * POST a JSON payload
+ * @param {string} url - http(s) URL
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Defaults to alertConfig.webhook.timeoutMs
+ * @param {string|null} [options.secret] - Defaults to alertConfig.webhook.secret
+ * @param {boolean} [options.allowPrivate] - Defaults to alertConfig.webhook.allowPrivate
+ * @returns {Promise<Object>} { url, delivered, status, error }
+ */
+const deliverWebhook = async (url, payload, options = {}) => {
+  const {
+    timeoutMs = alertConfig.webhook.timeoutMs,
+    secret = alertConfig.webhook.secret,
+    allowPrivate = alertConfig.webhook.allowPrivate
+  } = options;
+
+  const refusal = await checkWebhookUrl(url, allowPrivate);
+  if (refusal) {
+    console.warn(`[Webhook] Refused delivery to ${url}: ${refusal}`);
+    return { url, delivered: false, status: null, error: refusal };
+  }
+
+  const body = JSON.stringify(payload);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'youtube-analytics-alerts'
+  };
+  if (secret) {
+    headers['X-Signature-256'] = signPayload(body, secret);
+  }
+
+  try {
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...(allowPrivate ? {} : publicAgents)
+    });
+
+    const delivered = response.status >= 200 && response.status < 300;
+    return {
+      url,
+      delivered,
+      status: response.status,
+      error: delivered ? null : `Webhook responded with HTTP ${response.status}`
+    };
+  } catch (error) {
+    console.error(`[Webhook] Delivery to ${url} failed:`, error.message);
+    return { url, delivered: false, status: null, error: error.message };
+  }
+};
+
+module.exports = {
+  signPayload,
+  isPrivateAddress,
+  checkWebhookUrl,
+  deliverWebhook
+};
@@ -5,20 +5,43 @@
  */
 
 const youtubeConfig = require('../config/youtube');
-const { parseVideoData, parseChannelData, parseSearchResults } = require('../utils/parseYouTubeData');
+const { parseVideoData, parseChannelData, parseSearchResults, parseComment, parseCommentThread } = require('../utils/parseYouTubeData');
+const QuotaLedger = require('../models/QuotaLedger');
+const { getQuotaDay, getNextQuotaReset } = require('../utils/quotaDay');
+const { getRequestContext, setRequestContext } = require('../utils/requestContext');
+const quotaBudget = require('./quotaBudget');
+const apiKeyPool = require('./apiKeyPool');
 
 /**
  * Task 168: Quota tracking object
  * Logs every API call with its quota cost
+ * The in-process view covers this instance only and rolls over at the
+ * Pacific-midnight boundary; every call is also written to the shared
+ * QuotaLedger collection, which is the source of truth across instances
  */
 const quotaTracker = {
+  day: getQuotaDay(),
   calls: [],
   totalCost: 0,
   
+  /**
+   * Start a new day's tally when YouTube's quota day has rolled over
+   */
+  rollover() {
+    const today = getQuotaDay();
+    if (today !== this.day) {
+      console.log(`[Quota] Quota day rolled over (${this.day} -> ${today})`);
+      this.reset();
+      this.day = today;
+    }
+  },
+  
   /**
    * Log an API call with its quota cost
    */
-  logCall(endpoint, cost, success = true) {
+  logCall(endpoint, cost, success = true, apiKey = undefined) {
+    this.rollover();
+
     const call = {
       endpoint,
       cost,
@@ -30,19 +53,43 @@ const quotaTracker = {
     if (success) {
       this.totalCost += cost;
     }
+
+    // Persist with the attribution of the request that triggered the call
+    const { userId, guestId, route, cacheStatus, apiCalls = 0, units = 0 } = getRequestContext();
+    QuotaLedger.record({
+      day: this.day,
+      endpoint,
+      units: cost,
+      success,
+      cacheStatus,
+      userId,
+      guestId,
+      route,
+      apiKey
+    });
+
+    // Running totals of the request, reported as savings when coalesced
+    // requests share its response
+    if (success) {
+      setRequestContext({ apiCalls: apiCalls + 1, units: units + cost });
+    }
     
-    console.log(`[Quota] ${endpoint} - Cost: ${cost} units - Total: ${this.totalCost}/${youtubeConfig.quotaLimits.dailyLimit}`);
+    console.log(`[Quota] ${endpoint} - Cost: ${cost} units - Total: ${this.totalCost}/${youtubeConfig.getTotalDailyLimit()}`);
   },
   
   /**
    * Get quota usage summary
    */
   getSummary() {
+    this.rollover();
+
     return {
+      day: this.day,
+      resetsAt: getNextQuotaReset(),
       totalCalls: this.calls.length,
       totalCost: this.totalCost,
-      remaining: youtubeConfig.quotaLimits.dailyLimit - this.totalCost,
-      percentUsed: ((this.totalCost / youtubeConfig.quotaLimits.dailyLimit) * 100).toFixed(2),
+      remaining: youtubeConfig.getTotalDailyLimit() - this.totalCost,
+      percentUsed: ((this.totalCost / youtubeConfig.getTotalDailyLimit()) * 100).toFixed(2),
       calls: this.calls,
     };
   },
@@ -77,10 +124,20 @@ const exponentialBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
                               error.message?.includes('rate limit') ||
                               error.message?.includes('rateLimitExceeded');
       
+      // A rejected key fails the same way every time; let the pool fail over
+      if (apiKeyPool.classifyError(error) === 'invalid_key') {
+        throw error;
+      }
+
+      // So does a 403 about the resource itself, which is not a quota error
+      if (apiKeyPool.isResourceError(error)) {
+        throw error;
+      }
+      
       // Don't retry quota errors
       if (isQuotaError) {
         console.error('[YouTube API] Quota exceeded - no retry');
-        throw new Error(youtubeConfig.errors.QUOTA_EXCEEDED);
+        throw new Error(youtubeConfig.errors.QUOTA_EXCEEDED, { cause: error });
       }
       
       // Retry rate limit errors with backoff
@@ -105,10 +162,63 @@ const exponentialBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
 };
 
 /**
- * Task 162: Initialize YouTube API client
- * Task 163: Store API key from .env
+ * Make a single YouTube API call under quota admission control
+ * The method's unit cost (config/youtube.js) is reserved before calling and
+ * released if the call fails; the outcome is logged to the quota tracker.
+ * The call is made with the next key from the pool, failing over to another
+ * key when one is out of quota or rejected.
+ *
+ * @param {string} method - API method, e.g. 'search.list'
+ * @param {Function} request - Function performing the request with a client
+ * @returns {Promise<Object>} API response
  */
-const youtube = youtubeConfig.getClient();
+const callYouTube = async (method, request) => {
+  const units = youtubeConfig.getApiCost(method);
+  const reservation = await quotaBudget.reserve(method, units);
+  const triedKeys = new Set();
+
+  try {
+    for (;;) {
+      const key = apiKeyPool.acquire(units, triedKeys);
+      if (!key) {
+        throw apiKeyPool.getUnavailableError();
+      }
+      triedKeys.add(key.id);
+
+      try {
+        const response = await exponentialBackoff(() => request(key.client));
+        apiKeyPool.recordSuccess(key, units);
+        quotaTracker.logCall(method, units, true, key.id);
+        return response;
+      } catch (error) {
+        quotaTracker.logCall(method, units, false, key.id);
+
+        // Errors that are not about the key would fail on every key
+        if (apiKeyPool.recordFailure(key, error) === 'error') {
+          throw error;
+        }
+        console.warn(`[YouTube API] ${method} failed on ${key.label} - trying next key`);
+      }
+    }
+  } catch (error) {
+    await quotaBudget.release(reservation);
+
+    // Only when no key is left does the shared budget close for the day
+    if (!apiKeyPool.hasAvailableKey()) {
+      await quotaBudget.markExhausted();
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Errors that should reach the route unchanged rather than being wrapped
+ */
+const isPassthroughError = (error) => {
+  return error instanceof quotaBudget.QuotaBudgetError ||
+    error.message === youtubeConfig.errors.QUOTA_EXCEEDED;
+};
 
 /**
  * YouTube Service Class
@@ -122,12 +232,32 @@ class YouTubeService {
    * @returns {Promise<Array>} Array of video objects with full details
    */
   async searchVideos(query, options = {}) {
+    const page = await this.searchVideosPage(query, options);
+    return page.videos;
+  }
+
+  /**
+   * Search videos by query, one page at a time
+   * 
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (pageToken and search.list filters)
+   * @returns {Promise<Object>} { videos, nextPageToken, prevPageToken, totalResults, resultsPerPage }
+   */
+  async searchVideosPage(query, options = {}) {
     const {
       maxResults = 10,
       order = 'relevance',
       videoDuration,
       videoDefinition,
-      type = 'video'
+      videoCaption,
+      videoCategoryId,
+      publishedAfter,
+      publishedBefore,
+      regionCode = youtubeConfig.defaults.regionCode,
+      relevanceLanguage = youtubeConfig.defaults.relevanceLanguage,
+      safeSearch = youtubeConfig.defaults.safeSearch,
+      type = 'video',
+      pageToken
     } = options;
 
     try {
@@ -135,11 +265,11 @@ class YouTubeService {
       const validMaxResults = youtubeConfig.validateMaxResults(maxResults);
 
       // Task 168: Log quota cost (search = 100 units)
-      console.log(`[YouTube API] Searching videos: "${query}"`);
+      console.log(`[YouTube API] Searching videos: "${query}"${pageToken ? ` (page ${pageToken})` : ''}`);
 
       // Task 169: Wrap in exponential backoff
-      const searchResponse = await exponentialBackoff(async () => {
-        return await youtube.search.list({
+      const searchResponse = await callYouTube('search.list', async (client) => {
+        return await client.search.list({
           part: 'snippet',
           q: query,
           type,
@@ -147,14 +277,23 @@ class YouTubeService {
           order,
           videoDuration,
           videoDefinition,
-          regionCode: youtubeConfig.defaults.regionCode,
-          relevanceLanguage: youtubeConfig.defaults.relevanceLanguage,
-          safeSearch: youtubeConfig.defaults.safeSearch,
+          videoCaption,
+          videoCategoryId,
+          publishedAfter,
+          publishedBefore,
+          pageToken,
+          regionCode,
+          relevanceLanguage,
+          safeSearch,
         });
       });
 
-      // Log successful API call
-      quotaTracker.logCall('search.list', youtubeConfig.quotaLimits.search, true);
+      const pageInfo = {
+        nextPageToken: searchResponse.data.nextPageToken || null,
+        prevPageToken: searchResponse.data.prevPageToken || null,
+        totalResults: searchResponse.data.pageInfo?.totalResults || 0,
+        resultsPerPage: searchResponse.data.pageInfo?.resultsPerPage || validMaxResults
+      };
 
       // Parse search results to get video IDs
       const searchResults = parseSearchResults(searchResponse);
@@ -163,19 +302,18 @@ class YouTubeService {
         .map(item => item.videoId);
 
       if (videoIds.length === 0) {
-        return [];
+        return { videos: [], ...pageInfo };
       }
 
       // Get full video details for all videos
       const videosWithDetails = await this.getMultipleVideoDetails(videoIds);
 
-      return videosWithDetails;
+      return { videos: videosWithDetails, ...pageInfo };
 
     } catch (error) {
-      quotaTracker.logCall('search.list', youtubeConfig.quotaLimits.search, false);
       console.error('[YouTube API] Search error:', error.message);
       
-      if (error.message === youtubeConfig.errors.QUOTA_EXCEEDED) {
+      if (isPassthroughError(error)) {
         throw error;
       }
       
@@ -199,16 +337,13 @@ class YouTubeService {
       console.log(`[YouTube API] Fetching video details: ${videoId}`);
 
       // Task 169: Wrap in exponential backoff
-      const response = await exponentialBackoff(async () => {
-        return await youtube.videos.list({
+      const response = await callYouTube('videos.list', async (client) => {
+        return await client.videos.list({
           part: youtubeConfig.getVideoParts(), // snippet,contentDetails,statistics,status
           id: videoId,
         });
       });
 
-      // Task 168: Log quota cost (videos.list = 1 unit per part, we use 4 parts = 4 units)
-      quotaTracker.logCall('videos.list', youtubeConfig.videoParts.length, true);
-
       if (!response.data.items || response.data.items.length === 0) {
         throw new Error(youtubeConfig.errors.VIDEO_NOT_FOUND);
       }
@@ -219,10 +354,9 @@ class YouTubeService {
       return videoData;
 
     } catch (error) {
-      quotaTracker.logCall('videos.list', youtubeConfig.videoParts.length, false);
       console.error('[YouTube API] Video details error:', error.message);
       
-      if (error.message === youtubeConfig.errors.QUOTA_EXCEEDED) {
+      if (isPassthroughError(error)) {
         throw error;
       }
       
@@ -252,15 +386,13 @@ class YouTubeService {
       const allVideos = [];
 
       for (const chunk of chunkedIds) {
-        const response = await exponentialBackoff(async () => {
-          return await youtube.videos.list({
+        const response = await callYouTube('videos.list', async (client) => {
+          return await client.videos.list({
             part: youtubeConfig.getVideoParts(),
             id: chunk.join(','),
           });
         });
 
-        quotaTracker.logCall('videos.list', youtubeConfig.videoParts.length, true);
-
         if (response.data.items) {
           const parsedVideos = response.data.items.map(item => parseVideoData(item));
           allVideos.push(...parsedVideos);
@@ -270,12 +402,129 @@ class YouTubeService {
       return allVideos;
 
     } catch (error) {
-      quotaTracker.logCall('videos.list', youtubeConfig.videoParts.length, false);
       console.error('[YouTube API] Multiple videos error:', error.message);
+
+      if (isPassthroughError(error)) {
+        throw error;
+      }
+
       throw new Error(`Failed to get video details: ${error.message}`);
     }
   }
 
+  /**
+   * Get the comment threads of a video with their replies
+   * Pages through commentThreads.list (100 threads per unit); threads with
+   * more replies than the 5 included are completed with comments.list for
+   * up to `maxReplyThreads` threads (1 unit per 100 replies)
+   *
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} [options]
+   * @param {number} [options.maxThreads=200] - Top-level comments to fetch
+   * @param {string} [options.order='relevance'] - 'relevance' or 'time'
+   * @param {boolean} [options.includeReplies=true] - Complete long reply chains
+   * @param {number} [options.maxReplyThreads=20] - Threads whose replies are completed
+   * @returns {Promise<Object>} { threads, totalThreads, totalReplies, complete }
+   */
+  async getCommentThreads(videoId, options = {}) {
+    const {
+      maxThreads = 200,
+      order = 'relevance',
+      includeReplies = true,
+      maxReplyThreads = 20
+    } = options;
+
+    try {
+      console.log(`[YouTube API] Fetching comments: ${videoId} (up to ${maxThreads} threads)`);
+
+      const threads = [];
+      let pageToken;
+
+      do {
+        const response = await callYouTube('commentThreads.list', async (client) => {
+          return await client.commentThreads.list({
+            part: 'snippet,replies',
+            videoId,
+            order,
+            maxResults: Math.min(100, maxThreads - threads.length),
+            textFormat: 'plainText',
+            pageToken
+          });
+        });
+
+        threads.push(...(response.data.items || []).map(parseCommentThread).filter(Boolean));
+        pageToken = response.data.nextPageToken;
+      } while (pageToken && threads.length < maxThreads);
+
+      if (includeReplies) {
+        const truncated = threads
+          .filter(thread => thread.replyCount > thread.replies.length)
+          .sort((a, b) => b.replyCount - a.replyCount)
+          .slice(0, maxReplyThreads);
+
+        for (const thread of truncated) {
+          thread.replies = await this.getCommentReplies(thread.commentId);
+        }
+      }
+
+      const totalReplies = threads.reduce((sum, thread) => sum + thread.replies.length, 0);
+
+      return {
+        threads,
+        totalThreads: threads.length,
+        totalReplies,
+        // More threads exist, or some reply chains are still cut short
+        complete: !pageToken && threads.every(thread => thread.replies.length >= thread.replyCount)
+      };
+
+    } catch (error) {
+      console.error('[YouTube API] Comment threads error:', error.message);
+
+      if (isPassthroughError(error)) {
+        throw error;
+      }
+
+      const reason = apiKeyPool.getErrorReason(error);
+      if (reason === 'commentsDisabled') {
+        throw new Error(youtubeConfig.errors.COMMENTS_DISABLED);
+      }
+      if (reason === 'videoNotFound') {
+        throw new Error(youtubeConfig.errors.VIDEO_NOT_FOUND);
+      }
+
+      throw new Error(`Failed to get comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the replies to a top-level comment
+   *
+   * @param {string} parentId - Top-level comment ID
+   * @param {number} [maxReplies=500] - Stop after this many replies
+   * @returns {Promise<Array>} Parsed replies
+   */
+  async getCommentReplies(parentId, maxReplies = 500) {
+    const replies = [];
+    let pageToken;
+
+    do {
+      const response = await callYouTube('comments.list', async (client) => {
+        return await client.comments.list({
+          part: 'snippet',
+          parentId,
+          maxResults: 100,
+          textFormat: 'plainText',
+          pageToken
+        });
+      });
+
+      replies.push(...(response.data.items || []).map(parseComment));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && replies.length < maxReplies);
+
+    return replies;
+  }
+
   /**
    * Task 166: Get channel statistics and information
    * 
@@ -291,16 +540,13 @@ class YouTubeService {
       console.log(`[YouTube API] Fetching channel stats: ${channelId}`);
 
       // Task 169: Wrap in exponential backoff
-      const response = await exponentialBackoff(async () => {
-        return await youtube.channels.list({
+      const response = await callYouTube('channels.list', async (client) => {
+        return await client.channels.list({
           part: youtubeConfig.getChannelParts(), // snippet,contentDetails,statistics,brandingSettings
           id: channelId,
         });
       });
 
-      // Task 168: Log quota cost (channels.list = 1 unit per part, we use 4 parts = 4 units)
-      quotaTracker.logCall('channels.list', youtubeConfig.channelParts.length, true);
-
       if (!response.data.items || response.data.items.length === 0) {
         throw new Error(youtubeConfig.errors.CHANNEL_NOT_FOUND);
       }
@@ -311,10 +557,9 @@ class YouTubeService {
       return channelData;
 
     } catch (error) {
-      quotaTracker.logCall('channels.list', youtubeConfig.channelParts.length, false);
       console.error('[YouTube API] Channel stats error:', error.message);
       
-      if (error.message === youtubeConfig.errors.QUOTA_EXCEEDED) {
+      if (isPassthroughError(error)) {
         throw error;
       }
       
@@ -322,6 +567,217 @@ class YouTubeService {
     }
   }
 
+  /**
+   * Get one page of video IDs from a playlist (1 unit)
+   *
+   * @param {string} playlistId - YouTube playlist ID
+   * @param {Object} options - Paging options
+   * @param {number} options.maxResults - Items per page (max 50)
+   * @param {string} [options.pageToken] - Page token from a previous response
+   * @returns {Promise<Object>} { videoIds, nextPageToken, prevPageToken, totalResults, resultsPerPage }
+   */
+  async getPlaylistVideoIds(playlistId, { maxResults, pageToken } = {}) {
+    const response = await callYouTube('playlistItems.list', async (client) => {
+      return await client.playlistItems.list({
+        part: 'contentDetails',
+        playlistId,
+        maxResults,
+        pageToken,
+      });
+    });
+
+    return {
+      videoIds: (response.data.items || [])
+        .map(item => item.contentDetails?.videoId)
+        .filter(Boolean),
+      nextPageToken: response.data.nextPageToken || null,
+      prevPageToken: response.data.prevPageToken || null,
+      totalResults: response.data.pageInfo?.totalResults || 0,
+      resultsPerPage: response.data.pageInfo?.resultsPerPage || maxResults
+    };
+  }
+
+  /**
+   * Get one page of a channel's uploads, newest first
+   * Walks playlistItems.list on the channel's uploads playlist and fills in
+   * full video details with a batched videos.list call
+   *
+   * @param {string} channelId - YouTube channel ID
+   * @param {Object} options - Paging options
+   * @param {number} [options.maxResults=25] - Videos per page (max 50)
+   * @param {string} [options.pageToken] - Page token from a previous response
+   * @param {Object} [options.channel] - Channel already fetched by the caller
+   * @returns {Promise<Object>} { channel, videos, nextPageToken, prevPageToken, totalResults, resultsPerPage }
+   */
+  async getChannelUploadsPage(channelId, options = {}) {
+    const { maxResults = 25, pageToken } = options;
+
+    // The uploads playlist ID comes from the channel's contentDetails
+    const channel = options.channel || await this.getChannelStats(channelId);
+    const validMaxResults = youtubeConfig.validateMaxResults(maxResults);
+
+    if (!channel.uploadsPlaylistId) {
+      return {
+        channel,
+        videos: [],
+        nextPageToken: null,
+        prevPageToken: null,
+        totalResults: 0,
+        resultsPerPage: validMaxResults
+      };
+    }
+
+    try {
+      console.log(`[YouTube API] Fetching uploads for channel ${channelId}${pageToken ? ` (page ${pageToken})` : ''}`);
+
+      const { videoIds, ...pageInfo } = await this.getPlaylistVideoIds(channel.uploadsPlaylistId, {
+        maxResults: validMaxResults,
+        pageToken
+      });
+
+      // Private and deleted uploads have no details and are dropped here
+      const videos = await this.getMultipleVideoDetails(videoIds);
+
+      return { channel, videos, ...pageInfo };
+
+    } catch (error) {
+      console.error('[YouTube API] Channel uploads error:', error.message);
+
+      if (isPassthroughError(error)) {
+        throw error;
+      }
+
+      throw new Error(`Failed to get channel uploads: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a channel's most recent uploads, following page tokens as needed
+   *
+   * @param {string} channelId - YouTube channel ID
+   * @param {number} [limit=50] - Maximum uploads to return
+   * @returns {Promise<Object>} { channel, videos, totalUploads }
+   */
+  async getChannelRecentUploads(channelId, limit = 50) {
+    const channel = await this.getChannelStats(channelId);
+    const videos = [];
+    let pageToken;
+    let totalUploads = 0;
+
+    do {
+      const page = await this.getChannelUploadsPage(channelId, {
+        channel,
+        maxResults: Math.min(50, limit - videos.length),
+        pageToken
+      });
+      videos.push(...page.videos);
+      totalUploads = page.totalResults;
+      pageToken = page.nextPageToken;
+    } while (pageToken && videos.length < limit);
+
+    return { channel, videos: videos.slice(0, limit), totalUploads };
+  }
+
+  /**
+   * Get details for multiple channels at once
+   * One channels.list call per 50 IDs instead of one per channel
+   *
+   * @param {Array<string>} channelIds - Array of channel IDs
+   * @returns {Promise<Array>} Parsed channel objects, in the order requested
+   */
+  async getMultipleChannelDetails(channelIds) {
+    if (!channelIds || channelIds.length === 0) {
+      return [];
+    }
+
+    // YouTube API allows max 50 IDs per request
+    const chunkedIds = [];
+    for (let i = 0; i < channelIds.length; i += 50) {
+      chunkedIds.push(channelIds.slice(i, i + 50));
+    }
+
+    try {
+      const channelsById = new Map();
+
+      for (const chunk of chunkedIds) {
+        const response = await callYouTube('channels.list', async (client) => {
+          return await client.channels.list({
+            part: youtubeConfig.getChannelParts(),
+            id: chunk.join(','),
+            maxResults: chunk.length,
+          });
+        });
+
+        (response.data.items || []).forEach(item => {
+          channelsById.set(item.id, parseChannelData(item));
+        });
+      }
+
+      // channels.list does not preserve the order of the requested IDs
+      return channelIds
+        .filter(channelId => channelsById.has(channelId))
+        .map(channelId => channelsById.get(channelId));
+
+    } catch (error) {
+      console.error('[YouTube API] Multiple channels error:', error.message);
+
+      if (isPassthroughError(error)) {
+        throw error;
+      }
+
+      throw new Error(`Failed to get channel details: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get several channels and their most recent uploads for a comparison
+   * Channels come from one channels.list call and the uploads of every
+   * channel share batched videos.list calls, so N channels cost
+   * 1 + N playlistItems.list + ceil(total uploads / 50) units
+   *
+   * @param {Array<string>} channelIds - Channel IDs (UC...)
+   * @param {Object} [options]
+   * @param {number} [options.videosPerChannel=25] - Recent uploads per channel (max 50)
+   * @returns {Promise<Array>} [{ channel, videos }] in the order requested
+   */
+  async compareChannels(channelIds, options = {}) {
+    const videosPerChannel = youtubeConfig.validateMaxResults(options.videosPerChannel || 25);
+
+    const channels = await this.getMultipleChannelDetails(channelIds);
+
+    if (channels.length < channelIds.length) {
+      const found = new Set(channels.map(channel => channel.channelId));
+      const missing = channelIds.filter(channelId => !found.has(channelId));
+      throw new Error(`${youtubeConfig.errors.CHANNEL_NOT_FOUND} Missing: ${missing.join(', ')}`);
+    }
+
+    try {
+      console.log(`[YouTube API] Comparing ${channels.length} channels (${videosPerChannel} uploads each)`);
+
+      const uploadIds = await Promise.all(channels.map(channel => {
+        return channel.uploadsPlaylistId
+          ? this.getPlaylistVideoIds(channel.uploadsPlaylistId, { maxResults: videosPerChannel })
+          : { videoIds: [] };
+      }));
+
+      const videos = await this.getMultipleVideoDetails(uploadIds.flatMap(page => page.videoIds));
+
+      return channels.map(channel => ({
+        channel,
+        videos: videos.filter(video => video.channelId === channel.channelId)
+      }));
+
+    } catch (error) {
+      console.error('[YouTube API] Channel comparison error:', error.message);
+
+      if (isPassthroughError(error)) {
+        throw error;
+      }
+
+      throw new Error(`Failed to compare channels: ${error.message}`);
+    }
+  }
+
   /**
    * Task 167: Search channels by keyword
    * 
@@ -330,55 +786,80 @@ class YouTubeService {
    * @returns {Promise<Array>} Array of channel objects
    */
   async searchChannels(query, options = {}) {
-    const { maxResults = 10, order = 'relevance' } = options;
+    const { channels } = await this.searchChannelsPage(query, options);
+    return channels;
+  }
+
+  /**
+   * Search channels and return one page of results with its page tokens
+   * Costs one search.list call plus one batched channels.list call
+   *
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {number} [options.maxResults=10] - Results per page (max 50)
+   * @param {string} [options.order='relevance'] - Sort order
+   * @param {string} [options.pageToken] - Page token from a previous response
+   * @param {string} [options.regionCode] - ISO 3166-1 alpha-2 country code
+   * @param {string} [options.relevanceLanguage] - ISO 639-1 language code
+   * @param {string} [options.safeSearch] - none, moderate or strict
+   * @returns {Promise<Object>} { channels, nextPageToken, prevPageToken, totalResults, resultsPerPage }
+   */
+  async searchChannelsPage(query, options = {}) {
+    const {
+      maxResults = 10,
+      order = 'relevance',
+      pageToken,
+      regionCode = youtubeConfig.defaults.regionCode,
+      relevanceLanguage = youtubeConfig.defaults.relevanceLanguage,
+      safeSearch = youtubeConfig.defaults.safeSearch
+    } = options;
 
     try {
-      console.log(`[YouTube API] Searching channels: "${query}"`);
+      const validMaxResults = youtubeConfig.validateMaxResults(maxResults);
+
+      console.log(`[YouTube API] Searching channels: "${query}"${pageToken ? ` (page ${pageToken})` : ''}`);
 
       // Search for channels
-      const searchResponse = await exponentialBackoff(async () => {
-        return await youtube.search.list({
+      const searchResponse = await callYouTube('search.list', async (client) => {
+        return await client.search.list({
           part: 'snippet',
           q: query,
           type: 'channel',
-          maxResults: youtubeConfig.validateMaxResults(maxResults),
+          maxResults: validMaxResults,
           order,
-          regionCode: youtubeConfig.defaults.regionCode,
+          pageToken,
+          regionCode,
+          relevanceLanguage,
+          safeSearch,
         });
       });
 
-      // Task 168: Log quota cost
-      quotaTracker.logCall('search.list', youtubeConfig.quotaLimits.search, true);
+      const pageInfo = {
+        nextPageToken: searchResponse.data.nextPageToken || null,
+        prevPageToken: searchResponse.data.prevPageToken || null,
+        totalResults: searchResponse.data.pageInfo?.totalResults || 0,
+        resultsPerPage: searchResponse.data.pageInfo?.resultsPerPage || validMaxResults
+      };
 
       // Parse search results
       const searchResults = parseSearchResults(searchResponse);
-      const channelIds = searchResults
+      const channelIds = [...new Set(searchResults
         .filter(item => item.channelId)
-        .map(item => item.channelId);
+        .map(item => item.channelId))];
 
       if (channelIds.length === 0) {
-        return [];
+        return { channels: [], ...pageInfo };
       }
 
-      // Get full channel details
-      const channels = [];
-      for (const channelId of channelIds) {
-        try {
-          const channelData = await this.getChannelStats(channelId);
-          channels.push(channelData);
-        } catch (error) {
-          console.error(`[YouTube API] Failed to get channel ${channelId}:`, error.message);
-          // Continue with other channels
-        }
-      }
+      // Get full channel details in one batched call
+      const channels = await this.getMultipleChannelDetails(channelIds);
 
-      return channels;
+      return { channels, ...pageInfo };
 
     } catch (error) {
-      quotaTracker.logCall('search.list', youtubeConfig.quotaLimits.search, false);
       console.error('[YouTube API] Channel search error:', error.message);
       
-      if (error.message === youtubeConfig.errors.QUOTA_EXCEEDED) {
+      if (isPassthroughError(error)) {
         throw error;
       }
       
@@ -386,6 +867,60 @@ class YouTubeService {
     }
   }
 
+  /**
+   * Get trending (most popular) videos for a region
+   * Uses videos.list with chart=mostPopular, so results come back fully detailed
+   *
+   * @param {Object} options - Trending options
+   * @param {string} [options.regionCode='US'] - ISO 3166-1 alpha-2 country code
+   * @param {string} [options.videoCategoryId] - Restrict to a video category
+   * @param {number} [options.maxResults=10] - Results per page (max 50)
+   * @param {string} [options.pageToken] - Page token from a previous response
+   * @returns {Promise<Object>} { videos, nextPageToken, prevPageToken, totalResults }
+   */
+  async getTrendingVideos(options = {}) {
+    const {
+      regionCode = youtubeConfig.defaults.regionCode,
+      videoCategoryId,
+      maxResults = 10,
+      pageToken
+    } = options;
+
+    try {
+      console.log(`[YouTube API] Fetching trending videos: ${regionCode}${videoCategoryId ? ` (category ${videoCategoryId})` : ''}`);
+
+      // Task 169: Wrap in exponential backoff
+      const response = await callYouTube('videos.list', async (client) => {
+        return await client.videos.list({
+          part: youtubeConfig.getVideoParts(),
+          chart: 'mostPopular',
+          regionCode,
+          videoCategoryId,
+          maxResults: youtubeConfig.validateMaxResults(maxResults),
+          pageToken,
+        });
+      });
+
+      const videos = (response.data.items || []).map(item => parseVideoData(item));
+
+      return {
+        videos,
+        nextPageToken: response.data.nextPageToken || null,
+        prevPageToken: response.data.prevPageToken || null,
+        totalResults: response.data.pageInfo?.totalResults || videos.length
+      };
+
+    } catch (error) {
+      console.error('[YouTube API] Trending error:', error.message);
+
+      if (isPassthroughError(error)) {
+        throw error;
+      }
+
+      throw new Error(`Failed to get trending videos: ${error.message}`);
+    }
+  }
+
   /**
    * Get quota usage statistics
    * 
@@ -395,6 +930,26 @@ class YouTubeService {
     return quotaTracker.getSummary();
   }
 
+  /**
+   * Get today's usage across all instances from the quota ledger
+   * 
+   * @returns {Promise<Object>} { day, used, limit, remaining, resetsAt }
+   */
+  async getDailyUsage() {
+    const day = getQuotaDay();
+    const used = await QuotaLedger.getDailyTotal(day);
+    const limit = youtubeConfig.getTotalDailyLimit();
+
+    return {
+      day,
+      used,
+      limit,
+      remaining: Math.max(0, limit - used),
+      percentUsed: Number(((used / limit) * 100).toFixed(2)),
+      resetsAt: getNextQuotaReset()
+    };
+  }
+
   /**
    * Reset quota tracker
    */
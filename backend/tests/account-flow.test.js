@@ -0,0 +1,212 @@
+/**
+ * Account Flow Tests
+ * Tests registration, login, email verification, guest upgrade and migration
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const axios = require('axios');
+
+const BASE_URL = 'http://localhost:5000';
+const API_BASE = `${BASE_URL}/api/v1`;
+
+console.log('🧪 Testing Account Flow\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function logTest(name, passed, message = '') {
+  if (passed) {
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } else {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: message });
+    console.error(`❌ FAIL: ${name}`);
+    if (message) console.error(`   Error: ${message}\n`);
+  }
+}
+
+// Read the latest verification token from the link in the local mail
+// stand-in (the server must run with MAIL_DEV_OUTBOX=true)
+async function getVerificationToken(email) {
+  const response = await axios.get(`${API_BASE}/auth/dev/outbox`, { params: { to: email } });
+  const messages = response.data.data.filter(mail => mail.meta?.type === 'email-verification');
+  return messages[0]?.text.match(/token=([0-9a-f]+)/)?.[1];
+}
+
+async function runTests() {
+  try {
+    try {
+      await axios.get(`${BASE_URL}/api/health`);
+      logTest('Server is running and accessible', true);
+    } catch (error) {
+      logTest('Server is running and accessible', false, 'Server not responding. Start with: npm run dev');
+      process.exit(1);
+    }
+
+    const email = `account-test-${Date.now()}@example.com`;
+    const password = 'correct-horse-battery';
+    let token = null;
+
+    // Register
+    try {
+      const response = await axios.post(`${API_BASE}/auth/register`, { email, password, displayName: 'Account Test' });
+      const { user } = response.data.data;
+      token = response.data.data.token;
+      logTest('POST /auth/register creates an unverified account',
+        response.status === 201 &&
+        user.userType === 'REGISTERED' &&
+        user.emailVerified === false &&
+        user.passwordHash === undefined
+      );
+    } catch (error) {
+      logTest('POST /auth/register creates an unverified account', false, error.response?.data?.error || error.message);
+    }
+
+    try {
+      await axios.post(`${API_BASE}/auth/register`, { email, password });
+      logTest('Duplicate email is rejected', false, 'Should have failed');
+    } catch (error) {
+      logTest('Duplicate email is rejected', error.response?.status === 409);
+    }
+
+    try {
+      await axios.post(`${API_BASE}/auth/register`, { email: 'not-an-email', password: 'short' });
+      logTest('Invalid registration payload is rejected', false, 'Should have failed');
+    } catch (error) {
+      logTest('Invalid registration payload is rejected',
+        error.response?.status === 400 && Array.isArray(error.response.data.details)
+      );
+    }
+
+    // Login
+    try {
+      await axios.post(`${API_BASE}/auth/login`, { email, password: 'wrong-password' });
+      logTest('Wrong password is rejected', false, 'Should have failed');
+    } catch (error) {
+      logTest('Wrong password is rejected', error.response?.status === 401);
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE}/auth/login`, { email: email.toUpperCase(), password });
+      token = response.data.data.token;
+      logTest('POST /auth/login accepts case-insensitive email', Boolean(token));
+    } catch (error) {
+      logTest('POST /auth/login accepts case-insensitive email', false, error.response?.data?.error || error.message);
+    }
+
+    // Verify email
+    try {
+      const verificationToken = await getVerificationToken(email);
+      const response = await axios.post(`${API_BASE}/auth/verify-email`, { token: verificationToken });
+      const { user } = response.data.data;
+      logTest('POST /auth/verify-email unlocks the registered quota',
+        user.emailVerified === true && user.quotaLimit > 100
+      );
+    } catch (error) {
+      logTest('POST /auth/verify-email unlocks the registered quota', false, error.response?.data?.error || error.message);
+    }
+
+    try {
+      await axios.post(`${API_BASE}/auth/verify-email`, { token: 'f'.repeat(64) });
+      logTest('Unknown verification token is rejected', false, 'Should have failed');
+    } catch (error) {
+      logTest('Unknown verification token is rejected', error.response?.status === 400);
+    }
+
+    try {
+      const response = await axios.get(`${API_BASE}/auth/verify`, { headers: { Authorization: `Bearer ${token}` } });
+      logTest('Registered token passes /auth/verify', response.data.data.user.email === email);
+    } catch (error) {
+      logTest('Registered token passes /auth/verify', false, error.response?.data?.error || error.message);
+    }
+
+    // Guest upgrade keeps search history
+    const upgradeEmail = `upgrade-test-${Date.now()}@example.com`;
+    try {
+      const guest = await axios.post(`${API_BASE}/auth/guest`);
+      const guestAuth = { headers: { Authorization: `Bearer ${guest.data.data.token}` } };
+
+      await axios.get(`${API_BASE}/youtube/video/dQw4w9WgXcQ`, guestAuth).catch(() => {});
+
+      const response = await axios.post(`${API_BASE}/auth/upgrade`, { email: upgradeEmail, password }, guestAuth);
+      const upgraded = response.data.data;
+
+      const history = await axios.get(`${API_BASE}/user/search-history`, {
+        headers: { Authorization: `Bearer ${upgraded.token}` }
+      });
+
+      logTest('POST /auth/upgrade converts the guest and keeps history',
+        upgraded.user.guestId === guest.data.data.user.guestId &&
+        upgraded.user.userType === 'REGISTERED' &&
+        history.data.data.pagination.total >= 1
+      );
+    } catch (error) {
+      logTest('POST /auth/upgrade converts the guest and keeps history', false, error.response?.data?.error || error.message);
+    }
+
+    // Signing in as a guest merges the guest into the existing account
+    try {
+      const guest = await axios.post(`${API_BASE}/auth/guest`);
+      const guestAuth = { headers: { Authorization: `Bearer ${guest.data.data.token}` } };
+
+      await axios.get(`${API_BASE}/youtube/video/dQw4w9WgXcQ`, guestAuth).catch(() => {});
+      const watched = await axios.post(`${API_BASE}/watchlist`, { type: 'video', targetId: 'dQw4w9WgXcQ' }, guestAuth);
+      await axios.post(`${API_BASE}/alerts/rules`, {
+        itemId: watched.data.data.item.id, metric: 'viewCount', condition: 'above', threshold: 1e12
+      }, guestAuth);
+
+      const response = await axios.post(`${API_BASE}/auth/login`, { email, password }, guestAuth);
+      const { migration } = response.data.data;
+
+      logTest('POST /auth/login with a guest token migrates the guest',
+        migration?.fromGuestId === guest.data.data.user.guestId &&
+        migration.historyEntries >= 1 &&
+        migration.tokenRevoked === true
+      );
+
+      const watchlist = await axios.get(`${API_BASE}/watchlist`, {
+        headers: { Authorization: `Bearer ${response.data.data.token}` }
+      });
+      logTest('Migrated guest watchlist and alert rules move to the account',
+        migration.watchlistItems === 1 &&
+        migration.alertRules === 1 &&
+        watchlist.data.data.items.some(item => item.type === 'video' && item.targetId === 'dQw4w9WgXcQ')
+      );
+
+      try {
+        await axios.get(`${API_BASE}/auth/verify`, guestAuth);
+        logTest('Migrated guest token is blacklisted', false, 'Should have failed');
+      } catch (error) {
+        logTest('Migrated guest token is blacklisted', error.response?.status === 401);
+      }
+    } catch (error) {
+      logTest('POST /auth/login with a guest token migrates the guest', false, error.response?.data?.error || error.message);
+    }
+
+    try {
+      await axios.post(`${API_BASE}/auth/upgrade`, { email: upgradeEmail, password });
+      logTest('Upgrade requires a guest session', false, 'Should have failed');
+    } catch (error) {
+      logTest('Upgrade requires a guest session', error.response?.status === 401);
+    }
+
+    console.log('\n═══════════════════════════════════════════════════════════');
+    console.log(`Total Tests: ${results.passed + results.failed}`);
+    console.log(`✅ Passed: ${results.passed}`);
+    console.log(`❌ Failed: ${results.failed}\n`);
+
+    process.exit(results.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('\n❌ TEST ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
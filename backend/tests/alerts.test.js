@@ -0,0 +1,194 @@
+/**
+ * Alert Unit Tests
+ * Rule evaluation against watchlist refreshes and webhook delivery to a
+ * local HTTP stand-in
+ */
+
+// The receiver stand-in listens on loopback
+process.env.ALERT_WEBHOOK_ALLOW_PRIVATE = 'true';
+
+const http = require('http');
+const { evaluateRule, describeRule } = require('../services/alerts');
+const { deliverWebhook, signPayload, isPrivateAddress, checkWebhookUrl } = require('../services/webhook');
+
+console.log('🧪 Testing Alerts\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+async function test(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const now = new Date('2024-03-01T12:00:00Z');
+
+const rule = (overrides) => ({
+  enabled: true,
+  windowMinutes: 60,
+  cooldownMinutes: 60,
+  lastTriggeredAt: null,
+  ...overrides
+});
+
+// Two refreshes `minutes` apart
+const item = (previous, latest, minutes = 60) => ({
+  title: 'Test video',
+  targetId: 'abcdefghijk',
+  previous: previous && { refreshedAt: new Date(now - minutes * 60 * 1000), metrics: previous },
+  latest: { refreshedAt: now, metrics: latest }
+});
+
+/**
+ * Local HTTP stand-in that records what it receives
+ */
+const startReceiver = (status = 200) => new Promise(resolve => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+  });
+});
+
+const run = async () => {
+  await test('Increase scales the change to the rule window', () => {
+    const gains = rule({ metric: 'viewCount', condition: 'increase', threshold: 10000 });
+    // 30,000 views over 3 hours is 10,000 an hour
+    assertEquals(evaluateRule(gains, item({ viewCount: 100000 }, { viewCount: 130000 }, 180), now).value, 10000);
+    assertEquals(evaluateRule(gains, item({ viewCount: 100000 }, { viewCount: 129000 }, 180), now), null);
+    // No previous refresh, no change to measure
+    assertEquals(evaluateRule(gains, item(null, { viewCount: 130000 }), now), null);
+  });
+
+  await test('Decrease fires on drops only', () => {
+    const drops = rule({ metric: 'subscriberCount', condition: 'decrease', threshold: 100 });
+    assertEquals(evaluateRule(drops, item({ subscriberCount: 5000 }, { subscriberCount: 4850 }), now).value, -150);
+    assertEquals(evaluateRule(drops, item({ subscriberCount: 5000 }, { subscriberCount: 5150 }), now), null);
+  });
+
+  await test('Below fires when the value crosses the threshold', () => {
+    const below = rule({ metric: 'engagementRate', condition: 'below', threshold: 2 });
+    const crossed = evaluateRule(below, item({ engagementRate: 2.4 }, { engagementRate: 1.8 }), now);
+    assertEquals(crossed.value, 1.8);
+    assertEquals(crossed.message, 'Test video: engagement rate (%) dropped below 2 (now 1.8)');
+    // Already below on the previous refresh
+    assertEquals(evaluateRule(below, item({ engagementRate: 1.9 }, { engagementRate: 1.8 }), now), null);
+    // First refresh already past the threshold
+    assertEquals(evaluateRule(below, item(null, { engagementRate: 1.8 }), now).value, 1.8);
+  });
+
+  await test('Cooldown, disabled rules and missing metrics never fire', () => {
+    const above = { metric: 'viewCount', condition: 'above', threshold: 1000 };
+    const crossing = item({ viewCount: 900 }, { viewCount: 1100 });
+    assertEquals(evaluateRule(rule({ ...above, lastTriggeredAt: new Date(now - 30 * 60 * 1000) }), crossing, now), null);
+    assertEquals(evaluateRule(rule({ ...above, lastTriggeredAt: new Date(now - 90 * 60 * 1000) }), crossing, now).value, 1100);
+    assertEquals(evaluateRule(rule({ ...above, enabled: false }), crossing, now), null);
+    assertEquals(evaluateRule(rule({ ...above, metric: 'subscriberCount' }), crossing, now), null);
+  });
+
+  await test('Rules are described in words', () => {
+    assertEquals(describeRule(rule({ metric: 'viewCount', condition: 'increase', threshold: 10000 })), 'views increase by 10,000 in an hour');
+    assertEquals(describeRule(rule({ metric: 'viewCount', condition: 'decrease', threshold: 5, windowMinutes: 2880 })), 'views decrease by 5 in 2 days');
+    assertEquals(describeRule(rule({ metric: 'engagementRate', condition: 'below', threshold: 2 })), 'engagement rate (%) drop below 2');
+  });
+
+  await test('Webhook posts signed JSON to the receiver', async () => {
+    const receiver = await startReceiver(204);
+    try {
+      const payload = { event: 'alert.triggered', value: 42 };
+      const delivery = await deliverWebhook(receiver.url, payload, { secret: 'shh', timeoutMs: 2000 });
+
+      assertEquals(delivery, { url: receiver.url, delivered: true, status: 204, error: null });
+      assertEquals(JSON.parse(receiver.received[0].body), payload);
+      assertEquals(receiver.received[0].headers['content-type'], 'application/json');
+      assertEquals(receiver.received[0].headers['x-signature-256'], signPayload(receiver.received[0].body, 'shh'));
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  await test('Webhook failures are reported, not thrown', async () => {
+    const receiver = await startReceiver(500);
+    const url = receiver.url;
+    try {
+      const delivery = await deliverWebhook(url, { event: 'alert.test' }, { secret: null, timeoutMs: 2000 });
+      assertEquals(delivery.delivered, false);
+      assertEquals(delivery.status, 500);
+      assertEquals(receiver.received[0].headers['x-signature-256'], undefined);
+    } finally {
+      await new Promise(resolve => receiver.server.close(resolve));
+    }
+
+    // Nothing listens on the port any more
+    const refused = await deliverWebhook(url, { event: 'alert.test' }, { timeoutMs: 2000 });
+    assertEquals(refused.delivered, false);
+    assertEquals(refused.status, null);
+  });
+
+  await test('Private, loopback and link-local addresses are recognised', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:7f00:1']
+      .forEach(address => assertEquals(isPrivateAddress(address), true, `${address} should be private`));
+    ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888']
+      .forEach(address => assertEquals(isPrivateAddress(address), false, `${address} should be public`));
+  });
+
+  await test('Webhooks to private addresses are refused unless allowed', async () => {
+    assertEquals(await checkWebhookUrl('http://169.254.169.254/latest/meta-data', false),
+      'Webhook URL points to a private, loopback or link-local address');
+    assertEquals(await checkWebhookUrl('http://[::1]:8080/hook', false),
+      'Webhook URL points to a private, loopback or link-local address');
+    assertEquals(await checkWebhookUrl('https://8.8.8.8/hook', false), null);
+    assertEquals(await checkWebhookUrl('http://127.0.0.1/hook', true), null);
+
+    // Names are resolved first, and nothing reaches the receiver
+    const receiver = await startReceiver(204);
+    try {
+      const delivery = await deliverWebhook(receiver.url.replace('127.0.0.1', 'localhost'), { event: 'alert.test' }, { timeoutMs: 2000, allowPrivate: false });
+      assertEquals(delivery.delivered, false);
+      assertEquals(delivery.status, null);
+      assertEquals(delivery.error, 'Webhook URL points to a private, loopback or link-local address');
+      assertEquals(receiver.received.length, 0);
+    } finally {
+      await new Promise(resolve => receiver.server.close(resolve));
+    }
+  });
+
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log(`Total Tests: ${results.passed + results.failed}`);
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}\n`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+};
+
+run();
@@ -0,0 +1,98 @@
+/**
+ * API Key Pool Unit Tests
+ * Rotation, failover and error classification for the YouTube key pool
+ */
+
+// The pool is built from the environment when config/youtube.js loads
+process.env.YOUTUBE_API_KEYS = 'AIzaTestKeyOne0001,AIzaTestKeyTwo0002,AIzaTestKeyThree03';
+process.env.YOUTUBE_API_KEY = 'AIzaTestKeyOne0001';
+
+const youtubeConfig = require('../config/youtube');
+const apiKeyPool = require('../services/apiKeyPool');
+
+console.log('🧪 Testing API Key Pool\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+// googleapis errors as wrapped by exponentialBackoff
+const apiError = (reason, message = 'API error') =>
+  new Error(youtubeConfig.errors.QUOTA_EXCEEDED, { cause: { message, errors: [{ reason }] } });
+
+test('Keys are de-duplicated and never exposed in full', () => {
+  assertEquals(youtubeConfig.apiKeys.map(key => key.label), ['key-1', 'key-2', 'key-3']);
+  assertEquals(youtubeConfig.apiKeys[0].masked, 'AIza…0001');
+  assertEquals(youtubeConfig.getTotalDailyLimit(), youtubeConfig.quotaLimits.dailyLimit * 3);
+});
+
+test('Calls rotate between keys', () => {
+  const labels = [1, 2, 3, 4].map(() => apiKeyPool.acquire(1).label);
+  assertEquals(labels, ['key-1', 'key-2', 'key-3', 'key-1']);
+});
+
+test('Errors are classified by reason', () => {
+  assertEquals(apiKeyPool.classifyError(apiError('quotaExceeded')), 'quota');
+  assertEquals(apiKeyPool.classifyError(apiError('keyInvalid')), 'invalid_key');
+  assertEquals(apiKeyPool.classifyError({ code: 400, message: 'API key not valid. Please pass a valid API key.' }), 'invalid_key');
+  assertEquals(apiKeyPool.classifyError(apiError('forbidden')), 'error');
+  assertEquals(apiKeyPool.classifyError(new Error('socket hang up')), 'error');
+});
+
+test('An exhausted key is skipped by rotation', () => {
+  const key = apiKeyPool.acquire(1);
+  assertEquals(apiKeyPool.recordFailure(key, apiError('quotaExceeded')), 'quota');
+
+  const next = [1, 2, 3].map(() => apiKeyPool.acquire(1).label);
+  assertEquals(next.includes(key.label), false);
+});
+
+test('Failover excludes keys already tried for the call', () => {
+  const first = apiKeyPool.acquire(1);
+  const second = apiKeyPool.acquire(1, new Set([first.id]));
+  assertEquals(second.id !== first.id, true);
+  assertEquals(apiKeyPool.acquire(1, new Set([first.id, second.id])), null);
+});
+
+test('Unavailable error reports quota once no key is left', () => {
+  let key;
+  while ((key = apiKeyPool.acquire(1))) {
+    apiKeyPool.recordFailure(key, apiError('keyInvalid'));
+  }
+  assertEquals(apiKeyPool.hasAvailableKey(), false);
+  // One key was exhausted rather than disabled, so this is a quota problem
+  assertEquals(apiKeyPool.getUnavailableError().message, youtubeConfig.errors.QUOTA_EXCEEDED);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
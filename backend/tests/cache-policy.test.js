@@ -0,0 +1,168 @@
+/**
+ * Cache Policy Unit Tests
+ * Matching admin cache rules to entries and combining them with the
+ * endpoint defaults
+ */
+
+process.env.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || 'AIzaTestKeyForCachePolicyTests';
+
+const { responseAgeInDays, compileRules, matchesRule, applyRules } = require('../services/cachePolicy');
+const { generateCacheKey } = require('../middleware/cacheMiddleware');
+
+console.log('🧪 Testing Cache Policies\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const VIDEO_DEFAULTS = { ttl: 3600, grace: 604800, revalidate: 3600 };
+const TRENDING_DEFAULTS = { ttl: 900, grace: 21600, revalidate: 900 };
+
+const videoKey = generateCacheKey('video', { videoId: 'abc' });
+const trendingKey = (regionCode) => generateCacheKey('trending', { regionCode, maxResults: '10' });
+const videoData = (ageInDays) => ({ video: { videoId: 'abc', publishedFeatures: { ageInDays } } });
+
+const rule = (fields) => ({ name: 'rule', endpoint: '*', keyPattern: null, minAgeDays: null, maxAgeDays: null,
+  ttlSeconds: null, graceSeconds: null, revalidateSeconds: null, bypass: false, priority: 0, enabled: true, ...fields });
+
+test('Only single-video responses have an age', () => {
+  assertEquals(responseAgeInDays(videoData(400)), 400);
+  assertEquals(responseAgeInDays(videoData(0)), 0);
+  assertEquals(responseAgeInDays({ videos: [videoData(400).video] }), null);
+  assertEquals(responseAgeInDays(undefined), null);
+});
+
+test('Rules match by endpoint and key pattern', () => {
+  const [anyEndpoint, trending, us] = compileRules([
+    rule({ name: 'any' }),
+    rule({ name: 'trending', endpoint: 'trending' }),
+    rule({ name: 'us', endpoint: 'trending', keyPattern: 'trending:*"regionCode":"US"*' })
+  ]);
+
+  assertEquals(matchesRule(anyEndpoint, 'video', videoKey), true);
+  assertEquals(matchesRule(trending, 'trending', trendingKey('GB')), true);
+  assertEquals(matchesRule(trending, 'video', videoKey), false);
+  assertEquals(matchesRule(us, 'trending', trendingKey('US')), true);
+  assertEquals(matchesRule(us, 'trending', trendingKey('GB')), false);
+});
+
+test('Key patterns match the whole key, with every * a wildcard', () => {
+  const [tenUs, anyTrending] = compileRules([
+    rule({ name: 'ten US', keyPattern: 'trending:*"maxResults":"10"*"regionCode":"US"*' }),
+    rule({ name: 'trending', keyPattern: 'trending:*' })
+  ]);
+
+  assertEquals(matchesRule(tenUs, 'trending', trendingKey('US')), true);
+  assertEquals(matchesRule(tenUs, 'trending', generateCacheKey('trending', { regionCode: 'US', maxResults: '20' })), false);
+  assertEquals(matchesRule(anyTrending, 'trending', trendingKey('GB')), true);
+  assertEquals(matchesRule(anyTrending, 'video', `video:${trendingKey('GB')}`), false);
+});
+
+test('Key patterns treat regular expression characters literally', () => {
+  const searchKey = (q) => generateCacheKey('search', { q, maxResults: '10' });
+  const [cpp] = compileRules([rule({ name: 'c++', keyPattern: 'search:*"q":"c++ (2024)?"*' })]);
+
+  assertEquals(matchesRule(cpp, 'search', searchKey('c++ (2024)?')), true);
+  assertEquals(matchesRule(cpp, 'search', searchKey('c (2024)')), false);
+  assertEquals(matchesRule(cpp, 'search', searchKey('cc 2024')), false);
+});
+
+test('Age conditions only match responses within the range', () => {
+  const [old] = compileRules([rule({ endpoint: 'video', minAgeDays: 365, maxAgeDays: 3650 })]);
+
+  assertEquals(matchesRule(old, 'video', videoKey, 365), true);
+  assertEquals(matchesRule(old, 'video', videoKey, 364), false);
+  assertEquals(matchesRule(old, 'video', videoKey, 3651), false);
+  // Unknown before the response is fetched
+  assertEquals(matchesRule(old, 'video', videoKey, null), false);
+});
+
+test('Disabled rules never match', () => {
+  const [disabled] = compileRules([rule({ enabled: false })]);
+  assertEquals(matchesRule(disabled, 'video', videoKey), false);
+});
+
+test('Without matching rules the endpoint defaults apply', () => {
+  const rules = compileRules([rule({ endpoint: 'trending', ttlSeconds: 300 })]);
+
+  assertEquals(applyRules(rules, 'video', videoKey, VIDEO_DEFAULTS, videoData(10)),
+    { ...VIDEO_DEFAULTS, bypass: false, rules: [] });
+  assertEquals(applyRules([], 'trending', trendingKey('US'), TRENDING_DEFAULTS),
+    { ...TRENDING_DEFAULTS, bypass: false, rules: [] });
+});
+
+test('Old videos get a longer TTL once the response is known', () => {
+  const rules = compileRules([rule({ name: 'old videos', endpoint: 'video', minAgeDays: 365, ttlSeconds: 86400 })]);
+
+  assertEquals(applyRules(rules, 'video', videoKey, VIDEO_DEFAULTS, videoData(800)).ttl, 86400);
+  assertEquals(applyRules(rules, 'video', videoKey, VIDEO_DEFAULTS, videoData(30)).ttl, 3600);
+  assertEquals(applyRules(rules, 'video', videoKey, VIDEO_DEFAULTS).ttl, 3600);
+});
+
+test('Each field comes from the strongest rule that sets it', () => {
+  const rules = compileRules([
+    rule({ name: 'all', ttlSeconds: 600, graceSeconds: 60 }),
+    rule({ name: 'trending', endpoint: 'trending', ttlSeconds: 300, priority: 10 })
+  ]);
+
+  assertEquals(rules.map(candidate => candidate.name), ['trending', 'all']);
+  assertEquals(applyRules(rules, 'trending', trendingKey('US'), TRENDING_DEFAULTS), {
+    ttl: 300,
+    grace: 60,
+    revalidate: 900,
+    bypass: false,
+    rules: ['trending', 'all']
+  });
+});
+
+test('Equal priorities prefer the latest edit', () => {
+  const rules = compileRules([
+    rule({ name: 'older', ttlSeconds: 100, updatedAt: new Date('2026-01-01') }),
+    rule({ name: 'newer', ttlSeconds: 200, updatedAt: new Date('2026-02-01') })
+  ]);
+
+  assertEquals(applyRules(rules, 'video', videoKey, VIDEO_DEFAULTS).ttl, 200);
+});
+
+test('Any matching bypass rule keeps the entry out of the cache', () => {
+  const rules = compileRules([
+    rule({ name: 'long', endpoint: 'trending', ttlSeconds: 3600, priority: 5 }),
+    rule({ name: 'no GB', keyPattern: '*"regionCode":"GB"*', bypass: true })
+  ]);
+
+  assertEquals(applyRules(rules, 'trending', trendingKey('GB'), TRENDING_DEFAULTS).bypass, true);
+  assertEquals(applyRules(rules, 'trending', trendingKey('US'), TRENDING_DEFAULTS).bypass, false);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
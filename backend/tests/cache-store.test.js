@@ -0,0 +1,200 @@
+/**
+ * Cache Store Tests
+ * The contract every cache store implements, run against the in-memory
+ * store and, when REDIS_URL points at a server, the Redis store (under a
+ * throwaway key prefix)
+ */
+
+// config/youtube.js needs a key to load; these tests make no API calls
+process.env.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || 'AIzaTestKeyStore1';
+
+const { createCacheStore } = require('../services/cacheStore');
+
+console.log('🧪 Testing Cache Stores\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+async function test(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const now = new Date('2024-03-01T12:00:00Z');
+
+const rule = (overrides) => ({
+  enabled: true,
+  windowMinutes: 60,
+  cooldownMinutes: 60,
+  lastTriggeredAt: null,
+  ...overrides
+});
+
+// Two refreshes `minutes` apart
+const item = (previous, latest, minutes = 60) => ({
+  title: 'Test video',
+  targetId: 'abcdefghijk',
+  previous: previous && { refreshedAt: new Date(now - minutes * 60 * 1000), metrics: previous },
+  latest: { refreshedAt: now, metrics: latest }
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const HOUR = 3600;
+
+/**
+ * Contract tests for one store
+ */
+const testStore = async (store) => {
+  const name = store.name;
+
+  await test(`[${name}] Stored values come back as copies until they expire`, async () => {
+    const value = { results: [{ videoId: 'a' }], count: 1 };
+    const stored = await store.set('video:{"videoId":"a"}', value, HOUR, 'video', HOUR);
+    value.count = 2;
+
+    const entry = await store.get('video:{"videoId":"a"}');
+    assertEquals(entry.value, { results: [{ videoId: 'a' }], count: 1 });
+    assertEquals(entry.expiresAt instanceof Date, true);
+    assertEquals(entry.expiresAt.getTime(), stored.expiresAt.getTime());
+    assertEquals(await store.get('video:{"videoId":"missing"}'), null);
+  });
+
+  await test(`[${name}] Expired entries are only served stale within their grace period`, async () => {
+    await store.set('trending:{"regionCode":"US"}', { count: 3 }, 0.05, 'trending', HOUR);
+    await store.set('trending:{"regionCode":"GB"}', { count: 4 }, 0.05, 'trending', 0);
+    await wait(100);
+
+    assertEquals(await store.get('trending:{"regionCode":"US"}'), null);
+    const stale = await store.getStale('trending:{"regionCode":"US"}');
+    assertEquals(stale.value, { count: 3 });
+    assertEquals(stale.staleUntil > new Date(), true);
+    assertEquals(await store.getStale('trending:{"regionCode":"GB"}'), null);
+  });
+
+  await test(`[${name}] Hits are added in batches and kept only when asked`, async () => {
+    const at = new Date();
+    const updated = await store.recordHits(new Map([
+      ['video:{"videoId":"a"}', { count: 3, lastAccessedAt: at }],
+      ['video:{"videoId":"missing"}', { count: 9, lastAccessedAt: at }]
+    ]));
+    assertEquals(updated, 1);
+    assertEquals(await store.get('video:{"videoId":"missing"}'), null);
+
+    await store.set('video:{"videoId":"a"}', { count: 5 }, HOUR, 'video', HOUR, { keepHits: true });
+    let [popular] = await store.getPopular(1);
+    assertEquals([popular.key, popular.hits], ['video:{"videoId":"a"}', 3]);
+
+    await store.set('video:{"videoId":"a"}', { count: 5 }, HOUR, 'video', HOUR);
+    [popular] = await store.getPopular(1, { minHits: 1 });
+    assertEquals(popular, undefined);
+  });
+
+  await test(`[${name}] Popular entries are the most hit live ones`, async () => {
+    await store.set('search:{"q":"react"}', { count: 1 }, HOUR, 'search', HOUR);
+    await store.set('search:{"q":"vue"}', { count: 1 }, 60, 'search', HOUR);
+    await store.set('channel:{"channelId":"UCa"}', { count: 1 }, HOUR, 'channel', HOUR);
+    await store.recordHits(new Map([
+      ['search:{"q":"react"}', { count: 5, lastAccessedAt: new Date() }],
+      ['search:{"q":"vue"}', { count: 7, lastAccessedAt: new Date() }],
+      ['channel:{"channelId":"UCa"}', { count: 1, lastAccessedAt: new Date() }],
+      // Expired: never popular
+      ['trending:{"regionCode":"US"}', { count: 50, lastAccessedAt: new Date() }]
+    ]));
+
+    const popular = await store.getPopular(10, { minHits: 2 });
+    assertEquals(popular.map(entry => [entry.key, entry.hits]), [['search:{"q":"vue"}', 7], ['search:{"q":"react"}', 5]]);
+    assertEquals(popular[0].endpoint, 'search');
+
+    const expiringSoon = await store.getPopular(10, { expiringBefore: new Date(Date.now() + 120 * 1000) });
+    assertEquals(expiringSoon.map(entry => entry.key), ['search:{"q":"vue"}']);
+
+    const fresh = await store.freshKeys(['search:{"q":"react"}', 'search:{"q":"vue"}', 'search:{"q":"none"}'], new Date(Date.now() + 120 * 1000));
+    assertEquals(fresh, ['search:{"q":"react"}']);
+  });
+
+  await test(`[${name}] Statistics count live, stale and per-endpoint entries`, async () => {
+    const stats = await store.getStats();
+    // The GB trending entry had no grace period, so it is gone
+    assertEquals([stats.total, stats.active, stats.expired, stats.stale], [5, 4, 1, 1]);
+    assertEquals(stats.totalHits, 13 + 50);
+    assertEquals(stats.byEndpoint.find(group => group._id === 'search'), { _id: 'search', count: 2, totalHits: 12, avgHits: 6 });
+    assertEquals(await store.count(), 5);
+  });
+
+  await test(`[${name}] Cleanup removes expired entries, grace copies only when asked`, async () => {
+    assertEquals(await store.cleanup(), 0);
+    assertEquals(await store.cleanup({ includeGrace: true }), 1);
+    assertEquals(await store.getStale('trending:{"regionCode":"US"}'), null);
+    assertEquals(await store.count(), 4);
+  });
+
+  await test(`[${name}] Invalidation by pattern, endpoint and everything`, async () => {
+    assertEquals(await store.invalidate('search:*react*'), 1);
+    assertEquals(await store.get('search:{"q":"vue"}') !== null, true);
+    assertEquals(await store.invalidateEndpoint('search'), 1);
+    assertEquals(await store.invalidateAll(), 2);
+    assertEquals(await store.count(), 0);
+  });
+};
+
+const run = async () => {
+  await test('Unknown backends are rejected', () => {
+    let message = null;
+    try {
+      createCacheStore({ backend: 'memcached' });
+    } catch (error) {
+      message = error.message;
+    }
+    assertEquals(message, 'Unknown cache store "memcached". Must be one of: mongo, memory, redis');
+  });
+
+  await testStore(createCacheStore({ backend: 'memory' }));
+
+  if (process.env.REDIS_URL) {
+    const redisStore = createCacheStore({
+      backend: 'redis',
+      redisUrl: process.env.REDIS_URL,
+      redisKeyPrefix: `ytcache-test-${Date.now()}:`
+    });
+    try {
+      await testStore(redisStore);
+    } finally {
+      await redisStore.invalidateAll().catch(() => {});
+      await redisStore.close();
+    }
+  } else {
+    console.log('ℹ️  REDIS_URL not set; skipping the Redis store');
+  }
+
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log(`Total Tests: ${results.passed + results.failed}`);
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}\n`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+};
+
+run();
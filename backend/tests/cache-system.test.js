@@ -40,6 +40,23 @@ function logTest(name, passed, message = '') {
  */
 const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Helper: Register an account, promote it to admin directly in MongoDB and
+ * log in. Cache management routes require the admin role.
+ */
+async function createAdminSession() {
+  const email = `cache-admin-${Date.now()}@example.com`;
+  const password = 'cache-admin-password';
+
+  await axios.post(`${API_BASE}/auth/register`, { email, password });
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await mongoose.connection.collection('users').updateOne({ email }, { $set: { role: 'admin' } });
+
+  const login = await axios.post(`${API_BASE}/auth/login`, { email, password });
+  return { headers: { Authorization: `Bearer ${login.data.data.token}` } };
+}
+
 /**
  * Run all tests
  */
@@ -58,6 +75,31 @@ async function runTests() {
       process.exit(1);
     }
 
+    const adminAuth = await createAdminSession();
+
+    // ------------------------------------
+    // Access control
+    // ------------------------------------
+    console.log('\nACCESS CONTROL: Admin-only cache routes');
+    console.log('─────────────────────────────────────────────────────────\n');
+
+    try {
+      await axios.delete(`${API_BASE}/cache/invalidate`, adminAuth);
+      logTest('Anonymous cache invalidation is rejected', false, 'Should have failed');
+    } catch (error) {
+      logTest('Anonymous cache invalidation is rejected', error.response?.status === 401);
+    }
+
+    try {
+      const guest = await axios.post(`${API_BASE}/auth/guest`);
+      await axios.post(`${API_BASE}/cache/warm`, {}, {
+        headers: { Authorization: `Bearer ${guest.data.data.token}` }
+      });
+      logTest('Non-admin cache warming is forbidden', false, 'Should have failed');
+    } catch (error) {
+      logTest('Non-admin cache warming is forbidden', error.response?.status === 403);
+    }
+
     // ------------------------------------
     // Task 191-192: Cache Model & TTL Index
     // ------------------------------------
@@ -126,7 +168,7 @@ async function runTests() {
     console.log('─────────────────────────────────────────────────────────\n');
 
     try {
-      const response = await axios.get(`${API_BASE}/cache/stats`);
+      const response = await axios.get(`${API_BASE}/cache/stats`, adminAuth);
       
       logTest('Task 194.1: Cache stats endpoint returns TTL config',
         response.data.data.ttl &&
@@ -207,7 +249,7 @@ async function runTests() {
     console.log('─────────────────────────────────────────────────────────\n');
 
     try {
-      const response = await axios.post(`${API_BASE}/cache/warm`);
+      const response = await axios.post(`${API_BASE}/cache/warm`, {}, adminAuth);
       
       logTest('Task 197.1: Cache warming endpoint exists and responds',
         response.status === 202 &&
@@ -227,7 +269,7 @@ async function runTests() {
     console.log('─────────────────────────────────────────────────────────\n');
 
     try {
-      const response = await axios.get(`${API_BASE}/cache/stats`);
+      const response = await axios.get(`${API_BASE}/cache/stats`, adminAuth);
       
       logTest('Task 198.1: Cache statistics endpoint returns analytics',
         response.data.success === true &&
@@ -258,7 +300,7 @@ async function runTests() {
 
     // Test invalidate by endpoint
     try {
-      const response = await axios.delete(`${API_BASE}/cache/invalidate/search`);
+      const response = await axios.delete(`${API_BASE}/cache/invalidate/search`, adminAuth);
       
       logTest('Task 199.1: Invalidate by endpoint works',
         response.status === 200 &&
@@ -273,6 +315,7 @@ async function runTests() {
     // Test invalidate by pattern
     try {
       const response = await axios.delete(`${API_BASE}/cache/invalidate-pattern`, {
+        ...adminAuth,
         data: { pattern: 'video:*' }
       });
       
@@ -288,7 +331,7 @@ async function runTests() {
 
     // Test invalidate all
     try {
-      const response = await axios.delete(`${API_BASE}/cache/invalidate`);
+      const response = await axios.delete(`${API_BASE}/cache/invalidate`, adminAuth);
       
       logTest('Task 199.3: Invalidate all cache works',
         response.status === 200 &&
@@ -300,6 +343,18 @@ async function runTests() {
       logTest('Task 199.3: Invalidate all cache works', false, error.message);
     }
 
+    // Destructive operations (and denied attempts) are audited
+    try {
+      const response = await axios.get(`${API_BASE}/cache/audit`, adminAuth);
+      const { entries } = response.data.data;
+      logTest('Audit log records cache operations with the actor',
+        entries.some(entry => entry.action === 'cache.invalidate' && entry.outcome === 'success' && entry.actor?.role === 'admin') &&
+        entries.some(entry => entry.outcome === 'failure' && entry.statusCode === 401)
+      );
+    } catch (error) {
+      logTest('Audit log records cache operations with the actor', false, error.message);
+    }
+
     // ------------------------------------
     // Task 200: Cache Performance Monitoring
     // ------------------------------------
@@ -312,7 +367,7 @@ async function runTests() {
     await axios.get(`${API_BASE}/youtube/search?q=performance test&maxResults=5`).catch(() => {});
 
     try {
-      const response = await axios.get(`${API_BASE}/cache/performance`);
+      const response = await axios.get(`${API_BASE}/cache/performance`, adminAuth);
       
       logTest('Task 200.1: Performance metrics endpoint exists',
         response.status === 200 &&
@@ -343,7 +398,7 @@ async function runTests() {
 
     // Test popular queries endpoint
     try {
-      const response = await axios.get(`${API_BASE}/cache/popular?limit=5`);
+      const response = await axios.get(`${API_BASE}/cache/popular?limit=5`, adminAuth);
       
       logTest('Task 200.4: Popular cache entries endpoint works',
         response.status === 200 &&
@@ -364,7 +419,7 @@ async function runTests() {
     // Test complete flow
     try {
       // Clear cache
-      await axios.delete(`${API_BASE}/cache/invalidate`);
+      await axios.delete(`${API_BASE}/cache/invalidate`, adminAuth);
       
       // Make request (MISS)
       const miss = await axios.get(`${API_BASE}/youtube/video/dQw4w9WgXcQ`);
@@ -384,6 +439,34 @@ async function runTests() {
       logTest('Integration: Complete cache flow works (MISS → HIT)', false, error.message);
     }
 
+    // Test stale-while-revalidate
+    try {
+      const videoUrl = `${API_BASE}/youtube/video/dQw4w9WgXcQ`;
+      const primed = await axios.get(videoUrl);
+
+      // Expire the entry a moment ago; its grace copy remains
+      await mongoose.connection.collection('caches').updateOne(
+        { key: primed.headers['x-cache-key'] },
+        { $set: { expiresAt: new Date(Date.now() - 1000) } }
+      );
+
+      const stale = await axios.get(videoUrl);
+
+      // Give the background refresh time to store a fresh copy
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      const refreshed = await axios.get(videoUrl);
+
+      logTest('Integration: Expired entry is served stale and refreshed (STALE → HIT)',
+        stale.headers['x-cache'] === 'STALE' &&
+        stale.data.stale === true &&
+        stale.data.revalidating === true &&
+        stale.data.data.video?.videoId === 'dQw4w9WgXcQ' &&
+        refreshed.headers['x-cache'] === 'HIT'
+      );
+    } catch (error) {
+      logTest('Integration: Expired entry is served stale and refreshed (STALE → HIT)', false, error.message);
+    }
+
     // ------------------------------------
     // Summary
     // ------------------------------------
@@ -431,6 +514,7 @@ async function runTests() {
 
     console.log('\n🎉 All Tasks 191-200 Complete!\n');
 
+    await mongoose.connection.close();
     process.exit(results.failed > 0 ? 1 : 0);
 
   } catch (error) {
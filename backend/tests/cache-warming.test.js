@@ -0,0 +1,181 @@
+/**
+ * Cache Warming Unit Tests
+ * Cache keys shared with the middleware, targets from traffic, and
+ * selection within the day's quota share
+ */
+
+// config/youtube.js needs a key to load; these tests make no API calls
+process.env.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || 'AIzaTestKeyCacheWarm1';
+process.env.CACHE_STORE = 'memory';
+process.env.YOUTUBE_DAILY_QUOTA = '1000';
+process.env.CACHE_WARMING_QUOTA_SHARE = '0.01';
+
+const { buildCacheParams, generateCacheKey, parseCacheKey } = require('../middleware/cacheMiddleware');
+const { estimateEndpointUnits, ENDPOINT_LOADERS } = require('../services/endpointLoaders');
+const { cacheTargets, historyTargets, mergeTargets, selectWithinBudget, WARMING_ROUTE } = require('../services/cacheWarming');
+const { getCacheStore } = require('../services/cacheStore');
+const { warmCaches } = require('../jobs/warmCaches');
+const { getRequestContext } = require('../utils/requestContext');
+const QuotaLedger = require('../models/QuotaLedger');
+const QuotaBudget = require('../models/QuotaBudget');
+const User = require('../models/User');
+
+console.log('🧪 Testing Cache Warming\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+async function test(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const run = async () => {
+  await test('Cache keys parse back into the parameters that built them', () => {
+    const req = { query: { q: 'react', maxResults: '50', order: 'date' }, params: {} };
+    const key = generateCacheKey('search', buildCacheParams('search', req));
+    const parsed = parseCacheKey(key);
+
+    assertEquals(parsed.endpoint, 'search');
+    assertEquals(parsed.params.q, 'react');
+    assertEquals(parsed.params.order, 'date');
+    assertEquals(generateCacheKey(parsed.endpoint, parsed.params), key);
+  });
+
+  await test('Keys that are not endpoint:JSON do not parse', () => {
+    assertEquals(parseCacheKey('search'), null);
+    assertEquals(parseCacheKey('search:not json'), null);
+    assertEquals(parseCacheKey('search:[1,2]'), null);
+  });
+
+  await test('History maps searches, videos and channels to their cache keys', () => {
+    const targets = historyTargets([
+      { endpoint: '/search', query: 'react', requests: 5 },
+      { endpoint: '/video/dQw4w9WgXcQ', query: 'dQw4w9WgXcQ', requests: 4 },
+      { endpoint: '/channel/UCabc', query: 'UCabc', requests: 3 },
+      // Left to the popular cache entries
+      { endpoint: '/video/dQw4w9WgXcQ/comments', query: 'dQw4w9WgXcQ', requests: 9 },
+      { endpoint: '/trending', query: 'trending', requests: 9 }
+    ]);
+
+    assertEquals(targets.map(target => target.key), [
+      generateCacheKey('search', { q: 'react', maxResults: '50' }),
+      generateCacheKey('video', { videoId: 'dQw4w9WgXcQ' }),
+      generateCacheKey('channel', { channelId: 'UCabc' })
+    ]);
+    // Same key as the Search page's request for the query
+    assertEquals(targets[0].key, generateCacheKey('search', buildCacheParams('search', { query: { q: 'react', maxResults: '50' } })));
+    assertEquals(targets.map(target => target.requests), [5, 4, 3]);
+  });
+
+  await test('Only cache entries of endpoints with a loader become targets', () => {
+    const videoKey = generateCacheKey('video', { videoId: 'abc' });
+    const targets = cacheTargets([
+      { key: videoKey, hits: 7 },
+      { key: 'unknown:{"a":1}', hits: 9 },
+      { key: 'broken', hits: 9 }
+    ]);
+    assertEquals(targets, [{ key: videoKey, endpoint: 'video', params: { videoId: 'abc' }, hits: 7, requests: 0 }]);
+  });
+
+  await test('Targets sharing a key are merged and ranked by hits plus requests', () => {
+    const search = historyTargets([{ endpoint: '/search', query: 'react', requests: 2 }])[0];
+    const video = { key: generateCacheKey('video', { videoId: 'abc' }), endpoint: 'video', params: { videoId: 'abc' }, hits: 3, requests: 0 };
+    const merged = mergeTargets([video, { ...search, hits: 4, requests: 0 }], [search]);
+
+    assertEquals(merged.map(target => [target.endpoint, target.score]), [['search', 6], ['video', 3]]);
+    assertEquals(merged[0].hits, 4);
+    assertEquals(merged[0].requests, 2);
+  });
+
+  await test('Estimates follow the calls each endpoint makes', () => {
+    assertEquals(estimateEndpointUnits('search', { q: 'react' }), 101);
+    assertEquals(estimateEndpointUnits('video', { videoId: 'abc' }), 1);
+    assertEquals(estimateEndpointUnits('channelAnalytics', {}), 3);
+    assertEquals(estimateEndpointUnits('channelAnalytics', { maxVideos: '120' }), 7);
+    assertEquals(estimateEndpointUnits('comments', { videoId: 'abc' }), 22);
+    assertEquals(estimateEndpointUnits('comments', { videoId: 'abc', replies: 'false' }), 2);
+    assertEquals(estimateEndpointUnits('unknown', {}), Infinity);
+  });
+
+  await test('Selection keeps rank order, skips what does not fit and stops at the limit', () => {
+    const targets = mergeTargets(historyTargets([
+      { endpoint: '/video/a', query: 'a', requests: 9 },
+      { endpoint: '/search', query: 'react', requests: 8 },
+      { endpoint: '/channel/UCa', query: 'UCa', requests: 7 },
+      { endpoint: '/video/b', query: 'b', requests: 6 }
+    ]));
+
+    assertEquals(selectWithinBudget(targets, 50).map(target => target.params), [
+      { videoId: 'a' }, { channelId: 'UCa' }, { videoId: 'b' }
+    ]);
+    assertEquals(selectWithinBudget(targets, 200).map(target => target.units), [1, 101, 1, 1]);
+    assertEquals(selectWithinBudget(targets, 200, 2).length, 2);
+    assertEquals(selectWithinBudget(targets, 0), []);
+  });
+
+  await test('The quota share caps a day of runs, not each run', async () => {
+    // 30 popular video entries about to expire; warming may spend 1% of a
+    // 1000 unit day, 1 unit per video
+    const store = getCacheStore();
+    const keys = [];
+    for (let i = 0; i < 30; i++) {
+      const key = generateCacheKey('video', { videoId: `video${String(i).padStart(6, '0')}` });
+      await store.set(key, { video: { videoId: `video${i}` } }, 300, 'video');
+      keys.push(key);
+    }
+    await store.recordHits(new Map(keys.map(key => [key, { count: 5, lastAccessedAt: new Date() }])));
+
+    // Calls are recorded in a stand-in ledger under the caller's request context
+    const ledger = [{ route: '/api/v1/youtube/search', cacheStatus: 'MISS', units: 500 }];
+    ENDPOINT_LOADERS.video.load = async ({ videoId }) => {
+      const { route, cacheStatus } = getRequestContext();
+      ledger.push({ route, cacheStatus, units: 1 });
+      return { video: { videoId } };
+    };
+    QuotaLedger.getDailyTotal = async (day, filter = {}) => ledger
+      .filter(entry => Object.entries(filter).every(([field, value]) => entry[field] === value))
+      .reduce((sum, entry) => sum + entry.units, 0);
+    QuotaBudget.findOne = () => ({ lean: async () => ({ reservedUnits: 0, exhaustedAt: null }) });
+    User.aggregate = async () => [];
+
+    const first = await warmCaches();
+    assertEquals([first.dailyAllowance, first.spentToday, first.allowance, first.warmed], [10, 0, 10, 10]);
+
+    // Later runs the same day get nothing: the job spent its share
+    const second = await warmCaches();
+    assertEquals([second.spentToday, second.allowance, second.warmed], [10, 0, 0]);
+    assertEquals(ledger.filter(entry => entry.route === WARMING_ROUTE).length, 10);
+  });
+
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log(`Total Tests: ${results.passed + results.failed}`);
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}\n`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+};
+
+run();
@@ -0,0 +1,163 @@
+/**
+ * Channel Analytics Unit Tests
+ * Figures computed from a channel's uploads for the channel dashboard
+ */
+
+const { computeChannelAnalytics, computeChannelComparison } = require('../services/channelAnalytics');
+
+console.log('🧪 Testing Channel Analytics\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const now = new Date('2024-03-31T12:00:00Z');
+
+// Weekly uploads, newest first like the uploads playlist
+const upload = (id, publishedAt, viewCount, extra = {}) => ({
+  videoId: id,
+  title: `Video ${id}`,
+  publishedAt,
+  publishedFeatures: {
+    dayOfWeek: new Date(publishedAt).getDay(),
+    hour: new Date(publishedAt).getHours()
+  },
+  viewCount,
+  likeCount: viewCount / 20,
+  commentCount: viewCount / 100,
+  engagementRate: '5.00',
+  durationSeconds: 600,
+  categoryId: '28',
+  categoryName: 'Science & Technology',
+  ...extra
+});
+
+const uploads = [
+  upload('e', '2024-03-29T15:00:00Z', 2000000),
+  upload('d', '2024-03-22T15:00:00Z', 500000, { engagementRate: '3.00' }),
+  upload('c', '2024-03-15T15:00:00Z', 50000, { categoryId: '10', categoryName: 'Music' }),
+  upload('b', '2024-03-08T15:00:00Z', 5000),
+  upload('a', '2024-03-01T15:00:00Z', 500)
+];
+
+const analytics = computeChannelAnalytics(uploads, { now });
+
+test('Summary totals and averages', () => {
+  assertEquals(analytics.summary.videosAnalyzed, 5);
+  assertEquals(analytics.summary.totalViews, 2555500);
+  assertEquals(analytics.summary.medianViews, 50000);
+  assertEquals(analytics.summary.averageEngagement, 4.6);
+  assertEquals(analytics.summary.firstPublishedAt, '2024-03-01T15:00:00Z');
+  assertEquals(analytics.summary.lastPublishedAt, '2024-03-29T15:00:00Z');
+});
+
+test('Upload cadence from gaps between uploads', () => {
+  assertEquals(analytics.uploadCadence.averageDaysBetweenUploads, 7);
+  assertEquals(analytics.uploadCadence.uploadsPerWeek, 1);
+  assertEquals(analytics.uploadCadence.daysSinceLastUpload, 1);
+  assertEquals(analytics.uploadCadence.byMonth, [{ month: '2024-03', uploads: 5, views: 2555500 }]);
+});
+
+test('Views distribution uses log-scale buckets', () => {
+  assertEquals(analytics.viewsDistribution.map(bucket => bucket.uploads), [1, 1, 1, 1, 1, 0]);
+});
+
+test('Engagement trend is chronological with a rolling average', () => {
+  assertEquals(analytics.engagementTrend.map(point => point.videoId), ['a', 'b', 'c', 'd', 'e']);
+  assertEquals(analytics.engagementTrend[3].rollingAverage, 4.5);
+});
+
+test('Publish timing groups uploads by weekday', () => {
+  const day = analytics.publishTiming.byDay.find(slot => slot.uploads > 0);
+  assertEquals(day.uploads, 5);
+  assertEquals(analytics.publishTiming.bestDay.day, day.day);
+  assertEquals(analytics.publishTiming.byHour.length, 24);
+});
+
+test('Top and bottom performers never overlap', () => {
+  assertEquals(analytics.topVideos.map(video => video.videoId), ['e', 'd', 'c', 'b', 'a']);
+  assertEquals(analytics.bottomVideos, []);
+
+  const more = computeChannelAnalytics([
+    ...uploads,
+    upload('f', '2024-02-23T15:00:00Z', 100),
+    upload('g', '2024-02-16T15:00:00Z', 10)
+  ], { now });
+  assertEquals(more.bottomVideos.map(video => video.videoId), ['g', 'f']);
+});
+
+test('Category mix shares add up', () => {
+  assertEquals(analytics.categoryMix.map(entry => [entry.categoryName, entry.uploads, entry.share]), [
+    ['Science & Technology', 4, 80],
+    ['Music', 1, 20]
+  ]);
+});
+
+test('No uploads produces empty figures', () => {
+  const empty = computeChannelAnalytics([], { now });
+  assertEquals(empty.summary.videosAnalyzed, 0);
+  assertEquals(empty.uploadCadence.daysSinceLastUpload, null);
+  assertEquals(empty.publishTiming.bestDay, null);
+  assertEquals(empty.topVideos, []);
+});
+
+test('Comparison metrics and leaders per channel', () => {
+  const comparison = computeChannelComparison([
+    {
+      channel: { channelId: 'UCa', subscriberCount: 1000, hiddenSubscriberCount: false },
+      videos: uploads
+    },
+    {
+      channel: { channelId: 'UCb', subscriberCount: 0, hiddenSubscriberCount: true },
+      videos: [upload('x', '2024-03-30T15:00:00Z', 900000, { durationSeconds: 1200 })]
+    }
+  ], { now });
+
+  const [a, b] = comparison.channels;
+  assertEquals(a.metrics.medianViews, 50000);
+  assertEquals(a.metrics.uploadsPerWeek, 1);
+  assertEquals(a.metrics.medianDurationSeconds, 600);
+  assertEquals(a.uploads.map(video => video.videoId), ['a', 'b', 'c', 'd', 'e']);
+  assertEquals(b.metrics.subscribers, null);
+  assertEquals(comparison.leaders, {
+    subscribers: 'UCa',
+    averageViews: 'UCb',
+    medianViews: 'UCb',
+    engagementRate: 'UCb',
+    uploadsPerWeek: 'UCa',
+    medianDurationSeconds: 'UCb'
+  });
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
@@ -0,0 +1,146 @@
+/**
+ * Comment Analysis Unit Tests
+ * Volume, commenters, keywords and questions from parsed comment threads
+ */
+
+const { isQuestion, extractKeywords, computeCommentAnalysis } = require('../services/commentAnalysis');
+
+console.log('🧪 Testing Comment Analysis\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const comment = (commentId, authorName, text, likeCount, publishedAt, extra = {}) => ({
+  commentId,
+  authorName,
+  authorChannelId: `UC${authorName}`,
+  text,
+  likeCount,
+  publishedAt,
+  ...extra
+});
+
+const thread = (top, replies = []) => ({ ...top, replyCount: replies.length, replies });
+
+const threads = [
+  thread(comment('c1', 'ana', 'Great tutorial on React hooks, thanks!', 50, '2024-03-01T10:00:00Z'), [
+    comment('r1', 'ben', 'Agreed, the hooks part was great', 5, '2024-03-01T12:00:00Z'),
+    comment('r2', 'ana', 'Thanks Ben', 1, '2024-03-03T09:00:00Z')
+  ]),
+  thread(comment('c2', 'cara', 'How do you handle state in larger React apps?', 30, '2024-03-02T08:00:00Z')),
+  thread(comment('c3', 'ana', 'Can you make one about testing hooks. Would love that', 12, '2024-03-03T20:00:00Z')),
+  thread(comment('c4', 'dan', 'First! https://example.com/react', 0, '2024-03-03T21:00:00Z'))
+];
+
+const analysis = computeCommentAnalysis(threads);
+
+test('Questions are found by question marks and question words', () => {
+  assertEquals(isQuestion('How do you handle state?'), true);
+  assertEquals(isQuestion('Can you make one about testing hooks. Would love that'), true);
+  assertEquals(isQuestion('Great video. Is it'), false, 'Too short to be a question');
+  assertEquals(isQuestion('This is how it works'), false);
+});
+
+test('Keywords drop stopwords, links, numbers and short words', () => {
+  assertEquals(extractKeywords('The REACT hooks video is great! https://x.com/abc 2024 ok'), ['react', 'hooks', 'great']);
+  assertEquals(extractKeywords("It's Ana's 'favourite'"), ["ana's", 'favourite']);
+});
+
+test('Summary counts threads, replies and authors', () => {
+  assertEquals(analysis.summary.threads, 4);
+  assertEquals(analysis.summary.replies, 2);
+  assertEquals(analysis.summary.comments, 6);
+  assertEquals(analysis.summary.uniqueAuthors, 4);
+  assertEquals(analysis.summary.totalLikes, 98);
+  assertEquals(analysis.summary.firstCommentAt, '2024-03-01T10:00:00Z');
+  assertEquals(analysis.summary.lastCommentAt, '2024-03-03T21:00:00Z');
+});
+
+test('Volume is bucketed per day with replies counted separately', () => {
+  assertEquals(analysis.volume.interval, 'day');
+  assertEquals(analysis.volume.points, [
+    { date: '2024-03-01', comments: 2, replies: 1 },
+    { date: '2024-03-02', comments: 1, replies: 0 },
+    { date: '2024-03-03', comments: 3, replies: 1 }
+  ]);
+});
+
+test('Long spans switch to weekly buckets starting on Monday', () => {
+  const { volume } = computeCommentAnalysis([
+    thread(comment('a', 'x', 'one', 0, '2024-01-03T00:00:00Z')),
+    thread(comment('b', 'y', 'two', 0, '2024-06-01T00:00:00Z'))
+  ]);
+  assertEquals(volume.interval, 'week');
+  assertEquals(volume.points[0], { date: '2024-01-01', comments: 1, replies: 0 });
+  assertEquals(volume.points[volume.points.length - 1], { date: '2024-05-27', comments: 1, replies: 0 });
+});
+
+test('Top commenters, most-liked comments and keywords', () => {
+  assertEquals(analysis.topCommenters[0], { authorName: 'ana', authorChannelId: 'UCana', comments: 3, likes: 63 });
+  assertEquals(analysis.mostLiked.map(entry => entry.commentId).slice(0, 3), ['c1', 'c2', 'c3']);
+  assertEquals(analysis.mostLiked.find(entry => entry.commentId === 'r1').isReply, true);
+  assertEquals(analysis.keywords.slice(0, 3), [
+    { word: 'hooks', comments: 3, occurrences: 3 },
+    { word: 'great', comments: 2, occurrences: 2 },
+    { word: 'react', comments: 2, occurrences: 2 }
+  ]);
+});
+
+test('Questions are top-level comments, most liked first', () => {
+  assertEquals(analysis.questions.count, 2);
+  assertEquals(analysis.questions.rate, 50);
+  assertEquals(analysis.questions.unanswered, 2);
+  assertEquals(analysis.questions.top.map(entry => entry.commentId), ['c2', 'c3']);
+});
+
+test('Sentiment is summarised with the strongest comments', () => {
+  assertEquals(analysis.sentiment.positive, 4);
+  assertEquals(analysis.sentiment.neutral, 2);
+  assertEquals(analysis.sentiment.negative, 0);
+  assertEquals(analysis.sentiment.netScore, 66.7);
+  assertEquals(analysis.sentiment.mostPositive.map(entry => entry.commentId), ['c1', 'c3', 'r1', 'r2']);
+  assertEquals(analysis.sentiment.mostNegative, []);
+  assertEquals(analysis.mostLiked[0].sentiment.polarity, 'positive');
+});
+
+test('No comments produces an empty analysis', () => {
+  const empty = computeCommentAnalysis([]);
+  assertEquals(empty.summary.comments, 0);
+  assertEquals(empty.volume.points, []);
+  assertEquals(empty.keywords, []);
+  assertEquals(empty.questions.rate, 0);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
@@ -0,0 +1,128 @@
+/**
+ * LRU Cache Unit Tests
+ * Recency order, entry and size bounds, and expiry of the L1 cache tier
+ */
+
+const LruCache = require('../utils/lruCache');
+
+console.log('🧪 Testing LRU Cache\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const NOW = 1700000000000;
+const HOUR = 60 * 60 * 1000;
+
+const createCache = (options = {}) => new LruCache({ maxEntries: 3, maxBytes: 1000, ttlMs: HOUR, ...options });
+
+test('Stored values are returned until they expire', () => {
+  const cache = createCache();
+  cache.set('a', { n: 1 }, NOW + 1000, NOW);
+
+  assertEquals(cache.get('a', NOW + 999), { n: 1 });
+  assertEquals(cache.get('a', NOW + 1000), undefined);
+  assertEquals(cache.get('missing', NOW), undefined);
+  // The expired entry was dropped on read
+  assertEquals(cache.getStats().entries, 0);
+});
+
+test('Entries live no longer than the cache TTL', () => {
+  const cache = createCache({ ttlMs: 1000 });
+  cache.set('a', 1, NOW + HOUR, NOW);
+
+  assertEquals(cache.get('a', NOW + 999), 1);
+  assertEquals(cache.get('a', NOW + 1000), undefined);
+});
+
+test('The least recently used entry is evicted first', () => {
+  const cache = createCache();
+  cache.set('a', 1, NOW + HOUR, NOW);
+  cache.set('b', 2, NOW + HOUR, NOW);
+  cache.set('c', 3, NOW + HOUR, NOW);
+
+  // Reading a makes b the least recently used
+  cache.get('a', NOW);
+  cache.set('d', 4, NOW + HOUR, NOW);
+
+  assertEquals(cache.get('b', NOW), undefined);
+  assertEquals([cache.get('a', NOW), cache.get('c', NOW), cache.get('d', NOW)], [1, 3, 4]);
+  assertEquals(cache.getStats().evictions, 1);
+});
+
+test('Entries are evicted to stay within the size bound', () => {
+  const cache = createCache({ maxEntries: 10, maxBytes: 25 });
+  cache.set('a', 'x'.repeat(8), NOW + HOUR, NOW);
+  cache.set('b', 'x'.repeat(8), NOW + HOUR, NOW);
+  assertEquals(cache.getStats().bytes, 20);
+
+  cache.set('c', 'x'.repeat(8), NOW + HOUR, NOW);
+  assertEquals(cache.get('a', NOW), undefined);
+  assertEquals(cache.getStats().bytes, 20);
+
+  // Larger than the whole cache: not stored, nothing evicted
+  assertEquals(cache.set('big', 'x'.repeat(30), NOW + HOUR, NOW), false);
+  assertEquals(cache.getStats().entries, 2);
+});
+
+test('Replacing a value updates its size', () => {
+  const cache = createCache();
+  cache.set('a', 'x'.repeat(10), NOW + HOUR, NOW);
+  cache.set('a', 'xx', NOW + HOUR, NOW);
+
+  assertEquals(cache.getStats().bytes, 4);
+  assertEquals(cache.getStats().entries, 1);
+});
+
+test('Entries can be removed by key predicate or all at once', () => {
+  const cache = createCache({ maxEntries: 10 });
+  cache.set('search:{"q":"a"}', 1, NOW + HOUR, NOW);
+  cache.set('search:{"q":"b"}', 2, NOW + HOUR, NOW);
+  cache.set('video:{"videoId":"v"}', 3, NOW + HOUR, NOW);
+
+  assertEquals(cache.deleteWhere(key => key.startsWith('search:')), 2);
+  assertEquals(cache.get('video:{"videoId":"v"}', NOW), 3);
+
+  cache.clear();
+  assertEquals(cache.getStats().entries, 0);
+  assertEquals(cache.getStats().bytes, 0);
+});
+
+test('A cache without entries stores nothing', () => {
+  const cache = createCache({ maxEntries: 0 });
+  assertEquals(cache.set('a', 1, NOW + HOUR, NOW), false);
+  assertEquals(cache.get('a', NOW), undefined);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
@@ -0,0 +1,92 @@
+/**
+ * Metric Snapshot Unit Tests
+ * Growth and velocity computed from stored video/channel snapshots
+ */
+
+const { computeGrowth, SNAPSHOT_METRICS } = require('../services/metricSnapshots');
+
+console.log('🧪 Testing Metric Snapshots\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const snapshot = (capturedAt, values) => ({ capturedAt: new Date(capturedAt), ...values });
+
+const videoSnapshots = [
+  snapshot('2024-03-01T00:00:00Z', { viewCount: 1000, likeCount: 100, commentCount: 10 }),
+  snapshot('2024-03-03T00:00:00Z', { viewCount: 3000, likeCount: 150, commentCount: 12 }),
+  snapshot('2024-03-04T12:00:00Z', { viewCount: 6000, likeCount: 180, commentCount: 13 })
+];
+
+const videoGrowth = computeGrowth(videoSnapshots, SNAPSHOT_METRICS.video);
+
+test('Series carries per-day velocity since the previous snapshot', () => {
+  assertEquals(videoGrowth.series.map(point => point.viewCountPerDay), [null, 1000, 2000]);
+  assertEquals(videoGrowth.series.map(point => point.likeCountPerDay), [null, 25, 20]);
+  assertEquals(videoGrowth.series[0].capturedAt, '2024-03-01T00:00:00.000Z');
+});
+
+test('Summary covers the whole range', () => {
+  assertEquals(videoGrowth.summary.snapshots, 3);
+  assertEquals(videoGrowth.summary.spanDays, 3.5);
+  assertEquals(videoGrowth.summary.viewCount, {
+    first: 1000,
+    latest: 6000,
+    change: 5000,
+    changePercent: 500,
+    perDay: 1428.57
+  });
+});
+
+test('Hidden subscriber counts leave gaps instead of zeros', () => {
+  const growth = computeGrowth([
+    snapshot('2024-03-01T00:00:00Z', { viewCount: 100, subscriberCount: 10, videoCount: 1 }),
+    snapshot('2024-03-02T00:00:00Z', { viewCount: 200, videoCount: 1 }),
+    snapshot('2024-03-03T00:00:00Z', { viewCount: 300, subscriberCount: 30, videoCount: 2 })
+  ], SNAPSHOT_METRICS.channel);
+
+  assertEquals(growth.series.map(point => point.subscriberCount), [10, null, 30]);
+  assertEquals(growth.series.map(point => point.subscriberCountPerDay), [null, null, null]);
+  assertEquals(growth.summary.subscriberCount.perDay, 10);
+});
+
+test('No snapshots produces an empty history', () => {
+  const growth = computeGrowth([], SNAPSHOT_METRICS.video);
+  assertEquals(growth.series, []);
+  assertEquals(growth.summary.snapshots, 0);
+  assertEquals(growth.summary.viewCount, null);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
@@ -13,6 +13,7 @@ const {
   parseVideoData,
   parseSearchResults,
   parseChannelData,
+  parseCommentThread,
   calculateEngagementScore,
   isValidVideoId,
   extractVideoIdFromUrl,
@@ -344,6 +345,53 @@ test('Task 171: parseVideoData produces complete output', () => {
   assert(Array.isArray(parsed.tags), 'Tags is array');
 });
 
+
+console.log('\nComment Parser Tests');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('parseCommentThread extracts the top-level comment and replies', () => {
+  const reply = {
+    id: 'thread1.reply1',
+    snippet: {
+      parentId: 'thread1',
+      authorDisplayName: 'Replier',
+      textOriginal: 'Thanks!',
+      likeCount: 2,
+      publishedAt: '2024-01-16T10:00:00Z'
+    }
+  };
+  const parsed = parseCommentThread({
+    id: 'thread1',
+    snippet: {
+      videoId: 'testVideo123',
+      totalReplyCount: 3,
+      topLevelComment: {
+        id: 'thread1',
+        snippet: {
+          authorDisplayName: 'Commenter',
+          authorChannelId: { value: 'UCcommenter' },
+          textDisplay: 'Great <b>video</b>',
+          textOriginal: 'Great video',
+          likeCount: 10,
+          publishedAt: '2024-01-15T10:00:00Z'
+        }
+      }
+    },
+    replies: { comments: [reply] }
+  });
+
+  assertEquals(parsed.threadId, 'thread1');
+  assertEquals(parsed.videoId, 'testVideo123');
+  assertEquals(parsed.authorChannelId, 'UCcommenter');
+  assertEquals(parsed.text, 'Great video');
+  assertEquals(parsed.likeCount, 10);
+  assertEquals(parsed.replyCount, 3);
+  assertEquals(parsed.replies.length, 1);
+  assertEquals(parsed.replies[0].parentId, 'thread1');
+  assertEquals(parsed.replies[0].authorChannelId, null);
+  assertEquals(parseCommentThread({ id: 'empty', snippet: {} }), null);
+});
+
 // Summary
 console.log('\n═══════════════════════════════════════════════════════════');
 console.log('TEST SUMMARY');
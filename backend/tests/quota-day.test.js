@@ -0,0 +1,77 @@
+/**
+ * Quota Day Unit Tests
+ * Pacific-midnight bucketing and reset times used by the quota ledger
+ */
+
+const {
+  getQuotaDay,
+  getNextQuotaReset,
+  listQuotaDays
+} = require('../utils/quotaDay');
+
+console.log('🧪 Testing Quota Day Utilities\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+test('Quota day follows the Pacific date, not UTC', () => {
+  // 06:59 UTC is still the previous evening in Los Angeles (PDT)
+  assertEquals(getQuotaDay(new Date('2026-10-19T06:59:59Z')), '2026-10-18');
+  assertEquals(getQuotaDay(new Date('2026-10-19T07:00:00Z')), '2026-10-19');
+});
+
+test('Reset is next Pacific midnight during daylight time (UTC-7)', () => {
+  assertEquals(getNextQuotaReset(new Date('2026-10-19T12:00:00Z')).toISOString(), '2026-10-20T07:00:00.000Z');
+});
+
+test('Reset is next Pacific midnight during standard time (UTC-8)', () => {
+  assertEquals(getNextQuotaReset(new Date('2026-12-31T23:00:00Z')).toISOString(), '2027-01-01T08:00:00.000Z');
+});
+
+test('Reset across the spring-forward boundary', () => {
+  // March 8 2026 starts in PST and switches to PDT at 2am
+  assertEquals(getNextQuotaReset(new Date('2026-03-08T12:00:00Z')).toISOString(), '2026-03-09T07:00:00.000Z');
+});
+
+test('Reset across the fall-back boundary', () => {
+  // November 1 2026 starts in PDT and switches to PST at 2am
+  assertEquals(getNextQuotaReset(new Date('2026-11-01T12:00:00Z')).toISOString(), '2026-11-02T08:00:00.000Z');
+});
+
+test('listQuotaDays is inclusive and crosses month ends', () => {
+  assertEquals(listQuotaDays('2026-10-30', '2026-11-02'), ['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02']);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
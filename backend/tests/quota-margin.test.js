@@ -0,0 +1,88 @@
+/**
+ * Quota Safety Margin Unit Tests
+ * YOUTUBE_QUOTA_SAFETY_MARGIN parsing and the admission ceiling it sets
+ */
+
+process.env.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || 'AIzaTestKeyForQuotaMarginTests';
+delete process.env.YOUTUBE_API_KEYS;
+process.env.YOUTUBE_DAILY_QUOTA = '10000';
+
+console.log('🧪 Testing Quota Safety Margin\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+// Load the configuration and budget service again under a margin setting
+const loadWithMargin = (margin) => {
+  if (margin === undefined) {
+    delete process.env.YOUTUBE_QUOTA_SAFETY_MARGIN;
+  } else {
+    process.env.YOUTUBE_QUOTA_SAFETY_MARGIN = margin;
+  }
+  delete require.cache[require.resolve('../config/youtube')];
+  delete require.cache[require.resolve('../services/quotaBudget')];
+
+  return {
+    youtubeConfig: require('../config/youtube'),
+    quotaBudget: require('../services/quotaBudget')
+  };
+};
+
+test('Unset margin uses the default', () => {
+  const { youtubeConfig, quotaBudget } = loadWithMargin(undefined);
+  assertEquals(youtubeConfig.quotaBudget.safetyMargin, 0.1);
+  assertEquals(quotaBudget.getAdmissionCeiling(), 9000);
+});
+
+test('A valid margin is used as given', () => {
+  const { youtubeConfig, quotaBudget } = loadWithMargin('0.25');
+  assertEquals(youtubeConfig.quotaBudget.safetyMargin, 0.25);
+  assertEquals(quotaBudget.getAdmissionCeiling(), 7500);
+  assertEquals(loadWithMargin('0').quotaBudget.getAdmissionCeiling(), 10000);
+});
+
+test('Empty or non-numeric margins fall back to the default', () => {
+  assertEquals(loadWithMargin('').youtubeConfig.quotaBudget.safetyMargin, 0.1);
+  assertEquals(loadWithMargin('lots').youtubeConfig.quotaBudget.safetyMargin, 0.1);
+  assertEquals(loadWithMargin('lots').quotaBudget.getAdmissionCeiling(), 9000);
+});
+
+test('Margins outside [0, 1) fall back to the default', () => {
+  assertEquals(loadWithMargin('-0.5').youtubeConfig.quotaBudget.safetyMargin, 0.1);
+  assertEquals(loadWithMargin('1').youtubeConfig.quotaBudget.safetyMargin, 0.1);
+  assertEquals(loadWithMargin('2').youtubeConfig.quotaBudget.safetyMargin, 0.1);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
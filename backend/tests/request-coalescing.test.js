@@ -0,0 +1,180 @@
+/**
+ * Request Coalescing Unit Tests
+ * Single-flight bookkeeping, and concurrent misses through the cache
+ * middleware sharing one handler run. Entries go to the in-memory cache
+ * store, so no database is needed.
+ */
+
+// config/youtube.js needs a key to load; these tests make no API calls
+process.env.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || 'AIzaTestKeyCoalesce1';
+process.env.CACHE_STORE = 'memory';
+
+const express = require('express');
+const axios = require('axios');
+const { cacheMiddleware } = require('../middleware/cacheMiddleware');
+const { requestContextMiddleware } = require('../utils/requestContext');
+const { quotaTracker } = require('../services/youtubeService');
+const { findFlight, startFlight, settleFlight, waitForFlight, getCoalescingStats } = require('../services/requestCoalescing');
+
+console.log('🧪 Testing Request Coalescing\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+async function test(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const now = new Date('2024-03-01T12:00:00Z');
+
+const rule = (overrides) => ({
+  enabled: true,
+  windowMinutes: 60,
+  cooldownMinutes: 60,
+  lastTriggeredAt: null,
+  ...overrides
+});
+
+// Two refreshes `minutes` apart
+const item = (previous, latest, minutes = 60) => ({
+  title: 'Test video',
+  targetId: 'abcdefghijk',
+  previous: previous && { refreshedAt: new Date(now - minutes * 60 * 1000), metrics: previous },
+  latest: { refreshedAt: now, metrics: latest }
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Test server whose handlers take a moment and spend quota like a search
+ */
+const startServer = () => new Promise(resolve => {
+  const calls = { search: 0, video: 0 };
+  const app = express();
+  app.use(requestContextMiddleware);
+
+  app.get('/search', cacheMiddleware('search'), async (req, res) => {
+    calls.search++;
+    await wait(100);
+    quotaTracker.logCall('search.list', 100);
+    quotaTracker.logCall('videos.list', 1);
+    res.json({ success: true, data: { query: req.query.q } });
+  });
+
+  app.get('/video/:videoId', cacheMiddleware('video'), async (req, res) => {
+    calls.video++;
+    await wait(100);
+    quotaTracker.logCall('videos.list', 1);
+    res.status(404).json({ success: false, error: 'Video not found' });
+  });
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({ server, calls, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+const run = async () => {
+  await test('A flight is shared until it settles', async () => {
+    const flight = startFlight('search:{"q":"a"}', 'search');
+    assertEquals(findFlight('search:{"q":"a"}'), flight);
+
+    const waiting = waitForFlight(flight);
+    settleFlight(flight, { statusCode: 200, headers: {}, body: { success: true }, usage: { apiCalls: 2, units: 101 } });
+    // Settling twice keeps the first result
+    settleFlight(flight, null);
+
+    assertEquals((await waiting).usage, { apiCalls: 2, units: 101 });
+    assertEquals(findFlight('search:{"q":"a"}'), null);
+  });
+
+  await test('Followers stop waiting after the timeout or when the leader has nothing', async () => {
+    const before = getCoalescingStats();
+    const slow = startFlight('search:{"q":"slow"}', 'search');
+    assertEquals(await waitForFlight(slow, 10), null);
+    settleFlight(slow, null);
+
+    const abandoned = startFlight('search:{"q":"gone"}', 'search');
+    const waiting = waitForFlight(abandoned);
+    settleFlight(abandoned, null);
+    assertEquals(await waiting, null);
+
+    const after = getCoalescingStats();
+    assertEquals(after.fallbacks - before.fallbacks, 2);
+    assertEquals(after.coalesced, before.coalesced);
+    assertEquals(after.inFlight, 0);
+  });
+
+  const { server, calls, url } = await startServer();
+  const get = (path) => axios.get(`${url}${path}`, { validateStatus: () => true });
+
+  try {
+    await test('Concurrent misses of one key make one upstream call', async () => {
+      const before = getCoalescingStats();
+      const responses = await Promise.all(Array.from({ length: 10 }, () => get('/search?q=react')));
+
+      assertEquals(calls.search, 1);
+      assertEquals(responses.map(response => response.status), Array(10).fill(200));
+      assertEquals(responses.every(response => response.data.data.query === 'react'), true);
+
+      const cacheHeaders = responses.map(response => response.headers['x-cache']).sort();
+      assertEquals(cacheHeaders, [...Array(9).fill('COALESCED'), 'MISS']);
+      assertEquals(responses.filter(response => response.data.coalesced).length, 9);
+
+      const after = getCoalescingStats();
+      assertEquals(after.coalesced - before.coalesced, 9);
+      assertEquals(after.callsSaved - before.callsSaved, 18);
+      assertEquals(after.unitsSaved - before.unitsSaved, 909);
+      assertEquals(after.byEndpoint.search.unitsSaved - (before.byEndpoint.search?.unitsSaved || 0), 909);
+    });
+
+    await test('Later requests are cache hits and different keys do not wait', async () => {
+      const [hit, other] = await Promise.all([get('/search?q=react'), get('/search?q=vue')]);
+
+      assertEquals(hit.headers['x-cache'], 'HIT');
+      assertEquals(other.headers['x-cache'], 'MISS');
+      assertEquals(calls.search, 2);
+    });
+
+    await test('Error responses are shared with the waiting requests', async () => {
+      const responses = await Promise.all(Array.from({ length: 3 }, () => get('/video/missing')));
+
+      assertEquals(calls.video, 1);
+      assertEquals(responses.map(response => response.status), [404, 404, 404]);
+      assertEquals(responses.map(response => response.data.error), Array(3).fill('Video not found'));
+    });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  console.log('\n═══════════════════════════════════════════════════════════');
+  console.log(`Total Tests: ${results.passed + results.failed}`);
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}\n`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+};
+
+run();
@@ -0,0 +1,99 @@
+/**
+ * Sentiment Unit Tests
+ * Lexicon scoring of comments and the per-video distribution
+ */
+
+const { scoreText, annotateThreads, summarizeSentiment } = require('../services/sentiment');
+
+console.log('🧪 Testing Sentiment\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+test('Lexicon words set the score and polarity', () => {
+  assertEquals(scoreText('Great tutorial, I love it'), { score: 5, comparative: 1, polarity: 'positive' });
+  assertEquals(scoreText('Boring and misleading').polarity, 'negative');
+  assertEquals(scoreText('Uploaded at 5pm').polarity, 'neutral');
+  assertEquals(scoreText('').score, 0);
+});
+
+test('Negations flip and soften the next words', () => {
+  assertEquals(scoreText('not bad at all').score, 1);
+  assertEquals(scoreText("This isn't good").score, -1);
+  assertEquals(scoreText('not that I care, but this is good').score, 2, 'Out of the negation scope');
+});
+
+test('Intensifiers strengthen the next word', () => {
+  assertEquals(scoreText('very good').score, 3);
+  assertEquals(scoreText('not very good').score, -1.5);
+});
+
+test('Emoji count, links and curly apostrophes are handled', () => {
+  assertEquals(scoreText('❤️❤️').score, 6);
+  assertEquals(scoreText('👎').polarity, 'negative');
+  assertEquals(scoreText('https://example.com/best-video-awesome').score, 0);
+  assertEquals(scoreText('doesn’t work, awful').score, -3);
+});
+
+test('Threads and replies are annotated in place', () => {
+  const threads = annotateThreads([
+    { text: 'Amazing', replies: [{ text: 'Terrible take' }] }
+  ]);
+  assertEquals(threads[0].sentiment.polarity, 'positive');
+  assertEquals(threads[0].replies[0].sentiment.polarity, 'negative');
+});
+
+test('Distribution counts polarities and nets them out', () => {
+  const summary = summarizeSentiment([
+    { text: 'love it' },
+    { text: 'so good' },
+    { text: 'first' },
+    { text: 'worst video ever', sentiment: { score: -3, polarity: 'negative' } }
+  ]);
+  assertEquals(summary, {
+    comments: 4,
+    positive: 2,
+    neutral: 1,
+    negative: 1,
+    positivePercent: 50,
+    neutralPercent: 25,
+    negativePercent: 25,
+    averageScore: 0.75,
+    netScore: 25
+  });
+  assertEquals(summarizeSentiment([]).netScore, 0);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
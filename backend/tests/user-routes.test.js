@@ -0,0 +1,144 @@
+/**
+ * User Routes Tests
+ * Tests profile, quota and search-history endpoints
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const axios = require('axios');
+
+const BASE_URL = 'http://localhost:5000';
+const API_BASE = `${BASE_URL}/api/v1`;
+
+console.log('🧪 Testing User Routes\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function logTest(name, passed, message = '') {
+  if (passed) {
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } else {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: message });
+    console.error(`❌ FAIL: ${name}`);
+    if (message) console.error(`   Error: ${message}\n`);
+  }
+}
+
+async function runTests() {
+  try {
+    try {
+      await axios.get(`${BASE_URL}/api/health`);
+      logTest('Server is running and accessible', true);
+    } catch (error) {
+      logTest('Server is running and accessible', false, 'Server not responding. Start with: npm run dev');
+      process.exit(1);
+    }
+
+    const guest = await axios.post(`${API_BASE}/auth/guest`);
+    const auth = { headers: { Authorization: `Bearer ${guest.data.data.token}` } };
+
+    // Unauthenticated requests are rejected
+    try {
+      await axios.get(`${API_BASE}/user/profile`);
+      logTest('Profile requires authentication', false, 'Should have failed');
+    } catch (error) {
+      logTest('Profile requires authentication', error.response?.status === 401);
+    }
+
+    // Profile
+    try {
+      const response = await axios.get(`${API_BASE}/user/profile`, auth);
+      logTest('GET /user/profile returns user and quota',
+        response.data.success === true &&
+        response.data.data.user.guestId === guest.data.data.user.guestId &&
+        response.data.data.quota.quotaLimit !== undefined
+      );
+    } catch (error) {
+      logTest('GET /user/profile returns user and quota', false, error.message);
+    }
+
+    // Quota
+    try {
+      const response = await axios.get(`${API_BASE}/user/quota`, auth);
+      const quota = response.data.data;
+      logTest('GET /user/quota returns usage and reset time',
+        quota.quotaRemaining === quota.quotaLimit - quota.quotaUsed &&
+        quota.resetsAt !== null &&
+        quota.secondsUntilReset > 0
+      );
+    } catch (error) {
+      logTest('GET /user/quota returns usage and reset time', false, error.message);
+    }
+
+    // Record a couple of history entries via the YouTube routes
+    await axios.get(`${API_BASE}/youtube/search`, { ...auth, params: { q: 'user routes test', maxResults: 1 } }).catch(() => {});
+    await axios.get(`${API_BASE}/youtube/video/dQw4w9WgXcQ`, auth).catch(() => {});
+
+    let entries = [];
+    try {
+      const response = await axios.get(`${API_BASE}/user/search-history`, { ...auth, params: { limit: 1 } });
+      const { history, pagination } = response.data.data;
+      entries = history;
+      logTest('GET /user/search-history paginates',
+        history.length === 1 && pagination.total >= 2 && pagination.hasMore === true
+      );
+    } catch (error) {
+      logTest('GET /user/search-history paginates', false, error.message);
+    }
+
+    try {
+      const response = await axios.get(`${API_BASE}/user/search-history`, { ...auth, params: { type: 'video' } });
+      logTest('GET /user/search-history filters by type',
+        response.data.data.history.every(entry => /^\/video\/[^/]+$/.test(entry.endpoint))
+      );
+    } catch (error) {
+      logTest('GET /user/search-history filters by type', false, error.message);
+    }
+
+    try {
+      await axios.get(`${API_BASE}/user/search-history`, { ...auth, params: { type: 'bogus' } });
+      logTest('Invalid history type is rejected', false, 'Should have failed');
+    } catch (error) {
+      logTest('Invalid history type is rejected', error.response?.status === 400);
+    }
+
+    // Delete one
+    if (entries[0]) {
+      try {
+        const response = await axios.delete(`${API_BASE}/user/search-history/${entries[0]._id}`, auth);
+        logTest('DELETE /user/search-history/:entryId removes entry', response.data.deleted === 1);
+      } catch (error) {
+        logTest('DELETE /user/search-history/:entryId removes entry', false, error.message);
+      }
+    }
+
+    // Clear all
+    try {
+      await axios.delete(`${API_BASE}/user/search-history`, auth);
+      const response = await axios.get(`${API_BASE}/user/search-history`, auth);
+      logTest('DELETE /user/search-history clears all', response.data.data.pagination.total === 0);
+    } catch (error) {
+      logTest('DELETE /user/search-history clears all', false, error.message);
+    }
+
+    console.log('\n═══════════════════════════════════════════════════════════');
+    console.log(`Total Tests: ${results.passed + results.failed}`);
+    console.log(`✅ Passed: ${results.passed}`);
+    console.log(`❌ Failed: ${results.failed}\n`);
+
+    process.exit(results.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('\n❌ TEST ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,142 @@
+/**
+ * Watchlist Unit Tests
+ * Refresh cost estimates, budget selection and deltas between refreshes
+ */
+
+// config/youtube.js needs a key to load; these tests make no API calls
+process.env.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || 'AIzaTestKeyWatchlist1';
+// Not a number: the configured default applies
+process.env.WATCHLIST_QUOTA_SHARE = 'lots';
+
+const youtubeConfig = require('../config/youtube');
+const { estimateUnits, selectWithinBudget, computeDelta, manualRefreshWait, formatItem } = require('../services/watchlist');
+const { computeJobAllowance } = require('../services/quotaBudget');
+
+console.log('🧪 Testing Watchlist\n');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    results.passed++;
+    results.tests.push({ name, status: '✅ PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    results.failed++;
+    results.tests.push({ name, status: '❌ FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name}`);
+    console.error(`   Error: ${error.message}\n`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      message ||
+      `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+const item = (type, targetId) => ({ type, targetId });
+
+test('Videos and channels share batched calls', () => {
+  const videos = Array.from({ length: 51 }, (_, i) => item('video', `video${String(i).padStart(6, '0')}`));
+  assertEquals(estimateUnits(videos.slice(0, 50)), 1);
+  assertEquals(estimateUnits(videos), 2);
+  assertEquals(estimateUnits([...videos.slice(0, 3), item('channel', 'UCa'), item('channel', 'UCb')]), 2);
+});
+
+test('Each watched search costs a search page plus its details', () => {
+  assertEquals(estimateUnits([item('search', 'react'), item('search', 'vue')]), 202);
+  // Several users watching the same query refresh it once
+  assertEquals(estimateUnits([item('search', 'react'), item('search', 'react')]), 101);
+  assertEquals(estimateUnits([]), 0);
+});
+
+test('Selection keeps due order and skips what does not fit', () => {
+  const due = [item('video', 'a'), item('search', 'react'), item('channel', 'UCa'), item('video', 'b')];
+  assertEquals(selectWithinBudget(due, 50).map(entry => entry.targetId), ['a', 'UCa', 'b']);
+  assertEquals(selectWithinBudget(due, 102).map(entry => entry.targetId), ['a', 'react', 'b']);
+  assertEquals(selectWithinBudget(due, 103).map(entry => entry.targetId), ['a', 'react', 'UCa', 'b']);
+  assertEquals(selectWithinBudget(due, 0), []);
+});
+
+test('An invalid quota share falls back to the default', () => {
+  assertEquals(youtubeConfig.watchlist.quotaShare, 0.2);
+});
+
+test('The quota share caps the day, not each run', () => {
+  const status = { dailyLimit: 10000, remaining: 8000, exhausted: false };
+
+  assertEquals(computeJobAllowance(status, 0.2, 0), { allowance: 2000, dailyAllowance: 2000, spentToday: 0 });
+  // Later runs get what earlier ones left
+  assertEquals(computeJobAllowance(status, 0.2, 1500).allowance, 500);
+  assertEquals(computeJobAllowance(status, 0.2, 2400).allowance, 0);
+  // Never more than the budget has left, nothing once it is exhausted
+  assertEquals(computeJobAllowance({ ...status, remaining: 300 }, 0.2, 0).allowance, 300);
+  assertEquals(computeJobAllowance({ ...status, exhausted: true }, 0.2, 0).allowance, 0);
+});
+
+test('Delta between the last two refreshes', () => {
+  const delta = computeDelta({
+    previous: { refreshedAt: new Date(), metrics: { viewCount: 1000, likeCount: 50, commentCount: 4 } },
+    latest: { refreshedAt: new Date(), metrics: { viewCount: 1500, likeCount: 45, commentCount: 4 } }
+  });
+  assertEquals(delta, { viewCount: 500, likeCount: -5, commentCount: 0 });
+});
+
+test('Search delta counts new and dropped results', () => {
+  const delta = computeDelta({
+    previous: { metrics: { totalResults: 900, averageViews: 100, resultIds: ['a', 'b', 'c'] } },
+    latest: { metrics: { totalResults: 1000, averageViews: 150, resultIds: ['b', 'c', 'd', 'e'] } }
+  });
+  assertEquals(delta, { totalResults: 100, averageViews: 50, newResults: 2, droppedResults: 1 });
+});
+
+test('Hidden subscriber counts and first refreshes have no delta', () => {
+  assertEquals(computeDelta({ latest: { metrics: { viewCount: 10 } } }), null);
+  assertEquals(computeDelta({
+    previous: { metrics: { subscriberCount: null, viewCount: 10 } },
+    latest: { metrics: { subscriberCount: 5, viewCount: 12 } }
+  }), { viewCount: 2 });
+});
+
+test('Items can be refreshed by hand once per manualRefreshMinutes', () => {
+  const refreshedAt = new Date('2024-03-01T00:00:00Z');
+  const item = { latest: { refreshedAt } };
+  const after = (minutes) => new Date(refreshedAt.getTime() + minutes * 60 * 1000);
+
+  assertEquals(manualRefreshWait({}, refreshedAt), 0);
+  assertEquals(youtubeConfig.watchlist.manualRefreshMinutes, 15);
+  assertEquals(manualRefreshWait(item, after(5)), 600);
+  assertEquals(manualRefreshWait(item, after(15)), 0);
+});
+
+test('Formatted items replace result IDs with a count', () => {
+  const formatted = formatItem({
+    _id: 'id1',
+    type: 'search',
+    targetId: 'react',
+    intervalMinutes: 360,
+    latest: { refreshedAt: new Date('2024-03-01T00:00:00Z'), metrics: { totalResults: 10, resultIds: ['a', 'b'] } },
+    nextRefreshAt: new Date('2024-03-01T06:00:00Z'),
+    lastError: null
+  });
+  assertEquals(formatted.metrics, { totalResults: 10, resultCount: 2 });
+  assertEquals(formatted.title, 'react');
+  assertEquals(formatted.delta, null);
+});
+
+console.log('\n═══════════════════════════════════════════════════════════');
+console.log(`Total Tests: ${results.passed + results.failed}`);
+console.log(`✅ Passed: ${results.passed}`);
+console.log(`❌ Failed: ${results.failed}\n`);
+
+process.exit(results.failed > 0 ? 1 : 0);
@@ -197,6 +197,106 @@ async function runTests() {
       logTest('Task 182.5: Search with optional parameters works', false, error.message);
     }
 
+    // Test 182.6: Cursor pagination
+    try {
+      const params = { q: 'javascript tutorial', maxResults: 5 };
+      const first = await axios.get(`${API_BASE}/youtube/search`, { params });
+      const { nextPageToken, totalResults } = first.data.data;
+
+      const second = await axios.get(`${API_BASE}/youtube/search`, {
+        params: { ...params, pageToken: nextPageToken }
+      });
+
+      const firstIds = first.data.data.results.map(video => video.videoId);
+      const overlap = second.data.data.results.filter(video => firstIds.includes(video.videoId));
+
+      logTest('Task 182.6: Search pages with nextPageToken',
+        typeof nextPageToken === 'string' &&
+        totalResults > 0 &&
+        second.data.data.pageToken === nextPageToken &&
+        second.data.data.prevPageToken !== null &&
+        second.headers['x-cache-key'] !== first.headers['x-cache-key'] &&
+        overlap.length < firstIds.length
+      );
+    } catch (error) {
+      logTest('Task 182.6: Search pages with nextPageToken', false, error.message);
+    }
+
+    // Test 182.7: Malformed page tokens are rejected
+    try {
+      await axios.get(`${API_BASE}/youtube/search`, {
+        params: { q: 'test', pageToken: 'not a token!' }
+      });
+      logTest('Task 182.7: Search validation rejects invalid pageToken', false, 'Should have failed');
+    } catch (error) {
+      logTest('Task 182.7: Search validation rejects invalid pageToken',
+        error.response?.status === 400
+      );
+    }
+
+    // Test 182.8: Filters are applied by YouTube and keyed separately in the cache
+    try {
+      const params = { q: 'music', maxResults: 5, publishedAfter: '2024-01-01', videoDuration: 'short' };
+      const unfiltered = await axios.get(`${API_BASE}/youtube/search`, { params: { q: params.q, maxResults: 5 } });
+      const filtered = await axios.get(`${API_BASE}/youtube/search`, { params });
+      const { results: videos, filters } = filtered.data.data;
+
+      logTest('Task 182.8: Search filters are forwarded to YouTube',
+        filters.publishedAfter === '2024-01-01T00:00:00.000Z' &&
+        filters.videoDuration === 'short' &&
+        videos.every(video => new Date(video.publishedAt) >= new Date('2024-01-01')) &&
+        filtered.headers['x-cache-key'] !== unfiltered.headers['x-cache-key'] &&
+        filtered.headers['x-cache-key'].includes('videoDuration')
+      );
+    } catch (error) {
+      logTest('Task 182.8: Search filters are forwarded to YouTube', false, error.message);
+    }
+
+    // Test 182.9: Invalid filter values are rejected
+    try {
+      await axios.get(`${API_BASE}/youtube/search`, {
+        params: { q: 'test', videoDefinition: '4k' }
+      });
+      logTest('Task 182.9: Search validation rejects invalid filters', false, 'Should have failed');
+    } catch (error) {
+      logTest('Task 182.9: Search validation rejects invalid filters',
+        error.response?.status === 400 &&
+        error.response.data.details?.[0]?.field === 'videoDefinition'
+      );
+    }
+
+    // Test 182.10: Channel search returns full channel details
+    try {
+      const response = await axios.get(`${API_BASE}/youtube/channels/search`, {
+        params: { q: 'programming', maxResults: 5 }
+      });
+      const { results: channels, count } = response.data.data;
+
+      logTest('Task 182.10: Channel search returns channels with statistics',
+        response.status === 200 &&
+        response.data.success === true &&
+        count === channels.length &&
+        channels.length > 0 &&
+        channels.every(channel => channel.channelId && typeof channel.subscriberCount === 'number') &&
+        response.headers['x-cache-key'].startsWith('channelSearch:')
+      );
+
+      console.log(`   Found ${count} channels`);
+    } catch (error) {
+      logTest('Task 182.10: Channel search returns channels with statistics', false, error.message);
+    }
+
+    // Test 182.11: Channel search validation - missing query
+    try {
+      await axios.get(`${API_BASE}/youtube/channels/search`);
+      logTest('Task 182.11: Channel search validation rejects missing query', false, 'Should have failed');
+    } catch (error) {
+      logTest('Task 182.11: Channel search validation rejects missing query',
+        error.response?.status === 400 &&
+        error.response.data.details?.[0]?.field === 'q'
+      );
+    }
+
     // ------------------------------------
     // Task 183: Get Video Details Endpoint
     // ------------------------------------
@@ -261,6 +361,40 @@ async function runTests() {
       );
     }
 
+    // Test 183.5: Comment threads with analysis
+    try {
+      const response = await axios.get(`${API_BASE}/youtube/video/dQw4w9WgXcQ/comments`, {
+        params: { maxResults: 20, replies: false }
+      });
+      const data = response.data.data;
+
+      logTest('Task 183.5: Video comments return threads and analysis',
+        response.status === 200 &&
+        Array.isArray(data.threads) &&
+        data.threads.length <= 20 &&
+        data.analysis?.summary?.threads === data.threads.length &&
+        Array.isArray(data.analysis.keywords) &&
+        data.analysis.sentiment?.comments === data.analysis.summary.comments
+      );
+
+      console.log(`   Threads: ${data.threads.length}, questions: ${data.analysis.questions.count}`);
+    } catch (error) {
+      logTest('Task 183.5: Video comments return threads and analysis', false, error.message);
+    }
+
+    // Test 183.6: Invalid comment options
+    try {
+      await axios.get(`${API_BASE}/youtube/video/dQw4w9WgXcQ/comments`, {
+        params: { order: 'popular' }
+      });
+      logTest('Task 183.6: Validation rejects invalid comment order', false, 'Should have failed');
+    } catch (error) {
+      logTest('Task 183.6: Validation rejects invalid comment order',
+        error.response?.status === 400 &&
+        error.response.data.details?.[0]?.field === 'order'
+      );
+    }
+
     // ------------------------------------
     // Task 184: Get Channel Details Endpoint
     // ------------------------------------
@@ -312,6 +446,91 @@ async function runTests() {
       );
     }
 
+    // Test 184.4: Channel uploads page through the uploads playlist
+    try {
+      const testChannelId = 'UCXuqSBlHAE6Xw-yeJA0Tunw';
+      const first = await axios.get(`${API_BASE}/youtube/channel/${testChannelId}/videos`, {
+        params: { maxResults: 5 }
+      });
+      const { results, nextPageToken, channel } = first.data.data;
+      const second = await axios.get(`${API_BASE}/youtube/channel/${testChannelId}/videos`, {
+        params: { maxResults: 5, pageToken: nextPageToken }
+      });
+      const firstIds = new Set(results.map(video => video.videoId));
+
+      logTest('Task 184.4: Channel uploads are paginated',
+        channel.channelId === testChannelId &&
+        results.length > 0 &&
+        results.every(video => video.channelId === testChannelId) &&
+        Boolean(nextPageToken) &&
+        second.data.data.results.every(video => !firstIds.has(video.videoId))
+      );
+    } catch (error) {
+      logTest('Task 184.4: Channel uploads are paginated', false, error.message);
+    }
+
+    // Test 184.5: Channel uploads reject IDs that aren't channel IDs
+    try {
+      await axios.get(`${API_BASE}/youtube/channel/invalid123/videos`);
+      logTest('Task 184.5: Channel uploads validation rejects invalid channel ID', false, 'Should have failed');
+    } catch (error) {
+      logTest('Task 184.5: Channel uploads validation rejects invalid channel ID',
+        error.response?.status === 400 &&
+        error.response.data.details?.[0]?.field === 'channelId'
+      );
+    }
+
+    // Test 184.6: Channel analytics computed from recent uploads
+    try {
+      const response = await axios.get(`${API_BASE}/youtube/channel/UCXuqSBlHAE6Xw-yeJA0Tunw/analytics`, {
+        params: { maxVideos: 20 }
+      });
+      const { analytics } = response.data.data;
+
+      logTest('Task 184.6: Channel analytics summarise recent uploads',
+        response.status === 200 &&
+        analytics.summary.videosAnalyzed > 0 &&
+        analytics.summary.videosAnalyzed <= 20 &&
+        analytics.publishTiming.byDay.length === 7 &&
+        analytics.topVideos.length > 0 &&
+        analytics.categoryMix.length > 0
+      );
+    } catch (error) {
+      logTest('Task 184.6: Channel analytics summarise recent uploads', false, error.message);
+    }
+
+    // Test 184.7: Compare channels side by side
+    try {
+      const ids = ['UCXuqSBlHAE6Xw-yeJA0Tunw', 'UCBJycsmduvYEL83R_U4JriQ'];
+      const response = await axios.get(`${API_BASE}/youtube/channels/compare`, {
+        params: { ids: ids.join(','), maxVideos: 10 }
+      });
+      const { channels, leaders } = response.data.data;
+
+      logTest('Task 184.7: Channel comparison returns metrics per channel',
+        response.status === 200 &&
+        channels.length === 2 &&
+        channels.map(entry => entry.channel.channelId).join(',') === ids.join(',') &&
+        channels.every(entry => entry.metrics.videosAnalyzed > 0 && entry.metrics.videosAnalyzed <= 10) &&
+        ids.includes(leaders.averageViews)
+      );
+    } catch (error) {
+      logTest('Task 184.7: Channel comparison returns metrics per channel', false, error.message);
+    }
+
+    // Test 184.8: Channel comparison needs at least two channels
+    try {
+      await axios.get(`${API_BASE}/youtube/channels/compare`, {
+        params: { ids: 'UCXuqSBlHAE6Xw-yeJA0Tunw,UCXuqSBlHAE6Xw-yeJA0Tunw' }
+      });
+      logTest('Task 184.8: Channel comparison validation rejects a single channel', false, 'Should have failed');
+    } catch (error) {
+      logTest('Task 184.8: Channel comparison validation rejects a single channel',
+        error.response?.status === 400 &&
+        error.response.data.details?.[0]?.field === 'ids'
+      );
+    }
+
     // ------------------------------------
     // Task 185: Get Trending Videos Endpoint
     // ------------------------------------
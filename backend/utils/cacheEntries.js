@@ -0,0 +1,85 @@
+/**
+ * Cache Entry Helpers
+ * Matching, statistics and popularity over plain cache entries, so stores
+ * without MongoDB's query language (services/cacheStore.js) answer the same
+ * way the Cache model does
+ *
+ * Entries are { key, endpoint, hits, expiresAt, staleUntil, lastAccessedAt }
+ * with Date fields
+ */
+
+/**
+ * Regular expression a key pattern matches keys with
+ * Every '*' is a wildcard and everything else is literal; the pattern must
+ * match the whole key (e.g. 'search:*react*', 'video:*')
+ * @param {string} pattern - Pattern (e.g., 'search:*', 'video:*')
+ * @returns {RegExp}
+ */
+const keyPattern = (pattern) => {
+  const literal = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${literal.join('.*')}$`);
+};
+
+/**
+ * Whether an entry is kept at all: live, or expired but within its grace period
+ */
+const isKept = (entry, now = new Date()) => {
+  return (entry.staleUntil || entry.expiresAt) > now;
+};
+
+/**
+ * Cache statistics in the shape of Cache.getStats
+ * @param {Array<Object>} entries - Every stored entry
+ * @param {Date} now
+ * @returns {Object} { total, active, expired, stale, byEndpoint, totalHits, avgHits, hitRatio, timestamp }
+ */
+const summarizeEntries = (entries, now = new Date()) => {
+  const active = entries.filter(entry => entry.expiresAt > now);
+  const stale = entries.filter(entry => entry.expiresAt <= now && entry.staleUntil > now);
+  const totalHits = entries.reduce((sum, entry) => sum + (entry.hits || 0), 0);
+
+  const groups = new Map();
+  active.forEach(entry => {
+    const group = groups.get(entry.endpoint) || { _id: entry.endpoint, count: 0, totalHits: 0 };
+    group.count++;
+    group.totalHits += entry.hits || 0;
+    groups.set(entry.endpoint, group);
+  });
+
+  return {
+    total: entries.length,
+    active: active.length,
+    expired: entries.length - active.length,
+    stale: stale.length,
+    byEndpoint: [...groups.values()].map(group => ({ ...group, avgHits: group.totalHits / group.count })),
+    totalHits,
+    avgHits: entries.length > 0 ? totalHits / entries.length : 0,
+    hitRatio: active.length > 0 ? (totalHits / active.length).toFixed(2) : 0,
+    timestamp: now
+  };
+};
+
+/**
+ * Most hit live entries, as Cache.getPopular selects them
+ * @param {Array<Object>} entries
+ * @param {number} limit
+ * @param {Object} [options] - { minHits, expiringBefore }
+ * @param {Date} now
+ * @returns {Array<Object>} { key, endpoint, hits, lastAccessedAt, expiresAt }
+ */
+const selectPopular = (entries, limit = 10, { minHits, expiringBefore } = {}, now = new Date()) => {
+  return entries
+    .filter(entry => entry.expiresAt > now &&
+      (!minHits || entry.hits >= minHits) &&
+      (!expiringBefore || entry.expiresAt <= expiringBefore))
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, limit)
+    .map(({ key, endpoint, hits, lastAccessedAt, expiresAt }) => ({ key, endpoint, hits, lastAccessedAt, expiresAt }));
+};
+
+module.exports = {
+  keyPattern,
+  isKept,
+  summarizeEntries,
+  selectPopular
+};
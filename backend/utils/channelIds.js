@@ -0,0 +1,31 @@
+/**
+ * Channel ID Utilities
+ * Parses the comma-separated channel ID lists accepted by
+ * /youtube/channels/compare so the route and the cache key see exactly the
+ * same IDs
+ */
+
+// Real channel IDs: UC followed by 22 URL-safe characters
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+
+/**
+ * Split a comma-separated list of channel IDs
+ * Blank entries and repeats are dropped; the first occurrence keeps its place
+ *
+ * @param {string|Array<string>} value - e.g. req.query.ids
+ * @returns {Array<string>} Unique channel IDs in the order given
+ */
+const parseChannelIds = (value) => {
+  const list = Array.isArray(value) ? value.join(',') : String(value || '');
+
+  return [...new Set(
+    list.split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  )];
+};
+
+module.exports = {
+  CHANNEL_ID_PATTERN,
+  parseChannelIds
+};
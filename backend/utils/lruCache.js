@@ -0,0 +1,137 @@
+/**
+ * LRU Cache
+ * In-memory key/value store bounded by entry count and approximate size,
+ * with a per-entry expiry. A Map keeps insertion order, so re-inserting a
+ * key on every read leaves the least recently used entry first.
+ */
+
+/**
+ * Approximate size of a value in bytes (its JSON length)
+ */
+const sizeOf = (value) => {
+  try {
+    return (JSON.stringify(value) || '').length;
+  } catch {
+    return 0;
+  }
+};
+
+class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Most entries kept (0 disables the cache)
+   * @param {number} options.maxBytes - Most bytes kept across entries
+   * @param {number} options.ttlMs - Longest an entry is kept, whatever its own expiry
+   */
+  constructor({ maxEntries, maxBytes, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Value of a live entry, marking it most recently used
+   * @param {string} key
+   * @param {number} now - Current time in ms
+   * @returns {*} Value, or undefined when absent or expired
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= now) {
+      this.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries to make room
+   * Values larger than the whole cache are not stored
+   * @param {string} key
+   * @param {*} value
+   * @param {number} expiresAt - Expiry of the value in ms; capped at now + ttlMs
+   * @param {number} now - Current time in ms
+   * @returns {boolean} Whether the value was stored
+   */
+  set(key, value, expiresAt, now = Date.now()) {
+    this.delete(key);
+
+    const size = sizeOf(value);
+    if (this.maxEntries <= 0 || size > this.maxBytes || expiresAt <= now) {
+      return false;
+    }
+
+    while (this.entries.size >= this.maxEntries || this.bytes + size > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Math.min(expiresAt, now + this.ttlMs) });
+    this.bytes += size;
+    return true;
+  }
+
+  /**
+   * Remove an entry
+   * @returns {boolean} Whether it existed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Remove every entry whose key matches
+   * @param {Function} predicate - (key) => boolean
+   * @returns {number} Entries removed
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+    [...this.entries.keys()].forEach(key => {
+      if (predicate(key) && this.delete(key)) {
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Current size and limits
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      evictions: this.evictions
+    };
+  }
+}
+
+module.exports = LruCache;
@@ -334,6 +334,9 @@ const parseVideoData = (videoItem) => {
     engagementRate: statistics?.viewCount && statistics?.likeCount
       ? ((parseInt(statistics.likeCount, 10) / parseInt(statistics.viewCount, 10)) * 100).toFixed(2)
       : 0,
+
+    // Comment sentiment; services/sentiment.js fills in the stored analysis
+    sentiment: null,
     
     // Content details
     definition: contentDetails?.definition || 'sd',
@@ -441,6 +444,59 @@ const parseChannelData = (channelItem) => {
   };
 };
 
+/**
+ * Parse a comment resource (a reply, or the top-level comment of a thread)
+ *
+ * @param {Object} commentItem - Item from comments.list or a thread's snippet.topLevelComment
+ * @returns {Object|null} Parsed comment
+ */
+const parseComment = (commentItem) => {
+  if (!commentItem) {
+    return null;
+  }
+
+  const snippet = commentItem.snippet || {};
+
+  return {
+    commentId: commentItem.id,
+    parentId: snippet.parentId || null,
+    authorName: snippet.authorDisplayName || 'Unknown',
+    authorChannelId: snippet.authorChannelId?.value || null,
+    authorProfileImageUrl: snippet.authorProfileImageUrl || null,
+    text: snippet.textOriginal ?? snippet.textDisplay ?? '',
+    likeCount: parseInt(snippet.likeCount || 0, 10),
+    publishedAt: snippet.publishedAt || null,
+    updatedAt: snippet.updatedAt || null
+  };
+};
+
+/**
+ * Parse a comment thread: the top-level comment with the replies included
+ * in the response (commentThreads.list returns at most 5 per thread)
+ *
+ * @param {Object} threadItem - Item from commentThreads.list (part=snippet,replies)
+ * @returns {Object|null} Parsed top-level comment with replyCount and replies
+ */
+const parseCommentThread = (threadItem) => {
+  if (!threadItem) {
+    return null;
+  }
+
+  const { snippet, replies } = threadItem;
+  const comment = parseComment(snippet?.topLevelComment);
+  if (!comment) {
+    return null;
+  }
+
+  return {
+    ...comment,
+    threadId: threadItem.id,
+    videoId: snippet?.videoId || null,
+    replyCount: parseInt(snippet?.totalReplyCount || 0, 10),
+    replies: (replies?.comments || []).map(parseComment)
+  };
+};
+
 /**
  * Task 175: Calculate Engagement Score
  * Computes weighted engagement score for ranking videos
@@ -565,6 +621,8 @@ module.exports = {
   parseVideoData,
   parseSearchResults,
   parseChannelData,
+  parseComment,
+  parseCommentThread,
   
   // Task 175: Calculation utilities
   calculateEngagementScore,
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt using scrypt
+ * Stored format: "scrypt$<salt hex>$<hash hex>"
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+/**
+ * Verify a password against a stored hash in constant time
+ *
+ * @param {string} password - Plain text password
+ * @param {string} stored - Encoded hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+const verifyPassword = async (password, stored) => {
+  if (!password || !stored) {
+    return false;
+  }
+
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+};
+
+/**
+ * Generate a one-time token for email links
+ * Only the SHA-256 hash is persisted; the raw token goes in the email
+ *
+ * @returns {{ token: string, tokenHash: string }}
+ */
+const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashOneTimeToken(token) };
+};
+
+/**
+ * Hash a one-time token for lookup
+ */
+const hashOneTimeToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateOneTimeToken,
+  hashOneTimeToken
+};
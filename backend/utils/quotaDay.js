@@ -0,0 +1,90 @@
+/**
+ * YouTube Quota Day Utilities
+ * YouTube Data API quota resets at midnight Pacific Time (America/Los_Angeles),
+ * so usage is bucketed by the Pacific calendar date rather than UTC
+ */
+
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: QUOTA_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Wall-clock parts of a date in the quota timezone
+ */
+const getPacificParts = (date) => {
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+};
+
+/**
+ * Offset (ms) between Pacific wall-clock time and UTC at a given instant
+ */
+const getPacificOffset = (date) => {
+  const p = getPacificParts(date);
+  const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the quota day (Pacific calendar date) for an instant
+ * @param {Date} date - Instant (defaults to now)
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+const getQuotaDay = (date = new Date()) => {
+  const { year, month, day } = getPacificParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the instant the current quota day ends (next Pacific midnight)
+ * Handles DST transitions by resolving the offset at the target midnight
+ * @param {Date} date - Instant (defaults to now)
+ * @returns {Date} Next reset time
+ */
+const getNextQuotaReset = (date = new Date()) => {
+  const { year, month, day } = getPacificParts(date);
+
+  // Midnight of the next Pacific calendar day, expressed as if it were UTC
+  const nextMidnightWallClock = Date.UTC(year, month - 1, day + 1);
+
+  // Shift by the offset in effect at that moment (PST or PDT)
+  const guess = new Date(nextMidnightWallClock - getPacificOffset(new Date(nextMidnightWallClock)));
+  return new Date(nextMidnightWallClock - getPacificOffset(guess));
+};
+
+/**
+ * List quota days from `from` to `to` inclusive (YYYY-MM-DD strings)
+ */
+const listQuotaDays = (from, to) => {
+  const days = [];
+  const cursor = new Date(`${from}T12:00:00Z`);
+  const end = new Date(`${to}T12:00:00Z`);
+
+  while (cursor <= end) {
+    days.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return days;
+};
+
+module.exports = {
+  QUOTA_TIMEZONE,
+  getQuotaDay,
+  getNextQuotaReset,
+  listQuotaDays
+};
@@ -0,0 +1,56 @@
+/**
+ * Request Context
+ * Carries per-request attribution (user, route, cache status) through async
+ * calls so the YouTube service can record who each API call was made for
+ * without threading `req` through every method
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Get the current context (empty object outside a request)
+ * @returns {Object} { userId, guestId, route, cacheStatus, apiCalls, units } -
+ *   apiCalls and units total the successful YouTube calls made so far
+ */
+const getRequestContext = () => storage.getStore() || {};
+
+/**
+ * Merge values into the current context (no-op outside a request)
+ * @param {Object} values - Fields to set
+ */
+const setRequestContext = (values) => {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+};
+
+/**
+ * Run a function inside a context, e.g. for background jobs
+ * @param {Object} context - Initial context
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+const runWithContext = (context, fn) => storage.run({ ...context }, fn);
+
+/**
+ * Express middleware: open a context for the request
+ * Must run after optionalAuth so req.user is available
+ */
+const requestContextMiddleware = (req, res, next) => {
+  storage.run({
+    userId: req.user?._id,
+    guestId: req.user?.guestId,
+    route: req.baseUrl + req.path,
+    cacheStatus: 'BYPASS'
+  }, next);
+};
+
+module.exports = {
+  getRequestContext,
+  setRequestContext,
+  runWithContext,
+  requestContextMiddleware
+};
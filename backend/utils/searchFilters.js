@@ -0,0 +1,78 @@
+/**
+ * Search Filter Utilities
+ * Normalizes the optional search.list filters accepted by /youtube/search and
+ * /youtube/channels/search so the route and the cache key see exactly the
+ * same values
+ */
+
+/**
+ * Filters forwarded to search.list (besides q, maxResults and pageToken)
+ */
+const SEARCH_FILTERS = [
+  'order',
+  'publishedAfter',
+  'publishedBefore',
+  'videoCategoryId',
+  'videoDuration',
+  'videoDefinition',
+  'videoCaption',
+  'regionCode',
+  'relevanceLanguage',
+  'safeSearch'
+];
+
+/**
+ * Filters that apply to channel searches (the rest are video-only)
+ */
+const CHANNEL_SEARCH_FILTERS = [
+  'order',
+  'regionCode',
+  'relevanceLanguage',
+  'safeSearch'
+];
+
+// YouTube's defaults; passing one is the same as omitting the filter
+const DEFAULT_VALUES = {
+  order: 'relevance',
+  videoDuration: 'any',
+  videoDefinition: 'any',
+  videoCaption: 'any'
+};
+
+/**
+ * Read and normalize search filters from a request query
+ * Assumes the query has already been validated
+ *
+ * @param {Object} query - req.query
+ * @param {Array<string>} [names=SEARCH_FILTERS] - Filters to read
+ * @returns {Object} Filters with absent values left undefined
+ */
+const parseSearchFilters = (query = {}, names = SEARCH_FILTERS) => {
+  const filters = {};
+
+  for (const name of names) {
+    const value = query[name];
+    if (value === undefined || value === '') continue;
+    if (DEFAULT_VALUES[name] === value) continue;
+    filters[name] = value;
+  }
+
+  // search.list expects RFC 3339 timestamps
+  for (const name of ['publishedAfter', 'publishedBefore']) {
+    if (filters[name]) {
+      filters[name] = new Date(filters[name]).toISOString();
+    }
+  }
+
+  if (filters.regionCode) {
+    filters.regionCode = filters.regionCode.toUpperCase();
+  }
+
+  return filters;
+};
+
+module.exports = {
+  SEARCH_FILTERS,
+  CHANNEL_SEARCH_FILTERS,
+  parseSearchFilters
+};
@@ -7,8 +7,14 @@ import { useAuth } from './contexts/AuthContext';
 import Layout from './components/Layout';
 import GuestRoute from './components/GuestRoute';
 import Login from './pages/Login';
+import VerifyEmail from './pages/VerifyEmail';
 import Search from './pages/Search';
 import Analytics from './pages/Analytics';
+import ChannelVideos from './pages/ChannelVideos';
+import ChannelAnalytics from './pages/ChannelAnalytics';
+import ChannelComparison from './pages/ChannelComparison';
+import VideoDetails from './pages/VideoDetails';
+import Watchlist from './pages/Watchlist';
 import ThemeTestPage from './pages/ThemeTest';
 import AuthTestPage from './pages/AuthTest';
 import TokenTestPage from './pages/TokenTest';
@@ -51,6 +57,7 @@ const PageTitle = () => {
     const titles = {
       '/': 'YouTube Analytics - Home',
       '/login': 'YouTube Analytics - Login',
+      '/verify-email': 'YouTube Analytics - Verify Email',
       '/search': 'YouTube Analytics - Search',
       '/analytics': 'YouTube Analytics - Dashboard',
       '/theme': 'YouTube Analytics - Theme Test',
@@ -82,10 +89,16 @@ function App() {
       <Routes>
         <Route path="/" element={<HomePage />} />
         <Route path="/login" element={<Login />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         
         <Route element={<Layout />}>
           <Route path="/search" element={<GuestRoute><Search /></GuestRoute>} />
           <Route path="/analytics" element={<GuestRoute><Analytics /></GuestRoute>} />
+          <Route path="/video/:videoId" element={<GuestRoute><VideoDetails /></GuestRoute>} />
+          <Route path="/compare" element={<GuestRoute><ChannelComparison /></GuestRoute>} />
+          <Route path="/watchlist" element={<GuestRoute><Watchlist /></GuestRoute>} />
+          <Route path="/channel/:channelId" element={<GuestRoute><ChannelAnalytics /></GuestRoute>} />
+          <Route path="/channel/:channelId/videos" element={<GuestRoute><ChannelVideos /></GuestRoute>} />
           <Route path="/theme" element={<GuestRoute><ThemeTestPage /></GuestRoute>} />
           <Route path="/auth-test" element={<GuestRoute><AuthTestPage /></GuestRoute>} />
           <Route path="/token-test" element={<GuestRoute><TokenTestPage /></GuestRoute>} />
@@ -0,0 +1,99 @@
+/**
+ * Alerts API Client
+ * Alert rules on watchlist metrics and the notification feed
+ */
+import { apiClient } from './youtube';
+
+export const alertsAPI = {
+  /**
+   * Get alert rules, optionally for one watchlist item
+   * @param {Object} params - { itemId }
+   */
+  getRules: async (params = {}) => {
+    try {
+      return await apiClient.get('/alerts/rules', { params });
+    } catch (error) {
+      console.error('[Alerts API] Get rules failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a rule
+   * @param {Object} rule - { itemId, metric, condition, threshold, windowMinutes, cooldownMinutes, webhookUrl }
+   */
+  createRule: async (rule) => {
+    try {
+      return await apiClient.post('/alerts/rules', rule);
+    } catch (error) {
+      console.error('[Alerts API] Create rule failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a rule
+   * @param {string} ruleId
+   * @param {Object} changes - { threshold, windowMinutes, cooldownMinutes, webhookUrl, enabled }
+   */
+  updateRule: async (ruleId, changes) => {
+    try {
+      return await apiClient.patch(`/alerts/rules/${ruleId}`, changes);
+    } catch (error) {
+      console.error('[Alerts API] Update rule failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a rule
+   */
+  deleteRule: async (ruleId) => {
+    try {
+      return await apiClient.delete(`/alerts/rules/${ruleId}`);
+    } catch (error) {
+      console.error('[Alerts API] Delete rule failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Post a sample payload to a rule's webhook
+   */
+  testWebhook: async (ruleId) => {
+    try {
+      return await apiClient.post(`/alerts/rules/${ruleId}/test-webhook`);
+    } catch (error) {
+      console.error('[Alerts API] Test webhook failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the notification feed with the unread count
+   * @param {Object} params - { limit, unread }
+   */
+  getNotifications: async (params = {}) => {
+    try {
+      return await apiClient.get('/alerts/notifications', { params });
+    } catch (error) {
+      console.error('[Alerts API] Get notifications failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark notifications as read (all when no IDs are given)
+   * @param {Array<string>} [ids]
+   */
+  markRead: async (ids) => {
+    try {
+      return await apiClient.post('/alerts/notifications/read', ids ? { ids } : {});
+    } catch (error) {
+      console.error('[Alerts API] Mark read failed:', error);
+      throw error;
+    }
+  },
+};
+
+export default alertsAPI;
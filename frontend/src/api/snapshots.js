@@ -0,0 +1,38 @@
+/**
+ * Snapshots API Client
+ * Stored metric history (growth) of videos and channels, and stored
+ * comment sentiment of videos
+ */
+import { apiClient } from './youtube';
+
+export const snapshotsAPI = {
+  /**
+   * Get the metric history of a video or channel
+   * @param {'video'|'channel'} kind
+   * @param {string} targetId - Video ID or channel ID
+   * @param {Object} params - { days }
+   */
+  getHistory: async (kind, targetId, params = {}) => {
+    try {
+      return await apiClient.get(`/snapshots/${kind}/${targetId}`, { params });
+    } catch (error) {
+      console.error('[Snapshots API] Get history failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the stored comment sentiment of up to 50 videos
+   * @param {Array<string>} videoIds
+   */
+  getSentiment: async (videoIds) => {
+    try {
+      return await apiClient.get('/snapshots/sentiment', { params: { ids: videoIds.join(',') } });
+    } catch (error) {
+      console.error('[Snapshots API] Get sentiment failed:', error);
+      throw error;
+    }
+  },
+};
+
+export default snapshotsAPI;
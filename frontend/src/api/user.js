@@ -0,0 +1,70 @@
+/**
+ * User API Client
+ * Profile, quota and server-side search history for the current session
+ */
+import { apiClient } from './youtube';
+
+export const userAPI = {
+  /**
+   * Get current user profile with quota summary
+   */
+  getProfile: async () => {
+    try {
+      return await apiClient.get('/user/profile');
+    } catch (error) {
+      console.error('[User API] Get profile failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get live quota usage and reset time
+   */
+  getQuota: async () => {
+    try {
+      return await apiClient.get('/user/quota');
+    } catch (error) {
+      console.error('[User API] Get quota failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get paginated search history
+   * @param {Object} params - { page, limit, type, q, from, to }
+   */
+  getSearchHistory: async (params = {}) => {
+    try {
+      return await apiClient.get('/user/search-history', { params });
+    } catch (error) {
+      console.error('[User API] Get search history failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a single search history entry
+   */
+  deleteSearchHistoryEntry: async (entryId) => {
+    try {
+      return await apiClient.delete(`/user/search-history/${entryId}`);
+    } catch (error) {
+      console.error('[User API] Delete search history entry failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Clear all search history
+   */
+  clearSearchHistory: async () => {
+    try {
+      return await apiClient.delete('/user/search-history');
+    } catch (error) {
+      console.error('[User API] Clear search history failed:', error);
+      throw error;
+    }
+  },
+};
+
+export default userAPI;
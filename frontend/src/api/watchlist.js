@@ -0,0 +1,70 @@
+/**
+ * Watchlist API Client
+ * Videos, channels and searches the current user follows
+ */
+import { apiClient } from './youtube';
+
+export const watchlistAPI = {
+  /**
+   * Get the watchlist with latest metrics and deltas
+   */
+  getWatchlist: async () => {
+    try {
+      return await apiClient.get('/watchlist');
+    } catch (error) {
+      console.error('[Watchlist API] Get watchlist failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Watch a video, channel or search query
+   * @param {Object} item - { type, targetId, intervalMinutes }
+   */
+  addItem: async (item) => {
+    try {
+      return await apiClient.post('/watchlist', item);
+    } catch (error) {
+      console.error('[Watchlist API] Add item failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Change an item's refresh interval
+   */
+  updateItem: async (itemId, intervalMinutes) => {
+    try {
+      return await apiClient.patch(`/watchlist/${itemId}`, { intervalMinutes });
+    } catch (error) {
+      console.error('[Watchlist API] Update item failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop watching an item
+   */
+  removeItem: async (itemId) => {
+    try {
+      return await apiClient.delete(`/watchlist/${itemId}`);
+    } catch (error) {
+      console.error('[Watchlist API] Remove item failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Refresh an item now
+   */
+  refreshItem: async (itemId) => {
+    try {
+      return await apiClient.post(`/watchlist/${itemId}/refresh`);
+    } catch (error) {
+      console.error('[Watchlist API] Refresh item failed:', error);
+      throw error;
+    }
+  },
+};
+
+export default watchlistAPI;
@@ -2,13 +2,14 @@
  * YouTube API Client - Fixed version with debugging
  */
 import axios from 'axios';
+import { getToken } from '../utils/tokenStorage';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1';
 
 console.log('[YouTube API] Base URL:', API_BASE_URL);
 
 // Create axios instance
-const apiClient = axios.create({
+export const apiClient = axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
@@ -19,7 +20,7 @@ const apiClient = axios.create({
 // Add token to requests
 apiClient.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    const token = getToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -65,6 +66,21 @@ export const youtubeAPI = {
     }
   },
 
+  /**
+   * Search for channels by keyword
+   */
+  searchChannels: async (params) => {
+    console.log('[YouTube API] Searching channels with params:', params);
+    try {
+      const response = await apiClient.get('/youtube/channels/search', { params });
+      console.log('[YouTube API] Channel search response:', response.data);
+      return response;
+    } catch (error) {
+      console.error('[YouTube API] Channel search failed:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get video details by ID
    */
@@ -80,6 +96,21 @@ export const youtubeAPI = {
     }
   },
 
+  /**
+   * Get a video's comment threads with their analysis
+   */
+  getVideoComments: async (videoId, params = {}) => {
+    console.log('[YouTube API] Getting video comments:', videoId, params);
+    try {
+      const response = await apiClient.get(`/youtube/video/${videoId}/comments`, { params });
+      console.log('[YouTube API] Video comments response:', response.data);
+      return response;
+    } catch (error) {
+      console.error('[YouTube API] Get video comments failed:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get channel statistics
    */
@@ -95,17 +126,66 @@ export const youtubeAPI = {
     }
   },
 
+  /**
+   * Get one page of a channel's uploads, newest first
+   */
+  getChannelVideos: async (channelId, params = {}) => {
+    console.log('[YouTube API] Getting channel uploads:', channelId, params);
+    try {
+      const response = await apiClient.get(`/youtube/channel/${channelId}/videos`, { params });
+      console.log('[YouTube API] Channel uploads response:', response.data);
+      return response;
+    } catch (error) {
+      console.error('[YouTube API] Get channel uploads failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get analytics computed from a channel's recent uploads
+   */
+  getChannelAnalytics: async (channelId, params = {}) => {
+    console.log('[YouTube API] Getting channel analytics:', channelId, params);
+    try {
+      const response = await apiClient.get(`/youtube/channel/${channelId}/analytics`, { params });
+      console.log('[YouTube API] Channel analytics response:', response.data);
+      return response;
+    } catch (error) {
+      console.error('[YouTube API] Get channel analytics failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Compare 2-5 channels from their stats and recent uploads
+   */
+  compareChannels: async (channelIds, params = {}) => {
+    console.log('[YouTube API] Comparing channels:', channelIds, params);
+    try {
+      const response = await apiClient.get('/youtube/channels/compare', {
+        params: { ...params, ids: channelIds.join(',') }
+      });
+      console.log('[YouTube API] Channel comparison response:', response.data);
+      return response;
+    } catch (error) {
+      console.error('[YouTube API] Channel comparison failed:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get trending videos
    */
   getTrending: async (params = {}) => {
-    const { maxResults = 20, regionCode = 'US' } = params;
-    console.log('[YouTube API] Getting trending videos:', { maxResults, regionCode });
+    const { maxResults = 20, regionCode = 'US', videoCategoryId, pageToken } = params;
+    console.log('[YouTube API] Getting trending videos:', { maxResults, regionCode, videoCategoryId });
     try {
       const response = await apiClient.get('/youtube/trending', {
         params: {
           maxResults,
-          regionCode
+          regionCode,
+          videoCategoryId: videoCategoryId === 'all' ? undefined : videoCategoryId,
+          pageToken
         }
       });
       console.log('[YouTube API] Trending response:', response.data);
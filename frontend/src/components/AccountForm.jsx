@@ -0,0 +1,107 @@
+/**
+ * AccountForm Component
+ * Email/password form shared by sign in, sign up and guest upgrade
+ */
+import { useState } from 'react';
+import { Mail, Lock, User, ArrowRight } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+
+const SUBMIT_LABELS = {
+  login: 'Sign In',
+  register: 'Create Account',
+  upgrade: 'Save My Account',
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const AccountForm = ({ mode = 'login', onSubmit, loading = false }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [validationError, setValidationError] = useState(null);
+
+  const isSignup = mode !== 'login';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setValidationError(null);
+
+    if (isSignup && password.length < MIN_PASSWORD_LENGTH) {
+      setValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    onSubmit({
+      email: email.trim(),
+      password,
+      displayName: displayName.trim() || undefined,
+    });
+  };
+
+  const inputClass = 'w-full pl-10 pr-4 py-3 border border-gray-300 dark:border-dark-border rounded-lg bg-white dark:bg-dark-surface text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {isSignup && (
+        <div className="relative">
+          <User className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+          <input
+            type="text"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            placeholder="Display name (optional)"
+            maxLength={50}
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      <div className="relative">
+        <Mail className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email address"
+          autoComplete="email"
+          required
+          className={inputClass}
+        />
+      </div>
+
+      <div className="relative">
+        <Lock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={isSignup ? `Password (min ${MIN_PASSWORD_LENGTH} characters)` : 'Password'}
+          autoComplete={isSignup ? 'new-password' : 'current-password'}
+          required
+          className={inputClass}
+        />
+      </div>
+
+      {validationError && (
+        <p className="text-sm text-red-600 dark:text-red-400">{validationError}</p>
+      )}
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="btn-primary w-full py-3 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? (
+          <LoadingSpinner text="" size="small" />
+        ) : (
+          <>
+            <span>{SUBMIT_LABELS[mode]}</span>
+            <ArrowRight size={18} />
+          </>
+        )}
+      </button>
+    </form>
+  );
+};
+
+export default AccountForm;
@@ -6,10 +6,14 @@
  * - Minimum view count filter
  * - Minimum like count filter
  * - Minimum comment count filter
- * - Published after date filter
+ * - Published after/before date filters
  * - Video category filter
  * - Video duration filter
- * - Max results slider
+ * - Video definition and caption filters
+ * - Results per page slider
+ *
+ * Date, category, duration, definition and caption filters are applied by
+ * YouTube for keyword searches; the engagement minimums are applied locally
  */
 
 import { useState, useEffect } from 'react';
@@ -22,6 +26,8 @@ import {
   Calendar, 
   Clock, 
   Hash,
+  Monitor,
+  Captions,
   RotateCcw,
   Search
 } from 'lucide-react';
@@ -54,6 +60,20 @@ const DURATION_OPTIONS = [
   { value: 'long', label: 'Long (> 20 minutes)' },
 ];
 
+// Definition options
+const DEFINITION_OPTIONS = [
+  { value: 'any', label: 'Any Quality' },
+  { value: 'high', label: 'HD Only' },
+  { value: 'standard', label: 'SD Only' },
+];
+
+// Caption options
+const CAPTION_OPTIONS = [
+  { value: 'any', label: 'Any' },
+  { value: 'closedCaption', label: 'With Captions' },
+  { value: 'none', label: 'Without Captions' },
+];
+
 const AdvancedSearchModal = ({ isOpen, onClose, onApplyFilters, initialFilters = {} }) => {
   // Default filter state
   const defaultFilters = {
@@ -61,8 +81,11 @@ const AdvancedSearchModal = ({ isOpen, onClose, onApplyFilters, initialFilters =
     minLikes: 0,
     minComments: 0,
     publishedAfter: '',
+    publishedBefore: '',
     category: '',
     duration: 'any',
+    definition: 'any',
+    captions: 'any',
     maxResults: 50,
   };
 
@@ -280,6 +303,22 @@ const AdvancedSearchModal = ({ isOpen, onClose, onApplyFilters, initialFilters =
             </div>
           </div>
 
+          {/* Published Before Date */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300">
+              <Calendar size={18} className="text-orange-600 dark:text-orange-400" />
+              Published Before
+            </label>
+            <input
+              type="date"
+              value={filters.publishedBefore}
+              onChange={(e) => handleFilterChange('publishedBefore', e.target.value)}
+              min={filters.publishedAfter || undefined}
+              max={new Date().toISOString().split('T')[0]}
+              className="w-full px-4 py-3 rounded-lg border-2 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-blue-500 focus:ring-2 focus:ring-blue-200 dark:focus:ring-blue-800 transition-all"
+            />
+          </div>
+
           {/* Video Category */}
           <div className="space-y-2">
             <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300">
@@ -322,30 +361,76 @@ const AdvancedSearchModal = ({ isOpen, onClose, onApplyFilters, initialFilters =
             </div>
           </div>
 
-          {/* Max Results */}
+          {/* Video Definition */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300">
+              <Monitor size={18} className="text-sky-600 dark:text-sky-400" />
+              Video Quality
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              {DEFINITION_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleFilterChange('definition', option.value)}
+                  className={`px-4 py-3 rounded-lg border-2 transition-all font-medium ${
+                    filters.definition === option.value
+                      ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
+                      : 'border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:border-gray-400'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Captions */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300">
+              <Captions size={18} className="text-teal-600 dark:text-teal-400" />
+              Captions
+            </label>
+            <div className="grid grid-cols-3 gap-2">
+              {CAPTION_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleFilterChange('captions', option.value)}
+                  className={`px-4 py-3 rounded-lg border-2 transition-all font-medium ${
+                    filters.captions === option.value
+                      ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
+                      : 'border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:border-gray-400'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Results per Page */}
           <div className="space-y-2">
             <label className="flex items-center justify-between text-sm font-semibold text-gray-700 dark:text-gray-300">
               <span className="flex items-center gap-2">
                 <Search size={18} className="text-teal-600 dark:text-teal-400" />
-                Maximum Results
+                Results per Page
               </span>
               <span className="text-blue-600 dark:text-blue-400">{filters.maxResults}</span>
             </label>
             <input
               type="range"
               min="10"
-              max="200"
-              step="10"
-              value={filters.maxResults}
+              max="50"
+              step="5"
+              value={Math.min(filters.maxResults, 50)}
               onChange={(e) => handleFilterChange('maxResults', parseInt(e.target.value))}
               className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-600"
             />
             <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
               <span>10</span>
+              <span>20</span>
+              <span>30</span>
+              <span>40</span>
               <span>50</span>
-              <span>100</span>
-              <span>150</span>
-              <span>200</span>
             </div>
           </div>
 
@@ -1,48 +1,22 @@
 /**
  * Navbar Component - Updated with dynamic quota
  */
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { Sun, Moon, User, LogOut } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useUserQuota } from '../hooks/useUserQuota';
+import NotificationsMenu from './notifications/NotificationsMenu';
 
 const Navbar = () => {
   const location = useLocation();
-  const { user, logout } = useAuth();
+  const { user, isGuest, logout } = useAuth();
   const [theme, setTheme] = useState('dark');
-  const [quotaUsed, setQuotaUsed] = useState(0);
-  const quotaLimit = 100;
 
-  // Load quota from localStorage
-  useEffect(() => {
-    const savedQuota = localStorage.getItem('quotaUsed');
-    if (savedQuota) {
-      setQuotaUsed(parseInt(savedQuota));
-    }
-
-    // Listen for quota changes
-    const handleStorageChange = () => {
-      const newQuota = localStorage.getItem('quotaUsed');
-      if (newQuota) {
-        setQuotaUsed(parseInt(newQuota));
-      }
-    };
-
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Poll for quota changes (for same-tab updates)
-    const interval = setInterval(() => {
-      const newQuota = localStorage.getItem('quotaUsed');
-      if (newQuota && parseInt(newQuota) !== quotaUsed) {
-        setQuotaUsed(parseInt(newQuota));
-      }
-    }, 1000);
-
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-      clearInterval(interval);
-    };
-  }, [quotaUsed]);
+  // Live quota from the backend (shared query with the Search page)
+  const { data: quota } = useUserQuota({ enabled: Boolean(user) });
+  const quotaUsed = quota?.quotaUsed ?? 0;
+  const quotaLimit = quota?.quotaLimit ?? 100;
 
   const toggleTheme = () => {
     const newTheme = theme === 'dark' ? 'light' : 'dark';
@@ -102,6 +76,26 @@ const Navbar = () => {
           >
             Analytics
           </Link>
+          <Link
+            to="/compare"
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              location.pathname === '/compare'
+                ? 'bg-blue-100 dark:bg-blue-900 text-blue-600 dark:text-blue-400'
+                : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+          >
+            Compare
+          </Link>
+          <Link
+            to="/watchlist"
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              location.pathname === '/watchlist'
+                ? 'bg-blue-100 dark:bg-blue-900 text-blue-600 dark:text-blue-400'
+                : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+          >
+            Watchlist
+          </Link>
         </div>
 
         {/* Right Side */}
@@ -124,6 +118,9 @@ const Navbar = () => {
             Daily quota
           </span>
 
+          {/* Alert notifications */}
+          {user && <NotificationsMenu />}
+
           {/* Theme Toggle */}
           <button
             onClick={toggleTheme}
@@ -142,12 +139,20 @@ const Navbar = () => {
               <div className="flex items-center gap-2 px-3 py-2 bg-gray-100 dark:bg-gray-700 rounded-lg">
                 <User className="w-4 h-4 text-gray-600 dark:text-gray-300" />
                 <span className="text-sm text-gray-700 dark:text-gray-300">
-                  Guest User
+                  {isGuest ? 'Guest User' : user.displayName}
                 </span>
                 <span className="text-xs text-gray-500 dark:text-gray-400">
-                  {user._id?.slice(-6) || ''}
+                  {isGuest ? (user._id?.slice(-6) || '') : (user.emailVerified ? '' : 'unverified')}
                 </span>
               </div>
+              {isGuest && (
+                <Link
+                  to="/login?upgrade=1"
+                  className="px-3 py-2 text-sm font-medium text-primary-600 dark:text-primary-400 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-lg transition-colors"
+                >
+                  Create Account
+                </Link>
+              )}
               <button
                 onClick={logout}
                 className="p-2 rounded-lg hover:bg-red-100 dark:hover:bg-red-900/20 text-red-600 dark:text-red-400 transition-colors"
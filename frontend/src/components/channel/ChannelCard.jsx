@@ -0,0 +1,141 @@
+/**
+ * ChannelCard Component
+ * Shows a channel from /youtube/channels/search with its statistics
+ * When onToggleCompare is given, the channel can be picked for a comparison
+ */
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Users, Video, Eye, MapPin } from 'lucide-react';
+
+// Format numbers
+const formatNumber = (num) => {
+  if (!num) return '0';
+  const number = parseInt(num);
+  if (number >= 1000000) return `${(number / 1000000).toFixed(1)}M`;
+  if (number >= 1000) return `${(number / 1000).toFixed(1)}K`;
+  return number.toString();
+};
+
+const ChannelCard = ({ channel, isCompared = false, canCompare = true, onToggleCompare }) => {
+  const [imageError, setImageError] = useState(false);
+
+  const thumbnail = channel.thumbnails?.high ||
+    channel.thumbnails?.medium ||
+    channel.thumbnails?.default;
+
+  const channelUrl = channel.customUrl
+    ? `https://www.youtube.com/${channel.customUrl}`
+    : `https://www.youtube.com/channel/${channel.channelId}`;
+
+  return (
+    <div className={`group bg-white dark:bg-gray-800 rounded-xl shadow-lg p-5 border transition-all duration-300 hover:shadow-2xl flex flex-col ${
+      isCompared ? 'border-purple-500 ring-2 ring-purple-500' : 'border-gray-200 dark:border-gray-700'
+    }`}>
+      {/* Avatar and title */}
+      <div className="flex items-center gap-4 mb-4">
+        {thumbnail && !imageError ? (
+          <img
+            src={thumbnail}
+            alt={channel.title}
+            onError={() => setImageError(true)}
+            className="w-16 h-16 rounded-full object-cover flex-shrink-0"
+          />
+        ) : (
+          <div className="w-16 h-16 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center flex-shrink-0">
+            <Users className="text-gray-400" size={28} />
+          </div>
+        )}
+        <div className="min-w-0 flex-1">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate group-hover:text-blue-600 dark:group-hover:text-blue-400 transition-colors">
+            {channel.title}
+          </h3>
+          {channel.customUrl && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 truncate">{channel.customUrl}</p>
+          )}
+        </div>
+        {onToggleCompare && (
+          <label className="flex items-center gap-1 text-xs font-medium text-gray-600 dark:text-gray-400 cursor-pointer flex-shrink-0">
+            <input
+              type="checkbox"
+              checked={isCompared}
+              disabled={!isCompared && !canCompare}
+              onChange={() => onToggleCompare(channel.channelId)}
+              className="w-4 h-4 accent-purple-600"
+            />
+            Compare
+          </label>
+        )}
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+        <div className="p-2 bg-gray-50 dark:bg-gray-900 rounded-lg">
+          <Users className="w-4 h-4 mx-auto text-red-500 mb-1" />
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">
+            {channel.hiddenSubscriberCount ? 'Hidden' : formatNumber(channel.subscriberCount)}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">Subscribers</p>
+        </div>
+        <div className="p-2 bg-gray-50 dark:bg-gray-900 rounded-lg">
+          <Video className="w-4 h-4 mx-auto text-blue-500 mb-1" />
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">
+            {formatNumber(channel.videoCount)}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">Videos</p>
+        </div>
+        <div className="p-2 bg-gray-50 dark:bg-gray-900 rounded-lg">
+          <Eye className="w-4 h-4 mx-auto text-green-500 mb-1" />
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">
+            {formatNumber(channel.viewCount)}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">Views</p>
+        </div>
+      </div>
+
+      {channel.description && (
+        <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-3 mb-4">
+          {channel.description}
+        </p>
+      )}
+
+      <div className="mt-auto flex items-center justify-between pt-3 border-t border-gray-200 dark:border-gray-700">
+        <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+          {channel.country && (
+            <>
+              <MapPin className="w-3 h-3" />
+              {channel.country}
+            </>
+          )}
+        </span>
+
+        <div className="flex items-center gap-4">
+          <Link
+            to={`/channel/${channel.channelId}`}
+            className="text-sm font-medium text-purple-600 dark:text-purple-400 hover:text-purple-700 dark:hover:text-purple-300"
+          >
+            Analytics
+          </Link>
+
+          <Link
+            to={`/channel/${channel.channelId}/videos`}
+            className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+          >
+            Uploads
+          </Link>
+
+          {/* YouTube Link */}
+          <a
+            href={channelUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sm font-medium text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300"
+          >
+            View on YouTube
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelCard;
@@ -0,0 +1,87 @@
+/**
+ * ChannelGrid Component
+ * Sortable grid of channel search results; channels can be picked for the
+ * side-by-side comparison page
+ */
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { GitCompare } from 'lucide-react';
+import ChannelCard from './ChannelCard';
+
+// Channels the comparison page accepts at once
+const MAX_COMPARE = 5;
+
+const SORTERS = {
+  relevance: null,
+  subscribers: (a, b) => (b.subscriberCount || 0) - (a.subscriberCount || 0),
+  views: (a, b) => (b.viewCount || 0) - (a.viewCount || 0),
+  videos: (a, b) => (b.videoCount || 0) - (a.videoCount || 0),
+  newest: (a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0),
+};
+
+const ChannelGrid = ({ channels }) => {
+  const navigate = useNavigate();
+  const [sortBy, setSortBy] = useState('relevance');
+  const [compareIds, setCompareIds] = useState([]);
+
+  const toggleCompare = (channelId) => {
+    setCompareIds(prev => (prev.includes(channelId)
+      ? prev.filter(id => id !== channelId)
+      : [...prev, channelId]));
+  };
+
+  const sorter = SORTERS[sortBy];
+  const sortedChannels = sorter ? [...channels].sort(sorter) : channels;
+
+  return (
+    <div className="space-y-6">
+      {/* Toolbar */}
+      <div className="flex items-center justify-end gap-3 p-4 bg-gray-50 dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700">
+        {compareIds.length > 0 && (
+          <button
+            onClick={() => navigate(`/compare?ids=${compareIds.join(',')}`)}
+            disabled={compareIds.length < 2}
+            className="mr-auto flex items-center gap-2 px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400 text-white rounded-lg text-sm font-semibold transition-colors"
+          >
+            <GitCompare size={16} />
+            {compareIds.length < 2 ? 'Pick another channel to compare' : `Compare ${compareIds.length} channels`}
+          </button>
+        )}
+        <label className="text-sm font-medium text-gray-600 dark:text-gray-400">
+          Sort by:
+        </label>
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent cursor-pointer"
+        >
+          <option value="relevance">Relevance</option>
+          <option value="subscribers">Most Subscribers</option>
+          <option value="views">Most Views</option>
+          <option value="videos">Most Videos</option>
+          <option value="newest">Newest Channels</option>
+        </select>
+      </div>
+
+      {sortedChannels.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {sortedChannels.map((channel) => (
+            <ChannelCard
+              key={channel.channelId}
+              channel={channel}
+              isCompared={compareIds.includes(channel.channelId)}
+              canCompare={compareIds.length < MAX_COMPARE}
+              onToggleCompare={toggleCompare}
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <p className="text-gray-500 dark:text-gray-400">No channels to display</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChannelGrid;
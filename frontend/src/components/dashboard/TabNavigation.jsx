@@ -4,7 +4,7 @@
  * UPDATED: Removed Content Strategy and Tags, renamed Custom to Advanced
  */
 import React from 'react';
-import { BarChart3, Heart, Sparkles } from 'lucide-react';
+import { BarChart3, Heart, MessageSquare, Sparkles } from 'lucide-react';
 
 const TabNavigation = ({ activeTab, onTabChange }) => {
   const tabs = [
@@ -20,6 +20,12 @@ const TabNavigation = ({ activeTab, onTabChange }) => {
       icon: Heart,
       description: 'Likes & comments',
     },
+    {
+      id: 'comments',
+      label: 'Comments',
+      icon: MessageSquare,
+      description: 'Threads & keywords',
+    },
     {
       id: 'advanced',
       label: 'Advanced',
@@ -0,0 +1,336 @@
+/**
+ * CommentsTab Component
+ * Comment threads of one selected video: volume over time, top commenters,
+ * most-liked comments, recurring keywords, questions asked and sentiment
+ */
+import React, { useState, useMemo, useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { Loader2, AlertCircle, MessageSquare, ThumbsUp, Users, HelpCircle } from 'lucide-react';
+import { useVideoComments } from '../../../hooks/useVideoComments';
+import { VIDEO_SENTIMENT_KEY } from '../../../hooks/useVideoSentiment';
+
+const LIMITS = [100, 200, 500, 1000];
+
+const POLARITY_STYLES = {
+  positive: { label: 'Positive', bar: 'bg-green-500', text: 'text-green-600 dark:text-green-400' },
+  neutral: { label: 'Neutral', bar: 'bg-gray-400', text: 'text-gray-500 dark:text-gray-400' },
+  negative: { label: 'Negative', bar: 'bg-red-500', text: 'text-red-600 dark:text-red-400' },
+};
+
+// Format numbers
+const formatNumber = (num) => {
+  if (num == null) return '0';
+  const number = Math.round(num);
+  if (number >= 1000000) return `${(number / 1000000).toFixed(1)}M`;
+  if (number >= 1000) return `${(number / 1000).toFixed(1)}K`;
+  return number.toString();
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+/**
+ * Helper: Get video ID from various structures
+ */
+const getVideoId = (video) => {
+  return video.videoId || video.id?.videoId || video.id;
+};
+
+const getCommentCount = (video) => parseInt(video.statistics?.commentCount || video.commentCount || 0);
+
+const SummaryCard = ({ icon, label, value, detail }) => (
+  <div className="p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+    <p className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+      {icon}
+      {label}
+    </p>
+    <p className="text-2xl font-bold text-gray-900 dark:text-white mt-1">{value}</p>
+    {detail && <p className="text-xs text-gray-500 dark:text-gray-400">{detail}</p>}
+  </div>
+);
+
+const CommentItem = ({ comment }) => (
+  <li className="py-3">
+    <div className="flex items-center justify-between gap-4 text-sm">
+      <span className="font-medium text-gray-900 dark:text-white truncate">
+        {comment.authorName}
+        {comment.isReply && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">reply</span>}
+        {comment.sentiment && comment.sentiment.polarity !== 'neutral' && (
+          <span className={`ml-2 text-xs ${POLARITY_STYLES[comment.sentiment.polarity].text}`}>
+            {POLARITY_STYLES[comment.sentiment.polarity].label.toLowerCase()}
+          </span>
+        )}
+      </span>
+      <span className="flex items-center gap-1 text-gray-500 dark:text-gray-400 flex-shrink-0">
+        <ThumbsUp size={14} />
+        {formatNumber(comment.likeCount)}
+      </span>
+    </div>
+    <p className="mt-1 text-sm text-gray-600 dark:text-gray-300 line-clamp-3 whitespace-pre-line">{comment.text}</p>
+  </li>
+);
+
+const Panel = ({ title, description, children }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+    <h3 className="text-lg font-bold text-gray-900 dark:text-white">{title}</h3>
+    {description && <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">{description}</p>}
+    {children}
+  </div>
+);
+
+const CommentsTab = ({ videos }) => {
+  // Videos with the most comments first
+  const options = useMemo(() => (videos || [])
+    .map(video => ({
+      videoId: getVideoId(video),
+      title: video.snippet?.title || video.title || 'Untitled',
+      commentCount: getCommentCount(video),
+    }))
+    .filter(option => option.videoId)
+    .sort((a, b) => b.commentCount - a.commentCount), [videos]);
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [order, setOrder] = useState('relevance');
+  const [maxResults, setMaxResults] = useState(200);
+
+  const videoId = options.some(option => option.videoId === selectedId) ? selectedId : options[0]?.videoId;
+  const { data, isLoading, isError, error } = useVideoComments(videoId, { order, maxResults });
+  const analysis = data?.analysis;
+  const summary = analysis?.summary;
+  const sentiment = analysis?.sentiment;
+
+  // A fresh analysis replaces the video's stored sentiment
+  const queryClient = useQueryClient();
+  const generatedAt = data?.generatedAt;
+  useEffect(() => {
+    if (generatedAt) {
+      queryClient.invalidateQueries({ queryKey: VIDEO_SENTIMENT_KEY });
+    }
+  }, [generatedAt, queryClient]);
+
+  if (options.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+        Select videos to analyse their comments
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white">Comments</h3>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Top-level comments and their replies for one video
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={videoId}
+              onChange={(e) => setSelectedId(e.target.value)}
+              className="max-w-xs px-3 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer"
+            >
+              {options.map(option => (
+                <option key={option.videoId} value={option.videoId}>
+                  {option.title} ({formatNumber(option.commentCount)})
+                </option>
+              ))}
+            </select>
+            <select
+              value={order}
+              onChange={(e) => setOrder(e.target.value)}
+              className="px-3 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer"
+            >
+              <option value="relevance">Top comments</option>
+              <option value="time">Newest first</option>
+            </select>
+            <select
+              value={maxResults}
+              onChange={(e) => setMaxResults(Number(e.target.value))}
+              className="px-3 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer"
+            >
+              {LIMITS.map(limit => (
+                <option key={limit} value={limit}>{limit} threads</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isLoading && (
+          <div className="flex items-center justify-center h-32">
+            <Loader2 className="animate-spin text-blue-600" size={32} />
+          </div>
+        )}
+
+        {isError && (
+          <div className="flex items-center gap-2 mt-4 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <AlertCircle className="text-red-600 dark:text-red-400" size={20} />
+            <span className="text-red-600 dark:text-red-400">
+              {error?.response?.data?.error || 'Failed to load comments. Please try again.'}
+            </span>
+          </div>
+        )}
+
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+            <SummaryCard
+              icon={<MessageSquare size={16} className="text-blue-500" />}
+              label="Comments"
+              value={formatNumber(summary.comments)}
+              detail={`${formatNumber(summary.threads)} threads, ${formatNumber(summary.replies)} replies${data.complete ? '' : ' (sample)'}`}
+            />
+            <SummaryCard
+              icon={<Users size={16} className="text-purple-500" />}
+              label="Commenters"
+              value={formatNumber(summary.uniqueAuthors)}
+              detail={`${summary.repliesPerThread} replies per thread`}
+            />
+            <SummaryCard
+              icon={<ThumbsUp size={16} className="text-green-500" />}
+              label="Comment likes"
+              value={formatNumber(summary.totalLikes)}
+              detail={`${summary.averageLikes} per comment`}
+            />
+            <SummaryCard
+              icon={<HelpCircle size={16} className="text-orange-500" />}
+              label="Questions"
+              value={formatNumber(analysis.questions.count)}
+              detail={`${analysis.questions.rate}% of threads, ${analysis.questions.unanswered} unanswered`}
+            />
+          </div>
+        )}
+      </div>
+
+      {analysis && summary.comments > 0 && (
+        <>
+          <Panel
+            title="Comment volume"
+            description={`Comments per ${analysis.volume.interval} among those fetched`}
+          >
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={analysis.volume.points}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="date" tickFormatter={formatDate} tick={{ fontSize: 12, fill: '#6b7280' }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: '#6b7280' }} />
+                <Tooltip labelFormatter={(label) => new Date(label).toLocaleDateString()} />
+                <Legend />
+                <Bar dataKey="comments" name="All comments" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+                <Bar dataKey="replies" name="Replies" fill="#f59e0b" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </Panel>
+
+          <Panel
+            title="Sentiment"
+            description={`Scored from the words and emoji of ${formatNumber(sentiment.comments)} comments; net ${sentiment.netScore > 0 ? '+' : ''}${sentiment.netScore} on a -100 to +100 scale`}
+          >
+            <div className="flex h-4 rounded-full overflow-hidden mt-2 bg-gray-100 dark:bg-gray-700">
+              {Object.entries(POLARITY_STYLES).map(([polarity, style]) => (
+                <div
+                  key={polarity}
+                  className={style.bar}
+                  style={{ width: `${sentiment[`${polarity}Percent`]}%` }}
+                  title={`${style.label}: ${sentiment[`${polarity}Percent`]}%`}
+                />
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-4 mt-2 text-sm">
+              {Object.entries(POLARITY_STYLES).map(([polarity, style]) => (
+                <span key={polarity} className={style.text}>
+                  {style.label}: {sentiment[`${polarity}Percent`]}% ({formatNumber(sentiment[polarity])})
+                </span>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-4">
+              <div>
+                <h4 className="font-semibold text-gray-900 dark:text-white">Most positive</h4>
+                {sentiment.mostPositive.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">No positive comments.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {sentiment.mostPositive.map(comment => (
+                      <CommentItem key={comment.commentId} comment={comment} />
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <div>
+                <h4 className="font-semibold text-gray-900 dark:text-white">Most negative</h4>
+                {sentiment.mostNegative.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">No negative comments.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {sentiment.mostNegative.map(comment => (
+                      <CommentItem key={comment.commentId} comment={comment} />
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </Panel>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <Panel title="Top commenters">
+              <ol className="divide-y divide-gray-200 dark:divide-gray-700">
+                {analysis.topCommenters.map((author, index) => (
+                  <li key={author.authorChannelId || author.authorName} className="flex items-center justify-between gap-4 py-2 text-sm">
+                    <span className="truncate text-gray-900 dark:text-white">
+                      <span className="mr-2 text-gray-400">{index + 1}.</span>
+                      {author.authorName}
+                    </span>
+                    <span className="flex-shrink-0 text-gray-500 dark:text-gray-400">
+                      {author.comments} comments · {formatNumber(author.likes)} likes
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </Panel>
+
+            <Panel title="Keywords" description="Words used in at least two comments">
+              {analysis.keywords.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No recurring keywords.</p>
+              ) : (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {analysis.keywords.map(keyword => (
+                    <span
+                      key={keyword.word}
+                      title={`${keyword.occurrences} mentions in ${keyword.comments} comments`}
+                      className="px-3 py-1 rounded-full bg-blue-50 dark:bg-blue-900/20 text-sm text-blue-700 dark:text-blue-300"
+                    >
+                      {keyword.word}
+                      <span className="ml-1 text-xs text-blue-500 dark:text-blue-400">{keyword.comments}</span>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </Panel>
+
+            <Panel title="Most liked">
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {analysis.mostLiked.map(comment => (
+                  <CommentItem key={comment.commentId} comment={comment} />
+                ))}
+              </ul>
+            </Panel>
+
+            <Panel title="Questions" description="Top-level comments asking something, most liked first">
+              {analysis.questions.top.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No questions found.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {analysis.questions.top.map(comment => (
+                    <CommentItem key={comment.commentId} comment={comment} />
+                  ))}
+                </ul>
+              )}
+            </Panel>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CommentsTab;
@@ -2,16 +2,20 @@
  * EngagementTab Component
  * Tasks 261-270: Engagement Analytics with Interactive Charts
  * UPDATED: Removed Likes vs Comments Correlation chart
- * Features: Scatter plot (Views vs Engagement)
+ * Features: Scatter plot (Views vs Engagement), comment sentiment vs engagement
  */
 import React from 'react';
 import EngagementBreakdown from './EngagementBreakdown';
+import SentimentChart from './SentimentChart';
 
 const EngagementTab = ({ videos }) => {
   return (
     <div className="space-y-8">
       {/* Task 261-264: Scatter Plot - Views vs Engagement */}
       <EngagementBreakdown videos={videos} />
+
+      {/* Comment sentiment from stored comment analyses */}
+      <SentimentChart videos={videos} />
     </div>
   );
 };
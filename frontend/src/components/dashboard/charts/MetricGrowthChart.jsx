@@ -0,0 +1,168 @@
+/**
+ * MetricGrowthChart Component
+ * Growth of a video's or channel's statistics from stored snapshots:
+ * totals over time, or velocity (change per day) between snapshots
+ */
+import { useState } from 'react';
+import {
+  LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
+} from 'recharts';
+import { Loader2, History } from 'lucide-react';
+import { useMetricHistory } from '../../../hooks/useMetricHistory';
+
+const RANGES = [7, 30, 90, 365];
+
+// Statistics charted for each kind of target
+const METRICS = {
+  video: [
+    { key: 'viewCount', label: 'Views', color: '#3b82f6' },
+    { key: 'likeCount', label: 'Likes', color: '#10b981' },
+    { key: 'commentCount', label: 'Comments', color: '#f59e0b' },
+  ],
+  channel: [
+    { key: 'subscriberCount', label: 'Subscribers', color: '#ef4444' },
+    { key: 'viewCount', label: 'Views', color: '#3b82f6' },
+    { key: 'videoCount', label: 'Videos', color: '#8b5cf6' },
+  ],
+};
+
+// Format numbers
+const formatNumber = (num) => {
+  if (num == null) return '—';
+  const number = Math.round(num);
+  const sign = number < 0 ? '-' : '';
+  const abs = Math.abs(number);
+  if (abs >= 1000000000) return `${sign}${(abs / 1000000000).toFixed(1)}B`;
+  if (abs >= 1000000) return `${sign}${(abs / 1000000).toFixed(1)}M`;
+  if (abs >= 1000) return `${sign}${(abs / 1000).toFixed(1)}K`;
+  return `${sign}${abs}`;
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const MetricGrowthChart = ({ kind, targetId }) => {
+  const metrics = METRICS[kind];
+  const [days, setDays] = useState(30);
+  const [metricKey, setMetricKey] = useState(metrics[0].key);
+  const [mode, setMode] = useState('total');
+
+  const { data, isLoading, isError } = useMetricHistory(kind, targetId, days);
+  const metric = metrics.find(entry => entry.key === metricKey);
+  const summary = data?.summary;
+  const series = data?.series || [];
+  const dataKey = mode === 'total' ? metric.key : `${metric.key}PerDay`;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white">Growth</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            From snapshots recorded each time this {kind} is looked up (at most hourly)
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-sm">
+            {['total', 'velocity'].map(option => (
+              <button
+                key={option}
+                onClick={() => setMode(option)}
+                className={`px-3 py-1.5 font-medium capitalize transition-colors ${
+                  mode === option
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                {option === 'total' ? 'Total' : 'Per day'}
+              </button>
+            ))}
+          </div>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-3 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer"
+          >
+            {RANGES.map(range => (
+              <option key={range} value={range}>Last {range} days</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Metric picker with the change over the range */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+        {metrics.map(entry => {
+          const change = summary?.[entry.key];
+          return (
+            <button
+              key={entry.key}
+              onClick={() => setMetricKey(entry.key)}
+              className={`p-3 rounded-lg border text-left transition-colors ${
+                entry.key === metricKey
+                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                  : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50'
+              }`}
+            >
+              <p className="text-sm text-gray-500 dark:text-gray-400">{entry.label}</p>
+              <p className="text-lg font-bold text-gray-900 dark:text-white">
+                {change ? `${change.change >= 0 ? '+' : ''}${formatNumber(change.change)}` : '—'}
+                {change?.changePercent != null && (
+                  <span className="ml-2 text-sm font-medium text-gray-500 dark:text-gray-400">
+                    {change.changePercent >= 0 ? '+' : ''}{change.changePercent}%
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {change?.perDay != null ? `${formatNumber(change.perDay)} per day` : 'Not enough history'}
+              </p>
+            </button>
+          );
+        })}
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center justify-center h-64">
+          <Loader2 className="animate-spin text-blue-600" size={32} />
+        </div>
+      )}
+
+      {isError && (
+        <p className="text-sm text-red-600 dark:text-red-400">Failed to load history.</p>
+      )}
+
+      {data && series.length < 2 && (
+        <div className="flex flex-col items-center justify-center h-64 text-center text-gray-500 dark:text-gray-400">
+          <History size={40} className="mb-3 text-gray-400" />
+          <p>Not enough history yet.</p>
+          <p className="text-sm">
+            {series.length === 1 ? 'One snapshot recorded' : 'No snapshots in this range'}; growth appears once this {kind} has been looked up again.
+          </p>
+        </div>
+      )}
+
+      {series.length >= 2 && (
+        <ResponsiveContainer width="100%" height={300}>
+          {mode === 'total' ? (
+            <LineChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="capturedAt" tickFormatter={formatDate} tick={{ fontSize: 12, fill: '#6b7280' }} />
+              <YAxis tickFormatter={formatNumber} domain={['auto', 'auto']} tick={{ fontSize: 12, fill: '#6b7280' }} />
+              <Tooltip formatter={(value) => formatNumber(value)} labelFormatter={(label) => new Date(label).toLocaleString()} />
+              <Line type="monotone" dataKey={dataKey} name={metric.label} stroke={metric.color} strokeWidth={2} connectNulls />
+            </LineChart>
+          ) : (
+            <BarChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="capturedAt" tickFormatter={formatDate} tick={{ fontSize: 12, fill: '#6b7280' }} />
+              <YAxis tickFormatter={formatNumber} tick={{ fontSize: 12, fill: '#6b7280' }} />
+              <Tooltip formatter={(value) => formatNumber(value)} labelFormatter={(label) => new Date(label).toLocaleString()} />
+              <Bar dataKey={dataKey} name={`${metric.label} per day`} fill={metric.color} radius={[4, 4, 0, 0]} />
+            </BarChart>
+          )}
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default MetricGrowthChart;
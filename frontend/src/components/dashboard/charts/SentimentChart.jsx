@@ -0,0 +1,132 @@
+/**
+ * SentimentChart Component
+ * Comment sentiment of the selected videos (stacked positive / neutral /
+ * negative share) next to their engagement rate. Sentiment comes from the
+ * last comment analysis of each video; videos whose comments were never
+ * analysed are counted below the chart.
+ */
+import React, { useMemo } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Loader2, Smile } from 'lucide-react';
+import { useVideoSentiment } from '../../../hooks/useVideoSentiment';
+
+/**
+ * Helper: Get video ID from various structures
+ */
+const getVideoId = (video) => {
+  return video.videoId || video.id?.videoId || video.id;
+};
+
+const getEngagementRate = (video) => parseFloat(video.engagementRate || 0);
+
+const SentimentChart = ({ videos }) => {
+  const videoIds = useMemo(() => (videos || []).map(getVideoId).filter(Boolean), [videos]);
+  const { data: sentiments, isLoading, isError } = useVideoSentiment(videoIds);
+
+  const { chartData, missing } = useMemo(() => {
+    if (!sentiments) {
+      return { chartData: [], missing: 0 };
+    }
+
+    const analysed = (videos || []).filter(video => sentiments[getVideoId(video)]);
+
+    return {
+      chartData: analysed
+        .map(video => {
+          const sentiment = sentiments[getVideoId(video)];
+          const title = video.snippet?.title || video.title || 'Untitled';
+          return {
+            name: title.length > 25 ? `${title.substring(0, 25)}...` : title,
+            fullTitle: title,
+            positive: sentiment.positivePercent,
+            neutral: sentiment.neutralPercent,
+            negative: sentiment.negativePercent,
+            netScore: sentiment.netScore,
+            comments: sentiment.comments,
+            engagement: getEngagementRate(video),
+          };
+        })
+        .sort((a, b) => b.netScore - a.netScore),
+      missing: (videos || []).length - analysed.length,
+    };
+  }, [videos, sentiments]);
+
+  // Custom Tooltip
+  const CustomTooltip = ({ active, payload }) => {
+    if (!active || !payload || !payload[0]) return null;
+
+    const data = payload[0].payload;
+
+    return (
+      <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700">
+        <p className="font-semibold text-gray-900 dark:text-white mb-2">{data.fullTitle}</p>
+        <p className="text-sm text-green-600 dark:text-green-400">Positive: {data.positive}%</p>
+        <p className="text-sm text-gray-600 dark:text-gray-400">Neutral: {data.neutral}%</p>
+        <p className="text-sm text-red-600 dark:text-red-400">Negative: {data.negative}%</p>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+          <strong>Net sentiment:</strong> {data.netScore > 0 ? '+' : ''}{data.netScore}
+        </p>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          <strong>Engagement Rate:</strong> {data.engagement.toFixed(2)}%
+        </p>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">From {data.comments} comments</p>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          Sentiment vs Engagement
+        </h3>
+        <p className="text-gray-600 dark:text-gray-400">
+          Share of positive, neutral and negative comments with each video's engagement rate
+        </p>
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center justify-center h-64">
+          <Loader2 className="animate-spin text-blue-600" size={32} />
+        </div>
+      )}
+
+      {isError && (
+        <p className="text-sm text-red-600 dark:text-red-400">Failed to load sentiment.</p>
+      )}
+
+      {sentiments && chartData.length === 0 && (
+        <div className="flex flex-col items-center justify-center h-64 text-center text-gray-500 dark:text-gray-400">
+          <Smile size={40} className="mb-3 text-gray-400" />
+          <p>No sentiment yet.</p>
+          <p className="text-sm">Analyse a video's comments on the Comments tab to score its sentiment.</p>
+        </div>
+      )}
+
+      {chartData.length > 0 && (
+        <ResponsiveContainer width="100%" height={400}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="name" tick={{ fontSize: 11, fill: '#6b7280' }} interval={0} angle={-20} textAnchor="end" height={70} />
+            <YAxis yAxisId="share" domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 12, fill: '#6b7280' }} />
+            <YAxis yAxisId="engagement" orientation="right" tickFormatter={(value) => `${value}%`} tick={{ fontSize: 12, fill: '#6b7280' }} />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend />
+            <Bar yAxisId="share" dataKey="positive" name="Positive" stackId="sentiment" fill="#10b981" />
+            <Bar yAxisId="share" dataKey="neutral" name="Neutral" stackId="sentiment" fill="#9ca3af" />
+            <Bar yAxisId="share" dataKey="negative" name="Negative" stackId="sentiment" fill="#ef4444" />
+            <Line yAxisId="engagement" type="monotone" dataKey="engagement" name="Engagement rate" stroke="#3b82f6" strokeWidth={2} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+
+      {chartData.length > 0 && missing > 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {missing} selected {missing === 1 ? 'video has' : 'videos have'} no sentiment yet; analyse them on the Comments tab.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SentimentChart;
@@ -0,0 +1,112 @@
+/**
+ * NotificationsMenu Component
+ * Navbar bell with the unread count and a dropdown of recent alerts
+ */
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck, Webhook } from 'lucide-react';
+import { useNotifications, useNotificationMutations } from '../../hooks/useAlerts';
+
+const formatTime = (value) => new Date(value).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const NotificationsMenu = () => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const { data } = useNotifications({ limit: 10 });
+  const { markRead } = useNotificationMutations();
+
+  const notifications = data?.notifications || [];
+  const unreadCount = data?.unreadCount || 0;
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const openNotification = (notification) => {
+    if (!notification.read) {
+      markRead.mutate([notification.id]);
+    }
+    setOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5 text-gray-600 dark:text-gray-300" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-xl z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+            <span className="font-semibold text-gray-900 dark:text-white">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markRead.mutate()}
+                className="flex items-center gap-1 text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                <CheckCheck size={14} />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                No alerts yet. Add alert rules to items on your watchlist.
+              </p>
+            ) : notifications.map(notification => (
+              <button
+                key={notification.id}
+                onClick={() => openNotification(notification)}
+                className={`w-full text-left px-4 py-3 border-b last:border-b-0 border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 ${
+                  notification.read ? '' : 'bg-blue-50/60 dark:bg-blue-900/10'
+                }`}
+              >
+                <p className="text-sm font-medium text-gray-900 dark:text-white">{notification.message}</p>
+                <p className="flex items-center gap-2 mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {formatTime(notification.createdAt)}
+                  {notification.webhook && (
+                    <span
+                      className={`flex items-center gap-1 ${notification.webhook.delivered ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}
+                      title={notification.webhook.error || `Delivered to ${notification.webhook.url}`}
+                    >
+                      <Webhook size={12} />
+                      {notification.webhook.delivered ? 'Webhook sent' : 'Webhook failed'}
+                    </span>
+                  )}
+                </p>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsMenu;
@@ -3,6 +3,7 @@
  * Works with your backend's flat response (no snippet/statistics nesting)
  */
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { Eye, ThumbsUp, MessageCircle, Calendar } from 'lucide-react';
 
 const VideoCard = ({ video, isSelected, onSelect }) => {
@@ -195,16 +196,26 @@ const VideoCard = ({ video, isSelected, onSelect }) => {
           </div>
         </div>
 
-        {/* YouTube Link */}
-        <a
-          href={`https://www.youtube.com/watch?v=${videoId}`}
-          target="_blank"
-          rel="noopener noreferrer"
-          onClick={(e) => e.stopPropagation()}
-          className="mt-3 block text-center text-sm text-blue-600 dark:text-blue-400 hover:underline"
-        >
-          Watch on YouTube →
-        </a>
+        <div className="mt-3 flex items-center justify-center gap-4 text-sm">
+          <Link
+            to={`/video/${videoId}`}
+            onClick={(e) => e.stopPropagation()}
+            className="text-purple-600 dark:text-purple-400 hover:underline"
+          >
+            Details &amp; growth
+          </Link>
+
+          {/* YouTube Link */}
+          <a
+            href={`https://www.youtube.com/watch?v=${videoId}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => e.stopPropagation()}
+            className="text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            Watch on YouTube →
+          </a>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,179 @@
+/**
+ * AlertRulesPanel Component
+ * Alert rules of one watchlist item: list, enable/disable, test webhook,
+ * delete, and a form to add a rule
+ */
+import { useState } from 'react';
+import { Loader2, Plus, Trash2, Send, Webhook } from 'lucide-react';
+import { useAlertRules, useAlertRuleMutations } from '../../hooks/useAlerts';
+
+const METRIC_LABELS = {
+  viewCount: 'Views',
+  likeCount: 'Likes',
+  commentCount: 'Comments',
+  engagementRate: 'Engagement rate (%)',
+  subscriberCount: 'Subscribers',
+  videoCount: 'Videos',
+  totalResults: 'Total results',
+  averageViews: 'Average views',
+};
+
+const CONDITION_LABELS = {
+  above: 'rises above',
+  below: 'drops below',
+  increase: 'increases by',
+  decrease: 'decreases by',
+};
+
+const WINDOWS = [
+  { minutes: 60, label: 'per hour' },
+  { minutes: 360, label: 'per 6 hours' },
+  { minutes: 1440, label: 'per day' },
+  { minutes: 10080, label: 'per week' },
+];
+
+const inputClass = 'px-3 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-700 dark:text-gray-300';
+
+const AlertRulesPanel = ({ item }) => {
+  const { data, isLoading } = useAlertRules(item.id);
+  const { createRule, updateRule, deleteRule, testWebhook } = useAlertRuleMutations();
+
+  const metrics = data?.metrics?.[item.type] || [];
+  const [metric, setMetric] = useState('');
+  const [condition, setCondition] = useState('increase');
+  const [threshold, setThreshold] = useState('');
+  const [windowMinutes, setWindowMinutes] = useState(60);
+  const [webhookUrl, setWebhookUrl] = useState('');
+
+  const rules = data?.rules || [];
+  const isChange = condition === 'increase' || condition === 'decrease';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createRule.mutate({
+      itemId: item.id,
+      metric: metric || metrics[0],
+      condition,
+      threshold: Number(threshold),
+      ...(isChange ? { windowMinutes } : {}),
+      ...(webhookUrl.trim() ? { webhookUrl: webhookUrl.trim() } : {}),
+    }, {
+      onSuccess: () => {
+        setThreshold('');
+        setWebhookUrl('');
+      },
+    });
+  };
+
+  const error = createRule.error || updateRule.error || deleteRule.error;
+  const delivery = testWebhook.data;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3">
+      <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Alerts</h4>
+
+      {isLoading && <Loader2 className="animate-spin text-blue-600" size={20} />}
+
+      {rules.length > 0 && (
+        <ul className="space-y-2">
+          {rules.map(rule => (
+            <li key={rule.id} className="flex flex-wrap items-center gap-3 text-sm">
+              <label className="flex items-center gap-2 flex-1 min-w-0 text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateRule.mutate({ ruleId: rule.id, enabled: e.target.checked })}
+                />
+                <span className={rule.enabled ? '' : 'line-through text-gray-400'}>When {rule.description}</span>
+              </label>
+              {rule.lastTriggeredAt && (
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  Last fired {new Date(rule.lastTriggeredAt).toLocaleString()}
+                </span>
+              )}
+              {rule.webhookUrl && (
+                <button
+                  onClick={() => testWebhook.mutate(rule.id)}
+                  disabled={testWebhook.isPending}
+                  title={`Send a test payload to ${rule.webhookUrl}`}
+                  className="flex items-center gap-1 text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                >
+                  <Send size={12} />
+                  Test webhook
+                </button>
+              )}
+              <button
+                onClick={() => deleteRule.mutate(rule.id)}
+                title="Delete rule"
+                className="p-1 rounded text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20"
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {delivery && (
+        <p className={`flex items-center gap-1 text-xs ${delivery.delivered ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          <Webhook size={12} />
+          {delivery.delivered ? `Test delivered (HTTP ${delivery.status})` : `Test failed: ${delivery.error}`}
+        </p>
+      )}
+
+      {/* New rule */}
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-gray-600 dark:text-gray-400">When</span>
+        <select value={metric || metrics[0] || ''} onChange={(e) => setMetric(e.target.value)} className={inputClass}>
+          {metrics.map(key => (
+            <option key={key} value={key}>{METRIC_LABELS[key] || key}</option>
+          ))}
+        </select>
+        <select value={condition} onChange={(e) => setCondition(e.target.value)} className={inputClass}>
+          {Object.entries(CONDITION_LABELS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          placeholder="Threshold"
+          className={`${inputClass} w-28`}
+        />
+        {isChange && (
+          <select value={windowMinutes} onChange={(e) => setWindowMinutes(Number(e.target.value))} className={inputClass}>
+            {WINDOWS.map(option => (
+              <option key={option.minutes} value={option.minutes}>{option.label}</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="url"
+          value={webhookUrl}
+          onChange={(e) => setWebhookUrl(e.target.value)}
+          placeholder="Webhook URL (optional)"
+          className={`${inputClass} flex-1 min-w-[180px]`}
+        />
+        <button
+          type="submit"
+          disabled={createRule.isPending || threshold === '' || metrics.length === 0}
+          className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition-colors disabled:opacity-50"
+        >
+          {createRule.isPending ? <Loader2 className="animate-spin" size={14} /> : <Plus size={14} />}
+          Add alert
+        </button>
+      </form>
+
+      {error && (
+        <p className="text-xs text-red-600 dark:text-red-400">
+          {error.response?.data?.details?.[0]?.message || error.response?.data?.error || 'Failed to save alert rule'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AlertRulesPanel;
@@ -0,0 +1,41 @@
+/**
+ * WatchButton Component
+ * Adds a video, channel or search query to the watchlist, or shows that it
+ * is already watched
+ */
+import { Link } from 'react-router-dom';
+import { Bell, BellRing, Loader2 } from 'lucide-react';
+import { useWatchlist, useWatchlistMutations } from '../../hooks/useWatchlist';
+
+const WatchButton = ({ type, targetId }) => {
+  const { data } = useWatchlist();
+  const { addItem } = useWatchlistMutations();
+
+  const watched = data?.items?.some(item => item.type === type && item.targetId === targetId);
+
+  if (watched) {
+    return (
+      <Link
+        to="/watchlist"
+        className="flex items-center gap-2 px-4 py-2 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400 border border-green-200 dark:border-green-800 rounded-lg text-sm font-semibold"
+      >
+        <BellRing size={16} />
+        Watching
+      </Link>
+    );
+  }
+
+  return (
+    <button
+      onClick={() => addItem.mutate({ type, targetId })}
+      disabled={addItem.isPending}
+      title={addItem.error?.response?.data?.error}
+      className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+    >
+      {addItem.isPending ? <Loader2 className="animate-spin" size={16} /> : <Bell size={16} />}
+      {addItem.isError ? 'Retry watch' : 'Watch'}
+    </button>
+  );
+};
+
+export default WatchButton;
@@ -12,6 +12,8 @@
 export const CACHE_TIMES = {
   // Video data changes rarely
   VIDEO_DETAILS: 1000 * 60 * 30, // 30 minutes
+  VIDEO_COMMENTS: 1000 * 60 * 30, // 30 minutes
+  VIDEO_SENTIMENT: 1000 * 60 * 10, // 10 minutes
   
   // Channel stats update occasionally
   CHANNEL_STATS: 1000 * 60 * 15, // 15 minutes
@@ -24,6 +26,15 @@ export const CACHE_TIMES = {
   
   // Cache stats are real-time
   CACHE_STATS: 1000 * 30, // 30 seconds
+  
+  // User quota and history change with every search
+  USER_QUOTA: 1000 * 60 * 5, // 5 minutes
+  SEARCH_HISTORY: 1000 * 60 * 5, // 5 minutes
+
+  // Watchlist items are refreshed in the background
+  WATCHLIST: 1000 * 60 * 5, // 5 minutes
+  ALERT_RULES: 1000 * 60 * 5, // 5 minutes
+  NOTIFICATIONS: 1000 * 60 * 5, // 5 minutes
 };
 
 /**
@@ -32,8 +43,15 @@ export const CACHE_TIMES = {
  */
 export const STALE_TIMES = {
   VIDEO_DETAILS: 1000 * 60 * 20, // 20 minutes
+  VIDEO_COMMENTS: 1000 * 60 * 20, // 20 minutes
+  VIDEO_SENTIMENT: 1000 * 60 * 2, // 2 minutes
   CHANNEL_STATS: 1000 * 60 * 10, // 10 minutes
   SEARCH_RESULTS: 1000 * 60 * 3, // 3 minutes
   TRENDING_VIDEOS: 1000 * 60 * 1, // 1 minute
   CACHE_STATS: 1000 * 15, // 15 seconds
+  USER_QUOTA: 1000 * 30, // 30 seconds
+  SEARCH_HISTORY: 1000 * 30, // 30 seconds
+  WATCHLIST: 1000 * 60, // 1 minute
+  ALERT_RULES: 1000 * 60, // 1 minute
+  NOTIFICATIONS: 1000 * 60, // 1 minute
 };
\ No newline at end of file
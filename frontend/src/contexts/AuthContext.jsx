@@ -5,6 +5,7 @@
 import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { renewSelection } from '../utils/selectionStorage';
 
 // Task 102: Define AuthContext with createContext()
 const AuthContext = createContext(null);
@@ -85,6 +86,84 @@ export const AuthProvider = ({ children }) => {
     }
   }, [navigate, updateState]);
 
+  /**
+   * Store a token/user pair returned by any auth endpoint
+   */
+  const startSession = useCallback((token, user) => {
+    localStorage.setItem('auth_token', token);
+    localStorage.setItem('token_expiry', new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString());
+
+    updateState({
+      user,
+      token,
+      isGuest: user.userType !== 'REGISTERED',
+      quotaRemaining: user.quotaRemaining ?? 100,
+      loading: false,
+      error: null,
+    });
+  }, [updateState]);
+
+  /**
+   * Shared handler for credential endpoints (login, register, upgrade)
+   * An active guest token is sent along so the backend migrates the guest's
+   * history into the account; the local selection is renewed to match
+   */
+  const submitCredentials = useCallback(async (path, payload) => {
+    const guestToken = state.isGuest ? state.token : null;
+
+    try {
+      updateState({ loading: true, error: null });
+
+      const response = await axios.post(`${API_URL}${path}`, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(guestToken && { 'Authorization': `Bearer ${guestToken}` }),
+        },
+      });
+
+      const { token, user } = response.data.data;
+      startSession(token, user);
+
+      if (guestToken) {
+        renewSelection();
+      }
+
+      return { success: true, user };
+    } catch (error) {
+      const details = error.response?.data?.details;
+      const errorMessage = details?.[0]?.message || error.response?.data?.error || 'Authentication failed';
+
+      updateState({
+        loading: false,
+        error: errorMessage,
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, [state.isGuest, state.token, startSession, updateState]);
+
+  /**
+   * login() - email/password sign in for registered accounts
+   */
+  const login = useCallback((email, password) => {
+    return submitCredentials('/auth/login', { email, password });
+  }, [submitCredentials]);
+
+  /**
+   * register() - creates a registered account and signs in
+   */
+  const register = useCallback(({ email, password, displayName }) => {
+    return submitCredentials('/auth/register', { email, password, displayName });
+  }, [submitCredentials]);
+
+  /**
+   * upgradeAccount() - converts the current guest session into an account
+   * Search history stays on the server; the local selection is renewed
+   */
+  const upgradeAccount = useCallback(({ email, password, displayName }) => {
+    return submitCredentials('/auth/upgrade', { email, password, displayName });
+  }, [submitCredentials]);
+
   /**
    * Task 106: logout() - clears token, redirects to home
    */
@@ -158,7 +237,7 @@ export const AuthProvider = ({ children }) => {
       updateState({
         user,
         token,
-        isGuest: true,
+        isGuest: user.userType !== 'REGISTERED',
         quotaRemaining,
         loading: false,
         error: null,
@@ -190,7 +269,10 @@ export const AuthProvider = ({ children }) => {
 
       updateState({ loading: true, error: null });
 
-      const response = await axios.post(`${API_URL}/auth/guest/refresh`, {}, {
+      // Registered accounts refresh without resetting their quota
+      const refreshPath = state.user?.userType === 'REGISTERED' ? '/auth/refresh' : '/auth/guest/refresh';
+
+      const response = await axios.post(`${API_URL}${refreshPath}`, {}, {
         headers: {
           'Authorization': `Bearer ${state.token}`,
         },
@@ -222,7 +304,7 @@ export const AuthProvider = ({ children }) => {
 
       return { success: false, error: errorMessage };
     }
-  }, [state.token, updateState]);
+  }, [state.token, state.user, updateState]);
 
   /**
    * Update quota remaining (called after API calls)
@@ -285,6 +367,9 @@ export const AuthProvider = ({ children }) => {
     
     // Actions
     loginAsGuest,
+    login,
+    register,
+    upgradeAccount,
     logout,
     refreshGuestSession,
     updateQuota,
@@ -293,6 +378,9 @@ export const AuthProvider = ({ children }) => {
   }), [
     state,
     loginAsGuest,
+    login,
+    register,
+    upgradeAccount,
     logout,
     refreshGuestSession,
     updateQuota,
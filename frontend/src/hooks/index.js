@@ -6,12 +6,32 @@
  */
 
 export { useSearchVideos } from './useSearchVideos';
+export { useSearchChannels } from './useSearchChannels';
 export { useVideoDetails } from './useVideoDetails';
+export { useVideoComments } from './useVideoComments';
 export { useChannelStats } from './useChannelStats';
+export { useChannelVideos } from './useChannelVideos';
+export { useChannelAnalytics } from './useChannelAnalytics';
+export { useChannelComparison } from './useChannelComparison';
+export { useMetricHistory } from './useMetricHistory';
+export { useVideoSentiment } from './useVideoSentiment';
 export { useTrendingVideos } from './useTrendingVideos';
+export { useUserQuota } from './useUserQuota';
+export { useSearchHistory, useSearchHistoryMutations } from './useSearchHistory';
+export { useWatchlist, useWatchlistMutations } from './useWatchlist';
+export { useAlertRules, useAlertRuleMutations, useNotifications, useNotificationMutations } from './useAlerts';
 
 // Re-export defaults for convenience
 export { default as useSearchVideosDefault } from './useSearchVideos';
+export { default as useSearchChannelsDefault } from './useSearchChannels';
 export { default as useVideoDetailsDefault } from './useVideoDetails';
+export { default as useVideoCommentsDefault } from './useVideoComments';
 export { default as useChannelStatsDefault } from './useChannelStats';
-export { default as useTrendingVideosDefault } from './useTrendingVideos';
\ No newline at end of file
+export { default as useChannelVideosDefault } from './useChannelVideos';
+export { default as useChannelAnalyticsDefault } from './useChannelAnalytics';
+export { default as useChannelComparisonDefault } from './useChannelComparison';
+export { default as useMetricHistoryDefault } from './useMetricHistory';
+export { default as useVideoSentimentDefault } from './useVideoSentiment';
+export { default as useTrendingVideosDefault } from './useTrendingVideos';
+export { default as useWatchlistDefault } from './useWatchlist';
+export { default as useAlertRulesDefault } from './useAlerts';
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * useAlerts Hooks
+ *
+ * Alert rules on watchlist items and the notification feed they fill
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { alertsAPI } from '../api/alerts';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefixes
+ */
+export const ALERT_RULES_KEY = ['user', 'alertRules'];
+export const NOTIFICATIONS_KEY = ['user', 'notifications'];
+
+const retry = (failureCount, error) => {
+  if (error?.response?.status >= 400 && error?.response?.status < 500) {
+    return false;
+  }
+  return failureCount < 2;
+};
+
+/**
+ * Fetch alert rules
+ *
+ * @param {string} [itemId] - Only the rules of this watchlist item
+ * @param {Object} [options={}] - Additional query options
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result with { rules, metrics, conditions }
+ *
+ * @example
+ * const { data } = useAlertRules(item.id);
+ */
+export const useAlertRules = (itemId, options = {}) => {
+  return useQuery({
+    queryKey: [...ALERT_RULES_KEY, itemId || 'all'],
+
+    queryFn: async () => {
+      const response = await alertsAPI.getRules(itemId ? { itemId } : {});
+      return response.data.data;
+    },
+
+    staleTime: STALE_TIMES.ALERT_RULES,
+    gcTime: CACHE_TIMES.ALERT_RULES,
+    retry,
+    refetchOnWindowFocus: false,
+
+    ...options,
+  });
+};
+
+/**
+ * Mutations for alert rules; each invalidates every rules query on success
+ *
+ * @returns {{ createRule: Object, updateRule: Object, deleteRule: Object, testWebhook: Object }} React Query mutations
+ *
+ * @example
+ * const { createRule } = useAlertRuleMutations();
+ * createRule.mutate({ itemId, metric: 'viewCount', condition: 'increase', threshold: 10000 });
+ */
+export const useAlertRuleMutations = () => {
+  const queryClient = useQueryClient();
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: ALERT_RULES_KEY });
+
+  const createRule = useMutation({
+    mutationFn: (rule) => alertsAPI.createRule(rule),
+    onSuccess: invalidate,
+  });
+
+  const updateRule = useMutation({
+    mutationFn: ({ ruleId, ...changes }) => alertsAPI.updateRule(ruleId, changes),
+    onSuccess: invalidate,
+  });
+
+  const deleteRule = useMutation({
+    mutationFn: (ruleId) => alertsAPI.deleteRule(ruleId),
+    onSuccess: invalidate,
+  });
+
+  const testWebhook = useMutation({
+    mutationFn: async (ruleId) => {
+      const response = await alertsAPI.testWebhook(ruleId);
+      return response.data.data.delivery;
+    },
+  });
+
+  return { createRule, updateRule, deleteRule, testWebhook };
+};
+
+/**
+ * Fetch the notification feed
+ * Polled every minute so alerts from background refreshes show up
+ *
+ * @param {Object} [params={}] - { limit, unread }
+ * @param {Object} [options={}] - Additional query options
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result with { notifications, unreadCount }
+ *
+ * @example
+ * const { data } = useNotifications({ limit: 10 });
+ */
+export const useNotifications = (params = {}, options = {}) => {
+  return useQuery({
+    queryKey: [...NOTIFICATIONS_KEY, params],
+
+    queryFn: async () => {
+      const response = await alertsAPI.getNotifications(params);
+      return response.data.data;
+    },
+
+    staleTime: STALE_TIMES.NOTIFICATIONS,
+    gcTime: CACHE_TIMES.NOTIFICATIONS,
+    refetchInterval: STALE_TIMES.NOTIFICATIONS,
+    retry,
+    refetchOnWindowFocus: false,
+
+    ...options,
+  });
+};
+
+/**
+ * Mark notifications as read
+ *
+ * @returns {{ markRead: Object }} React Query mutation; pass IDs, or nothing for all
+ */
+export const useNotificationMutations = () => {
+  const queryClient = useQueryClient();
+
+  const markRead = useMutation({
+    mutationFn: (ids) => alertsAPI.markRead(ids),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: NOTIFICATIONS_KEY }),
+  });
+
+  return { markRead };
+};
+
+export default useAlertRules;
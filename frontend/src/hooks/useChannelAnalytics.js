@@ -0,0 +1,56 @@
+/**
+ * useChannelAnalytics Hook
+ *
+ * Fetches analytics computed server-side from a channel's recent uploads:
+ * upload cadence, views distribution, engagement trend, publish timing,
+ * top/bottom uploads and category mix
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { youtubeAPI } from '../api/youtube';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefix for channel analytics
+ */
+export const CHANNEL_ANALYTICS_KEY = ['youtube', 'channel', 'analytics'];
+
+/**
+ * Fetch channel analytics
+ *
+ * @param {string} channelId - YouTube channel ID (UC...)
+ * @param {number} [maxVideos=50] - Recent uploads to analyse (10-200)
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result; data is
+ *   { channel, totalUploads, analytics, generatedAt }
+ *
+ * @example
+ * const { data, isLoading } = useChannelAnalytics('UCXuqSBlHAE6Xw-yeJA0Tunw', 100);
+ */
+export const useChannelAnalytics = (channelId, maxVideos = 50) => {
+  return useQuery({
+    queryKey: [...CHANNEL_ANALYTICS_KEY, channelId, maxVideos],
+
+    queryFn: async () => {
+      const response = await youtubeAPI.getChannelAnalytics(channelId, { maxVideos });
+      return response.data.data;
+    },
+
+    enabled: Boolean(channelId),
+
+    staleTime: STALE_TIMES.CHANNEL_STATS,
+    gcTime: CACHE_TIMES.CHANNEL_STATS,
+
+    // Don't retry client errors (bad ID, channel not found)
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+
+    refetchOnWindowFocus: false,
+  });
+};
+
+export default useChannelAnalytics;
@@ -0,0 +1,55 @@
+/**
+ * useChannelComparison Hook
+ *
+ * Fetches side-by-side metrics for 2-5 channels, computed server-side from
+ * their stats and recent uploads
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { youtubeAPI } from '../api/youtube';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefix for channel comparisons
+ */
+export const CHANNEL_COMPARISON_KEY = ['youtube', 'channels', 'compare'];
+
+/**
+ * Fetch a channel comparison
+ *
+ * @param {Array<string>} channelIds - YouTube channel IDs (UC...), 2 to 5
+ * @param {number} [maxVideos=25] - Recent uploads per channel (5-50)
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result; data is
+ *   { channels: [{ channel, metrics, uploads }], leaders, maxVideos, generatedAt }
+ *
+ * @example
+ * const { data } = useChannelComparison(['UCXuqSBlHAE6Xw-yeJA0Tunw', 'UCBJycsmduvYEL83R_U4JriQ']);
+ */
+export const useChannelComparison = (channelIds, maxVideos = 25) => {
+  return useQuery({
+    queryKey: [...CHANNEL_COMPARISON_KEY, channelIds, maxVideos],
+
+    queryFn: async () => {
+      const response = await youtubeAPI.compareChannels(channelIds, { maxVideos });
+      return response.data.data;
+    },
+
+    enabled: channelIds.length >= 2 && channelIds.length <= 5,
+
+    staleTime: STALE_TIMES.CHANNEL_STATS,
+    gcTime: CACHE_TIMES.CHANNEL_STATS,
+
+    // Don't retry client errors (bad IDs, channel not found)
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+
+    refetchOnWindowFocus: false,
+  });
+};
+
+export default useChannelComparison;
@@ -0,0 +1,76 @@
+/**
+ * useChannelVideos Hook
+ *
+ * React Query hook for browsing a channel's uploads
+ * Features:
+ * - Walks the channel's uploads playlist with YouTube page tokens
+ * - Full video details (statistics, duration) for every upload
+ * - Channel info from the first page
+ */
+
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { youtubeAPI } from '../api/youtube';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefix for channel uploads
+ */
+export const CHANNEL_VIDEOS_KEY = ['youtube', 'channel', 'videos'];
+
+/**
+ * @typedef {Object} ChannelVideosResult
+ * @property {Array<{ data: Object }>} pages - Responses for each loaded page
+ * @property {Object|null} channel - Parsed channel object
+ * @property {Array} results - Uploads from every loaded page, newest first
+ * @property {number} totalResults - Number of uploads reported by YouTube
+ */
+
+/**
+ * Custom hook to page through a channel's uploads
+ *
+ * @param {string} channelId - YouTube channel ID (UC...)
+ * @param {Object} [params] - Query parameters
+ * @param {number} [params.maxResults=50] - Uploads per page (max 50)
+ * @returns {Object} Infinite query result; data is a ChannelVideosResult
+ *
+ * @example
+ * const { data, hasNextPage, fetchNextPage } = useChannelVideos('UCXuqSBlHAE6Xw-yeJA0Tunw');
+ */
+export const useChannelVideos = (channelId, params = {}) => {
+  return useInfiniteQuery({
+    queryKey: [...CHANNEL_VIDEOS_KEY, channelId, params],
+
+    // The page param is YouTube's page token
+    queryFn: async ({ pageParam }) => {
+      const response = await youtubeAPI.getChannelVideos(channelId, { ...params, pageToken: pageParam });
+      return response.data;
+    },
+    initialPageParam: undefined,
+    getNextPageParam: (lastPage) => lastPage?.data?.nextPageToken || undefined,
+
+    select: (data) => ({
+      ...data,
+      channel: data.pages[0]?.data?.channel || null,
+      results: data.pages.flatMap((page) => page?.data?.results || []),
+      totalResults: data.pages[0]?.data?.totalResults || 0,
+    }),
+
+    enabled: Boolean(channelId),
+
+    staleTime: STALE_TIMES.CHANNEL_STATS,
+    gcTime: CACHE_TIMES.CHANNEL_STATS,
+
+    // Don't retry client errors (bad ID, channel not found)
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+
+    refetchOnWindowFocus: false,
+  });
+};
+
+export default useChannelVideos;
@@ -0,0 +1,55 @@
+/**
+ * useMetricHistory Hook
+ *
+ * Fetches the stored metric snapshots of a video or channel with
+ * growth and per-day velocity computed server-side
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { snapshotsAPI } from '../api/snapshots';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefix for metric history
+ */
+export const METRIC_HISTORY_KEY = ['snapshots'];
+
+/**
+ * Fetch metric history
+ *
+ * @param {'video'|'channel'} kind - What targetId identifies
+ * @param {string} targetId - Video ID or channel ID
+ * @param {number} [days=90] - How far back to look (1-365)
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result; data is
+ *   { kind, targetId, days, series, summary }
+ *
+ * @example
+ * const { data } = useMetricHistory('channel', 'UCXuqSBlHAE6Xw-yeJA0Tunw', 30);
+ */
+export const useMetricHistory = (kind, targetId, days = 90) => {
+  return useQuery({
+    queryKey: [...METRIC_HISTORY_KEY, kind, targetId, days],
+
+    queryFn: async () => {
+      const response = await snapshotsAPI.getHistory(kind, targetId, { days });
+      return response.data.data;
+    },
+
+    enabled: Boolean(targetId),
+
+    staleTime: STALE_TIMES.CHANNEL_STATS,
+    gcTime: CACHE_TIMES.CHANNEL_STATS,
+
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+
+    refetchOnWindowFocus: false,
+  });
+};
+
+export default useMetricHistory;
@@ -0,0 +1,83 @@
+/**
+ * useSearchChannels Hook
+ *
+ * React Query hook for searching YouTube channels by keyword
+ * Features:
+ * - Conditional fetching (only when query exists)
+ * - Cursor pagination with YouTube page tokens
+ * - Channel statistics included with every result
+ */
+
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { youtubeAPI } from '../api/youtube';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefix for channel searches
+ */
+export const SEARCH_CHANNELS_KEY = ['youtube', 'search', 'channels'];
+
+/**
+ * @typedef {Object} ChannelSearchParams
+ * @property {string} q - Search query
+ * @property {number} [maxResults=20] - Results per page (max 50)
+ * @property {string} [order='relevance'] - Sort order
+ */
+
+/**
+ * @typedef {Object} ChannelSearchResult
+ * @property {Array<{ data: Object }>} pages - Responses for each loaded page
+ * @property {Array} results - Channels from every loaded page, in order
+ * @property {number} totalResults - Approximate total reported by YouTube
+ */
+
+/**
+ * Custom hook to search YouTube channels
+ *
+ * @param {ChannelSearchParams} params - Search parameters
+ * @returns {Object} Infinite query result; data is a ChannelSearchResult
+ *
+ * @example
+ * const { data, hasNextPage, fetchNextPage } = useSearchChannels({ q: 'cooking' });
+ * // data.results holds every loaded channel
+ */
+export const useSearchChannels = (params = {}) => {
+  const { q: query, ...restParams } = params;
+
+  return useInfiniteQuery({
+    queryKey: [...SEARCH_CHANNELS_KEY, query || '', restParams],
+
+    // The page param is YouTube's page token
+    queryFn: async ({ pageParam }) => {
+      const response = await youtubeAPI.searchChannels({ ...params, pageToken: pageParam });
+      return response.data;
+    },
+    initialPageParam: undefined,
+    getNextPageParam: (lastPage) => lastPage?.data?.nextPageToken || undefined,
+
+    select: (data) => ({
+      ...data,
+      results: data.pages.flatMap((page) => page?.data?.results || []),
+      totalResults: data.pages[0]?.data?.totalResults || 0,
+    }),
+
+    enabled: Boolean(query && query.trim().length > 0),
+
+    staleTime: STALE_TIMES.SEARCH_RESULTS,
+    gcTime: CACHE_TIMES.SEARCH_RESULTS,
+
+    // Don't retry client errors; retry server errors up to 2 times
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: true,
+  });
+};
+
+export default useSearchChannels;
@@ -0,0 +1,88 @@
+/**
+ * useSearchHistory Hook
+ * 
+ * Server-side search history with delete-one and clear-all mutations
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { userAPI } from '../api/user';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Base query key for all search history pages/filters
+ */
+export const SEARCH_HISTORY_KEY = ['user', 'searchHistory'];
+
+/**
+ * @typedef {Object} SearchHistoryParams
+ * @property {number} [page=1] - Page number
+ * @property {number} [limit=20] - Entries per page
+ * @property {string} [type] - Filter by endpoint (search, video, channel, trending)
+ * @property {string} [q] - Filter by query substring
+ * @property {string} [from] - Only entries after this date
+ * @property {string} [to] - Only entries before this date
+ */
+
+/**
+ * Fetch a page of the current user's search history
+ * 
+ * @param {SearchHistoryParams} [params={}] - Pagination and filters
+ * @param {Object} [options={}] - Additional query options
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result with { history, pagination }
+ * 
+ * @example
+ * const { data } = useSearchHistory({ limit: 10, type: 'search' });
+ */
+export const useSearchHistory = (params = {}, options = {}) => {
+  return useQuery({
+    queryKey: [...SEARCH_HISTORY_KEY, params],
+    
+    queryFn: async () => {
+      const response = await userAPI.getSearchHistory(params);
+      return response.data.data;
+    },
+    
+    staleTime: STALE_TIMES.SEARCH_HISTORY,
+    gcTime: CACHE_TIMES.SEARCH_HISTORY,
+    
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    
+    refetchOnWindowFocus: false,
+    
+    ...options,
+  });
+};
+
+/**
+ * Mutations for removing search history entries
+ * Both invalidate every cached history page on success
+ * 
+ * @returns {{ deleteEntry: Object, clearAll: Object }} React Query mutations
+ * 
+ * @example
+ * const { deleteEntry, clearAll } = useSearchHistoryMutations();
+ * deleteEntry.mutate(entry._id);
+ */
+export const useSearchHistoryMutations = () => {
+  const queryClient = useQueryClient();
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: SEARCH_HISTORY_KEY });
+
+  const deleteEntry = useMutation({
+    mutationFn: (entryId) => userAPI.deleteSearchHistoryEntry(entryId),
+    onSuccess: invalidate,
+  });
+
+  const clearAll = useMutation({
+    mutationFn: () => userAPI.clearSearchHistory(),
+    onSuccess: invalidate,
+  });
+
+  return { deleteEntry, clearAll };
+};
+
+export default useSearchHistory;
@@ -1,34 +1,47 @@
 /**
  * useSearchVideos Hook
  * Tasks 221-223, 227-230
- * 
+ *
  * React Query hook for searching YouTube videos
  * Features:
  * - Conditional fetching (only when query exists)
+ * - Cursor pagination with YouTube page tokens (load more beyond 50 results)
  * - Automatic retry on failure
  * - Optimized caching
  * - Comprehensive error handling
  */
 
-import { useQuery } from '@tanstack/react-query';
+import { useInfiniteQuery } from '@tanstack/react-query';
 import { youtubeAPI } from '../api/youtube';
-import { queryKeys } from '../constants/queryKeys';
 import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
 
+/**
+ * Query key prefix for video searches
+ */
+export const SEARCH_VIDEOS_KEY = ['youtube', 'search', 'videos'];
+
 /**
  * @typedef {Object} SearchParams
  * @property {string} q - Search query
- * @property {number} [maxResults=10] - Maximum results to return
+ * @property {number} [maxResults=10] - Results per page (max 50)
  * @property {string} [order='relevance'] - Sort order
  * @property {string} [type='video'] - Resource type
  */
 
+/**
+ * @typedef {Object} SearchPage
+ * @property {Array} results - Video items on this page
+ * @property {number} count - Number of items on this page
+ * @property {number} totalResults - Approximate total reported by YouTube
+ * @property {string|null} nextPageToken - Token for the next page
+ * @property {string|null} prevPageToken - Token for the previous page
+ */
+
 /**
  * @typedef {Object} SearchResult
- * @property {Array} items - Video items
- * @property {Object} pageInfo - Pagination info
- * @property {string} [nextPageToken] - Token for next page
- * @property {string} [prevPageToken] - Token for previous page
+ * @property {Array<{ data: SearchPage }>} pages - Responses for each loaded page
+ * @property {Array} results - Videos from every loaded page, in order
+ * @property {number} totalResults - Approximate total reported by YouTube
  */
 
 /**
@@ -38,41 +51,54 @@ import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
  * @property {boolean} isError - Error state
  * @property {Error} error - Error object
  * @property {boolean} isFetching - Fetching state (includes background refetch)
+ * @property {boolean} hasNextPage - Whether YouTube has more results
+ * @property {Function} fetchNextPage - Load the next page
+ * @property {boolean} isFetchingNextPage - Next page loading state
  * @property {Function} refetch - Manual refetch function
  */
 
 /**
  * Custom hook to search YouTube videos
- * 
+ *
  * @param {SearchParams} params - Search parameters
- * @returns {UseSearchVideosReturn} Query result with data and states
- * 
+ * @returns {UseSearchVideosReturn} Infinite query result with data and states
+ *
  * @example
- * const { data, isLoading, isError } = useSearchVideos({ 
- *   q: 'react tutorial', 
- *   maxResults: 20 
+ * const { data, isLoading, hasNextPage, fetchNextPage } = useSearchVideos({
+ *   q: 'react tutorial',
+ *   maxResults: 20
  * });
+ * // data.results holds every loaded video
  */
 export const useSearchVideos = (params = {}) => {
   const { q: query, ...restParams } = params;
 
-  return useQuery({
-    // Task 222: Proper query key structure using existing queryKeys
-    queryKey: queryKeys.youtube.search('videos', query || '', restParams),
-    
-    // Query function
-    queryFn: async () => {
-      const response = await youtubeAPI.search(params);
+  return useInfiniteQuery({
+    // Task 222: One cache entry per query and parameter set; pages live inside it
+    queryKey: [...SEARCH_VIDEOS_KEY, query || '', restParams],
+
+    // Query function: the page param is YouTube's page token
+    queryFn: async ({ pageParam }) => {
+      const response = await youtubeAPI.search({ ...params, pageToken: pageParam });
       return response.data;
     },
-    
+    initialPageParam: undefined,
+    getNextPageParam: (lastPage) => lastPage?.data?.nextPageToken || undefined,
+
+    // Flatten pages for consumers that only need the videos
+    select: (data) => ({
+      ...data,
+      results: data.pages.flatMap((page) => page?.data?.results || []),
+      totalResults: data.pages[0]?.data?.totalResults || 0,
+    }),
+
     // Task 223: Only run when query is not empty
     enabled: Boolean(query && query.trim().length > 0),
-    
+
     // Task 229: Cache configuration
     staleTime: STALE_TIMES.SEARCH_RESULTS,
     gcTime: CACHE_TIMES.SEARCH_RESULTS,
-    
+
     // Task 227: Error handling with retry logic
     retry: (failureCount, error) => {
       // Don't retry on 4xx errors (client errors)
@@ -83,13 +109,13 @@ export const useSearchVideos = (params = {}) => {
       return failureCount < 2;
     },
     retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
-    
-    // Task 228: Expose loading and error states (handled by useQuery return)
-    
+
+    // Task 228: Expose loading and error states (handled by useInfiniteQuery return)
+
     // Additional optimizations
     refetchOnWindowFocus: false,
     refetchOnReconnect: true,
   });
 };
 
-export default useSearchVideos;
\ No newline at end of file
+export default useSearchVideos;
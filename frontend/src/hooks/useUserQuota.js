@@ -0,0 +1,62 @@
+/**
+ * useUserQuota Hook
+ * 
+ * Fetches the current user's live quota usage and reset time
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { userAPI } from '../api/user';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key shared by every quota consumer (Search page, Navbar)
+ */
+export const USER_QUOTA_KEY = ['user', 'quota'];
+
+/**
+ * @typedef {Object} UserQuota
+ * @property {number} quotaUsed - Searches used in the current window
+ * @property {number} quotaLimit - Searches allowed per window
+ * @property {number} quotaRemaining - Searches left
+ * @property {number} percentUsed - Percentage of quota used
+ * @property {string} resetsAt - ISO timestamp when quota resets
+ * @property {number} secondsUntilReset - Seconds until reset
+ */
+
+/**
+ * Fetch live quota usage for the current user
+ * 
+ * @param {Object} [options={}] - Additional query options
+ * @returns {import('@tanstack/react-query').UseQueryResult<UserQuota>} Query result
+ * 
+ * @example
+ * const { data: quota } = useUserQuota();
+ * console.log(`${quota.quotaUsed}/${quota.quotaLimit}`);
+ */
+export const useUserQuota = (options = {}) => {
+  return useQuery({
+    queryKey: USER_QUOTA_KEY,
+    
+    queryFn: async () => {
+      const response = await userAPI.getQuota();
+      return response.data.data;
+    },
+    
+    staleTime: STALE_TIMES.USER_QUOTA,
+    gcTime: CACHE_TIMES.USER_QUOTA,
+    
+    // Quota requires a session; 401 means logged out, not a transient failure
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    
+    refetchOnWindowFocus: true,
+    
+    ...options,
+  });
+};
+
+export default useUserQuota;
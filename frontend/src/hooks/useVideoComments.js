@@ -0,0 +1,57 @@
+/**
+ * useVideoComments Hook
+ *
+ * Fetches a video's comment threads with volume, top commenters,
+ * keywords and questions computed server-side
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { youtubeAPI } from '../api/youtube';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefix for video comments
+ */
+export const VIDEO_COMMENTS_KEY = ['youtube', 'comments'];
+
+/**
+ * Fetch comment threads and their analysis
+ *
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} [options]
+ * @param {number} [options.maxResults=200] - Top-level comments to fetch (1-1000)
+ * @param {'relevance'|'time'} [options.order='relevance'] - Thread order
+ * @param {boolean} [options.replies=true] - Complete long reply chains
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result; data is
+ *   { videoId, order, threads, totalThreads, totalReplies, complete, analysis }
+ *
+ * @example
+ * const { data } = useVideoComments('dQw4w9WgXcQ', { order: 'time' });
+ */
+export const useVideoComments = (videoId, { maxResults = 200, order = 'relevance', replies = true } = {}) => {
+  return useQuery({
+    queryKey: [...VIDEO_COMMENTS_KEY, videoId, maxResults, order, replies],
+
+    queryFn: async () => {
+      const response = await youtubeAPI.getVideoComments(videoId, { maxResults, order, replies });
+      return response.data.data;
+    },
+
+    enabled: Boolean(videoId),
+
+    staleTime: STALE_TIMES.VIDEO_COMMENTS,
+    gcTime: CACHE_TIMES.VIDEO_COMMENTS,
+
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+
+    refetchOnWindowFocus: false,
+  });
+};
+
+export default useVideoComments;
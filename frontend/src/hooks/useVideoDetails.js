@@ -7,9 +7,13 @@
 
 import { useQuery } from '@tanstack/react-query';
 import { youtubeAPI } from '../api/youtube';
-import { queryKeys } from '../constants/queryKeys';
 import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
 
+/**
+ * Query key prefix for video details
+ */
+export const VIDEO_DETAILS_KEY = ['youtube', 'video'];
+
 /**
  * @typedef {Object} VideoDetails
  * @property {string} id - Video ID
@@ -40,8 +44,8 @@ import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
  */
 export const useVideoDetails = (videoId, options = {}) => {
   return useQuery({
-    // Task 222: Proper query key using existing queryKeys structure
-    queryKey: queryKeys.youtube.video(videoId),
+    // Task 222: One cache entry per video
+    queryKey: [...VIDEO_DETAILS_KEY, videoId],
     
     // Query function
     queryFn: async () => {
@@ -0,0 +1,57 @@
+/**
+ * useVideoSentiment Hook
+ *
+ * Fetches the stored comment sentiment of several videos. Sentiment is
+ * stored each time a video's comments are analysed (useVideoComments),
+ * so this costs no YouTube quota
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { snapshotsAPI } from '../api/snapshots';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key prefix for stored video sentiment
+ */
+export const VIDEO_SENTIMENT_KEY = ['snapshots', 'sentiment'];
+
+/**
+ * Fetch stored sentiment
+ *
+ * @param {Array<string>} videoIds - Up to 50 video IDs
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result; data maps
+ *   each video ID to { comments, positivePercent, neutralPercent, negativePercent,
+ *   averageScore, netScore, analyzedAt }, or null if never analysed
+ *
+ * @example
+ * const { data } = useVideoSentiment(['dQw4w9WgXcQ']);
+ */
+export const useVideoSentiment = (videoIds = []) => {
+  const ids = videoIds.slice(0, 50);
+
+  return useQuery({
+    queryKey: [...VIDEO_SENTIMENT_KEY, ids],
+
+    queryFn: async () => {
+      const response = await snapshotsAPI.getSentiment(ids);
+      return response.data.data.sentiments;
+    },
+
+    enabled: ids.length > 0,
+
+    staleTime: STALE_TIMES.VIDEO_SENTIMENT,
+    gcTime: CACHE_TIMES.VIDEO_SENTIMENT,
+
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+
+    refetchOnWindowFocus: false,
+  });
+};
+
+export default useVideoSentiment;
@@ -0,0 +1,89 @@
+/**
+ * useWatchlist Hook
+ *
+ * The current user's watchlist with add, update, remove and refresh mutations
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { watchlistAPI } from '../api/watchlist';
+import { STALE_TIMES, CACHE_TIMES } from '../constants/cacheConfig';
+
+/**
+ * Query key for the watchlist
+ */
+export const WATCHLIST_KEY = ['user', 'watchlist'];
+
+/**
+ * Fetch the watchlist
+ * Refetched every minute while open so background refreshes show up
+ *
+ * @param {Object} [options={}] - Additional query options
+ * @returns {import('@tanstack/react-query').UseQueryResult} Query result with { items, limits }
+ *
+ * @example
+ * const { data } = useWatchlist();
+ */
+export const useWatchlist = (options = {}) => {
+  return useQuery({
+    queryKey: WATCHLIST_KEY,
+
+    queryFn: async () => {
+      const response = await watchlistAPI.getWatchlist();
+      return response.data.data;
+    },
+
+    staleTime: STALE_TIMES.WATCHLIST,
+    gcTime: CACHE_TIMES.WATCHLIST,
+    refetchInterval: STALE_TIMES.WATCHLIST,
+
+    retry: (failureCount, error) => {
+      if (error?.response?.status >= 400 && error?.response?.status < 500) {
+        return false;
+      }
+      return failureCount < 2;
+    },
+
+    refetchOnWindowFocus: false,
+
+    ...options,
+  });
+};
+
+/**
+ * Mutations for editing the watchlist
+ * Each invalidates the watchlist on success
+ *
+ * @returns {{ addItem: Object, updateItem: Object, removeItem: Object, refreshItem: Object }} React Query mutations
+ *
+ * @example
+ * const { addItem } = useWatchlistMutations();
+ * addItem.mutate({ type: 'channel', targetId: 'UCXuqSBlHAE6Xw-yeJA0Tunw' });
+ */
+export const useWatchlistMutations = () => {
+  const queryClient = useQueryClient();
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: WATCHLIST_KEY });
+
+  const addItem = useMutation({
+    mutationFn: (item) => watchlistAPI.addItem(item),
+    onSuccess: invalidate,
+  });
+
+  const updateItem = useMutation({
+    mutationFn: ({ itemId, intervalMinutes }) => watchlistAPI.updateItem(itemId, intervalMinutes),
+    onSuccess: invalidate,
+  });
+
+  const removeItem = useMutation({
+    mutationFn: (itemId) => watchlistAPI.removeItem(itemId),
+    onSuccess: invalidate,
+  });
+
+  const refreshItem = useMutation({
+    mutationFn: (itemId) => watchlistAPI.refreshItem(itemId),
+    onSuccess: invalidate,
+  });
+
+  return { addItem, updateItem, removeItem, refreshItem };
+};
+
+export default useWatchlist;
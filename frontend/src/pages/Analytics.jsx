@@ -15,6 +15,7 @@ import ExportButtons from '../components/dashboard/ExportButtons';
 import DashboardSkeleton from '../components/dashboard/DashboardSkeleton';
 import OverviewTab from '../components/dashboard/charts/OverviewTab';
 import EngagementTab from '../components/dashboard/charts/EngagementTab';
+import CommentsTab from '../components/dashboard/charts/CommentsTab';
 import CustomChartBuilder from '../components/dashboard/charts/CustomChartBuilder';
 
 /**
@@ -195,6 +196,7 @@ const Analytics = () => {
  * Render content based on active tab
  * Tasks 251-260: Overview tab with charts
  * Tasks 261-270: Engagement tab with scatter plot and dual-axis chart
+ * Comments tab with comment threads of one selected video
  * Tasks 291-300: Advanced tab with CustomChartBuilder (renamed from Custom)
  */
 const renderTabContent = (tab, videos) => {
@@ -207,6 +209,10 @@ const renderTabContent = (tab, videos) => {
       // Tasks 261-270: Engagement tab with EngagementBreakdown and LikesVsCommentsChart
       return <EngagementTab videos={videos} />;
 
+    case 'comments':
+      // Comment volume, commenters, keywords and questions of one video
+      return <CommentsTab videos={videos} />;
+
     case 'advanced':
       // Tasks 291-300: Advanced Chart Builder (renamed from Custom)
       return <CustomChartBuilder videos={videos} />;
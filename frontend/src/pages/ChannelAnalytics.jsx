@@ -0,0 +1,324 @@
+/**
+ * Channel Analytics Page
+ * Dashboard for one channel, computed from its most recent uploads:
+ * upload cadence, views distribution, engagement trend, best publish
+ * day/hour, top and bottom uploads, and category mix, plus the channel's
+ * growth from stored snapshots
+ */
+import { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import {
+  BarChart, Bar, LineChart, Line, PieChart, Pie, Cell,
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+} from 'recharts';
+import {
+  ArrowLeft, Loader2, AlertCircle, Video, Eye, Calendar, Clock, TrendingUp, TrendingDown,
+} from 'lucide-react';
+import { useChannelAnalytics } from '../hooks/useChannelAnalytics';
+import MetricGrowthChart from '../components/dashboard/charts/MetricGrowthChart';
+import WatchButton from '../components/watchlist/WatchButton';
+
+// How many recent uploads the dashboard can be computed from
+const SAMPLE_SIZES = [25, 50, 100, 200];
+
+const CATEGORY_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6b7280'];
+
+// Format numbers
+const formatNumber = (num) => {
+  if (!num) return '0';
+  const number = parseInt(num);
+  if (number >= 1000000000) return `${(number / 1000000000).toFixed(1)}B`;
+  if (number >= 1000000) return `${(number / 1000000).toFixed(1)}M`;
+  if (number >= 1000) return `${(number / 1000).toFixed(1)}K`;
+  return number.toString();
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const Panel = ({ title, description, children, className = '' }) => (
+  <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700 ${className}`}>
+    <h3 className="text-xl font-bold text-gray-900 dark:text-white">{title}</h3>
+    {description && (
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">{description}</p>
+    )}
+    {children}
+  </div>
+);
+
+const StatCard = ({ icon, label, value }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-5 border border-gray-200 dark:border-gray-700">
+    <p className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+      {icon}
+      {label}
+    </p>
+    <p className="text-2xl font-bold text-gray-900 dark:text-white mt-1">{value}</p>
+  </div>
+);
+
+const VideoList = ({ videos }) => (
+  <ul className="space-y-3">
+    {videos.map((video) => (
+      <li key={video.videoId} className="flex items-center gap-3">
+        {video.thumbnail && (
+          <img src={video.thumbnail} alt="" className="w-24 aspect-video rounded object-cover flex-shrink-0" />
+        )}
+        <div className="min-w-0 flex-1">
+          <a
+            href={`https://www.youtube.com/watch?v=${video.videoId}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block text-sm font-medium text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 truncate"
+          >
+            {video.title}
+          </a>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {formatNumber(video.viewCount)} views · {formatNumber(video.viewsPerDay)}/day · {video.engagementRate.toFixed(2)}% engagement
+          </p>
+        </div>
+      </li>
+    ))}
+  </ul>
+);
+
+const ChannelAnalytics = () => {
+  const { channelId } = useParams();
+  const navigate = useNavigate();
+  const [sampleSize, setSampleSize] = useState(50);
+
+  const { data, isLoading, isFetching, isError, error } = useChannelAnalytics(channelId, sampleSize);
+  const channel = data?.channel;
+  const analytics = data?.analytics;
+
+  const trendData = analytics?.engagementTrend.map((point) => ({
+    ...point,
+    date: new Date(point.publishedAt).toLocaleDateString(),
+  })) || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+        >
+          <ArrowLeft size={20} />
+          Back
+        </button>
+
+        {isLoading && (
+          <div className="flex flex-col items-center justify-center py-20 gap-4">
+            <Loader2 className="animate-spin text-blue-600" size={48} />
+            <p className="text-gray-600 dark:text-gray-400">Analysing the last {sampleSize} uploads...</p>
+          </div>
+        )}
+
+        {isError && (
+          <div className="flex items-center gap-2 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <AlertCircle className="text-red-600 dark:text-red-400" size={20} />
+            <span className="text-red-600 dark:text-red-400">
+              {error?.response?.data?.error || 'Failed to load channel analytics. Please try again.'}
+            </span>
+          </div>
+        )}
+
+        {channel && analytics && (
+          <>
+            {/* Channel Header */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+              <div className="flex items-center gap-6 flex-wrap">
+                {channel.thumbnails?.medium && (
+                  <img src={channel.thumbnails.medium} alt={channel.title} className="w-20 h-20 rounded-full object-cover" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <h1 className="text-3xl font-bold text-gray-900 dark:text-white truncate">{channel.title}</h1>
+                  <p className="text-gray-500 dark:text-gray-400">
+                    {channel.hiddenSubscriberCount ? 'Hidden' : formatNumber(channel.subscriberCount)} subscribers ·{' '}
+                    {formatNumber(channel.videoCount)} videos · {formatNumber(channel.viewCount)} views
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <label className="text-sm font-medium text-gray-600 dark:text-gray-400">Analyse last</label>
+                  <select
+                    value={sampleSize}
+                    onChange={(e) => setSampleSize(parseInt(e.target.value))}
+                    className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300"
+                  >
+                    {SAMPLE_SIZES.map((size) => (
+                      <option key={size} value={size}>{size} uploads</option>
+                    ))}
+                  </select>
+                  {isFetching && <Loader2 className="animate-spin text-blue-600" size={20} />}
+                  <WatchButton type="channel" targetId={channelId} />
+                  <Link
+                    to={`/channel/${channelId}/videos`}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors"
+                  >
+                    Browse Uploads
+                  </Link>
+                </div>
+              </div>
+            </div>
+
+            {/* Subscriber and view growth */}
+            <MetricGrowthChart kind="channel" targetId={channelId} />
+
+            {analytics.summary.videosAnalyzed === 0 ? (
+              <div className="text-center py-12 text-gray-600 dark:text-gray-400">
+                This channel has no public uploads to analyse.
+              </div>
+            ) : (
+              <>
+                {/* Summary */}
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <StatCard icon={<Video size={16} className="text-blue-500" />} label="Uploads analysed" value={analytics.summary.videosAnalyzed} />
+                  <StatCard icon={<Eye size={16} className="text-green-500" />} label="Median views" value={formatNumber(analytics.summary.medianViews)} />
+                  <StatCard icon={<TrendingUp size={16} className="text-purple-500" />} label="Avg engagement" value={`${analytics.summary.averageEngagement}%`} />
+                  <StatCard icon={<Calendar size={16} className="text-orange-500" />} label="Uploads per week" value={analytics.uploadCadence.uploadsPerWeek} />
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  {/* Upload Cadence */}
+                  <Panel
+                    title="Upload Cadence"
+                    description={`Every ${analytics.uploadCadence.averageDaysBetweenUploads} days on average · last upload ${analytics.uploadCadence.daysSinceLastUpload} days ago`}
+                  >
+                    <ResponsiveContainer width="100%" height={300}>
+                      <BarChart data={analytics.uploadCadence.byMonth}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                        <XAxis dataKey="month" tick={{ fontSize: 12, fill: '#6b7280' }} />
+                        <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: '#6b7280' }} />
+                        <Tooltip />
+                        <Bar dataKey="uploads" name="Uploads" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </Panel>
+
+                  {/* Views Distribution */}
+                  <Panel
+                    title="Views per Upload"
+                    description={`Average ${formatNumber(analytics.summary.averageViews)} · median ${formatNumber(analytics.summary.medianViews)}`}
+                  >
+                    <ResponsiveContainer width="100%" height={300}>
+                      <BarChart data={analytics.viewsDistribution}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                        <XAxis dataKey="label" tick={{ fontSize: 12, fill: '#6b7280' }} />
+                        <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: '#6b7280' }} />
+                        <Tooltip />
+                        <Bar dataKey="uploads" name="Uploads" fill="#10b981" radius={[4, 4, 0, 0]} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </Panel>
+                </div>
+
+                {/* Engagement Trend */}
+                <Panel title="Engagement Trend" description="Engagement rate per upload, oldest to newest, with a 5-upload rolling average">
+                  <ResponsiveContainer width="100%" height={350}>
+                    <LineChart data={trendData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis dataKey="date" tick={{ fontSize: 12, fill: '#6b7280' }} />
+                      <YAxis tick={{ fontSize: 12, fill: '#6b7280' }} tickFormatter={(value) => `${value}%`} />
+                      <Tooltip formatter={(value) => `${value}%`} labelFormatter={(label, payload) => payload?.[0]?.payload.title || label} />
+                      <Legend />
+                      <Line type="monotone" dataKey="engagementRate" name="Engagement" stroke="#93c5fd" dot={{ r: 2 }} />
+                      <Line type="monotone" dataKey="rollingAverage" name="Rolling average" stroke="#8b5cf6" strokeWidth={3} dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </Panel>
+
+                {/* Publish Timing */}
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Panel
+                    title="Best Publish Day"
+                    description={analytics.publishTiming.bestDay
+                      ? `${analytics.publishTiming.bestDay.day} uploads average ${formatNumber(analytics.publishTiming.bestDay.averageViews)} views`
+                      : 'Not enough uploads per day to compare'}
+                  >
+                    <ResponsiveContainer width="100%" height={300}>
+                      <BarChart data={analytics.publishTiming.byDay}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                        <XAxis dataKey="day" tickFormatter={(day) => day.slice(0, 3)} tick={{ fontSize: 12, fill: '#6b7280' }} />
+                        <YAxis tickFormatter={formatNumber} tick={{ fontSize: 12, fill: '#6b7280' }} />
+                        <Tooltip formatter={(value, name) => (name === 'Average views' ? formatNumber(value) : value)} />
+                        <Legend />
+                        <Bar dataKey="averageViews" name="Average views" fill="#f59e0b" radius={[4, 4, 0, 0]} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </Panel>
+
+                  <Panel
+                    title="Best Publish Hour"
+                    description={analytics.publishTiming.bestHour
+                      ? `Uploads at ${formatHour(analytics.publishTiming.bestHour.hour)} average ${formatNumber(analytics.publishTiming.bestHour.averageViews)} views (server time)`
+                      : 'Not enough uploads per hour to compare'}
+                  >
+                    <ResponsiveContainer width="100%" height={300}>
+                      <BarChart data={analytics.publishTiming.byHour}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                        <XAxis dataKey="hour" tickFormatter={formatHour} tick={{ fontSize: 11, fill: '#6b7280' }} />
+                        <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: '#6b7280' }} />
+                        <Tooltip labelFormatter={formatHour} />
+                        <Bar dataKey="uploads" name="Uploads" fill="#ec4899" radius={[4, 4, 0, 0]} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </Panel>
+                </div>
+
+                {/* Top and Bottom Uploads */}
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                  <Panel title="Top Performers" description="Most views per day since publishing">
+                    <div className="flex items-center gap-2 text-green-600 dark:text-green-400 mb-3">
+                      <TrendingUp size={18} />
+                      <span className="text-sm font-semibold">Top {analytics.topVideos.length}</span>
+                    </div>
+                    <VideoList videos={analytics.topVideos} />
+                  </Panel>
+
+                  <Panel title="Under Performers" description="Fewest views per day since publishing">
+                    <div className="flex items-center gap-2 text-red-600 dark:text-red-400 mb-3">
+                      <TrendingDown size={18} />
+                      <span className="text-sm font-semibold">Bottom {analytics.bottomVideos.length}</span>
+                    </div>
+                    {analytics.bottomVideos.length > 0 ? (
+                      <VideoList videos={analytics.bottomVideos} />
+                    ) : (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">Analyse more uploads to see under performers.</p>
+                    )}
+                  </Panel>
+
+                  {/* Category Mix */}
+                  <Panel title="Category Mix" description="Share of uploads per YouTube category">
+                    <ResponsiveContainer width="100%" height={280}>
+                      <PieChart>
+                        <Pie
+                          data={analytics.categoryMix}
+                          dataKey="uploads"
+                          nameKey="categoryName"
+                          innerRadius={50}
+                          outerRadius={90}
+                          paddingAngle={2}
+                        >
+                          {analytics.categoryMix.map((entry, index) => (
+                            <Cell key={entry.categoryName} fill={CATEGORY_COLORS[index % CATEGORY_COLORS.length]} />
+                          ))}
+                        </Pie>
+                        <Tooltip formatter={(value, name, item) => [`${value} uploads (${item.payload.share}%)`, name]} />
+                        <Legend />
+                      </PieChart>
+                    </ResponsiveContainer>
+                  </Panel>
+                </div>
+
+                <p className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                  <Clock size={14} />
+                  Computed {new Date(data.generatedAt).toLocaleString()} from the last {analytics.summary.videosAnalyzed} of {data.totalUploads.toLocaleString()} uploads
+                </p>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChannelAnalytics;
@@ -0,0 +1,399 @@
+/**
+ * Channel Comparison Page
+ * Puts 2-5 channels side by side: key metrics computed from their stats and
+ * recent uploads, overlaid charts, and CSV/PDF export
+ * The channel IDs live in the URL (?ids=UC...,UC...) so comparisons can be shared
+ */
+import { useState } from 'react';
+import { useSearchParams, useNavigate, Link } from 'react-router-dom';
+import {
+  LineChart, Line, RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis,
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+} from 'recharts';
+import { ArrowLeft, Loader2, AlertCircle, Plus, X, Download, FileText, Trophy } from 'lucide-react';
+import { useChannelComparison } from '../hooks/useChannelComparison';
+import { exportChannelComparisonToCSV, exportChannelComparisonToPDF } from '../utils/exportUtils';
+
+// Recent uploads per channel the comparison can be computed from
+const SAMPLE_SIZES = [10, 25, 50];
+
+const MAX_CHANNELS = 5;
+
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+
+const CHANNEL_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6'];
+
+// Format numbers
+const formatNumber = (num) => {
+  if (!num) return '0';
+  const number = parseInt(num);
+  if (number >= 1000000000) return `${(number / 1000000000).toFixed(1)}B`;
+  if (number >= 1000000) return `${(number / 1000000).toFixed(1)}M`;
+  if (number >= 1000) return `${(number / 1000).toFixed(1)}K`;
+  return number.toString();
+};
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Rows of the metrics table; `leader` matches the keys of data.leaders
+const METRIC_ROWS = [
+  { label: 'Subscribers', leader: 'subscribers', format: (m) => (m.subscribers == null ? 'Hidden' : formatNumber(m.subscribers)) },
+  { label: 'Total views', format: (m) => formatNumber(m.totalViews) },
+  { label: 'Average views', leader: 'averageViews', format: (m) => formatNumber(m.averageViews) },
+  { label: 'Median views', leader: 'medianViews', format: (m) => formatNumber(m.medianViews) },
+  { label: 'Engagement rate', leader: 'engagementRate', format: (m) => `${m.engagementRate.toFixed(2)}%` },
+  { label: 'Uploads per week', leader: 'uploadsPerWeek', format: (m) => m.uploadsPerWeek.toFixed(2) },
+  { label: 'Median duration', leader: 'medianDurationSeconds', format: (m) => formatDuration(m.medianDurationSeconds) },
+  { label: 'Uploads analyzed', format: (m) => m.videosAnalyzed },
+];
+
+// Axes of the radar chart, each scaled so the best channel scores 100
+const RADAR_METRICS = [
+  { label: 'Subscribers', key: 'subscribers' },
+  { label: 'Avg views', key: 'averageViews' },
+  { label: 'Engagement', key: 'engagementRate' },
+  { label: 'Uploads/week', key: 'uploadsPerWeek' },
+  { label: 'Duration', key: 'medianDurationSeconds' },
+];
+
+const colorOf = (index) => CHANNEL_COLORS[index % CHANNEL_COLORS.length];
+
+const parseIds = (value) => [...new Set((value || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+const Panel = ({ title, description, children }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+    <h3 className="text-xl font-bold text-gray-900 dark:text-white">{title}</h3>
+    {description && (
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">{description}</p>
+    )}
+    {children}
+  </div>
+);
+
+/**
+ * One row per upload position (oldest first) with a value per channel
+ */
+const buildUploadSeries = (channels, field) => {
+  const length = Math.max(0, ...channels.map(entry => entry.uploads.length));
+  return Array.from({ length }, (_, index) => {
+    const row = { upload: index + 1 };
+    channels.forEach(entry => {
+      const upload = entry.uploads[index];
+      if (upload) row[entry.channel.channelId] = upload[field];
+    });
+    return row;
+  });
+};
+
+const buildRadarData = (channels) => RADAR_METRICS.map(({ label, key }) => {
+  const best = Math.max(0, ...channels.map(entry => entry.metrics[key] || 0));
+  const row = { metric: label };
+  channels.forEach(entry => {
+    row[entry.channel.channelId] = best > 0 ? Math.round(((entry.metrics[key] || 0) / best) * 100) : 0;
+  });
+  return row;
+});
+
+/**
+ * One line per channel over its recent uploads
+ */
+const UploadLineChart = ({ channels, field, formatValue, yAxisProps }) => (
+  <ResponsiveContainer width="100%" height={320}>
+    <LineChart data={buildUploadSeries(channels, field)}>
+      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+      <XAxis dataKey="upload" tick={{ fontSize: 12, fill: '#6b7280' }} />
+      <YAxis tick={{ fontSize: 12, fill: '#6b7280' }} {...yAxisProps} />
+      <Tooltip formatter={(value) => formatValue(value)} labelFormatter={(label) => `Upload ${label}`} />
+      <Legend />
+      {channels.map(({ channel }, index) => (
+        <Line
+          key={channel.channelId}
+          type="monotone"
+          dataKey={channel.channelId}
+          name={channel.title}
+          stroke={colorOf(index)}
+          strokeWidth={2}
+          dot={false}
+          connectNulls
+        />
+      ))}
+    </LineChart>
+  </ResponsiveContainer>
+);
+
+const ChannelComparison = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [newChannelId, setNewChannelId] = useState('');
+  const [inputError, setInputError] = useState('');
+
+  const channelIds = parseIds(searchParams.get('ids'));
+  const maxVideos = SAMPLE_SIZES.includes(Number(searchParams.get('maxVideos')))
+    ? Number(searchParams.get('maxVideos'))
+    : 25;
+
+  const { data, isLoading, isError, error } = useChannelComparison(channelIds, maxVideos);
+  const channels = data?.channels || [];
+
+  const updateParams = (ids, videos = maxVideos) => {
+    const params = {};
+    if (ids.length > 0) params.ids = ids.join(',');
+    if (videos !== 25) params.maxVideos = String(videos);
+    setSearchParams(params);
+  };
+
+  const handleAddChannel = (e) => {
+    e.preventDefault();
+    const id = newChannelId.trim();
+
+    if (!CHANNEL_ID_PATTERN.test(id)) {
+      setInputError('Enter a YouTube channel ID (UC followed by 22 characters)');
+      return;
+    }
+    if (channelIds.includes(id)) {
+      setInputError('That channel is already in the comparison');
+      return;
+    }
+
+    setInputError('');
+    setNewChannelId('');
+    updateParams([...channelIds, id]);
+  };
+
+  const handleRemoveChannel = (id) => {
+    updateParams(channelIds.filter(channelId => channelId !== id));
+  };
+
+  const channelTitle = (id) => channels.find(entry => entry.channel.channelId === id)?.channel.title || id;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+        >
+          <ArrowLeft size={20} />
+          Back
+        </button>
+
+        {/* Header and channel picker */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Compare Channels</h1>
+              <p className="text-gray-600 dark:text-gray-400">
+                Side-by-side metrics from each channel&apos;s most recent uploads
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <label className="text-sm font-medium text-gray-600 dark:text-gray-400">Uploads per channel:</label>
+              <select
+                value={maxVideos}
+                onChange={(e) => updateParams(channelIds, Number(e.target.value))}
+                className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent cursor-pointer"
+              >
+                {SAMPLE_SIZES.map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {channelIds.map((id, index) => (
+              <span
+                key={id}
+                className="flex items-center gap-2 pl-3 pr-2 py-1 rounded-full text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200"
+              >
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: colorOf(index) }} />
+                <Link to={`/channel/${id}`} className="hover:underline">{channelTitle(id)}</Link>
+                <button
+                  onClick={() => handleRemoveChannel(id)}
+                  className="p-0.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"
+                  aria-label={`Remove ${channelTitle(id)}`}
+                >
+                  <X size={14} />
+                </button>
+              </span>
+            ))}
+          </div>
+
+          {channelIds.length < MAX_CHANNELS && (
+            <form onSubmit={handleAddChannel} className="flex gap-2">
+              <input
+                type="text"
+                value={newChannelId}
+                onChange={(e) => setNewChannelId(e.target.value)}
+                placeholder="Channel ID (UC...)"
+                className="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition-colors"
+              >
+                <Plus size={18} />
+                Add
+              </button>
+            </form>
+          )}
+          {inputError && (
+            <p className="text-sm text-red-600 dark:text-red-400">{inputError}</p>
+          )}
+          {channelIds.length < 2 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Add at least two channels, or pick them from a channel search with &quot;Compare&quot;.
+            </p>
+          )}
+        </div>
+
+        {isLoading && (
+          <div className="flex items-center justify-center py-20">
+            <Loader2 className="animate-spin text-blue-600" size={48} />
+          </div>
+        )}
+
+        {isError && (
+          <div className="flex items-center gap-2 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <AlertCircle className="text-red-600 dark:text-red-400" size={20} />
+            <span className="text-red-600 dark:text-red-400">
+              {error?.response?.data?.details?.[0]?.message ||
+                error?.response?.data?.error ||
+                'Failed to compare channels. Please try again.'}
+            </span>
+          </div>
+        )}
+
+        {data && channels.length > 0 && (
+          <>
+            {/* Metrics table */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Metrics</h2>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => exportChannelComparisonToCSV(channels)}
+                    className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold transition-colors"
+                  >
+                    <Download size={18} />
+                    CSV
+                  </button>
+                  <button
+                    onClick={() => exportChannelComparisonToPDF(channels, data)}
+                    className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition-colors"
+                  >
+                    <FileText size={18} />
+                    PDF
+                  </button>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="py-3 pr-4 text-left font-medium text-gray-500 dark:text-gray-400">Metric</th>
+                      {channels.map(({ channel }, index) => (
+                        <th key={channel.channelId} className="py-3 px-4 text-left">
+                          <span className="flex items-center gap-2 font-semibold text-gray-900 dark:text-white">
+                            <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: colorOf(index) }} />
+                            <span className="truncate">{channel.title}</span>
+                          </span>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {METRIC_ROWS.map(row => (
+                      <tr key={row.label} className="border-b border-gray-100 dark:border-gray-700/50">
+                        <td className="py-3 pr-4 text-gray-600 dark:text-gray-400">{row.label}</td>
+                        {channels.map(({ channel, metrics }) => {
+                          const leads = row.leader && data.leaders[row.leader] === channel.channelId;
+                          return (
+                            <td
+                              key={channel.channelId}
+                              className={`py-3 px-4 ${leads ? 'font-bold text-green-600 dark:text-green-400' : 'text-gray-900 dark:text-white'}`}
+                            >
+                              <span className="flex items-center gap-1">
+                                {row.format(metrics)}
+                                {leads && <Trophy size={14} />}
+                              </span>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Overview radar */}
+              <Panel title="Overview" description="Each axis is scaled so the leading channel scores 100">
+                <ResponsiveContainer width="100%" height={320}>
+                  <RadarChart data={buildRadarData(channels)}>
+                    <PolarGrid stroke="#e5e7eb" />
+                    <PolarAngleAxis dataKey="metric" tick={{ fontSize: 12, fill: '#6b7280' }} />
+                    <PolarRadiusAxis domain={[0, 100]} tick={false} axisLine={false} />
+                    {channels.map(({ channel }, index) => (
+                      <Radar
+                        key={channel.channelId}
+                        dataKey={channel.channelId}
+                        name={channel.title}
+                        stroke={colorOf(index)}
+                        fill={colorOf(index)}
+                        fillOpacity={0.15}
+                      />
+                    ))}
+                    <Tooltip />
+                    <Legend />
+                  </RadarChart>
+                </ResponsiveContainer>
+              </Panel>
+
+              {/* Views per upload */}
+              <Panel title="Views per Upload" description="Recent uploads in publish order, oldest first">
+                <UploadLineChart
+                  channels={channels}
+                  field="viewCount"
+                  formatValue={formatNumber}
+                  yAxisProps={{ tickFormatter: formatNumber }}
+                />
+              </Panel>
+
+              {/* Engagement per upload */}
+              <Panel title="Engagement per Upload" description="(Likes + comments) / views for each recent upload">
+                <UploadLineChart
+                  channels={channels}
+                  field="engagementRate"
+                  formatValue={(value) => `${value.toFixed(2)}%`}
+                  yAxisProps={{ unit: '%' }}
+                />
+              </Panel>
+
+              {/* Duration per upload */}
+              <Panel title="Duration per Upload" description="Video length in minutes for each recent upload">
+                <UploadLineChart
+                  channels={channels}
+                  field="durationSeconds"
+                  formatValue={formatDuration}
+                  yAxisProps={{ tickFormatter: (value) => `${Math.round(value / 60)}m` }}
+                />
+              </Panel>
+            </div>
+
+            <p className="text-xs text-gray-500 dark:text-gray-400 text-right">
+              Generated {new Date(data.generatedAt).toLocaleString()}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChannelComparison;
@@ -0,0 +1,235 @@
+/**
+ * Channel Videos Page
+ * Browse every upload of a channel, page by page, through its uploads playlist
+ * Uploads can be sorted and selected for the Analytics dashboard like search results
+ */
+import { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { ArrowLeft, Loader2, AlertCircle, Users, Video, Eye, TrendingUp } from 'lucide-react';
+import { useChannelVideos } from '../hooks/useChannelVideos';
+import { useUserQuota, USER_QUOTA_KEY } from '../hooks/useUserQuota';
+import { useSelection } from '../contexts/SelectionContext';
+import VideoGrid from '../components/video/VideoGrid';
+
+// Uploads per request, and the most "Load All" will fetch in one go
+const PAGE_SIZE = 50;
+const LOAD_ALL_LIMIT = 500;
+
+// Format numbers
+const formatNumber = (num) => {
+  if (!num) return '0';
+  const number = parseInt(num);
+  if (number >= 1000000000) return `${(number / 1000000000).toFixed(1)}B`;
+  if (number >= 1000000) return `${(number / 1000000).toFixed(1)}M`;
+  if (number >= 1000) return `${(number / 1000).toFixed(1)}K`;
+  return number.toString();
+};
+
+const ChannelVideos = () => {
+  const { channelId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { selectedVideos, toggleVideo, getSelectedCount } = useSelection();
+  const { data: quota } = useUserQuota();
+  const quotaExhausted = quota ? quota.quotaUsed >= quota.quotaLimit : false;
+
+  const [loadingAll, setLoadingAll] = useState(false);
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error,
+    hasNextPage,
+    fetchNextPage,
+    isFetchingNextPage,
+  } = useChannelVideos(channelId, { maxResults: PAGE_SIZE });
+
+  const channel = data?.channel;
+  const videos = data?.results || [];
+  const totalUploads = data?.totalResults || channel?.videoCount || 0;
+
+  // Summary of the uploads loaded so far
+  const totalViews = videos.reduce((sum, video) => sum + (video.viewCount || 0), 0);
+  const averageViews = videos.length > 0 ? Math.round(totalViews / videos.length) : 0;
+  const averageEngagement = videos.length > 0
+    ? (videos.reduce((sum, video) => sum + parseFloat(video.engagementRate || 0), 0) / videos.length).toFixed(2)
+    : '0.00';
+
+  // Each page is a quota-tracked request; keep the quota display current
+  const handleLoadMore = async () => {
+    await fetchNextPage();
+    queryClient.invalidateQueries({ queryKey: USER_QUOTA_KEY });
+  };
+
+  // Keep fetching pages until the channel is exhausted or the limit is reached
+  const handleLoadAll = async () => {
+    setLoadingAll(true);
+    try {
+      let result = await fetchNextPage();
+      while (result.hasNextPage && !result.isError && (result.data?.results.length || 0) < LOAD_ALL_LIMIT) {
+        result = await fetchNextPage();
+      }
+    } finally {
+      setLoadingAll(false);
+      queryClient.invalidateQueries({ queryKey: USER_QUOTA_KEY });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+        >
+          <ArrowLeft size={20} />
+          Back
+        </button>
+
+        {isLoading && (
+          <div className="flex items-center justify-center py-20">
+            <Loader2 className="animate-spin text-blue-600" size={48} />
+          </div>
+        )}
+
+        {isError && (
+          <div className="flex items-center gap-2 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <AlertCircle className="text-red-600 dark:text-red-400" size={20} />
+            <span className="text-red-600 dark:text-red-400">
+              {error?.response?.data?.error || 'Failed to load channel uploads. Please try again.'}
+            </span>
+          </div>
+        )}
+
+        {channel && (
+          <>
+            {/* Channel Header */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+              <div className="flex items-center gap-6">
+                {channel.thumbnails?.medium && (
+                  <img
+                    src={channel.thumbnails.medium}
+                    alt={channel.title}
+                    className="w-20 h-20 rounded-full object-cover"
+                  />
+                )}
+                <div className="flex-1 min-w-0">
+                  <h1 className="text-3xl font-bold text-gray-900 dark:text-white truncate">{channel.title}</h1>
+                  {channel.customUrl && (
+                    <p className="text-gray-500 dark:text-gray-400">{channel.customUrl}</p>
+                  )}
+                  <Link
+                    to={`/channel/${channelId}`}
+                    className="text-sm font-medium text-purple-600 dark:text-purple-400 hover:text-purple-700 dark:hover:text-purple-300"
+                  >
+                    View channel analytics
+                  </Link>
+                </div>
+                <div className="flex gap-6 text-center">
+                  <div>
+                    <Users className="mx-auto text-red-500 mb-1" size={20} />
+                    <p className="font-bold text-gray-900 dark:text-white">
+                      {channel.hiddenSubscriberCount ? 'Hidden' : formatNumber(channel.subscriberCount)}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Subscribers</p>
+                  </div>
+                  <div>
+                    <Video className="mx-auto text-blue-500 mb-1" size={20} />
+                    <p className="font-bold text-gray-900 dark:text-white">{formatNumber(channel.videoCount)}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Videos</p>
+                  </div>
+                  <div>
+                    <Eye className="mx-auto text-green-500 mb-1" size={20} />
+                    <p className="font-bold text-gray-900 dark:text-white">{formatNumber(channel.viewCount)}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Views</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Loaded Uploads Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-5 border border-gray-200 dark:border-gray-700">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Uploads loaded</p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {videos.length.toLocaleString()} <span className="text-base font-medium text-gray-500">of {totalUploads.toLocaleString()}</span>
+                </p>
+              </div>
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-5 border border-gray-200 dark:border-gray-700">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Average views</p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatNumber(averageViews)}</p>
+              </div>
+              <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-5 border border-gray-200 dark:border-gray-700">
+                <p className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400">
+                  <TrendingUp size={14} />
+                  Average engagement
+                </p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">{averageEngagement}%</p>
+              </div>
+            </div>
+
+            {/* Uploads */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Uploads</h2>
+                {getSelectedCount() > 0 && (
+                  <button
+                    onClick={() => navigate('/analytics')}
+                    className="px-6 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold transition-colors"
+                  >
+                    View Analytics ({getSelectedCount()} selected)
+                  </button>
+                )}
+              </div>
+
+              <VideoGrid
+                videos={videos}
+                selectedVideos={selectedVideos}
+                onToggleVideo={toggleVideo}
+              />
+
+              {hasNextPage && (
+                <div className="flex justify-center gap-4 mt-8">
+                  <button
+                    onClick={handleLoadMore}
+                    disabled={isFetchingNextPage || loadingAll || quotaExhausted}
+                    className="flex items-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-lg font-semibold transition-colors"
+                  >
+                    {isFetchingNextPage && !loadingAll ? (
+                      <>
+                        <Loader2 className="animate-spin" size={20} />
+                        Loading more...
+                      </>
+                    ) : (
+                      'Load More Uploads'
+                    )}
+                  </button>
+                  {videos.length < LOAD_ALL_LIMIT && (
+                    <button
+                      onClick={handleLoadAll}
+                      disabled={isFetchingNextPage || loadingAll || quotaExhausted}
+                      className="flex items-center gap-2 px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400 text-white rounded-lg font-semibold transition-colors"
+                    >
+                      {loadingAll ? (
+                        <>
+                          <Loader2 className="animate-spin" size={20} />
+                          Loading {videos.length}...
+                        </>
+                      ) : (
+                        `Load All (up to ${LOAD_ALL_LIMIT})`
+                      )}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChannelVideos;
@@ -1,12 +1,14 @@
 /**
  * Login Page (Tasks 151-160)
  * Desktop-optimized guest authentication with feature showcase
+ * Also hosts email/password sign in, sign up and guest upgrade (?upgrade=1)
  */
 import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import ErrorAlert from '../components/ErrorAlert';
 import LoadingSpinner from '../components/LoadingSpinner';
+import AccountForm from '../components/AccountForm';
 import { 
   Zap, 
   Clock, 
@@ -21,18 +23,64 @@ import {
 function Login() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { loginAsGuest, loading, error: authError, isAuthenticated } = useAuth();
+  const {
+    loginAsGuest,
+    login,
+    register,
+    upgradeAccount,
+    loading,
+    error: authError,
+    isAuthenticated,
+    isGuest,
+  } = useAuth();
   
+  // Guests arriving with ?upgrade=1 stay here to convert their session
+  const isUpgrading = isAuthenticated && isGuest &&
+    new URLSearchParams(location.search).get('upgrade') === '1';
+
   const [error, setError] = useState(null);
   const [isLoggingIn, setIsLoggingIn] = useState(false);
+  const [accountMode, setAccountMode] = useState(isUpgrading ? 'register' : 'login');
+  const [accountError, setAccountError] = useState(null);
 
   // Redirect if already authenticated
   useEffect(() => {
-    if (isAuthenticated) {
+    if (isAuthenticated && !isUpgrading && !isLoggingIn) {
       const from = location.state?.from?.pathname || '/dashboard';
       navigate(from, { replace: true });
     }
-  }, [isAuthenticated, navigate, location]);
+  }, [isAuthenticated, isUpgrading, isLoggingIn, navigate, location]);
+
+  // Email/password sign in, sign up or guest upgrade
+  const handleAccountSubmit = async (credentials) => {
+    setAccountError(null);
+    setIsLoggingIn(true);
+
+    // A guest creating an account converts in place; signing in merges the guest
+    const mode = isUpgrading && accountMode === 'register' ? 'upgrade' : accountMode;
+
+    try {
+      let result;
+      if (mode === 'upgrade') {
+        result = await upgradeAccount(credentials);
+      } else if (mode === 'register') {
+        result = await register(credentials);
+      } else {
+        result = await login(credentials.email, credentials.password);
+      }
+
+      if (result.success) {
+        const from = isUpgrading ? '/search' : (location.state?.from?.pathname || '/search');
+        navigate(from, { replace: true });
+      } else {
+        setAccountError(result.error);
+      }
+    } catch {
+      setAccountError('An unexpected error occurred. Please try again.');
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
 
   // Task 155: Implement guest login
   const handleGuestLogin = async () => {
@@ -105,67 +153,124 @@ function Login() {
             </div>
 
             {/* Task 159: Modern card with shadows */}
-            <div className="card p-8 space-y-6 shadow-2xl">
-              {/* Task 153: "Start Exploring" CTA */}
-              <div className="space-y-4">
-                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
-                  Start Exploring as Guest
-                </h2>
-                <p className="text-gray-600 dark:text-gray-300">
-                  No account needed. Get instant access to powerful YouTube analytics tools.
-                </p>
-              </div>
-
-              {/* Task 157: Error display */}
-              {(error || authError) && (
-                <ErrorAlert 
-                  message={error || authError} 
-                  onClose={() => setError(null)} 
-                />
-              )}
+            {!isUpgrading && (
+              <div className="card p-8 space-y-6 shadow-2xl">
+                {/* Task 153: "Start Exploring" CTA */}
+                <div className="space-y-4">
+                  <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                    Start Exploring as Guest
+                  </h2>
+                  <p className="text-gray-600 dark:text-gray-300">
+                    No account needed. Get instant access to powerful YouTube analytics tools.
+                  </p>
+                </div>
 
-              {/* Task 155-156: Login button with loading state */}
-              <button
-                onClick={handleGuestLogin}
-                disabled={isLoggingIn || loading}
-                className="btn-primary w-full text-lg py-4 flex items-center justify-center gap-2 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {isLoggingIn || loading ? (
-                  <LoadingSpinner text="" size="small" />
-                ) : (
-                  <>
-                    <span>Continue as Guest</span>
-                    <ArrowRight size={20} />
-                  </>
+                {/* Task 157: Error display */}
+                {(error || (authError && !accountError)) && (
+                  <ErrorAlert 
+                    message={error || authError} 
+                    onClose={() => setError(null)} 
+                  />
                 )}
-              </button>
-
-              {/* Task 154 & 160: Session duration and quota information */}
-              <div className="space-y-3 pt-4 border-t border-gray-200 dark:border-dark-border">
-                <div className="flex items-start gap-3 text-sm">
-                  <Clock className="text-primary-600 dark:text-primary-400 flex-shrink-0 mt-0.5" size={18} />
-                  <div>
-                    <p className="font-medium text-gray-900 dark:text-white">
-                      24-Hour Session
-                    </p>
-                    <p className="text-gray-600 dark:text-gray-400">
-                      Full access with automatic session management
-                    </p>
+
+                {/* Task 155-156: Login button with loading state */}
+                <button
+                  onClick={handleGuestLogin}
+                  disabled={isLoggingIn || loading}
+                  className="btn-primary w-full text-lg py-4 flex items-center justify-center gap-2 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isLoggingIn || loading ? (
+                    <LoadingSpinner text="" size="small" />
+                  ) : (
+                    <>
+                      <span>Continue as Guest</span>
+                      <ArrowRight size={20} />
+                    </>
+                  )}
+                </button>
+
+                {/* Task 154 & 160: Session duration and quota information */}
+                <div className="space-y-3 pt-4 border-t border-gray-200 dark:border-dark-border">
+                  <div className="flex items-start gap-3 text-sm">
+                    <Clock className="text-primary-600 dark:text-primary-400 flex-shrink-0 mt-0.5" size={18} />
+                    <div>
+                      <p className="font-medium text-gray-900 dark:text-white">
+                        24-Hour Session
+                      </p>
+                      <p className="text-gray-600 dark:text-gray-400">
+                        Full access with automatic session management
+                      </p>
+                    </div>
                   </div>
-                </div>
 
-                <div className="flex items-start gap-3 text-sm">
-                  <BarChart3 className="text-primary-600 dark:text-primary-400 flex-shrink-0 mt-0.5" size={18} />
-                  <div>
-                    <p className="font-medium text-gray-900 dark:text-white">
-                      100 Searches Per Day
-                    </p>
-                    <p className="text-gray-600 dark:text-gray-400">
-                      Generous daily quota for your analytics needs
-                    </p>
+                  <div className="flex items-start gap-3 text-sm">
+                    <BarChart3 className="text-primary-600 dark:text-primary-400 flex-shrink-0 mt-0.5" size={18} />
+                    <div>
+                      <p className="font-medium text-gray-900 dark:text-white">
+                        100 Searches Per Day
+                      </p>
+                      <p className="text-gray-600 dark:text-gray-400">
+                        Generous daily quota for your analytics needs
+                      </p>
+                    </div>
                   </div>
                 </div>
               </div>
+            )}
+
+            {/* Registered accounts: sign in / sign up, or upgrade the current guest */}
+            <div className="card p-8 space-y-6 shadow-2xl">
+              {isUpgrading && (
+                <div className="space-y-2">
+                  <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                    Save Your Guest Session
+                  </h2>
+                  <p className="text-gray-600 dark:text-gray-300">
+                    Create an account or sign in to keep your search history and selected videos.
+                  </p>
+                </div>
+              )}
+
+              <div className="flex gap-2 p-1 bg-gray-100 dark:bg-dark-surface rounded-lg">
+                {[
+                  { id: 'login', label: 'Sign In' },
+                  { id: 'register', label: 'Create Account' },
+                ].map((tab) => (
+                  <button
+                    key={tab.id}
+                    type="button"
+                    onClick={() => {
+                      setAccountMode(tab.id);
+                      setAccountError(null);
+                    }}
+                    className={`flex-1 py-2 rounded-md text-sm font-medium transition-colors ${
+                      accountMode === tab.id
+                        ? 'bg-white dark:bg-dark-bg text-primary-600 dark:text-primary-400 shadow'
+                        : 'text-gray-600 dark:text-gray-400'
+                    }`}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+
+              {accountError && (
+                <ErrorAlert
+                  message={accountError}
+                  onClose={() => setAccountError(null)}
+                />
+              )}
+
+              <AccountForm
+                key={accountMode}
+                mode={isUpgrading && accountMode === 'register' ? 'upgrade' : accountMode}
+                onSubmit={handleAccountSubmit}
+                loading={isLoggingIn}
+              />
+
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Verified accounts get 500 searches per day and keep their history between sessions.
+              </p>
             </div>
           </div>
 
@@ -4,7 +4,7 @@
  */
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useMutation } from '@tanstack/react-query';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { 
   Search as SearchIcon, 
   Loader2, 
@@ -16,17 +16,55 @@ import {
   X, 
   Trash2,
   Filter,
-  SlidersHorizontal 
+  SlidersHorizontal,
+  UserSearch
 } from 'lucide-react';
 import { youtubeAPI } from '../api/youtube';
 import { useAuth } from '../contexts/AuthContext';
 import { useSelection } from '../contexts/SelectionContext';
+import { useUserQuota, USER_QUOTA_KEY } from '../hooks/useUserQuota';
+import { useSearchHistory, useSearchHistoryMutations, SEARCH_HISTORY_KEY } from '../hooks/useSearchHistory';
+import { useSearchVideos } from '../hooks/useSearchVideos';
+import { useSearchChannels } from '../hooks/useSearchChannels';
 import VideoGrid from '../components/video/VideoGrid';
+import ChannelGrid from '../components/channel/ChannelGrid';
 import AdvancedSearchModal from '../components/AdvancedSearchModal';
 
+/**
+ * Map a server history entry's endpoint (e.g. "/video/abc") to a search type
+ */
+const HISTORY_TYPES = {
+  search: 'keyword',
+  channels: 'channels',
+  video: 'video',
+  channel: 'channel',
+  trending: 'trending',
+};
+
+const toRecentSearches = (history = []) => {
+  const seen = new Set();
+
+  return history
+    .map((entry) => ({
+      id: entry._id,
+      query: entry.query,
+      type: HISTORY_TYPES[(entry.endpoint || '').split('/')[1]] || 'keyword',
+      timestamp: entry.timestamp,
+      resultCount: entry.resultCount || 0,
+    }))
+    .filter((item) => {
+      const key = `${item.type}:${item.query}`;
+      if (item.type === 'trending' || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, 10);
+};
+
 const Search = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
   
   // Selection Context Integration
   const { 
@@ -42,10 +80,24 @@ const Search = () => {
   const [maxResults, setMaxResults] = useState(50);
   const [trendingCount, setTrendingCount] = useState(20);
   const [validationError, setValidationError] = useState('');
-  const [searchHistory, setSearchHistory] = useState([]);
   const [results, setResults] = useState([]);
   const [searchStartTime, setSearchStartTime] = useState(0);
-  const [quotaUsed, setQuotaUsed] = useState(0);
+  
+  // Keyword and channel searches page through YouTube results with page
+  // tokens; the other search types return a single response
+  const [keywordParams, setKeywordParams] = useState(null);
+  const [channelParams, setChannelParams] = useState(null);
+  const [resultSource, setResultSource] = useState(null);
+  const keywordSearch = useSearchVideos(keywordParams || {});
+  const channelSearch = useSearchChannels(channelParams || {});
+  
+  // Server-side quota and search history
+  const { data: quota } = useUserQuota();
+  const quotaUsed = quota?.quotaUsed ?? 0;
+  const quotaLimit = quota?.quotaLimit ?? 100;
+  const { data: historyData } = useSearchHistory({ limit: 50 });
+  const searchHistory = toRecentSearches(historyData?.history);
+  const { deleteEntry, clearAll } = useSearchHistoryMutations();
   
   // Advanced Search Modal State
   const [showAdvancedModal, setShowAdvancedModal] = useState(false);
@@ -54,35 +106,23 @@ const Search = () => {
     minLikes: 0,
     minComments: 0,
     publishedAfter: '',
+    publishedBefore: '',
     category: '',
     duration: 'any',
+    definition: 'any',
+    captions: 'any',
     maxResults: 50,
   });
   const [activeFiltersCount, setActiveFiltersCount] = useState(0);
 
-  // Load search history from localStorage
+  // Load saved advanced filters from localStorage
   useEffect(() => {
-    const savedHistory = localStorage.getItem('searchHistory');
-    if (savedHistory) {
-      try {
-        setSearchHistory(JSON.parse(savedHistory));
-      } catch (error) {
-        console.error('Failed to load search history:', error);
-      }
-    }
-    
-    // Load quota used
-    const savedQuota = localStorage.getItem('quotaUsed');
-    if (savedQuota) {
-      setQuotaUsed(parseInt(savedQuota));
-    }
-    
     // Load saved advanced filters
     const savedFilters = localStorage.getItem('advancedFilters');
     if (savedFilters) {
       try {
         const filters = JSON.parse(savedFilters);
-        setAdvancedFilters(filters);
+        setAdvancedFilters((prev) => ({ ...prev, ...filters }));
         calculateActiveFilters(filters);
       } catch (error) {
         console.error('Failed to load advanced filters:', error);
@@ -97,8 +137,11 @@ const Search = () => {
       minLikes: 0,
       minComments: 0,
       publishedAfter: '',
+      publishedBefore: '',
       category: '',
       duration: 'any',
+      definition: 'any',
+      captions: 'any',
       maxResults: 50,
     };
     
@@ -125,7 +168,9 @@ const Search = () => {
   };
 
   // Filter results based on advanced filters
-  const applyClientSideFilters = (videos) => {
+  // Keyword searches already had date, category and duration applied by
+  // YouTube; only the engagement minimums are checked here for them
+  const applyClientSideFilters = (videos, { serverFiltered = false } = {}) => {
     return videos.filter(video => {
       // Apply minimum views filter
       if (advancedFilters.minViews > 0 && video.viewCount < advancedFilters.minViews) {
@@ -142,6 +187,10 @@ const Search = () => {
         return false;
       }
       
+      if (serverFiltered) {
+        return true;
+      }
+      
       // Apply published after filter
       if (advancedFilters.publishedAfter) {
         const publishedDate = new Date(video.publishedAt);
@@ -152,8 +201,8 @@ const Search = () => {
       }
       
       // Apply duration filter
-      if (advancedFilters.duration !== 'any' && video.duration) {
-        const durationSeconds = video.duration;
+      if (advancedFilters.duration !== 'any' && video.durationSeconds) {
+        const durationSeconds = video.durationSeconds;
         if (advancedFilters.duration === 'short' && durationSeconds >= 240) {
           return false;
         }
@@ -169,26 +218,64 @@ const Search = () => {
     });
   };
 
+  // Add advanced filters YouTube applies server-side to keyword searches
+  const buildKeywordParams = (searchParams) => {
+    // One page holds at most 50 results; more are loaded page by page
+    const params = { ...searchParams, maxResults: Math.min(searchParams.maxResults || 50, 50) };
+    if (advancedFilters.category) {
+      params.videoCategoryId = advancedFilters.category;
+    }
+    if (advancedFilters.publishedAfter) {
+      params.publishedAfter = `${advancedFilters.publishedAfter}T00:00:00Z`;
+    }
+    if (advancedFilters.publishedBefore) {
+      params.publishedBefore = `${advancedFilters.publishedBefore}T23:59:59Z`;
+    }
+    if (advancedFilters.duration && advancedFilters.duration !== 'any') {
+      params.videoDuration = advancedFilters.duration;
+    }
+    if (advancedFilters.definition && advancedFilters.definition !== 'any') {
+      params.videoDefinition = advancedFilters.definition;
+    }
+    if (advancedFilters.captions && advancedFilters.captions !== 'any') {
+      params.videoCaption = advancedFilters.captions;
+    }
+    return params;
+  };
+
+  // Keyword results across every loaded page
+  const keywordResults = keywordSearch.data?.results || [];
+  const keywordUpdatedAt = keywordSearch.dataUpdatedAt;
+  const keywordQuery = keywordParams?.q;
+
+  // Each loaded page is a YouTube search: record it and refresh history/quota
+  useEffect(() => {
+    if (!keywordUpdatedAt) return;
+    setSearchMetadata(keywordQuery, 'keyword', keywordResults.length);
+    queryClient.invalidateQueries({ queryKey: SEARCH_HISTORY_KEY });
+    queryClient.invalidateQueries({ queryKey: USER_QUOTA_KEY });
+  }, [keywordUpdatedAt, keywordQuery, keywordResults.length, setSearchMetadata, queryClient]);
+
+  // Channel results across every loaded page
+  const channelResults = channelSearch.data?.results || [];
+  const channelUpdatedAt = channelSearch.dataUpdatedAt;
+
+  // Channel searches are recorded server-side too; refresh history/quota
+  useEffect(() => {
+    if (!channelUpdatedAt) return;
+    queryClient.invalidateQueries({ queryKey: SEARCH_HISTORY_KEY });
+    queryClient.invalidateQueries({ queryKey: USER_QUOTA_KEY });
+  }, [channelUpdatedAt, queryClient]);
+
   // Search mutation with ROBUST data extraction
   const searchMutation = useMutation({
     mutationFn: (searchParams) => {
-      // Add category to search params if set
-      const params = { ...searchParams };
-      if (advancedFilters.category && searchType === 'keyword') {
-        params.videoCategoryId = advancedFilters.category;
-      }
-      if (advancedFilters.publishedAfter && searchType === 'keyword') {
-        params.publishedAfter = `${advancedFilters.publishedAfter}T00:00:00Z`;
-      }
-      
-      if (searchType === 'keyword') {
-        return youtubeAPI.search(params);
-      } else if (searchType === 'video') {
-        return youtubeAPI.getVideo(params.q);
+      if (searchType === 'video') {
+        return youtubeAPI.getVideo(searchParams.q);
       } else if (searchType === 'channel') {
-        return youtubeAPI.getChannel(params.q);
+        return youtubeAPI.getChannel(searchParams.q);
       } else if (searchType === 'trending') {
-        return youtubeAPI.getTrending({ maxResults: params.maxResults });
+        return youtubeAPI.getTrending({ maxResults: searchParams.maxResults });
       }
     },
     onSuccess: (response) => {
@@ -208,12 +295,7 @@ const Search = () => {
                [];
       };
       
-      if (searchType === 'keyword') {
-        searchResults = tryExtract(response);
-        const queryValue = response.data?.data?.query || response.data?.query || query;
-        setSearchMetadata(queryValue, 'keyword', searchResults.length);
-        
-      } else if (searchType === 'video') {
+      if (searchType === 'video') {
         const video = response.data?.data?.video || response.data?.video;
         searchResults = video ? [video] : [];
         setSearchMetadata(query, 'video', searchResults.length);
@@ -239,26 +321,11 @@ const Search = () => {
       console.log('🎯 Active filters:', advancedFilters);
       
       setResults(filteredResults);
+      setResultSource('single');
       
-      // Add to search history
-      if (query.trim() && searchType !== 'trending') {
-        const newHistory = [
-          {
-            query: query.trim(),
-            type: searchType,
-            timestamp: new Date().toISOString(),
-            resultCount: filteredResults.length,
-          },
-          ...searchHistory.filter(h => h.query !== query.trim()).slice(0, 9)
-        ];
-        setSearchHistory(newHistory);
-        localStorage.setItem('searchHistory', JSON.stringify(newHistory));
-      }
-      
-      // Update quota
-      const newQuota = quotaUsed + 1;
-      setQuotaUsed(newQuota);
-      localStorage.setItem('quotaUsed', newQuota.toString());
+      // The backend records history and quota; refresh both
+      queryClient.invalidateQueries({ queryKey: SEARCH_HISTORY_KEY });
+      queryClient.invalidateQueries({ queryKey: USER_QUOTA_KEY });
       
       const searchTime = Date.now() - searchStartTime;
       console.log(`⏱️ Search completed in ${searchTime}ms`);
@@ -279,8 +346,8 @@ const Search = () => {
       return;
     }
     
-    if (quotaUsed >= 100) {
-      setValidationError('Daily quota limit reached (100 searches). Please try again tomorrow.');
+    if (quotaUsed >= quotaLimit) {
+      setValidationError(`Daily quota limit reached (${quotaLimit} searches). Please try again tomorrow.`);
       return;
     }
     
@@ -291,9 +358,35 @@ const Search = () => {
       ? { maxResults: trendingCount }
       : { q: query.trim(), maxResults: advancedFilters.maxResults };
     
+    runSearch(searchType, searchParams);
+  };
+
+  // Keyword and channel searches go through the paginated queries, the rest
+  // through the mutation
+  const runSearch = (type, searchParams) => {
+    if (type === 'keyword') {
+      setKeywordParams(buildKeywordParams(searchParams));
+      setResultSource('keyword');
+      return;
+    }
+    if (type === 'channels') {
+      // Video filters don't apply to channels; only the page size carries over
+      setChannelParams({ q: searchParams.q, maxResults: Math.min(searchParams.maxResults || 50, 50) });
+      setResultSource('channels');
+      return;
+    }
     searchMutation.mutate(searchParams);
   };
 
+  // Load the next page of keyword or channel results
+  const handleLoadMore = () => {
+    if (quotaUsed >= quotaLimit) {
+      setValidationError(`Daily quota limit reached (${quotaLimit} searches). Please try again tomorrow.`);
+      return;
+    }
+    pagedSearch.fetchNextPage();
+  };
+
   // Handle recent search click
   const handleRecentSearchClick = (historyItem) => {
     setSearchType(historyItem.type);
@@ -302,23 +395,35 @@ const Search = () => {
     
     setSearchStartTime(Date.now());
     const searchParams = { q: historyItem.query, maxResults: advancedFilters.maxResults };
-    searchMutation.mutate(searchParams);
+    runSearch(historyItem.type, searchParams);
   };
 
   // Clear individual search from history
-  const clearIndividualSearch = (queryToRemove, e) => {
+  const clearIndividualSearch = (historyItem, e) => {
     e.stopPropagation();
-    const newHistory = searchHistory.filter(h => h.query !== queryToRemove);
-    setSearchHistory(newHistory);
-    localStorage.setItem('searchHistory', JSON.stringify(newHistory));
+    deleteEntry.mutate(historyItem.id);
   };
 
   // Clear all search history
   const clearAllHistory = () => {
-    setSearchHistory([]);
-    localStorage.removeItem('searchHistory');
+    clearAll.mutate();
   };
 
+  // Results of the most recent search of any kind
+  const isKeywordResult = resultSource === 'keyword';
+  const isChannelResult = resultSource === 'channels';
+  const isPagedResult = isKeywordResult || isChannelResult;
+  const pagedSearch = isChannelResult ? channelSearch : keywordSearch;
+  const displayedResults = isKeywordResult
+    ? applyClientSideFilters(keywordResults, { serverFiltered: true })
+    : isChannelResult ? [] : results;
+  const displayedChannels = isChannelResult ? channelResults : [];
+  const isSearching = searchMutation.isPending || (isPagedResult && pagedSearch.isLoading);
+  const pagedError = isPagedResult && pagedSearch.isError
+    ? pagedSearch.error?.response?.data?.error || 'Search failed. Please try again.'
+    : '';
+  const searchError = validationError || pagedError;
+
   // Handle view analytics
   const handleViewAnalytics = () => {
     if (getSelectedCount() === 0) {
@@ -345,7 +450,7 @@ const Search = () => {
           <div className="flex items-center justify-center gap-2 flex-wrap">
             <div className="px-4 py-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
               <span className="text-sm font-medium text-blue-900 dark:text-blue-100">
-                Daily Quota: {quotaUsed}/100 searches
+                Daily Quota: {quotaUsed}/{quotaLimit} searches
               </span>
             </div>
             {getSelectedCount() > 0 && (
@@ -373,6 +478,17 @@ const Search = () => {
               <SearchIcon size={20} />
               Keyword Search
             </button>
+            <button
+              onClick={() => setSearchType('channels')}
+              className={`flex-1 flex items-center justify-center gap-2 px-6 py-3 rounded-lg font-semibold transition-colors ${
+                searchType === 'channels'
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              <UserSearch size={20} />
+              Channels
+            </button>
             <button
               onClick={() => setSearchType('video')}
               className={`flex-1 flex items-center justify-center gap-2 px-6 py-3 rounded-lg font-semibold transition-colors ${
@@ -419,6 +535,8 @@ const Search = () => {
                   placeholder={
                     searchType === 'keyword'
                       ? 'Enter search keywords...'
+                      : searchType === 'channels'
+                      ? 'Enter channel name or topic...'
                       : searchType === 'video'
                       ? 'Enter video ID (e.g., dQw4w9WgXcQ)'
                       : 'Enter channel ID (e.g., UCsBjURrPoezykLs9EqgamOA)'
@@ -461,10 +579,10 @@ const Search = () => {
 
             <button
               type="submit"
-              disabled={searchMutation.isPending || quotaUsed >= 100}
+              disabled={isSearching || quotaUsed >= quotaLimit}
               className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-lg font-semibold transition-colors flex items-center justify-center gap-2"
             >
-              {searchMutation.isPending ? (
+              {isSearching ? (
                 <>
                   <Loader2 className="animate-spin" size={20} />
                   Searching...
@@ -479,10 +597,10 @@ const Search = () => {
           </form>
 
           {/* Validation Error */}
-          {validationError && (
+          {searchError && (
             <div className="flex items-center gap-2 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
               <AlertCircle className="text-red-600 dark:text-red-400" size={20} />
-              <span className="text-red-600 dark:text-red-400">{validationError}</span>
+              <span className="text-red-600 dark:text-red-400">{searchError}</span>
             </div>
           )}
         </div>
@@ -517,6 +635,11 @@ const Search = () => {
                   After {new Date(advancedFilters.publishedAfter).toLocaleDateString()}
                 </span>
               )}
+              {advancedFilters.publishedBefore && (
+                <span className="px-3 py-1 bg-orange-100 dark:bg-orange-900/30 text-orange-800 dark:text-orange-200 rounded-full text-sm">
+                  Before {new Date(advancedFilters.publishedBefore).toLocaleDateString()}
+                </span>
+              )}
               {advancedFilters.category && (
                 <span className="px-3 py-1 bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-200 rounded-full text-sm">
                   Category Filter
@@ -527,6 +650,16 @@ const Search = () => {
                   Duration: {advancedFilters.duration}
                 </span>
               )}
+              {advancedFilters.definition && advancedFilters.definition !== 'any' && (
+                <span className="px-3 py-1 bg-indigo-100 dark:bg-indigo-900/30 text-indigo-800 dark:text-indigo-200 rounded-full text-sm">
+                  {advancedFilters.definition === 'high' ? 'HD only' : 'SD only'}
+                </span>
+              )}
+              {advancedFilters.captions && advancedFilters.captions !== 'any' && (
+                <span className="px-3 py-1 bg-teal-100 dark:bg-teal-900/30 text-teal-800 dark:text-teal-200 rounded-full text-sm">
+                  {advancedFilters.captions === 'closedCaption' ? 'With captions' : 'Without captions'}
+                </span>
+              )}
             </div>
           </div>
         )}
@@ -545,16 +678,16 @@ const Search = () => {
               </button>
             </div>
             <div className="flex flex-wrap gap-2">
-              {searchHistory.map((item, index) => (
+              {searchHistory.map((item) => (
                 <button
-                  key={index}
+                  key={item.id}
                   onClick={() => handleRecentSearchClick(item)}
                   className="group flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-blue-100 dark:hover:bg-blue-900/30 rounded-lg transition-colors"
                 >
                   <span className="text-gray-700 dark:text-gray-300">{item.query}</span>
                   <span className="text-xs text-gray-500">({item.resultCount} results)</span>
                   <button
-                    onClick={(e) => clearIndividualSearch(item.query, e)}
+                    onClick={(e) => clearIndividualSearch(item, e)}
                     className="opacity-0 group-hover:opacity-100 transition-opacity"
                   >
                     <X size={14} className="text-red-600 dark:text-red-400" />
@@ -566,11 +699,14 @@ const Search = () => {
         )}
 
         {/* Results */}
-        {results.length > 0 && (
+        {displayedResults.length > 0 && (
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
-                Results ({results.length})
+                Results ({displayedResults.length}
+                {isKeywordResult && keywordSearch.data?.totalResults > 0 && (
+                  <> of ~{keywordSearch.data.totalResults.toLocaleString()}</>
+                )})
               </h2>
               {getSelectedCount() > 0 && (
                 <button
@@ -583,15 +719,70 @@ const Search = () => {
             </div>
             
             <VideoGrid 
-              videos={results}
+              videos={displayedResults}
               selectedVideos={selectedVideos}
               onToggleVideo={toggleVideo}
             />
+
+            {/* Cursor pagination: fetch the next page from YouTube */}
+            {isKeywordResult && keywordSearch.hasNextPage && (
+              <div className="flex justify-center mt-8">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={keywordSearch.isFetchingNextPage || quotaUsed >= quotaLimit}
+                  className="flex items-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-lg font-semibold transition-colors"
+                >
+                  {keywordSearch.isFetchingNextPage ? (
+                    <>
+                      <Loader2 className="animate-spin" size={20} />
+                      Loading more...
+                    </>
+                  ) : (
+                    'Load More Results'
+                  )}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Channel Results */}
+        {displayedChannels.length > 0 && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                Channels ({displayedChannels.length}
+                {channelSearch.data?.totalResults > 0 && (
+                  <> of ~{channelSearch.data.totalResults.toLocaleString()}</>
+                )})
+              </h2>
+            </div>
+
+            <ChannelGrid channels={displayedChannels} />
+
+            {channelSearch.hasNextPage && (
+              <div className="flex justify-center mt-8">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={channelSearch.isFetchingNextPage || quotaUsed >= quotaLimit}
+                  className="flex items-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-lg font-semibold transition-colors"
+                >
+                  {channelSearch.isFetchingNextPage ? (
+                    <>
+                      <Loader2 className="animate-spin" size={20} />
+                      Loading more...
+                    </>
+                  ) : (
+                    'Load More Channels'
+                  )}
+                </button>
+              </div>
+            )}
           </div>
         )}
 
         {/* Empty State */}
-        {!searchMutation.isPending && results.length === 0 && !validationError && (
+        {!isSearching && displayedResults.length === 0 && displayedChannels.length === 0 && !searchError && (
           <div className="text-center py-12">
             <BarChart3 className="mx-auto text-gray-400 mb-4" size={64} />
             <p className="text-xl text-gray-600 dark:text-gray-400">
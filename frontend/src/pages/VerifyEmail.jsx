@@ -0,0 +1,83 @@
+/**
+ * Verify Email Page
+ * Confirms the token from the verification email and unlocks the registered quota
+ */
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { CheckCircle2, AlertCircle } from 'lucide-react';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { USER_QUOTA_KEY } from '../hooks/useUserQuota';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const queryClient = useQueryClient();
+  const { isAuthenticated } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'Verification link is missing its token.');
+
+  // Tokens are single-use, so guard against StrictMode's double effect run
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then(() => {
+        setStatus('success');
+        queryClient.invalidateQueries({ queryKey: USER_QUOTA_KEY });
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.error || 'Verification link is invalid or has expired.');
+      });
+  }, [token, queryClient]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-indigo-50 dark:from-dark-bg dark:via-dark-surface dark:to-dark-bg flex items-center justify-center p-8">
+      <div className="card p-8 w-full max-w-md text-center space-y-4 shadow-2xl">
+        {status === 'verifying' && (
+          <LoadingSpinner text="Verifying your email..." />
+        )}
+
+        {status === 'success' && (
+          <>
+            <CheckCircle2 className="mx-auto text-green-500" size={48} />
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Email Verified
+            </h1>
+            <p className="text-gray-600 dark:text-gray-300">
+              Your account now has the full daily search quota.
+            </p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <AlertCircle className="mx-auto text-red-500" size={48} />
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              Verification Failed
+            </h1>
+            <p className="text-gray-600 dark:text-gray-300">{message}</p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/search' : '/login'}
+            className="btn-primary inline-block px-6 py-3"
+          >
+            {isAuthenticated ? 'Continue to Search' : 'Go to Sign In'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -0,0 +1,152 @@
+/**
+ * Video Details Page
+ * One video's statistics and its growth over time from stored snapshots
+ */
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, Loader2, AlertCircle, Eye, ThumbsUp, MessageCircle, Smile, Clock, Calendar } from 'lucide-react';
+import { useVideoDetails } from '../hooks/useVideoDetails';
+import { useVideoSentiment } from '../hooks/useVideoSentiment';
+import MetricGrowthChart from '../components/dashboard/charts/MetricGrowthChart';
+import WatchButton from '../components/watchlist/WatchButton';
+
+// Format numbers
+const formatNumber = (num) => {
+  if (!num) return '0';
+  const number = parseInt(num);
+  if (number >= 1000000000) return `${(number / 1000000000).toFixed(1)}B`;
+  if (number >= 1000000) return `${(number / 1000000).toFixed(1)}M`;
+  if (number >= 1000) return `${(number / 1000).toFixed(1)}K`;
+  return number.toString();
+};
+
+// Net comment sentiment (-100 to 100) as a signed figure
+const formatSentiment = (sentiment) => {
+  if (!sentiment) return '—';
+  return `${sentiment.netScore > 0 ? '+' : ''}${Math.round(sentiment.netScore)}`;
+};
+
+const StatCard = ({ icon, label, value, detail }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-5 border border-gray-200 dark:border-gray-700">
+    <p className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+      {icon}
+      {label}
+    </p>
+    <p className="text-2xl font-bold text-gray-900 dark:text-white mt-1">{value}</p>
+    {detail && <p className="text-xs text-gray-500 dark:text-gray-400">{detail}</p>}
+  </div>
+);
+
+const VideoDetails = () => {
+  const { videoId } = useParams();
+  const navigate = useNavigate();
+
+  const { data, isLoading, isError, error } = useVideoDetails(videoId);
+  const video = data?.data?.video;
+  // The cached video may predate the latest comment analysis
+  const { data: sentiments } = useVideoSentiment(video ? [videoId] : []);
+  const sentiment = sentiments?.[videoId] || video?.sentiment;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+        >
+          <ArrowLeft size={20} />
+          Back
+        </button>
+
+        {isLoading && (
+          <div className="flex items-center justify-center py-20">
+            <Loader2 className="animate-spin text-blue-600" size={48} />
+          </div>
+        )}
+
+        {isError && (
+          <div className="flex items-center gap-2 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <AlertCircle className="text-red-600 dark:text-red-400" size={20} />
+            <span className="text-red-600 dark:text-red-400">
+              {error?.response?.data?.error || 'Failed to load video. Please try again.'}
+            </span>
+          </div>
+        )}
+
+        {video && (
+          <>
+            {/* Video Header */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
+              <div className="flex flex-col md:flex-row gap-6">
+                {video.thumbnails?.medium && (
+                  <img
+                    src={video.thumbnails.high || video.thumbnails.medium}
+                    alt={video.title}
+                    className="w-full md:w-80 aspect-video rounded-lg object-cover flex-shrink-0"
+                  />
+                )}
+                <div className="min-w-0 flex-1 space-y-2">
+                  <h1 className="text-2xl font-bold text-gray-900 dark:text-white">{video.title}</h1>
+                  {video.channelId && (
+                    <Link
+                      to={`/channel/${video.channelId}`}
+                      className="text-sm font-medium text-purple-600 dark:text-purple-400 hover:text-purple-700 dark:hover:text-purple-300"
+                    >
+                      {video.channelTitle}
+                    </Link>
+                  )}
+                  <p className="flex items-center gap-4 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="flex items-center gap-1">
+                      <Calendar size={14} />
+                      {new Date(video.publishedAt).toLocaleDateString()}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Clock size={14} />
+                      {video.durationFormatted}
+                    </span>
+                    <span>{video.categoryName}</span>
+                  </p>
+                  {video.description && (
+                    <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-4 whitespace-pre-line">
+                      {video.description}
+                    </p>
+                  )}
+                  <div className="flex items-center gap-4">
+                    <a
+                      href={`https://www.youtube.com/watch?v=${video.videoId}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-block text-sm font-medium text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300"
+                    >
+                      Watch on YouTube →
+                    </a>
+                    <WatchButton type="video" targetId={video.videoId} />
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Current statistics */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              <StatCard icon={<Eye size={16} className="text-blue-500" />} label="Views" value={formatNumber(video.viewCount)} />
+              <StatCard icon={<ThumbsUp size={16} className="text-green-500" />} label="Likes" value={formatNumber(video.likeCount)} />
+              <StatCard icon={<MessageCircle size={16} className="text-orange-500" />} label="Comments" value={formatNumber(video.commentCount)} />
+              <StatCard icon={<ThumbsUp size={16} className="text-purple-500" />} label="Like rate" value={`${video.engagementRate}%`} />
+              <StatCard
+                icon={<Smile size={16} className="text-yellow-500" />}
+                label="Sentiment"
+                value={formatSentiment(sentiment)}
+                detail={sentiment
+                  ? `${sentiment.positivePercent}% positive, ${sentiment.negativePercent}% negative`
+                  : 'Comments not analysed yet'}
+              />
+            </div>
+
+            <MetricGrowthChart kind="video" targetId={videoId} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VideoDetails;
@@ -0,0 +1,325 @@
+/**
+ * Watchlist Page
+ * Videos, channels and searches refreshed in the background on their own
+ * interval, with the change since the previous refresh
+ */
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Loader2, AlertCircle, Plus, RefreshCw, Trash2, Video, Users, Search as SearchIcon, Clock, Bell, BellRing,
+} from 'lucide-react';
+import { useWatchlist, useWatchlistMutations } from '../hooks/useWatchlist';
+import AlertRulesPanel from '../components/watchlist/AlertRulesPanel';
+
+const TYPES = [
+  { value: 'video', label: 'Video', placeholder: 'Video ID (11 characters)' },
+  { value: 'channel', label: 'Channel', placeholder: 'Channel ID (UC...)' },
+  { value: 'search', label: 'Search', placeholder: 'Search query' },
+];
+
+const INTERVALS = [
+  { minutes: 60, label: 'Every hour' },
+  { minutes: 360, label: 'Every 6 hours' },
+  { minutes: 720, label: 'Every 12 hours' },
+  { minutes: 1440, label: 'Daily' },
+  { minutes: 10080, label: 'Weekly' },
+];
+
+// Metrics shown for each type, in display order
+const METRICS = {
+  video: [
+    { key: 'viewCount', label: 'Views' },
+    { key: 'likeCount', label: 'Likes' },
+    { key: 'commentCount', label: 'Comments' },
+  ],
+  channel: [
+    { key: 'subscriberCount', label: 'Subscribers' },
+    { key: 'viewCount', label: 'Views' },
+    { key: 'videoCount', label: 'Videos' },
+  ],
+  search: [
+    { key: 'totalResults', label: 'Total results' },
+    { key: 'averageViews', label: 'Avg views (top results)' },
+    { key: 'newResults', label: 'New in top results', deltaOnly: true },
+  ],
+};
+
+const TYPE_ICONS = {
+  video: <Video size={14} />,
+  channel: <Users size={14} />,
+  search: <SearchIcon size={14} />,
+};
+
+// Format numbers
+const formatNumber = (num) => {
+  if (num == null) return '—';
+  const number = Math.round(num);
+  const sign = number < 0 ? '-' : '';
+  const abs = Math.abs(number);
+  if (abs >= 1000000000) return `${sign}${(abs / 1000000000).toFixed(1)}B`;
+  if (abs >= 1000000) return `${sign}${(abs / 1000000).toFixed(1)}M`;
+  if (abs >= 1000) return `${sign}${(abs / 1000).toFixed(1)}K`;
+  return `${sign}${abs}`;
+};
+
+const formatRelative = (value) => {
+  if (!value) return 'never';
+  const minutes = Math.round((new Date(value) - Date.now()) / 60000);
+  const abs = Math.abs(minutes);
+  const text = abs < 60 ? `${abs} min` : abs < 1440 ? `${Math.round(abs / 60)} h` : `${Math.round(abs / 1440)} d`;
+  if (abs === 0) return 'now';
+  return minutes < 0 ? `${text} ago` : `in ${text}`;
+};
+
+const targetLink = (item) => {
+  if (item.type === 'video') return `/video/${item.targetId}`;
+  if (item.type === 'channel') return `/channel/${item.targetId}`;
+  return null;
+};
+
+const Delta = ({ value }) => {
+  if (value == null) return null;
+  const color = value > 0
+    ? 'text-green-600 dark:text-green-400'
+    : value < 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400';
+  return (
+    <span className={`text-sm font-medium ${color}`}>
+      {value > 0 ? '+' : ''}{formatNumber(value)}
+    </span>
+  );
+};
+
+const WatchlistRow = ({ item, onIntervalChange, onRefresh, onRemove, isRefreshing }) => {
+  const [showAlerts, setShowAlerts] = useState(false);
+  const link = targetLink(item);
+  const title = (
+    <span className="font-semibold text-gray-900 dark:text-white truncate">{item.title}</span>
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-5 border border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-start gap-4">
+        {item.thumbnail ? (
+          <img
+            src={item.thumbnail}
+            alt={item.title}
+            className={`${item.type === 'channel' ? 'w-14 h-14 rounded-full' : 'w-28 aspect-video rounded-lg'} object-cover flex-shrink-0`}
+          />
+        ) : (
+          <div className="w-14 h-14 rounded-lg bg-gray-100 dark:bg-gray-700 flex items-center justify-center text-gray-400 flex-shrink-0">
+            {TYPE_ICONS[item.type]}
+          </div>
+        )}
+
+        <div className="flex-1 min-w-0 space-y-1">
+          <div className="flex items-center gap-2 min-w-0">
+            <span className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium capitalize bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+              {TYPE_ICONS[item.type]}
+              {item.type}
+            </span>
+            {link ? <Link to={link} className="min-w-0 truncate hover:underline">{title}</Link> : title}
+          </div>
+          <p className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500 dark:text-gray-400">
+            <span className="flex items-center gap-1">
+              <Clock size={12} />
+              Refreshed {formatRelative(item.lastRefreshedAt)}
+              {item.previousRefreshedAt && ` (previous ${formatRelative(item.previousRefreshedAt)})`}
+            </span>
+            <span>Next {formatRelative(item.nextRefreshAt)}</span>
+          </p>
+          {item.lastError && (
+            <p className="flex items-center gap-1 text-xs text-red-600 dark:text-red-400">
+              <AlertCircle size={12} />
+              Last refresh failed: {item.lastError}
+            </p>
+          )}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <select
+            value={item.intervalMinutes}
+            onChange={(e) => onIntervalChange(item.id, Number(e.target.value))}
+            className="px-3 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-700 dark:text-gray-300"
+          >
+            {!INTERVALS.some(option => option.minutes === item.intervalMinutes) && (
+              <option value={item.intervalMinutes}>Every {item.intervalMinutes} min</option>
+            )}
+            {INTERVALS.map(option => (
+              <option key={option.minutes} value={option.minutes}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowAlerts(!showAlerts)}
+            title="Alert rules"
+            className={`p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 ${
+              showAlerts ? 'text-blue-600 dark:text-blue-400' : 'text-gray-600 dark:text-gray-300'
+            }`}
+          >
+            <BellRing size={16} />
+          </button>
+          <button
+            onClick={() => onRefresh(item.id)}
+            disabled={isRefreshing}
+            title="Refresh now"
+            className="p-2 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <RefreshCw size={16} className={isRefreshing ? 'animate-spin' : ''} />
+          </button>
+          <button
+            onClick={() => onRemove(item.id)}
+            title="Remove from watchlist"
+            className="p-2 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      {/* Latest values and change since the previous refresh */}
+      <div className="grid grid-cols-3 gap-3 mt-4">
+        {METRICS[item.type].map(metric => (
+          <div key={metric.key} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+            <p className="text-xs text-gray-500 dark:text-gray-400">{metric.label}</p>
+            <p className="flex items-baseline gap-2">
+              {!metric.deltaOnly && (
+                <span className="text-lg font-bold text-gray-900 dark:text-white">
+                  {formatNumber(item.metrics?.[metric.key])}
+                </span>
+              )}
+              {item.delta ? (
+                <Delta value={item.delta[metric.key]} />
+              ) : metric.deltaOnly && (
+                <span className="text-lg font-bold text-gray-400">—</span>
+              )}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {showAlerts && <AlertRulesPanel item={item} />}
+    </div>
+  );
+};
+
+const Watchlist = () => {
+  const [type, setType] = useState('video');
+  const [targetId, setTargetId] = useState('');
+  const [intervalMinutes, setIntervalMinutes] = useState(360);
+  const [refreshingId, setRefreshingId] = useState(null);
+
+  const { data, isLoading, isError, error } = useWatchlist();
+  const { addItem, updateItem, removeItem, refreshItem } = useWatchlistMutations();
+
+  const items = data?.items || [];
+  const limits = data?.limits;
+  const atLimit = limits && items.length >= limits.maxItems;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!targetId.trim()) return;
+    addItem.mutate({ type, targetId: targetId.trim(), intervalMinutes }, {
+      onSuccess: () => setTargetId(''),
+    });
+  };
+
+  const handleRefresh = (itemId) => {
+    setRefreshingId(itemId);
+    refreshItem.mutate(itemId, { onSettled: () => setRefreshingId(null) });
+  };
+
+  const mutationError = [addItem, updateItem, removeItem, refreshItem].find(mutation => mutation.isError)?.error;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-8">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Watchlist</h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Followed videos, channels and searches are refreshed in the background on their own interval
+            {limits && ` (${items.length}/${limits.maxItems})`}
+          </p>
+        </div>
+
+        {/* Add form */}
+        <form
+          onSubmit={handleAdd}
+          className="flex flex-wrap items-center gap-3 bg-white dark:bg-gray-800 rounded-xl shadow p-4 border border-gray-200 dark:border-gray-700"
+        >
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300"
+          >
+            {TYPES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+            placeholder={TYPES.find(option => option.value === type).placeholder}
+            className="flex-1 min-w-[200px] px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-900 dark:text-white"
+          />
+          <select
+            value={intervalMinutes}
+            onChange={(e) => setIntervalMinutes(Number(e.target.value))}
+            className="px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-700 dark:text-gray-300"
+          >
+            {INTERVALS.map(option => (
+              <option key={option.minutes} value={option.minutes}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={addItem.isPending || atLimit || !targetId.trim()}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+          >
+            {addItem.isPending ? <Loader2 className="animate-spin" size={16} /> : <Plus size={16} />}
+            Watch
+          </button>
+        </form>
+
+        {(isError || mutationError) && (
+          <div className="flex items-center gap-2 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <AlertCircle className="text-red-600 dark:text-red-400" size={20} />
+            <span className="text-red-600 dark:text-red-400">
+              {(error || mutationError)?.response?.data?.details?.[0]?.message
+                || (error || mutationError)?.response?.data?.error
+                || 'Something went wrong. Please try again.'}
+            </span>
+          </div>
+        )}
+
+        {isLoading && (
+          <div className="flex items-center justify-center py-20">
+            <Loader2 className="animate-spin text-blue-600" size={48} />
+          </div>
+        )}
+
+        {data && items.length === 0 && (
+          <div className="flex flex-col items-center justify-center py-16 text-center text-gray-500 dark:text-gray-400">
+            <Bell size={40} className="mb-3 text-gray-400" />
+            <p>Nothing watched yet.</p>
+            <p className="text-sm">Add a video, channel or search above, or use Watch on a video or channel page.</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {items.map(item => (
+            <WatchlistRow
+              key={item.id}
+              item={item}
+              isRefreshing={refreshingId === item.id}
+              onIntervalChange={(itemId, minutes) => updateItem.mutate({ itemId, intervalMinutes: minutes })}
+              onRefresh={handleRefresh}
+              onRemove={(itemId) => removeItem.mutate(itemId)}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Watchlist;
@@ -321,6 +321,31 @@ export const authAPI = {
    * Logout
    */
   logout: () => api.post('/auth/logout'),
+
+  /**
+   * Register an email/password account
+   */
+  register: (payload) => api.post('/auth/register', payload),
+
+  /**
+   * Log in with email and password
+   */
+  login: (email, password) => api.post('/auth/login', { email, password }),
+
+  /**
+   * Convert the current guest session into an account
+   */
+  upgrade: (payload) => api.post('/auth/upgrade', payload),
+
+  /**
+   * Confirm an email address with the emailed token
+   */
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+
+  /**
+   * Send a new verification email
+   */
+  resendVerification: () => api.post('/auth/resend-verification'),
 };
 
 /**
@@ -345,7 +370,7 @@ export const youtubeAPI = {
   /**
    * Get trending videos
    */
-  getTrending: (region = 'US') => api.get(`/youtube/trending?region=${region}`),
+  getTrending: (regionCode = 'US') => api.get('/youtube/trending', { params: { regionCode } }),
 };
 
 /**
@@ -80,13 +80,62 @@ export const exportVideosToCSV = (videos, searchMetadata = {}) => {
 };
 
 /**
- * Export to PDF (simple text-based PDF)
- * Task 248: Basic PDF export without external libraries
+ * Stylesheet shared by the printable reports
  */
-export const exportToPDF = (videos, searchMetadata = {}) => {
-  // Create a printable HTML version
+const REPORT_STYLES = `
+  body {
+    font-family: Arial, sans-serif;
+    padding: 40px;
+    color: #333;
+  }
+  h1 {
+    color: #1a73e8;
+    border-bottom: 3px solid #1a73e8;
+    padding-bottom: 10px;
+  }
+  .metadata {
+    background: #f5f5f5;
+    padding: 15px;
+    margin: 20px 0;
+    border-radius: 5px;
+  }
+  table {
+    width: 100%;
+    border-collapse: collapse;
+    margin-top: 20px;
+  }
+  th, td {
+    border: 1px solid #ddd;
+    padding: 12px;
+    text-align: left;
+  }
+  th {
+    background-color: #1a73e8;
+    color: white;
+  }
+  tr:nth-child(even) {
+    background-color: #f9f9f9;
+  }
+  .footer {
+    margin-top: 30px;
+    text-align: center;
+    color: #666;
+    font-size: 12px;
+  }
+  @media print {
+    body { padding: 20px; }
+  }
+`;
+
+/**
+ * Open a printable HTML report in a new window and start printing
+ * (the browser's print dialog saves it as PDF)
+ * @param {string} title - Document title
+ * @param {string} body - Report body HTML
+ */
+const openPrintableReport = (title, body) => {
   const printWindow = window.open('', '_blank');
-  
+
   if (!printWindow) {
     alert('Please allow popups to export PDF');
     return;
@@ -96,53 +145,46 @@ export const exportToPDF = (videos, searchMetadata = {}) => {
     <!DOCTYPE html>
     <html>
     <head>
-      <title>YouTube Analytics Report</title>
-      <style>
-        body {
-          font-family: Arial, sans-serif;
-          padding: 40px;
-          color: #333;
-        }
-        h1 {
-          color: #1a73e8;
-          border-bottom: 3px solid #1a73e8;
-          padding-bottom: 10px;
-        }
-        .metadata {
-          background: #f5f5f5;
-          padding: 15px;
-          margin: 20px 0;
-          border-radius: 5px;
-        }
-        table {
-          width: 100%;
-          border-collapse: collapse;
-          margin-top: 20px;
-        }
-        th, td {
-          border: 1px solid #ddd;
-          padding: 12px;
-          text-align: left;
-        }
-        th {
-          background-color: #1a73e8;
-          color: white;
-        }
-        tr:nth-child(even) {
-          background-color: #f9f9f9;
-        }
-        .footer {
-          margin-top: 30px;
-          text-align: center;
-          color: #666;
-          font-size: 12px;
-        }
-        @media print {
-          body { padding: 20px; }
-        }
-      </style>
+      <title>${title}</title>
+      <style>${REPORT_STYLES}</style>
     </head>
     <body>
+      ${body}
+
+      <div class="footer">
+        <p>Generated by YouTube Analytics Dashboard</p>
+      </div>
+
+      <script>
+        window.onload = () => {
+          window.print();
+          // Close window after printing (optional)
+          // setTimeout(() => window.close(), 100);
+        };
+      </script>
+    </body>
+    </html>
+  `;
+
+  printWindow.document.write(htmlContent);
+  printWindow.document.close();
+};
+
+/**
+ * Escape text (titles come from YouTube) before writing it into report HTML
+ */
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Export to PDF (simple text-based PDF)
+ * Task 248: Basic PDF export without external libraries
+ */
+export const exportToPDF = (videos, searchMetadata = {}) => {
+  openPrintableReport('YouTube Analytics Report', `
       <h1>📊 YouTube Analytics Report</h1>
       
       <div class="metadata">
@@ -177,24 +219,79 @@ export const exportToPDF = (videos, searchMetadata = {}) => {
           `).join('')}
         </tbody>
       </table>
+  `);
+};
 
-      <div class="footer">
-        <p>Generated by YouTube Analytics Dashboard</p>
-      </div>
+/**
+ * Rows of the channel comparison, one per channel
+ * @param {Array} channels - data.channels from /youtube/channels/compare
+ */
+const formatComparisonRows = (channels) => channels.map(({ channel, metrics }) => ({
+  'Channel ID': channel.channelId,
+  'Channel': channel.title,
+  'Subscribers': metrics.subscribers ?? 'Hidden',
+  'Total Views': metrics.totalViews,
+  'Videos': metrics.videoCount,
+  'Uploads Analyzed': metrics.videosAnalyzed,
+  'Avg Views': metrics.averageViews,
+  'Median Views': metrics.medianViews,
+  'Engagement Rate (%)': metrics.engagementRate,
+  'Uploads per Week': metrics.uploadsPerWeek,
+  'Median Duration (s)': metrics.medianDurationSeconds,
+  'Last Upload': metrics.lastPublishedAt || 'N/A',
+}));
 
-      <script>
-        window.onload = () => {
-          window.print();
-          // Close window after printing (optional)
-          // setTimeout(() => window.close(), 100);
-        };
-      </script>
-    </body>
-    </html>
-  `;
+/**
+ * Export a channel comparison to CSV
+ * @param {Array} channels - data.channels from /youtube/channels/compare
+ */
+export const exportChannelComparisonToCSV = (channels) => {
+  const timestamp = new Date().toISOString().split('T')[0];
+  exportToCSV(formatComparisonRows(channels), `youtube-channel-comparison-${timestamp}.csv`);
+};
 
-  printWindow.document.write(htmlContent);
-  printWindow.document.close();
+/**
+ * Export a channel comparison as a printable PDF report
+ * @param {Array} channels - data.channels from /youtube/channels/compare
+ * @param {Object} [metadata] - { maxVideos, generatedAt }
+ */
+export const exportChannelComparisonToPDF = (channels, metadata = {}) => {
+  if (!channels || channels.length === 0) {
+    console.warn('No data to export');
+    return;
+  }
+
+  const rows = formatComparisonRows(channels);
+  // Metrics down the side, one column per channel
+  const metrics = Object.keys(rows[0]).filter(column => column !== 'Channel ID' && column !== 'Channel');
+  const format = (value) => (typeof value === 'number' ? value.toLocaleString() : escapeHTML(value));
+
+  openPrintableReport('YouTube Channel Comparison', `
+      <h1>📊 YouTube Channel Comparison</h1>
+
+      <div class="metadata">
+        <strong>Channels:</strong> ${channels.length}<br>
+        <strong>Recent Uploads per Channel:</strong> ${metadata.maxVideos || 'N/A'}<br>
+        <strong>Generated:</strong> ${new Date(metadata.generatedAt || Date.now()).toLocaleString()}
+      </div>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Metric</th>
+            ${rows.map(row => `<th>${escapeHTML(row.Channel)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${metrics.map(metric => `
+            <tr>
+              <td>${metric}</td>
+              ${rows.map(row => `<td>${format(row[metric])}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+  `);
 };
 
 /**
@@ -126,6 +126,27 @@ export const clearSelection = () => {
   }
 };
 
+/**
+ * Re-save the current selection with a fresh 24h expiry
+ * Used when a guest session becomes an account so the selection carries over
+ *
+ * @returns {boolean} True if a selection was carried over
+ */
+export const renewSelection = () => {
+  const data = loadSelection();
+  if (!data || data.selectedVideos.length === 0) {
+    return false;
+  }
+
+  saveSelection({
+    selectedVideos: data.selectedVideos,
+    searchQuery: data.searchQuery,
+    searchType: data.searchType,
+    totalResults: data.totalResults,
+  });
+  return true;
+};
+
 /**
  * Check if selection data exists and is valid
  * 